@@ -0,0 +1,368 @@
+/**
+ * x402 Agent Spend Policy
+ *
+ * Durable spending controls for the CLI agent. Every payment the agent is
+ * about to sign is checked against a policy (asset and payTo allowlists,
+ * per-request maximum, daily / weekly / per-endpoint budgets, approval
+ * threshold) and every payment and refusal is appended to a JSON-lines
+ * ledger, so budgets survive restarts and the file doubles as an audit log.
+ * Agents running side by side can share the ledger: budgets are checked and
+ * the payment recorded under the ledger's lock file.
+ *
+ * Policy amounts are in token units ('1.5' = 1.5 USDT0). A budget is either
+ * one amount applied to each asset separately, or an object keyed by asset
+ * symbol ({ "USDT0": "1", "CNHT0": "7" }). Days and weeks are UTC; weeks
+ * start on Monday. A pending payment whose agent process exited before it
+ * signed the authorization is marked expired and stops counting. Once signed,
+ * the payment may have settled even if the agent never learned the outcome
+ * (a 5xx after settlement, a network error), so it keeps counting until it is
+ * settled, failed or refunded, or falls out of the budget windows.
+ *
+ * @package x402-boilerplate
+ * @since 1.1.0
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { ethers } = require('ethers');
+const { JsonlStore, processAlive } = require('../../facilitator/lib/jsonl-store.cjs');
+const { X402Error } = require('../../assets/js/lib/x402Client.js');
+
+const DAY_SECONDS = 86400;
+const WEEK_SECONDS = 7 * DAY_SECONDS;
+
+const APPROVAL_MODES = ['refuse', 'prompt'];
+
+const POLICY_DEFAULTS = Object.freeze({
+    assets: ['USDT0'],      // symbols or token addresses
+    payTo: [],              // empty = any recipient
+    maxPerRequest: null,
+    daily: null,
+    weekly: null,
+    endpoints: {},          // { "<origin><path>": { maxPerRequest, daily, weekly } }
+    approvalThreshold: null,
+    approval: 'refuse',     // above the threshold: 'refuse' or 'prompt'
+});
+
+/**
+ * Policy used when no policy file exists: USDT0 only, AGENT_SPEND_CAP per day
+ */
+function defaultPolicy(env = process.env) {
+    const cap = env.AGENT_SPEND_CAP === undefined || env.AGENT_SPEND_CAP === '' ? '1.0' : env.AGENT_SPEND_CAP;
+    return { ...POLICY_DEFAULTS, daily: Number(cap) > 0 ? cap : null };
+}
+
+/**
+ * Read a policy file, falling back to defaultPolicy() when it does not exist
+ */
+function loadPolicy(filePath, env = process.env) {
+    if (!filePath || !fs.existsSync(filePath)) return defaultPolicy(env);
+    return { ...POLICY_DEFAULTS, ...JSON.parse(fs.readFileSync(filePath, 'utf-8')) };
+}
+
+/**
+ * Endpoint key for per-endpoint budgets: URL without query string or hash
+ */
+function endpointOf(url) {
+    const parsed = new URL(url);
+    return parsed.origin + parsed.pathname;
+}
+
+class SpendPolicy {
+    /**
+     * @param {object} options
+     * @param {object} options.policy - Policy (see loadPolicy)
+     * @param {string} options.ledgerPath - JSON-lines ledger file
+     * @param {Map<string, object>} options.networks - Network registry (asset symbols and decimals)
+     * @param {function} [options.confirm] - async (details) → boolean, asked above the approval threshold in 'prompt' mode
+     * @param {function} [options.now] - Clock returning unix seconds
+     */
+    constructor({ policy, ledgerPath, networks, confirm = null, now = () => Math.floor(Date.now() / 1000) }) {
+        if (!APPROVAL_MODES.includes(policy.approval || 'refuse')) {
+            throw new Error(`Invalid approval mode: ${policy.approval} (expected ${APPROVAL_MODES.join(' or ')})`);
+        }
+        this.policy = policy;
+        this.networks = networks;
+        this.confirm = confirm;
+        this.now = now;
+        this.ledger = new JsonlStore({ filePath: ledgerPath, keyField: 'id', shared: true });
+        this.payTo = (policy.payTo || []).map(address => address.toLowerCase());
+    }
+
+    /**
+     * Symbol and decimals of `asset` on `network`, or null if not configured
+     */
+    assetInfo(network, asset) {
+        const info = this.networks.get(network)?.assets[String(asset).toLowerCase()];
+        return info ? { symbol: info.symbol, decimals: info.decimals } : null;
+    }
+
+    /**
+     * Token addresses the policy allows, for x402Fetch's allowedAssets
+     */
+    allowedAssets() {
+        const allowed = (this.policy.assets || []).map(symbol => symbol.toLowerCase());
+        const addresses = [];
+        for (const chain of this.networks.values()) {
+            for (const [address, info] of Object.entries(chain.assets)) {
+                if (allowed.includes(info.symbol.toLowerCase()) || allowed.includes(address)) addresses.push(address);
+            }
+        }
+        return addresses;
+    }
+
+    /**
+     * Budget amount for `symbol` in base units, or null when unlimited
+     */
+    limit(rule, symbol, decimals) {
+        const amount = rule !== null && typeof rule === 'object' ? rule[symbol] : rule;
+        if (amount === undefined || amount === null || amount === '') return null;
+        return ethers.parseUnits(String(amount), decimals);
+    }
+
+    /**
+     * A pending payment nobody will finish: the agent process that recorded it
+     * exited before signing, so no authorization can have reached the server
+     */
+    abandoned(entry) {
+        return entry.type === 'payment' && entry.status === 'pending' && !entry.signedAt
+            && Number.isInteger(entry.pid) && !processAlive(entry.pid);
+    }
+
+    /**
+     * Base units of `asset` spent since `since` (pending and settled payments)
+     */
+    spent(asset, since, endpoint = null) {
+        let total = 0n;
+        for (const entry of this.ledger.values()) {
+            if (entry.type !== 'payment' || entry.status === 'failed' || entry.status === 'refunded' || entry.status === 'expired') continue;
+            if (this.abandoned(entry)) continue;
+            if (entry.asset !== asset || entry.at < since) continue;
+            if (endpoint && entry.endpoint !== endpoint) continue;
+            total += BigInt(entry.amount);
+        }
+        return total;
+    }
+
+    windows() {
+        const now = this.now();
+        const day = Math.floor(now / DAY_SECONDS);
+        const dayStart = day * DAY_SECONDS;
+        // Day 0 (1970-01-01) was a Thursday
+        const weekStart = dayStart - ((day + 3) % 7) * DAY_SECONDS;
+        return {
+            daily: { since: dayStart, resetsAt: dayStart + DAY_SECONDS },
+            weekly: { since: weekStart, resetsAt: weekStart + WEEK_SECONDS },
+        };
+    }
+
+    /**
+     * Daily and weekly usage of an asset, in base units
+     */
+    usage(network, asset) {
+        const info = this.assetInfo(network, asset);
+        if (!info) return null;
+        this.ledger.reload();
+        const key = String(asset).toLowerCase();
+        const usage = { symbol: info.symbol, decimals: info.decimals };
+        for (const [period, window] of Object.entries(this.windows())) {
+            usage[period] = {
+                spent: this.spent(key, window.since),
+                limit: this.limit(this.policy[period], info.symbol, info.decimals),
+                resetsAt: window.resetsAt,
+            };
+        }
+        return usage;
+    }
+
+    /**
+     * Latest ledger entries (payments and refusals), oldest first
+     */
+    history(limit = 10) {
+        this.ledger.reload();
+        return [...this.ledger.values()].slice(-limit);
+    }
+
+    /**
+     * First rule this payment breaks, or null. Approval is checked separately.
+     */
+    violation(payment, info, maxPrice = null) {
+        const { endpoint, asset, payTo, amount } = payment;
+        const endpointRules = (this.policy.endpoints || {})[endpoint] || {};
+        const windows = this.windows();
+        const format = value => `${ethers.formatUnits(value, info.decimals)} ${info.symbol}`;
+
+        const allowed = (this.policy.assets || []).map(entry => entry.toLowerCase());
+        if (!allowed.includes(info.symbol.toLowerCase()) && !allowed.includes(asset)) {
+            return { rule: 'asset', message: `${info.symbol} is not an allowed asset` };
+        }
+        if (this.payTo.length > 0 && !this.payTo.includes(payTo)) {
+            return { rule: 'payTo', message: `payTo ${payTo} is not allowlisted` };
+        }
+
+        const maximums = [
+            ['maxPrice', maxPrice],
+            ['maxPerRequest', this.policy.maxPerRequest],
+            ['endpoint.maxPerRequest', endpointRules.maxPerRequest],
+        ];
+        for (const [rule, max] of maximums) {
+            const limit = this.limit(max ?? null, info.symbol, info.decimals);
+            if (limit !== null && amount > limit) {
+                const label = rule === 'maxPrice' ? 'maximum price' : 'per-request maximum';
+                return { rule, message: `Price ${format(amount)} exceeds the ${label} of ${format(limit)}` };
+            }
+        }
+
+        const budgets = [
+            ['endpoint.daily', endpointRules.daily, windows.daily, endpoint],
+            ['endpoint.weekly', endpointRules.weekly, windows.weekly, endpoint],
+            ['daily', this.policy.daily, windows.daily, null],
+            ['weekly', this.policy.weekly, windows.weekly, null],
+        ];
+        for (const [rule, budget, window, scope] of budgets) {
+            const limit = this.limit(budget ?? null, info.symbol, info.decimals);
+            if (limit === null) continue;
+            const spent = this.spent(asset, window.since, scope);
+            if (spent + amount > limit) {
+                const label = rule.replace('endpoint.', scope ? 'endpoint ' : '');
+                return {
+                    rule,
+                    message: `Would exceed the ${label} budget: ${format(spent)} spent + ${format(amount)} > ${format(limit)}`,
+                    retryAfter: window.resetsAt - this.now(),
+                };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Check a payment before it is signed and record it as pending.
+     *
+     * @param {object} params
+     * @param {string} params.url - Requested URL
+     * @param {object} params.requirements - Selected PaymentRequirements
+     * @param {string} [params.payer] - Agent address
+     * @param {string} [params.maxPrice] - Caller's price limit for this request (token units)
+     * @returns {Promise<object>} Ledger entry to pass to settle() / fail()
+     * @throws {X402Error} POLICY_REFUSED with `rule` (recorded as a refusal)
+     */
+    async authorize({ url, requirements, payer = null, maxPrice = null }) {
+        const payment = {
+            endpoint: endpointOf(url),
+            network: requirements.network,
+            asset: String(requirements.asset).toLowerCase(),
+            // Metered transfers are authorized to the facilitator's collector on the treasury's behalf
+            payTo: String((requirements.scheme === 'upto' && requirements.extra?.treasury) || requirements.payTo).toLowerCase(),
+            amount: BigInt(requirements.amount), // for upto: the maximum, until settle() records the charge
+            payer,
+        };
+
+        const info = this.assetInfo(payment.network, payment.asset);
+        this.ledger.reload();
+        let refusal = info
+            ? this.violation(payment, info, maxPrice)
+            : { rule: 'asset', message: `Unknown asset ${payment.asset} on ${payment.network}` };
+
+        let approvedBy = null;
+        const threshold = info && !refusal ? this.limit(this.policy.approvalThreshold ?? null, info.symbol, info.decimals) : null;
+        if (threshold !== null && payment.amount > threshold) {
+            const price = `${ethers.formatUnits(payment.amount, info.decimals)} ${info.symbol}`;
+            if (this.policy.approval === 'prompt' && this.confirm && await this.confirm({ ...payment, price, symbol: info.symbol })) {
+                approvedBy = 'prompt';
+            } else {
+                refusal = { rule: 'approval', message: `Price ${price} is above the approval threshold and was not approved` };
+            }
+        }
+
+        const entry = {
+            id: crypto.randomUUID(),
+            at: this.now(),
+            ...payment,
+            amount: payment.amount.toString(),
+            symbol: info?.symbol || null,
+        };
+
+        const refuse = (reason) => {
+            this.ledger.write({ ...entry, type: 'refusal', rule: reason.rule, reason: reason.message });
+            return new X402Error(reason.message, 'POLICY_REFUSED', { rule: reason.rule, requirements, retryAfter: reason.retryAfter });
+        };
+        if (refusal) throw refuse(refusal);
+
+        // Budgets again under the lock, with what other agents recorded meanwhile (or during the prompt)
+        return this.ledger.locked(() => {
+            this.ledger.reload();
+            this.expireAbandoned();
+            const late = this.violation(payment, info, maxPrice);
+            if (late) throw refuse(late);
+            return this.ledger.write({ ...entry, type: 'payment', status: 'pending', approvedBy, pid: process.pid });
+        });
+    }
+
+    /**
+     * Mark abandoned() payments as expired, so the ledger shows why they stopped counting
+     */
+    expireAbandoned() {
+        for (const entry of [...this.ledger.values()]) {
+            if (this.abandoned(entry)) {
+                this.ledger.write({ id: entry.id, status: 'expired', reason: 'The agent exited before signing the payment', settledAt: this.now() });
+            }
+        }
+    }
+
+    /**
+     * Record a refusal that happened before a payment could be selected
+     * (e.g. the SDK found no requirements matching the allowed assets)
+     */
+    refuse({ url, requirements = null, rule, reason }) {
+        return this.ledger.write({
+            id: crypto.randomUUID(),
+            at: this.now(),
+            type: 'refusal',
+            endpoint: endpointOf(url),
+            network: requirements?.network || null,
+            asset: requirements?.asset ? String(requirements.asset).toLowerCase() : null,
+            amount: requirements?.amount ? String(requirements.amount) : null,
+            rule,
+            reason,
+        });
+    }
+
+    /**
+     * Record that the authorization for a pending payment was signed: from
+     * here on it may settle, so the payment no longer expires with its agent.
+     * `nonce` identifies the authorization when reconciling by hand.
+     */
+    signed(entry, { nonce = null } = {}) {
+        return this.ledger.write({ id: entry.id, signedAt: this.now(), nonce });
+    }
+
+    /**
+     * Mark a pending payment as settled. `amount` (base units) records a
+     * metered charge below the authorized maximum, which is kept as `authorized`.
+     */
+    settle(entry, { transaction = null, amount = null } = {}) {
+        const record = { id: entry.id, status: 'settled', transaction, settledAt: this.now() };
+        if (amount !== null && String(amount) !== entry.amount) {
+            record.amount = String(amount);
+            record.authorized = entry.amount;
+        }
+        return this.ledger.write(record);
+    }
+
+    /**
+     * Mark a pending payment as failed — it no longer counts against budgets
+     */
+    fail(entry, reason) {
+        return this.ledger.write({ id: entry.id, status: 'failed', reason, settledAt: this.now() });
+    }
+
+    /**
+     * Mark a settled payment the server gave back as refunded — it no longer
+     * counts against budgets. `transaction` is the refund transaction.
+     */
+    refund(entry, { transaction = null, reason = null } = {}) {
+        return this.ledger.write({ id: entry.id, status: 'refunded', refundTransaction: transaction, reason, refundedAt: this.now() });
+    }
+}
+
+module.exports = { SpendPolicy, loadPolicy, defaultPolicy, endpointOf };
@@ -1,50 +1,108 @@
 #!/usr/bin/env node
 /**
- * x402 AI Agent Demo — Autonomous Machine-to-Machine Payment
+ * x402 AI Agent — Autonomous Machine-to-Machine Payment
  *
- * Cinematic terminal demo: AI agent autonomously pays USDT0 via x402 protocol
- * to get AI responses. Designed for hackathon video recordings.
+ * AI agent that autonomously pays x402 endpoints (USDT0 via EIP-3009).
+ * By default it runs the cinematic terminal demo designed for hackathon video
+ * recordings; --json, --quiet and --no-animation make it scriptable from CI
+ * and cron jobs.
  *
  * Usage:
  *   DEMO_BUYER_KEY=0x... node x402-ai-agent-demo.cjs "What is Conflux?"
+ *   DEMO_BUYER_KEY=0x... node x402-ai-agent-demo.cjs --json --max-price 0.001 "What is Conflux?"
+ *   DEMO_BUYER_KEY=0x... node x402-ai-agent-demo.cjs --url https://api.example.com/report -X POST -d '{"day":"2026-02-03"}'
+ *   DEMO_BUYER_KEY=0x... node x402-ai-agent-demo.cjs --batch questions.txt
+ *   DEMO_BUYER_KEY=0x... node x402-ai-agent-demo.cjs --repl
+ *   node x402-ai-agent-demo.cjs --profile local "What is x402?"   (offline, after npm run local)
+ *
+ * Exit codes are listed in EXIT (and --help).
+ *
+ * Spending is governed by the policy in AGENT_POLICY_PATH (see
+ * spend-policy.example.json) and recorded in AGENT_LEDGER_PATH. A payment the
+ * server refunded after failing is shown as refunded and stops counting
+ * against the budgets.
  *
  * @package x402-boilerplate
- * @version 2.0.0
+ * @version 2.1.0
  * @since 2026-02-03
  */
 
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline/promises');
+const { parseArgs } = require('util');
 const { ethers } = require('ethers');
+const { x402Fetch, balanceOf } = require('../assets/js/lib/x402Client.js');
+const { loadNetworks } = require('../facilitator/lib/networks.cjs');
+const { SpendPolicy, loadPolicy } = require('./lib/spend-policy.cjs');
+const { applyProfile } = require('../facilitator/lib/profile.cjs');
 
 // ============================================
 // CONFIGURATION
 // ============================================
 
+// --profile / X402_PROFILE fill in the variables below that aren't set
+// (local: the offline stack from `npm run local`, see local/local.env)
+let profileError = null;
+try {
+    applyProfile(process.env, process.argv.slice(2));
+} catch (error) {
+    profileError = error;
+}
+
 const API_URL = process.env.API_URL || 'http://localhost/api/x402/ai.php';
-const RPC_URL = 'https://evm.confluxrpc.com';
-const CHAIN_ID = 1030;
-const CONFLUXSCAN = 'https://evm.confluxscan.io/tx/';
-
-// Spending cap (in USDT0). Default: 1.00 USDT0 per session.
-// Set AGENT_SPEND_CAP=0 to disable.
-const SPEND_CAP = parseFloat(process.env.AGENT_SPEND_CAP || '1.0');
-let totalSpent = 0;
-
-const TRANSFER_AUTH_TYPES = {
-    TransferWithAuthorization: [
-        { name: 'from', type: 'address' },
-        { name: 'to', type: 'address' },
-        { name: 'value', type: 'uint256' },
-        { name: 'validAfter', type: 'uint256' },
-        { name: 'validBefore', type: 'uint256' },
-        { name: 'nonce', type: 'bytes32' },
-    ],
-};
+const DEFAULT_QUESTION = 'What is Conflux Network?';
+
+// Spend policy (budgets, allowlists, approval threshold). Without a policy
+// file the agent may spend AGENT_SPEND_CAP USDT0 per UTC day (default 1.0).
+const POLICY_PATH = process.env.AGENT_POLICY_PATH || path.join(__dirname, 'spend-policy.json');
+const LEDGER_PATH = process.env.AGENT_LEDGER_PATH || path.join(__dirname, 'data', 'spend-ledger.jsonl');
+const NETWORKS_PATH = process.env.X402_NETWORKS_CONFIG || path.join(__dirname, '..', 'facilitator', 'networks.json');
+
+const EXIT = Object.freeze({
+    OK: 0,
+    ERROR: 1,                // network failure, unexpected response
+    USAGE: 2,                // bad arguments or configuration
+    INSUFFICIENT_BALANCE: 3,
+    SPEND_REFUSED: 4,        // spend policy, budget or --max-price
+    VERIFY_FAILED: 5,        // payment rejected by the seller / facilitator
+    SETTLE_FAILED: 6,        // payment verified but not settled on-chain
+    NO_PAYMENT_OPTION: 7,    // no requirements the agent can pay
+});
+
+const HELP = `Usage: x402-ai-agent-demo.cjs [options] [question]
+       x402-ai-agent-demo.cjs [options] --batch <file> [--output <file>]
+       x402-ai-agent-demo.cjs [options] --repl
+
+Options:
+  --url <url>           x402 endpoint (default: API_URL); the question is sent as ?q=
+  -X, --method <method> HTTP method (default: GET, or POST with --body)
+  -d, --body <data>     Request body (sent as application/json when it parses as JSON)
+  --max-price <amount>  Refuse prices above this amount in token units (e.g. 0.001)
+  --json                Print one JSON result object on stdout
+  -q, --quiet           Print only the response; errors go to stderr
+  --no-animation        Skip pauses and the typewriter effect
+  --batch <file>        Pay for one question per line (blank lines and # comments skipped)
+  --output <file>       Batch results, one JSON line per question (default: <file>.results.jsonl)
+  --repl                Interactive session: /balance, /history, /budget, /help, /quit
+  --profile <name>      Load a settings profile first (local: offline stack from npm run local)
+  -h, --help            Show this help
+
+Exit codes (--batch: the first failure's code):
+  0 success                  4 refused by the spend policy or --max-price
+  1 error                    5 payment verification failed
+  2 usage or configuration   6 settlement failed
+  3 insufficient balance     7 no payment option the agent can pay`;
 
 // ============================================
 // TERMINAL COLORS & HELPERS
 // ============================================
 
-const c = {
+// Output mode, set from the command line in main(). `steps` is the
+// step-by-step demo narration, off in batch and REPL sessions.
+const ui = { pretty: true, json: false, animate: true, steps: true };
+
+const COLORS = {
     reset: '\x1b[0m',
     bold: '\x1b[1m',
     dim: '\x1b[2m',
@@ -61,287 +119,880 @@ const c = {
     bgYellow: '\x1b[43m',
 };
 
-const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+// No escape codes when piped (cron logs) or with NO_COLOR
+const useColor = process.stdout.isTTY && !('NO_COLOR' in process.env);
+const c = Object.fromEntries(Object.entries(COLORS).map(([name, code]) => [name, useColor ? code : '']));
+
+const sleep = (ms) => (ui.animate ? new Promise((r) => setTimeout(r, ms)) : Promise.resolve());
+
+function say(...args) {
+    if (ui.pretty && ui.steps) console.log(...args);
+}
+
+function print(...args) {
+    if (ui.pretty) console.log(...args);
+}
 
 function stripAnsi(str) {
     return str.replace(/\x1b\[[0-9;]*m/g, '');
 }
 
 function stepHeader(num, total, icon, title) {
-    console.log('');
-    console.log(
+    say('');
+    say(
         `  ${c.bgBlue}${c.white}${c.bold} STEP ${num}/${total} ${c.reset}  ${icon}  ${c.bold}${title}${c.reset}`
     );
-    console.log(`  ${c.dim}${'─'.repeat(50)}${c.reset}`);
+    say(`  ${c.dim}${'─'.repeat(50)}${c.reset}`);
+}
+
+function formatKv(key, value, valueColor) {
+    return `  ${c.dim}${key.padEnd(14)}${c.reset}${valueColor}${value}${c.reset}`;
 }
 
 function kv(key, value, valueColor = c.white) {
-    console.log(`  ${c.dim}${key.padEnd(14)}${c.reset}${valueColor}${value}${c.reset}`);
+    say(formatKv(key, value, valueColor));
 }
 
-// ============================================
-// MAIN
-// ============================================
+function row(key, value, valueColor = c.white) {
+    print(formatKv(key, value, valueColor));
+}
 
-async function main() {
-    const question = process.argv[2] || 'What is Conflux Network?';
+function box(title, color) {
+    print('');
+    print(`${color}${c.bold}`);
+    print('  ╔══════════════════════════════════════════════════════╗');
+    print(`  ║              ${title.padEnd(40)}║`);
+    print('  ╚══════════════════════════════════════════════════════╝');
+    print(`${c.reset}`);
+}
 
-    const buyerKey = process.env.DEMO_BUYER_KEY;
-    if (!buyerKey) {
-        console.error(`${c.red}Error: DEMO_BUYER_KEY environment variable required${c.reset}`);
-        console.error(`  export DEMO_BUYER_KEY=0xYourPrivateKey`);
-        process.exit(1);
+/**
+ * Word-wrap `text` into lines of at most `width` characters
+ */
+function wrap(text, width = 58) {
+    const lines = [];
+    for (const paragraph of String(text).split('\n')) {
+        let line = '';
+        for (const word of paragraph.split(' ')) {
+            if (line && stripAnsi(line).length + word.length + 1 > width) {
+                lines.push(line);
+                line = '';
+            }
+            line += (line ? ' ' : '') + word;
+        }
+        lines.push(line);
     }
+    return lines;
+}
 
-    const provider = new ethers.JsonRpcProvider(RPC_URL);
-    const wallet = new ethers.Wallet(buyerKey, provider);
-
-    // ── Banner ──
-    console.log('');
-    console.log(`${c.cyan}${c.bold}`);
-    console.log('  ╔══════════════════════════════════════════════════════╗');
-    console.log('  ║                                                      ║');
-    console.log('  ║   x402 Protocol — AI Agent Demo                      ║');
-    console.log('  ║   Machine-to-Machine Payment on Conflux eSpace       ║');
-    console.log('  ║                                                      ║');
-    console.log('  ╚══════════════════════════════════════════════════════╝');
-    console.log(`${c.reset}`);
-
-    kv('Agent', wallet.address.substring(0, 6) + '...' + wallet.address.substring(38), c.cyan);
-    kv('Network', 'Conflux eSpace (chain 1030)', c.blue);
-    kv('API', API_URL, c.dim);
-    kv('Question', question, c.yellow);
-
-    await sleep(1500);
-
-    // ════════════════════════════════════════════
-    // STEP 1: Request API → 402
-    // ════════════════════════════════════════════
-
-    stepHeader(1, 4, '\u{1F310}', 'Requesting AI API...');
-    await sleep(500);
-
-    const url = `${API_URL}?q=${encodeURIComponent(question)}`;
-    kv('GET', url.substring(0, 55) + '...', c.dim);
-    await sleep(800);
+function usageError(message) {
+    return Object.assign(new Error(message), { code: 'USAGE' });
+}
 
-    const firstResponse = await fetch(url);
+/**
+ * Command line → options; throws USAGE errors
+ */
+function parseOptions(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                url: { type: 'string' },
+                method: { type: 'string', short: 'X' },
+                body: { type: 'string', short: 'd' },
+                'max-price': { type: 'string' },
+                json: { type: 'boolean', default: false },
+                quiet: { type: 'boolean', short: 'q', default: false },
+                'no-animation': { type: 'boolean', default: false },
+                batch: { type: 'string' },
+                output: { type: 'string' },
+                repl: { type: 'boolean', default: false },
+                profile: { type: 'string' }, // applied at startup, see CONFIGURATION
+                help: { type: 'boolean', short: 'h', default: false },
+            },
+        });
+    } catch (error) {
+        throw usageError(error.message);
+    }
+    const { values, positionals } = parsed;
+
+    const session = values.batch !== undefined || values.repl;
+    if (values.batch !== undefined && values.repl) throw usageError('--batch and --repl cannot be combined');
+    if (session && positionals.length > 0) throw usageError('Questions come from the batch file or the prompt, not the command line');
+    if (values.repl && values.json) throw usageError('--json is not available in --repl');
+    if (values.output !== undefined && values.batch === undefined) throw usageError('--output requires --batch');
+
+    const question = positionals.join(' ') || (values.url || session ? '' : DEFAULT_QUESTION);
+    try {
+        new URL(values.url || API_URL);
+    } catch {
+        throw usageError(`Invalid URL: ${values.url || API_URL}`);
+    }
 
-    if (firstResponse.status !== 402) {
-        console.error(`${c.red}  Unexpected status: ${firstResponse.status}${c.reset}`);
-        const body = await firstResponse.text();
-        console.error(body);
-        process.exit(1);
+    const method = (values.method || (values.body !== undefined ? 'POST' : 'GET')).toUpperCase();
+    if (values.body !== undefined && ['GET', 'HEAD'].includes(method)) {
+        throw usageError(`--body cannot be sent with ${method}`);
     }
 
-    const paymentRequiredHeader = firstResponse.headers.get('PAYMENT-REQUIRED');
-    if (!paymentRequiredHeader) {
-        console.error(`${c.red}  Missing PAYMENT-REQUIRED header${c.reset}`);
-        process.exit(1);
+    const maxPrice = values['max-price'];
+    if (maxPrice !== undefined && !/^\d+(\.\d+)?$/.test(maxPrice)) {
+        throw usageError(`--max-price must be a token amount such as 0.001, got "${maxPrice}"`);
     }
 
-    const requirements = JSON.parse(Buffer.from(paymentRequiredHeader, 'base64').toString())[0];
-    const amountHuman = parseInt(requirements.amount) / 1e6;
+    return {
+        help: values.help,
+        baseUrl: values.url || API_URL,
+        url: questionUrl(values.url || API_URL, question),
+        question,
+        method,
+        body: values.body,
+        maxPrice: maxPrice ?? null,
+        json: values.json,
+        quiet: values.quiet,
+        animate: !values['no-animation'],
+        batch: values.batch ?? null,
+        output: values.output ?? (values.batch ? values.batch.replace(/\.[^./\\]*$/, '') + '.results.jsonl' : null),
+        repl: values.repl,
+    };
+}
 
-    console.log('');
-    console.log(
+/**
+ * `base` with the question as ?q= (unchanged without a question)
+ */
+function questionUrl(base, question) {
+    const url = new URL(base);
+    if (question) url.searchParams.set('q', question);
+    return url.href;
+}
+
+/**
+ * "0.0001 USDT0" for known assets, base units otherwise
+ */
+function formatPrice(spendPolicy, requirements) {
+    const info = spendPolicy.assetInfo(requirements.network, requirements.asset);
+    return info
+        ? `${ethers.formatUnits(requirements.amount, info.decimals)} ${info.symbol}`
+        : `${requirements.amount} (base units of ${requirements.asset})`;
+}
+
+async function showPaymentRequired(spendPolicy, requirements) {
+    say('');
+    say(
         `  ${c.bgYellow}${c.bold} HTTP 402 ${c.reset}  ${c.yellow}Payment Required${c.reset}`
     );
-    kv('Price', `${amountHuman} USDT0`, c.yellow);
+    kv('Price', (requirements.scheme === 'upto' ? 'up to ' : '') + formatPrice(spendPolicy, requirements), c.yellow);
     kv('Pay to', requirements.payTo.substring(0, 10) + '...', c.dim);
     kv('Settlement', requirements.extra?.settlementMode || 'transfer', c.magenta);
     kv('Standard', 'EIP-3009 transferWithAuthorization', c.dim);
 
     await sleep(1500);
 
-    // ════════════════════════════════════════════
-    // STEP 2: Check balance
-    // ════════════════════════════════════════════
-
-    stepHeader(2, 4, '\u{1F4B0}', 'Checking USDT0 balance...');
+    const symbol = spendPolicy.assetInfo(requirements.network, requirements.asset)?.symbol || 'token';
+    stepHeader(2, 4, '\u{1F4B0}', `Checking ${symbol} balance...`);
     await sleep(500);
+}
 
-    const erc20 = new ethers.Contract(
-        requirements.asset,
-        ['function balanceOf(address) view returns (uint256)'],
-        provider
-    );
-    const balance = await erc20.balanceOf(wallet.address);
-    const requiredAmount = BigInt(requirements.amount);
-    const balanceHuman = ethers.formatUnits(balance, 6);
-
-    kv('Balance', `${balanceHuman} USDT0`, c.green);
-    kv('Required', `${amountHuman} USDT0`, c.yellow);
+async function showBalance(spendPolicy, requirements, balance) {
+    kv('Balance', formatPrice(spendPolicy, { ...requirements, amount: balance }), c.green);
+    kv('Required', formatPrice(spendPolicy, requirements), c.yellow);
 
-    if (balance < requiredAmount) {
-        console.log(`\n  ${c.bgRed}${c.white} INSUFFICIENT BALANCE ${c.reset}`);
-        process.exit(1);
+    if (balance >= BigInt(requirements.amount)) {
+        say(`\n  ${c.green}✓ Sufficient balance${c.reset}`);
     }
+}
 
-    console.log(`\n  ${c.green}\u2713 Sufficient balance${c.reset}`);
+/**
+ * Ask on the terminal before paying above the policy's approval threshold
+ */
+async function confirmPayment({ price, payTo, endpoint }) {
+    if (!process.stdin.isTTY || !process.stderr.isTTY) return false;
+    const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+    try {
+        const answer = await rl.question(`  ${c.yellow}Approve ${price} to ${payTo.substring(0, 10)}... for ${endpoint}? [y/N] ${c.reset}`);
+        return /^y(es)?$/i.test(answer.trim());
+    } finally {
+        rl.close();
+    }
+}
 
-    // Spending cap check
-    if (SPEND_CAP > 0) {
-        kv('Spend cap', `${SPEND_CAP} USDT0`, c.dim);
-        kv('Spent so far', `${totalSpent.toFixed(6)} USDT0`, c.dim);
-        if (totalSpent + amountHuman > SPEND_CAP) {
-            console.log(`\n  ${c.bgRed}${c.white} SPENDING CAP EXCEEDED ${c.reset}`);
-            console.log(`  ${c.red}Would exceed ${SPEND_CAP} USDT0 limit. Set AGENT_SPEND_CAP to increase.${c.reset}`);
-            process.exit(1);
-        }
-        console.log(`  ${c.green}\u2713 Within spending cap${c.reset}`);
+/**
+ * Spend policy check: throws POLICY_REFUSED before signing, otherwise
+ * returns the pending ledger entry for this payment
+ */
+async function checkSpendPolicy(spendPolicy, url, requirements, payer, maxPrice) {
+    const usage = spendPolicy.usage(requirements.network, requirements.asset);
+    for (const period of ['daily', 'weekly']) {
+        if (!usage || usage[period].limit === null) continue;
+        const spent = ethers.formatUnits(usage[period].spent, usage.decimals);
+        const limit = ethers.formatUnits(usage[period].limit, usage.decimals);
+        kv(period === 'daily' ? 'Spent today' : 'Spent (week)', `${spent} / ${limit} ${usage.symbol}`, c.dim);
     }
+    if (maxPrice !== null) kv('Max price', `${maxPrice} ${usage?.symbol || ''}`.trim(), c.dim);
 
-    await sleep(1200);
+    const entry = await spendPolicy.authorize({ url, requirements, payer, maxPrice });
+    say(`  ${c.green}✓ Within spending policy${c.reset}`);
+    return entry;
+}
 
-    // ════════════════════════════════════════════
-    // STEP 3: Sign EIP-3009
-    // ════════════════════════════════════════════
+/**
+ * Exit code for a failed paid request, from the seller's error_code
+ */
+function paidFailureExitCode(status, body) {
+    const errorCode = body && typeof body === 'object' ? body.error_code : null;
+    if (errorCode === 'X402_SETTLE_FAILED') return EXIT.SETTLE_FAILED;
+    if (status === 402 || errorCode === 'X402_VERIFY_FAILED' || errorCode === 'X402_INVALID_PAYLOAD') return EXIT.VERIFY_FAILED;
+    return EXIT.ERROR;
+}
 
-    stepHeader(3, 4, '\u{270D}\u{FE0F}', 'Signing EIP-3009 payment...');
-    await sleep(500);
+function errorExitCode(error) {
+    switch (error.code) {
+        case 'USAGE': return EXIT.USAGE;
+        case 'INSUFFICIENT_BALANCE': return EXIT.INSUFFICIENT_BALANCE;
+        case 'POLICY_REFUSED': return EXIT.SPEND_REFUSED;
+        case 'MISSING_PAYMENT_REQUIRED':
+        case 'NO_COMPATIBLE_REQUIREMENTS':
+        case 'PAYMENT_DECLINED': return EXIT.NO_PAYMENT_OPTION;
+        default: return EXIT.ERROR;
+    }
+}
 
-    const now = Math.floor(Date.now() / 1000);
-    const nonce = ethers.hexlify(ethers.randomBytes(32));
+// ============================================
+// PAYMENT
+// ============================================
 
-    const domain = {
-        name: requirements.extra?.name || 'USDT0',
-        version: requirements.extra?.version || '1',
-        chainId: CHAIN_ID,
-        verifyingContract: requirements.asset,
-    };
+/**
+ * One wallet session: key, networks, spend policy and per-chain signers,
+ * shared by every request of a single run, batch or REPL
+ *
+ * @param {object} options - Parsed command line
+ * @param {function} [confirm] - Approval prompt for payments above the policy threshold
+ */
+async function openSession(options, confirm = confirmPayment) {
+    const buyerKey = process.env.DEMO_BUYER_KEY;
+    if (!buyerKey) {
+        throw usageError('DEMO_BUYER_KEY environment variable required (export DEMO_BUYER_KEY=0xYourPrivateKey)');
+    }
+    let agentAddress;
+    try {
+        agentAddress = new ethers.Wallet(buyerKey).address;
+    } catch {
+        throw usageError('DEMO_BUYER_KEY is not a valid private key');
+    }
 
-    const message = {
-        from: wallet.address,
-        to: requirements.payTo,
-        value: requirements.amount,
-        validAfter: 0,
-        validBefore: now + 3600,
-        nonce: nonce,
-    };
+    const { defaultNetwork, networks } = loadNetworks(NETWORKS_PATH);
+    const spendPolicy = new SpendPolicy({
+        policy: loadPolicy(POLICY_PATH),
+        ledgerPath: LEDGER_PATH,
+        networks,
+        confirm,
+    });
 
-    kv('Type', 'EIP-712 Typed Data (TransferWithAuthorization)', c.dim);
-    kv('From', wallet.address.substring(0, 10) + '...', c.cyan);
-    kv('To', requirements.payTo.substring(0, 10) + '... (treasury)', c.cyan);
-    kv('Value', `${amountHuman} USDT0`, c.yellow);
-    kv('Nonce', nonce.substring(0, 18) + '...', c.dim);
-    kv('Expires', 'in 1 hour', c.dim);
-
-    await sleep(600);
-
-    const signature = await wallet.signTypedData(domain, TRANSFER_AUTH_TYPES, message);
-
-    console.log('');
-    console.log(`  ${c.green}\u2713 Signature: ${signature.substring(0, 22)}...${c.reset}`);
-
-    const x402Payload = {
-        x402Version: 2,
-        scheme: 'exact',
-        network: `eip155:${CHAIN_ID}`,
-        payload: {
-            signature: signature,
-            authorization: {
-                from: wallet.address,
-                to: requirements.payTo,
-                value: requirements.amount,
-                validAfter: '0',
-                validBefore: String(now + 3600),
-                nonce: nonce,
-            },
-        },
+    // One wallet per chain, connected to that chain's RPC from networks.json
+    const wallets = new Map();
+    const signerFor = (requirements) => {
+        const chain = networks.get(requirements.network);
+        if (!chain) return null;
+        if (!wallets.has(chain.network)) {
+            const provider = new ethers.JsonRpcProvider(chain.rpc, chain.chainId, { staticNetwork: true });
+            wallets.set(chain.network, new ethers.Wallet(buyerKey, provider));
+        }
+        return wallets.get(chain.network);
     };
 
-    const paymentSignature = Buffer.from(JSON.stringify(x402Payload)).toString('base64');
+    // ── Banner ──
+    print('');
+    print(`${c.cyan}${c.bold}`);
+    print('  ╔══════════════════════════════════════════════════════╗');
+    print('  ║                                                      ║');
+    print('  ║   x402 Protocol — AI Agent Demo                      ║');
+    print('  ║   Machine-to-Machine Payment on Conflux eSpace       ║');
+    print('  ║                                                      ║');
+    print('  ╚══════════════════════════════════════════════════════╝');
+    print(`${c.reset}`);
+
+    const home = networks.get(defaultNetwork);
+    row('Agent', agentAddress.substring(0, 6) + '...' + agentAddress.substring(38), c.cyan);
+    row('Network', `${home.chainName} (chain ${home.chainId})`, c.blue);
+    row('API', options.baseUrl.split('?')[0], c.dim);
+
+    return { agentAddress, networks, spendPolicy, signerFor, spent: new Map() };
+}
 
-    await sleep(1200);
+/**
+ * Request `request.url`, paying a 402 within the spend policy
+ *
+ * @param {object} session - From openSession()
+ * @param {object} request - { url, method, body, maxPrice }
+ * @returns {Promise<object>} { ok, exitCode, url, method, status, payment, body, error }
+ */
+async function pay(session, request) {
+    const { networks, spendPolicy, signerFor } = session;
 
     // ════════════════════════════════════════════
-    // STEP 4: Pay & get answer
+    // STEP 1: Request API → 402
     // ════════════════════════════════════════════
 
-    stepHeader(4, 4, '\u{1F680}', 'Sending paid request...');
+    stepHeader(1, 4, '\u{1F310}', 'Requesting API...');
     await sleep(500);
 
-    kv('Header', 'PAYMENT-SIGNATURE: <base64 payload>', c.dim);
-    console.log(`  ${c.dim}Waiting for on-chain settlement...${c.reset}`);
+    kv(request.method, request.url.length > 55 ? request.url.substring(0, 55) + '...' : request.url, c.dim);
+    await sleep(800);
 
-    const paidResponse = await fetch(url, {
-        headers: { 'PAYMENT-SIGNATURE': paymentSignature },
-    });
+    const init = { method: request.method };
+    if (request.body !== undefined) {
+        let isJson = true;
+        try { JSON.parse(request.body); } catch { isJson = false; }
+        init.body = request.body;
+        init.headers = { 'Content-Type': isJson ? 'application/json' : 'text/plain' };
+    }
 
-    const responseBody = await paidResponse.json();
+    // Steps 2-4 run inside the client SDK's hooks: 402 parsed and balance
+    // checked → beforePayment, authorization signed → onSigned
+    let response;
+    let ledgerEntry = null;
+    try {
+        response = await x402Fetch(request.url, init, {
+            signer: signerFor,
+            networks: [...networks.keys()],
+            allowedAssets: spendPolicy.allowedAssets(),
+            beforePayment: async ({ requirements, payer, balance }) => {
+                await showPaymentRequired(spendPolicy, requirements);
+                await showBalance(spendPolicy, requirements, balance);
+                ledgerEntry = await checkSpendPolicy(spendPolicy, request.url, requirements, payer, request.maxPrice);
+                await sleep(1200);
+
+                stepHeader(3, 4, '\u{270D}\u{FE0F}', 'Signing EIP-3009 payment...');
+                await sleep(500);
+            },
+            onSigned: async (payload) => {
+                const { authorization, signature } = payload.payload;
+                spendPolicy.signed(ledgerEntry, { nonce: authorization.nonce });
+                kv('Type', 'EIP-712 Typed Data (TransferWithAuthorization)', c.dim);
+                kv('From', authorization.from.substring(0, 10) + '...', c.cyan);
+                const metered = payload.scheme === 'upto';
+                kv('To', authorization.to.substring(0, 10) + (metered ? '... (facilitator collector)' : '... (treasury)'), c.cyan);
+                kv('Value', (metered ? 'up to ' : '') + formatPrice(spendPolicy, { ...ledgerEntry, amount: authorization.value }), c.yellow);
+                kv('Nonce', authorization.nonce.substring(0, 18) + '...', c.dim);
+                kv('Expires', 'in 1 hour', c.dim);
+
+                say('');
+                say(`  ${c.green}✓ Signature: ${signature.substring(0, 22)}...${c.reset}`);
+                await sleep(1200);
+
+                stepHeader(4, 4, '\u{1F680}', 'Sending paid request...');
+                await sleep(500);
+                kv('Header', 'PAYMENT-SIGNATURE: <base64 payload>', c.dim);
+                say(`  ${c.dim}Waiting for on-chain settlement...${c.reset}`);
+            },
+        });
+    } catch (error) {
+        if (error.code === 'INSUFFICIENT_BALANCE') {
+            await showPaymentRequired(spendPolicy, error.requirements);
+            await showBalance(spendPolicy, error.requirements, error.balance);
+        } else if (error.code === 'NO_COMPATIBLE_REQUIREMENTS') {
+            // Nothing offered in an allowed asset on a configured network
+            spendPolicy.refuse({ url: request.url, requirements: error.requirements[0], rule: 'asset', reason: error.message });
+        }
+        throw error;
+    }
+
+    const text = await response.text();
+    let body = text;
+    try { body = JSON.parse(text); } catch { /* not JSON, keep the text */ }
+    const fields = body !== null && typeof body === 'object' ? body : {};
+
+    const ok = response.ok && fields.success !== false;
+    const result = {
+        ok,
+        exitCode: EXIT.OK,
+        url: request.url,
+        method: request.method,
+        status: response.status,
+        payment: null,
+        body,
+        error: null,
+    };
 
-    if (paidResponse.status !== 200 || !responseBody.success) {
-        console.log(`\n  ${c.bgRed}${c.white} PAYMENT FAILED ${c.reset}`);
-        console.error(JSON.stringify(responseBody, null, 2));
-        process.exit(1);
+    if (response.x402) {
+        const { requirements, settlement, authorized, charged } = response.x402;
+        // Paid, then the server failed and gave the payment back
+        const refund = response.x402.refund || (fields.refund?.success ? fields.refund : null);
+        const explorer = networks.get(requirements.network)?.blockExplorerUrls[0] || null;
+        const transaction = settlement?.transaction || settlement?.tx_hash || fields.data?.payment?.tx_hash || null;
+        // Metered payments charge at most the authorized amount; without a receipt assume all of it
+        const amount = charged ?? authorized;
+        result.payment = {
+            network: requirements.network,
+            asset: requirements.asset,
+            scheme: requirements.scheme,
+            amount,
+            authorized,
+            price: formatPrice(spendPolicy, { ...requirements, amount }),
+            authorizedPrice: formatPrice(spendPolicy, requirements),
+            payTo: requirements.payTo,
+            payer: ledgerEntry.payer,
+            transaction,
+            explorer: transaction && explorer ? `${explorer}/tx/${transaction}` : null,
+            settlement,
+            refund,
+        };
+
+        if (ok) {
+            spendPolicy.settle(ledgerEntry, { transaction, amount });
+            const key = `${ledgerEntry.network} ${ledgerEntry.asset}`;
+            session.spent.set(key, (session.spent.get(key) || 0n) + BigInt(amount));
+        } else if (refund?.success) {
+            spendPolicy.refund(ledgerEntry, { transaction: refund.transaction, reason: fields.message || refund.reason });
+        } else if (response.status === 402) {
+            // A 402 on the paid request means the payment was rejected, not settled.
+            // Other failures stay pending: the payment may still have settled.
+            spendPolicy.fail(ledgerEntry, fields.error_code || 'rejected');
+        }
+    }
+
+    if (!ok) {
+        result.exitCode = result.payment ? paidFailureExitCode(response.status, fields) : EXIT.ERROR;
+        result.error = {
+            code: fields.error_code || `HTTP_${response.status}`,
+            message: fields.message || `Unexpected status: ${response.status}`,
+        };
+    }
+    return result;
+}
+
+// ============================================
+// OUTPUT
+// ============================================
+
+async function showResult(result) {
+    if (!result.ok) {
+        say(`\n  ${c.bgRed}${c.white} ${result.payment ? 'PAYMENT FAILED' : `HTTP ${result.status}`} ${c.reset}`);
+        kv('Error', `${result.error.code}: ${result.error.message}`, c.red);
+        if (result.payment?.refund?.success) {
+            kv('Refunded', `${result.payment.price} · tx ${result.payment.refund.transaction}`, c.yellow);
+        }
+        return;
     }
 
     await sleep(300);
-    totalSpent += amountHuman;
-    console.log(`\n  ${c.bgGreen}${c.white}${c.bold} HTTP 200 — PAID & SETTLED ${c.reset}`);
-
-    await sleep(1000);
-
-    // ── Payment receipt ──
-    console.log('');
-    console.log(`${c.green}${c.bold}`);
-    console.log('  ╔══════════════════════════════════════════════════════╗');
-    console.log('  ║              PAYMENT RECEIPT                         ║');
-    console.log('  ╚══════════════════════════════════════════════════════╝');
-    console.log(`${c.reset}`);
-
-    const txHash = responseBody.data.payment.tx_hash;
-    kv('TX Hash', txHash, c.green);
-    kv('Payer', responseBody.data.payment.payer, c.cyan);
-    kv('Amount', `${responseBody.data.payment.amount} ${responseBody.data.payment.token}`, c.yellow);
-    kv('Tokens used', `${responseBody.data.tokens_used}`, c.dim);
-    kv('ConfluxScan', `${CONFLUXSCAN}${txHash}`, c.blue);
+    if (result.payment) {
+        say(`\n  ${c.bgGreen}${c.white}${c.bold} HTTP ${result.status} — PAID & SETTLED ${c.reset}`);
+        await sleep(1000);
+
+        // ── Payment receipt ──
+        box('PAYMENT RECEIPT', c.green);
+        const { payment } = result;
+        const data = result.body?.data || {};
+        kv('TX Hash', payment.transaction || 'pending', c.green);
+        kv('Payer', payment.payer, c.cyan);
+        kv('Amount', payment.price, c.yellow);
+        if (payment.scheme === 'upto') kv('Authorized', `up to ${payment.authorizedPrice}`, c.dim);
+        if (data.tokens_used !== undefined) kv('Tokens used', `${data.tokens_used}`, c.dim);
+        if (payment.explorer) kv('Explorer', payment.explorer, c.blue);
+
+        await sleep(1500);
+    } else {
+        say(`\n  ${c.bgGreen}${c.white}${c.bold} HTTP ${result.status} — NO PAYMENT NEEDED ${c.reset}`);
+    }
 
-    await sleep(1500);
+    const answer = result.body?.data?.answer;
+    box(typeof answer === 'string' ? 'AI RESPONSE' : 'RESPONSE', c.cyan);
+    say('');
 
-    // ── AI answer ──
-    console.log('');
-    console.log(`${c.cyan}${c.bold}`);
-    console.log('  ╔══════════════════════════════════════════════════════╗');
-    console.log('  ║              AI RESPONSE                             ║');
-    console.log('  ╚══════════════════════════════════════════════════════╝');
-    console.log(`${c.reset}`);
-    console.log('');
-
-    // Typewriter effect for the answer
-    const answer = responseBody.data.answer;
-    const words = answer.split(' ');
-    let line = '  ';
-    for (let i = 0; i < words.length; i++) {
-        const word = words[i];
-        if (stripAnsi(line).length + word.length + 1 > 60) {
-            console.log(line);
-            line = '  ';
+    if (typeof answer === 'string') {
+        // Typewriter effect for the answer
+        for (const line of wrap(answer)) {
+            say('  ' + line);
             await sleep(40);
         }
-        line += (line.trim() ? ' ' : '') + word;
+    } else {
+        const text = typeof result.body === 'string' ? result.body : JSON.stringify(result.body, null, 2);
+        say(text.split('\n').map((line) => '  ' + line).join('\n'));
     }
-    if (line.trim()) console.log(line);
 
     await sleep(800);
 
     // ── Footer ──
-    console.log('');
-    console.log(`  ${c.dim}${'─'.repeat(56)}${c.reset}`);
-    console.log(
+    say('');
+    say(`  ${c.dim}${'─'.repeat(56)}${c.reset}`);
+    say(
         `  ${c.dim}No registration. No credit card. No subscription.${c.reset}`
     );
-    console.log(
+    say(
         `  ${c.dim}Just a wallet, a stablecoin, and an API.${c.reset}`
     );
-    console.log(
+    say(
         `  ${c.bold}  Powered by x402 Protocol on Conflux eSpace${c.reset}`
     );
-    console.log('');
+    say('');
 }
 
-main().catch((error) => {
-    console.error(`\n${c.red}Fatal: ${error.message}${c.reset}`);
-    process.exit(1);
-});
+function showError(error) {
+    if (error.code === 'INSUFFICIENT_BALANCE') {
+        say(`\n  ${c.bgRed}${c.white} INSUFFICIENT BALANCE ${c.reset}`);
+    } else if (error.code === 'POLICY_REFUSED') {
+        say(`\n  ${c.bgRed}${c.white} REFUSED BY SPENDING POLICY ${c.reset}`);
+        say(`  ${c.red}${error.message}${c.reset}`);
+        kv('Rule', error.rule, c.dim);
+        kv('Policy', POLICY_PATH, c.dim);
+    } else {
+        console.error(`${c.red}  ${error.message}${c.reset}`);
+    }
+}
+
+/**
+ * Error → JSON error object (bigint details as strings)
+ */
+function describeError(error) {
+    const described = { code: error.code || 'ERROR', message: error.message };
+    if (error.rule) described.rule = error.rule;
+    if (error.retryAfter !== undefined) described.retryAfter = error.retryAfter;
+    if (error.balance !== undefined) described.balance = String(error.balance);
+    if (error.required !== undefined) described.required = String(error.required);
+    if (error.requirements && !Array.isArray(error.requirements)) described.requirements = error.requirements;
+    return described;
+}
+
+/**
+ * Result object for a request that threw before a response (same shape as pay())
+ */
+function failureResult(request, error) {
+    const exitCode = errorExitCode(error);
+    return { ok: false, exitCode, url: request.url, method: request.method, status: null, payment: null, body: null, error: describeError(error) };
+}
+
+/**
+ * Request for one question, with the command line's method, body and price limit
+ */
+function requestFor(options, question) {
+    return { url: questionUrl(options.baseUrl, question), method: options.method, body: options.body, maxPrice: options.maxPrice };
+}
+
+/**
+ * pay() that reports failures as results instead of throwing
+ */
+async function attempt(session, request) {
+    try {
+        return await pay(session, request);
+    } catch (error) {
+        return failureResult(request, error);
+    }
+}
+
+/**
+ * Answer text of a result: data.answer for the AI endpoint, else the body
+ */
+function answerOf(result) {
+    const answer = result.body?.data?.answer;
+    return typeof answer === 'string' ? answer : result.body;
+}
+
+/**
+ * "0.0003 USDT0, 0.1 CNHT0" paid in this session
+ */
+function sessionSpent(session) {
+    const parts = [...session.spent].map(([key, amount]) => {
+        const [network, asset] = key.split(' ');
+        return formatPrice(session.spendPolicy, { network, asset, amount });
+    });
+    return parts.length > 0 ? parts.join(', ') : 'nothing';
+}
+
+/**
+ * Assets the policy allows, with their chain, symbol and decimals
+ */
+function allowedAssetList(session) {
+    const allowed = session.spendPolicy.allowedAssets();
+    const list = [];
+    for (const chain of session.networks.values()) {
+        for (const [asset, info] of Object.entries(chain.assets)) {
+            if (allowed.includes(asset)) list.push({ network: chain.network, chainName: chain.chainName, asset, symbol: info.symbol, decimals: info.decimals });
+        }
+    }
+    return list;
+}
+
+async function walletBalance(session, network, asset) {
+    const wallet = session.signerFor({ network });
+    return balanceOf(wallet.provider, asset, session.agentAddress);
+}
+
+// ============================================
+// BATCH
+// ============================================
+
+/**
+ * Pay for every question in `options.batch`, appending one JSON line per
+ * question (answer, tx hash, error) to `options.output` as it goes
+ *
+ * @returns {Promise<number>} Exit code: 0, or the first failure's code
+ */
+async function runBatch(options) {
+    let text;
+    try {
+        text = fs.readFileSync(options.batch, 'utf-8');
+    } catch (error) {
+        throw usageError(`Cannot read batch file: ${error.message}`);
+    }
+    const questions = text.split('\n')
+        .map((question, index) => ({ line: index + 1, question: question.trim() }))
+        .filter(({ question }) => question && !question.startsWith('#'));
+    if (questions.length === 0) throw usageError(`No questions in ${options.batch}`);
+
+    ui.steps = false;
+    const session = await openSession(options);
+    row('Batch', `${questions.length} questions from ${options.batch}`, c.yellow);
+    row('Results', options.output, c.dim);
+    print('');
+
+    fs.writeFileSync(options.output, '');
+    let exitCode = EXIT.OK;
+    let succeeded = 0;
+
+    for (const [index, { line, question }] of questions.entries()) {
+        const result = await attempt(session, requestFor(options, question));
+        const { payment } = result;
+        fs.appendFileSync(options.output, JSON.stringify({
+            line,
+            question,
+            ok: result.ok,
+            exitCode: result.exitCode,
+            status: result.status,
+            answer: result.ok ? answerOf(result) : null,
+            transaction: payment?.transaction || null,
+            amount: payment?.amount || null,
+            authorized: payment?.authorized || null,
+            price: payment?.price || null,
+            refund: payment?.refund?.success ? payment.refund.transaction : null,
+            error: result.error,
+        }) + '\n');
+
+        const counter = `[${index + 1}/${questions.length}]`;
+        const label = question.length > 40 ? question.substring(0, 40) + '...' : question;
+        if (result.ok) {
+            succeeded++;
+            const paid = payment ? `${payment.price}  tx ${(payment.transaction || 'pending').substring(0, 12)}...` : 'free';
+            print(`  ${c.dim}${counter}${c.reset} ${c.green}✓${c.reset} ${paid}  ${label}`);
+        } else {
+            if (exitCode === EXIT.OK) exitCode = result.exitCode;
+            const refunded = payment?.refund?.success ? ` ${c.yellow}refunded${c.reset}` : '';
+            print(`  ${c.dim}${counter}${c.reset} ${c.red}✗ ${result.error.code}${c.reset}${refunded}  ${label}`);
+            if (!ui.pretty && !ui.json) console.error(`Line ${line}: ${result.error.code}: ${result.error.message}`);
+        }
+    }
+
+    const failed = questions.length - succeeded;
+    if (ui.json) {
+        const spent = [...session.spent].map(([key, amount]) => {
+            const [network, asset] = key.split(' ');
+            return { network, asset, amount: amount.toString(), price: formatPrice(session.spendPolicy, { network, asset, amount }) };
+        });
+        console.log(JSON.stringify({ ok: failed === 0, exitCode, total: questions.length, succeeded, failed, spent, output: options.output }));
+    }
+    print('');
+    row('Succeeded', `${succeeded} / ${questions.length}`, failed === 0 ? c.green : c.yellow);
+    row('Spent', sessionSpent(session), c.yellow);
+    row('Results', options.output, c.dim);
+    print('');
+    return exitCode;
+}
+
+// ============================================
+// REPL
+// ============================================
+
+const REPL_HELP = [
+    ['<question>', 'Ask (and pay for) a question'],
+    ['/balance', 'Token balances of the agent wallet'],
+    ['/budget', 'Spend policy limits and what is left'],
+    ['/history [n]', 'Last n payments and refusals (default 10)'],
+    ['/help', 'This help'],
+    ['/quit', 'Leave the session'],
+];
+
+async function showBalances(session) {
+    for (const { network, chainName, asset, symbol, decimals } of allowedAssetList(session)) {
+        try {
+            const balance = await walletBalance(session, network, asset);
+            row(symbol, `${ethers.formatUnits(balance, decimals)}  ${c.dim}(${chainName})`, c.green);
+        } catch (error) {
+            row(symbol, `unavailable: ${error.message}`, c.red);
+        }
+    }
+}
+
+function showBudget(session) {
+    const { policy } = session.spendPolicy;
+    for (const { network, asset, symbol, decimals } of allowedAssetList(session)) {
+        const usage = session.spendPolicy.usage(network, asset);
+        for (const period of ['daily', 'weekly']) {
+            const { spent, limit } = usage[period];
+            const text = limit === null
+                ? `${ethers.formatUnits(spent, decimals)} ${symbol} spent, no limit`
+                : `${ethers.formatUnits(spent, decimals)} / ${ethers.formatUnits(limit, decimals)} ${symbol}, ${ethers.formatUnits(limit > spent ? limit - spent : 0n, decimals)} left`;
+            row(`${symbol} ${period}`, text, limit !== null && spent >= limit ? c.red : c.white);
+        }
+    }
+    // Policy amounts are one value or { symbol: value }
+    const amounts = (value) => (typeof value === 'object' ? Object.entries(value).map(([symbol, amount]) => `${amount} ${symbol}`).join(', ') : String(value));
+    if (policy.maxPerRequest !== null) row('Max/request', amounts(policy.maxPerRequest), c.dim);
+    if (policy.approvalThreshold !== null) row('Approval', `above ${amounts(policy.approvalThreshold)} (${policy.approval})`, c.dim);
+    row('This session', sessionSpent(session), c.yellow);
+}
+
+function showHistory(session, limit) {
+    const entries = session.spendPolicy.history(limit);
+    if (entries.length === 0) row('History', 'no payments yet', c.dim);
+    for (const entry of entries) {
+        const time = new Date(entry.at * 1000).toISOString().substring(0, 16).replace('T', ' ');
+        const price = entry.amount && entry.asset ? formatPrice(session.spendPolicy, entry) : '-';
+        const detail = entry.type === 'refusal'
+            ? `${c.red}refused${c.reset} ${entry.rule}: ${entry.reason}`
+            : `${entry.status === 'failed' ? c.red : entry.status === 'settled' ? c.green : c.yellow}${entry.status}${c.reset}` +
+              (entry.transaction ? ` tx ${entry.transaction.substring(0, 12)}...` : '');
+        print(`  ${c.dim}${time}${c.reset}  ${price.padEnd(14)} ${detail}  ${c.dim}${entry.endpoint}${c.reset}`);
+    }
+}
+
+/**
+ * Ask one question in the REPL and print the answer with the running spend
+ */
+async function replAsk(session, options, question) {
+    const result = await attempt(session, requestFor(options, question));
+    if (!result.ok) {
+        console.log(`  ${c.red}✗ ${result.error.code}: ${result.error.message}${c.reset}`);
+        if (result.payment?.refund?.success) print(`  ${c.yellow}↩ Refunded ${result.payment.price} · tx ${(result.payment.refund.transaction || '').substring(0, 12)}...${c.reset}`);
+        return;
+    }
+
+    const answer = answerOf(result);
+    const text = typeof answer === 'string' ? answer : JSON.stringify(answer, null, 2);
+    console.log(wrap(text).map((line) => '  ' + line).join('\n'));
+
+    const { payment } = result;
+    if (!payment) return;
+    let status = `✓ Paid ${payment.price} · tx ${(payment.transaction || 'pending').substring(0, 12)}... · session ${sessionSpent(session)}`;
+    try {
+        const balance = await walletBalance(session, payment.network, payment.asset);
+        status += ` · balance ${formatPrice(session.spendPolicy, { ...payment, amount: balance })}`;
+    } catch {
+        // Balance is informational; the payment already went through
+    }
+    print(`  ${c.green}${status}${c.reset}`);
+}
+
+/**
+ * Interactive session: one wallet, policy and ledger for every question
+ */
+async function runRepl(options) {
+    ui.steps = false;
+    const interactive = Boolean(process.stdin.isTTY);
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: interactive });
+
+    try {
+        const session = await openSession(options, async ({ price, payTo, endpoint }) => {
+            if (!interactive) return false;
+            const answer = await rl.question(`  ${c.yellow}Approve ${price} to ${payTo.substring(0, 10)}... for ${endpoint}? [y/N] ${c.reset}`);
+            return /^y(es)?$/i.test(answer.trim());
+        });
+        row('Commands', '/balance /budget /history /help /quit', c.dim);
+        print('');
+
+        rl.setPrompt(`${c.cyan}x402>${c.reset} `);
+        if (interactive) rl.prompt();
+        for await (const input of rl) {
+            const [command, ...args] = input.trim().split(/\s+/);
+            if (command === '/quit' || command === '/exit') break;
+
+            if (command === '/balance') {
+                await showBalances(session);
+            } else if (command === '/budget') {
+                showBudget(session);
+            } else if (command === '/history') {
+                showHistory(session, Number(args[0]) || 10);
+            } else if (command === '/help') {
+                for (const [name, description] of REPL_HELP) row(name, description, c.dim);
+            } else if (command.startsWith('/')) {
+                console.log(`  ${c.red}Unknown command ${command} (try /help)${c.reset}`);
+            } else if (command) {
+                await replAsk(session, options, input.trim());
+            }
+            if (interactive) rl.prompt();
+        }
+
+        print('');
+        row('Session spent', sessionSpent(session), c.yellow);
+        return EXIT.OK;
+    } finally {
+        rl.close();
+    }
+}
+
+// ============================================
+// MAIN
+// ============================================
+
+async function main() {
+    let options;
+    try {
+        if (profileError) throw usageError(profileError.message);
+        options = parseOptions(process.argv.slice(2));
+    } catch (error) {
+        console.error(`Error: ${error.message}\n\n${HELP}`);
+        return EXIT.USAGE;
+    }
+    if (options.help) {
+        console.log(HELP);
+        return EXIT.OK;
+    }
+
+    ui.json = options.json;
+    ui.pretty = !options.json && !options.quiet;
+    ui.animate = ui.pretty && options.animate && Boolean(process.stdout.isTTY);
+
+    let result;
+    try {
+        if (options.batch) return await runBatch(options);
+        if (options.repl) return await runRepl(options);
+
+        const session = await openSession(options);
+        if (options.question) row('Question', options.question, c.yellow);
+        await sleep(1500);
+        result = await pay(session, requestFor(options, options.question));
+    } catch (error) {
+        const exitCode = errorExitCode(error);
+        if (ui.json) {
+            console.log(JSON.stringify(failureResult(options, error)));
+        } else if (ui.pretty) {
+            showError(error);
+        } else {
+            console.error(`Error: ${error.message}`);
+        }
+        return exitCode;
+    }
+
+    if (ui.json) {
+        console.log(JSON.stringify(result));
+    } else if (ui.pretty) {
+        await showResult(result);
+    } else if (result.ok) {
+        const answer = result.body?.data?.answer;
+        const text = typeof result.body === 'string' ? result.body : JSON.stringify(result.body);
+        console.log(typeof answer === 'string' ? answer : text);
+    } else {
+        const refunded = result.payment?.refund?.success ? ` (refunded, tx ${result.payment.refund.transaction})` : '';
+        console.error(`Error: ${result.error.code}: ${result.error.message}${refunded}`);
+    }
+    return result.exitCode;
+}
+
+// exitCode rather than process.exit() so piped output is flushed
+main().then(
+    (exitCode) => { process.exitCode = exitCode; },
+    (error) => {
+        console.error(`\n${c.red}Fatal: ${error.message}${c.reset}`);
+        process.exitCode = EXIT.ERROR;
+    }
+);
@@ -10,6 +10,23 @@
  *   - handle()         → Escrow settlement (via X402EscrowAdapter contract)
  *   - handleTransfer() → Direct EIP-3009 transfer (buyer → treasury)
  *
+ * Metered pricing (scheme "upto"): authorizeMetered() verifies an
+ * authorization of the maximum amount, the endpoint does its work, then
+ * settleMetered() charges what was actually used and the facilitator
+ * returns the rest to the buyer. Verification holds the authorization's
+ * nonce in the facilitator, so a replayed header is refused before the
+ * endpoint runs. Metered transfers are authorized to the
+ * facilitator's collector (meteredCollector()) with the treasury in
+ * extra.treasury.
+ *
+ * Escrow payments stay locked in the adapter until the endpoint settles the
+ * order: releaseEscrow() once delivered, refundEscrow() when it can't deliver.
+ * A transfer that settled before the endpoint failed is given back from the
+ * treasury with refundTransfer() (the treasury must approve the collector).
+ *
+ * Every facilitator call carries the request's X-Request-Id, so one paid
+ * request can be followed through verify and settle in the facilitator logs.
+ *
  * @package x402-boilerplate
  * @since 1.0.0
  */
@@ -19,6 +36,28 @@ class X402Middleware {
     private const HEADER_PAYMENT_REQUIRED = 'PAYMENT-REQUIRED';
     private const HEADER_PAYMENT_SIGNATURE = 'PAYMENT-SIGNATURE';
     private const HEADER_PAYMENT_RESPONSE = 'PAYMENT-RESPONSE';
+    private const HEADER_REQUEST_ID = 'X-Request-Id';
+
+    private static ?string $requestId = null;
+
+    /**
+     * Correlation id for this request: the caller's X-Request-Id if well-formed,
+     * otherwise a new one. Echoed back in the response on first use.
+     *
+     * @return string
+     */
+    public static function requestId(): string {
+        if (self::$requestId !== null) {
+            return self::$requestId;
+        }
+
+        $headers = function_exists('getallheaders') ? getallheaders() : [];
+        $incoming = $headers[self::HEADER_REQUEST_ID] ?? $headers['x-request-id'] ?? $_SERVER['HTTP_X_REQUEST_ID'] ?? '';
+
+        self::$requestId = preg_match('/^[A-Za-z0-9._:-]{1,128}$/', $incoming) ? $incoming : bin2hex(random_bytes(16));
+        header(self::HEADER_REQUEST_ID . ': ' . self::$requestId);
+        return self::$requestId;
+    }
 
     /**
      * Handle x402 payment flow via escrow
@@ -27,6 +66,7 @@ class X402Middleware {
      * @return array|null Returns settlement result or null if 402 sent
      */
     public static function handle(array $requirements): ?array {
+        self::requestId();
         $paymentHeader = self::getPaymentHeader();
 
         if ($paymentHeader === null) {
@@ -81,6 +121,7 @@ class X402Middleware {
      * @return array|null Returns settlement result or null if 402 sent
      */
     public static function handleTransfer(array $requirements): ?array {
+        self::requestId();
         $paymentHeader = self::getPaymentHeader();
 
         if ($paymentHeader === null) {
@@ -126,6 +167,170 @@ class X402Middleware {
         return $settleResult;
     }
 
+    /**
+     * Metered (upto) payment, step 1: verify the authorization of the maximum
+     * (requirements.amount) without charging anything. The facilitator holds
+     * the nonce from here on, so concurrent replays fail verification.
+     *
+     * @param array $requirements PaymentRequirements array (scheme "upto")
+     * @return array|null Authorization for settleMetered(), or null if 402 sent
+     */
+    public static function authorizeMetered(array $requirements): ?array {
+        self::requestId();
+        $paymentHeader = self::getPaymentHeader();
+
+        if ($paymentHeader === null) {
+            self::send402($requirements);
+            return null;
+        }
+
+        $payload = json_decode(base64_decode($paymentHeader), true);
+        if (!$payload) {
+            Response::error('Invalid PAYMENT-SIGNATURE header', 400, 'X402_INVALID_PAYLOAD');
+            exit;
+        }
+
+        $escrow = ($requirements['extra']['settlementMode'] ?? 'escrow') === 'escrow';
+        $verifyResult = self::callFacilitator($escrow ? '/x402/verify' : '/x402/verify-transfer', [
+            'payload' => $payload,
+            'requirements' => $requirements,
+        ]);
+
+        if (!$verifyResult || !($verifyResult['valid'] ?? false)) {
+            Response::error(
+                'Payment verification failed: ' . ($verifyResult['reason'] ?? 'unknown'),
+                402,
+                'X402_VERIFY_FAILED'
+            );
+            exit;
+        }
+
+        return [
+            'payload' => $payload,
+            'requirements' => $requirements,
+            'payer' => $payload['payload']['authorization']['from'] ?? null,
+        ];
+    }
+
+    /**
+     * Metered (upto) payment, step 2: charge what the request used
+     *
+     * @param array $authorization Result of authorizeMetered()
+     * @param string $charge Amount to charge in base units (1 … requirements.amount)
+     * @return array Settlement result (authorized, charged, refunded, transactions)
+     */
+    public static function settleMetered(array $authorization, string $charge): array {
+        $escrow = ($authorization['requirements']['extra']['settlementMode'] ?? 'escrow') === 'escrow';
+        $settleResult = self::callFacilitator($escrow ? '/x402/settle' : '/x402/settle-transfer', [
+            'payload' => $authorization['payload'],
+            'requirements' => $authorization['requirements'],
+            'charge' => $charge,
+        ]);
+
+        if (!$settleResult || !($settleResult['success'] ?? false)) {
+            Response::error(
+                'Payment settlement failed: ' . ($settleResult['error'] ?? 'unknown'),
+                500,
+                'X402_SETTLE_FAILED'
+            );
+            exit;
+        }
+
+        header(self::HEADER_PAYMENT_RESPONSE . ': ' . base64_encode(json_encode($settleResult)));
+        return $settleResult;
+    }
+
+    /**
+     * Release a held escrow order to the seller
+     *
+     * @param string $orderId bytes32 order id (requirements.extra.orderId)
+     * @param string $reason Recorded in the order history
+     * @return array|null {success, action, transaction, amount, order}, or null if the facilitator refused or is unreachable
+     */
+    public static function releaseEscrow(string $orderId, string $reason = ''): ?array {
+        return self::callFacilitator('/x402/escrow/' . rawurlencode($orderId) . '/release', ['reason' => $reason]);
+    }
+
+    /**
+     * Refund a held escrow order to the buyer
+     *
+     * @param string $orderId bytes32 order id (requirements.extra.orderId)
+     * @param string|null $amount Base units to return (default: all that is left)
+     * @param string $reason Recorded in the order history
+     * @return array|null {success, action, transaction, amount, order}, or null if the facilitator refused or is unreachable
+     */
+    public static function refundEscrow(string $orderId, ?string $amount = null, string $reason = ''): ?array {
+        $body = ['reason' => $reason];
+        if ($amount !== null) {
+            $body['amount'] = $amount;
+        }
+        return self::callFacilitator('/x402/escrow/' . rawurlencode($orderId) . '/refund', $body);
+    }
+
+    /**
+     * Refund a settled transfer from the treasury when the endpoint could not
+     * deliver. The facilitator refunds a settlement at most once; asking again
+     * returns the same receipt. On success PAYMENT-RESPONSE carries the
+     * settlement with the receipt under `refund`.
+     *
+     * @param array $settlement Result of handleTransfer()
+     * @param string $reason Recorded with the refund
+     * @return array|null {success, status, transaction, settlementTransaction, payer, amount, ...}, or null if the facilitator refused or is unreachable
+     */
+    public static function refundTransfer(array $settlement, string $reason = ''): ?array {
+        $refund = self::callFacilitator('/x402/refund', [
+            'transaction' => $settlement['transaction'] ?? '',
+            'network' => $settlement['network'] ?? '',
+            'reason' => $reason,
+        ]);
+        if (!$refund || !($refund['success'] ?? false)) {
+            error_log('[x402] Refund failed: ' . ($refund['error'] ?? 'facilitator unreachable'));
+            return null;
+        }
+
+        header(self::HEADER_PAYMENT_RESPONSE . ': ' . base64_encode(json_encode($settlement + ['refund' => $refund])));
+        return $refund;
+    }
+
+    /**
+     * Address metered transfers on a network are authorized to
+     *
+     * @param string $network CAIP-2 network id
+     * @return string|null Collector address, or null if the facilitator is unreachable or offers none
+     */
+    public static function meteredCollector(string $network): ?string {
+        foreach (self::getSupported() ?? [] as $kind) {
+            if (($kind['scheme'] ?? '') === 'upto' && ($kind['network'] ?? '') === $network && !empty($kind['extra']['collector'])) {
+                return $kind['extra']['collector'];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Fetch the payment kinds the facilitator accepts
+     *
+     * @return array|null List of {x402Version, scheme, network, asset, settlementMode, extra?}, or null if unreachable
+     */
+    public static function getSupported(): ?array {
+        $ch = curl_init(self::FACILITATOR_URL . '/x402/supported');
+        curl_setopt_array($ch, [
+            CURLOPT_HTTPHEADER => [self::HEADER_REQUEST_ID . ': ' . self::requestId()],
+            CURLOPT_RETURNTRANSFER => true,
+            CURLOPT_TIMEOUT => 5,
+        ]);
+        $response = curl_exec($ch);
+        $httpCode = curl_getinfo($ch, CURLINFO_HTTP_CODE);
+        curl_close($ch);
+
+        if ($httpCode !== 200) {
+            return null;
+        }
+
+        $data = json_decode($response, true);
+        return $data['kinds'] ?? null;
+    }
+
     private static function getPaymentHeader(): ?string {
         $headers = getallheaders();
         return $headers[self::HEADER_PAYMENT_SIGNATURE]
@@ -171,6 +376,7 @@ class X402Middleware {
             CURLOPT_HTTPHEADER => [
                 'Content-Type: application/json',
                 'X-API-Key: ' . EnvLoader::get('X402_FACILITATOR_KEY', ''),
+                self::HEADER_REQUEST_ID . ': ' . self::requestId(),
             ],
             CURLOPT_RETURNTRANSFER => true,
             CURLOPT_TIMEOUT => 30,
@@ -21,6 +21,7 @@
 
 require_once __DIR__ . '/../config/EnvLoader.php';
 require_once __DIR__ . '/../utils/response.php';
+require_once __DIR__ . '/../middleware/X402Middleware.php';
 
 EnvLoader::load();
 
@@ -28,7 +29,8 @@ EnvLoader::load();
 $allowedOrigin = EnvLoader::get('APP_URL', 'http://localhost');
 header("Access-Control-Allow-Origin: $allowedOrigin");
 header('Access-Control-Allow-Methods: POST, OPTIONS');
-header('Access-Control-Allow-Headers: Content-Type');
+header('Access-Control-Allow-Headers: Content-Type, X-Request-Id');
+header('Access-Control-Expose-Headers: X-Request-Id');
 header('Content-Type: application/json');
 
 if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
@@ -76,6 +78,7 @@ curl_setopt_array($ch, [
     CURLOPT_HTTPHEADER => [
         'Content-Type: application/json',
         'X-Facilitator-Key: ' . EnvLoader::get('X402_FACILITATOR_KEY', ''),
+        'X-Request-Id: ' . X402Middleware::requestId(),
     ],
     CURLOPT_RETURNTRANSFER => true,
     CURLOPT_TIMEOUT => 45,
@@ -87,12 +90,12 @@ $curlError = curl_error($ch);
 curl_close($ch);
 
 if ($curlError) {
-    error_log("[x402 demo proxy] Curl error: $curlError");
+    error_log("[x402 demo proxy] Curl error: $curlError (request " . X402Middleware::requestId() . ")");
     Response::error('Demo service unavailable', 503, 'SRV_SERVICE_UNAVAILABLE');
 }
 
 if ($httpCode !== 200) {
-    error_log("[x402 demo proxy] Facilitator returned $httpCode: $response");
+    error_log("[x402 demo proxy] Facilitator returned $httpCode: $response (request " . X402Middleware::requestId() . ")");
     $parsed = json_decode($response, true);
     Response::error($parsed['message'] ?? 'Demo service error', $httpCode >= 400 ? $httpCode : 502, 'SRV_EXTERNAL_ERROR');
 }
@@ -5,6 +5,15 @@
  * AI question-answering endpoint protected by x402 protocol.
  * Payment: 0.0001 USDT0 per request via direct EIP-3009 transfer (buyer → treasury).
  *
+ * Metered pricing (X402_API_PRICE_PER_TOKEN > 0): the buyer authorizes up to
+ * per-token price × X402_API_MAX_TOKENS ("upto" scheme) and is charged for
+ * the tokens the answer actually used; the rest goes back to the buyer. If
+ * the AI call fails, nothing is charged.
+ *
+ * Flat pricing settles before the AI is called, so when the AI call fails
+ * the payment is refunded from the treasury (X402Middleware::refundTransfer())
+ * and the error carries the refund receipt as `refund`.
+ *
  * Usage:
  *   GET /api/x402/ai.php?q=What+is+Conflux
  *   → First request: 402 + PAYMENT-REQUIRED header
@@ -24,8 +33,8 @@ EnvLoader::load();
 // x402 CORS: allow any origin (agents/scripts need access)
 header('Access-Control-Allow-Origin: *');
 header('Access-Control-Allow-Methods: GET, OPTIONS');
-header('Access-Control-Allow-Headers: Content-Type, PAYMENT-SIGNATURE');
-header('Access-Control-Expose-Headers: PAYMENT-REQUIRED, PAYMENT-RESPONSE, X-Payment-Amount, X-Payment-Token, X-Payment-Nonce, X-Payment-Expiry, X-Payment-Endpoint, X-Payment-Invoice-Id');
+header('Access-Control-Allow-Headers: Content-Type, PAYMENT-SIGNATURE, X-Request-Id');
+header('Access-Control-Expose-Headers: PAYMENT-REQUIRED, PAYMENT-RESPONSE, X-Payment-Amount, X-Payment-Token, X-Payment-Nonce, X-Payment-Expiry, X-Payment-Endpoint, X-Payment-Invoice-Id, X-Request-Id');
 
 if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
     http_response_code(200);
@@ -39,6 +48,9 @@ if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
 // Configuration
 $treasury = EnvLoader::get('X402_API_TREASURY', '');
 $price = (int) EnvLoader::get('X402_API_PRICE', '100'); // 0.0001 USDT0 (6 decimals)
+$pricePerToken = (int) EnvLoader::get('X402_API_PRICE_PER_TOKEN', '0'); // base units per token, 0 = flat price
+$maxTokens = (int) EnvLoader::get('X402_API_MAX_TOKENS', '1000'); // input + output tokens covered by a metered authorization
+$metered = $pricePerToken > 0;
 $claudeApiKey = EnvLoader::get('CLAUDE_API_KEY', '');
 $claudeModel = EnvLoader::get('CLAUDE_MODEL', 'claude-3-5-haiku-20241022');
 
@@ -70,17 +82,40 @@ $requirements = [
     ],
 ];
 
-// x402 payment gate
-$settlement = X402Middleware::handleTransfer($requirements);
+if ($metered) {
+    $collector = X402Middleware::meteredCollector($requirements['network']);
+    if (!$collector) {
+        Response::error('Metered payments unavailable', 503, 'SRV_SERVICE_UNAVAILABLE');
+    }
+    $requirements['scheme'] = 'upto';
+    $requirements['amount'] = (string) ($pricePerToken * $maxTokens);
+    $requirements['payTo'] = $collector;
+    $requirements['extra']['treasury'] = $treasury;
+    $requirements['extra']['description'] = "AI API query — $pricePerToken base units per token, up to $maxTokens tokens";
+}
+
+// x402 payment gate (metered: only verified here, charged once the answer is in)
+$authorization = $metered ? X402Middleware::authorizeMetered($requirements) : null;
+$settlement = $metered ? $authorization : X402Middleware::handleTransfer($requirements);
 
-// If we reach here, payment was successful
+// If we reach here, payment was verified (metered) or settled
 if (!$settlement) {
     exit; // 402 was already sent
 }
 
+// Paid but not answered: give a settled transfer back before reporting the error
+$failAfterPayment = function (string $message, int $statusCode, string $errorCode) use ($metered, $settlement): void {
+    $refund = $metered ? null : X402Middleware::refundTransfer($settlement, $message);
+    $response = ['success' => false, 'message' => $message, 'error_code' => $errorCode];
+    if ($refund) {
+        $response['refund'] = $refund;
+    }
+    Response::json($response, $statusCode);
+};
+
 // Call Claude API
 if (empty($claudeApiKey)) {
-    Response::error('AI service not configured', 503, 'SRV_SERVICE_UNAVAILABLE');
+    $failAfterPayment('AI service not configured', 503, 'SRV_SERVICE_UNAVAILABLE');
 }
 
 $systemPrompt = <<<'PROMPT'
@@ -122,12 +157,12 @@ curl_close($ch);
 
 if ($curlError) {
     error_log("[x402 AI] Curl error: $curlError");
-    Response::error('AI service unavailable', 503, 'SRV_SERVICE_UNAVAILABLE');
+    $failAfterPayment('AI service unavailable', 503, 'SRV_SERVICE_UNAVAILABLE');
 }
 
 if ($httpCode !== 200) {
     error_log("[x402 AI] Anthropic API error ($httpCode): $response");
-    Response::error('AI service error', 502, 'SRV_EXTERNAL_ERROR');
+    $failAfterPayment('AI service error', 502, 'SRV_EXTERNAL_ERROR');
 }
 
 $result = json_decode($response, true);
@@ -136,7 +171,14 @@ $tokensUsed = ($result['usage']['input_tokens'] ?? 0) + ($result['usage']['outpu
 
 if (empty($answer)) {
     error_log("[x402 AI] Empty answer from Anthropic");
-    Response::error('AI returned empty response', 502, 'SRV_EXTERNAL_ERROR');
+    $failAfterPayment('AI returned empty response', 502, 'SRV_EXTERNAL_ERROR');
+}
+
+// Metered: charge the tokens used, capped at the authorized maximum
+$charged = $price;
+if ($metered) {
+    $charged = max(1, min($pricePerToken * $maxTokens, $pricePerToken * $tokensUsed));
+    $settlement = X402Middleware::settleMetered($authorization, (string) $charged);
 }
 
 // Log payment to database
@@ -152,7 +194,7 @@ try {
         'endpoint' => '/api/x402/ai',
         'payer' => $settlement['payer'] ?? '',
         'asset' => '0xaf37e8b6c9ed7f6318979f56fc287d76c30847ff',
-        'amount' => (string) $price,
+        'amount' => (string) $charged,
         'tx_hash' => $settlement['transaction'] ?? '',
         'question' => $question,
         'answer_length' => strlen($answer),
@@ -163,7 +205,8 @@ try {
     error_log("[x402 AI] DB log error: " . $e->getMessage());
 }
 
-// Return answer
+// Return answer (amounts in USDT0, 6 decimals)
+$usdt0 = fn(int $units): string => rtrim(rtrim(number_format($units / 1e6, 6, '.', ''), '0'), '.');
 Response::success([
     'answer' => $answer,
     'model' => $claudeModel,
@@ -171,7 +214,8 @@ Response::success([
     'payment' => [
         'tx_hash' => $settlement['transaction'] ?? null,
         'payer' => $settlement['payer'] ?? null,
-        'amount' => '0.0001',
+        'amount' => $usdt0($charged),
+        'authorized' => $usdt0((int) $requirements['amount']),
         'token' => 'USDT0',
     ],
 ]);
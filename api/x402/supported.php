@@ -0,0 +1,35 @@
+<?php
+/**
+ * x402 Supported Payment Kinds
+ *
+ * Public discovery endpoint — proxies the facilitator's GET /x402/supported
+ * so browsers and agents can check requirements before signing.
+ *
+ * GET /api/x402/supported.php
+ * → { "kinds": [{ "x402Version": 2, "scheme": "exact", "network": "eip155:1030", "asset": "0x...", "settlementMode": "transfer" }] }
+ *
+ * @package x402-boilerplate
+ * @since 1.1.0
+ */
+
+require_once __DIR__ . '/../middleware/X402Middleware.php';
+require_once __DIR__ . '/../utils/response.php';
+
+header('Access-Control-Allow-Origin: *');
+header('Access-Control-Allow-Methods: GET, OPTIONS');
+
+if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
+    http_response_code(200);
+    exit;
+}
+
+if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
+    Response::error('Method not allowed', 405, 'OP_METHOD_NOT_ALLOWED');
+}
+
+$kinds = X402Middleware::getSupported();
+if ($kinds === null) {
+    Response::error('Facilitator unavailable', 503, 'SRV_SERVICE_UNAVAILABLE');
+}
+
+Response::json(['kinds' => $kinds]);
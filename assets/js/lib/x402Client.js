@@ -0,0 +1,332 @@
+/**
+ * x402 V2 Client SDK (isomorphic)
+ *
+ * One implementation of the buyer side of x402 for the browser and Node:
+ *
+ *   const response = await x402Fetch(url, init, { signer, maxAmount: '1000000' });
+ *
+ * 1. Request → 402 + PAYMENT-REQUIRED
+ * 2. Select requirements (scheme, network, asset, price cap, /supported kinds)
+ * 3. Check the payer's token balance
+ * 4. Sign EIP-3009 transferWithAuthorization
+ * 5. Retry with PAYMENT-SIGNATURE (again on 502/503/504 or network errors
+ *    that come before the payment settled — the same signed nonce can settle
+ *    at most once)
+ * 6. Decode PAYMENT-RESPONSE into `response.x402.settlement`
+ *
+ * Schemes: `exact` pays the quoted amount; `upto` (metered) authorizes the
+ * quoted amount as a maximum and the server charges what the request used —
+ * `response.x402.authorized` / `response.x402.charged` show both.
+ *
+ * A server that settled and then failed can refund the payment: the receipt
+ * comes back in PAYMENT-RESPONSE as `refund` (`response.x402.refund`).
+ *
+ * No dependencies: the signer is any ethers v6 compatible Signer
+ * (getAddress, signTypedData, provider.call). Used by X402Service (browser),
+ * the CLI agent and the facilitator's demo handler.
+ *
+ * @package x402-boilerplate
+ * @since 1.1.0
+ */
+
+export const X402_VERSION = 2;
+
+export const HEADERS = Object.freeze({
+  PAYMENT_REQUIRED: 'PAYMENT-REQUIRED',
+  PAYMENT_SIGNATURE: 'PAYMENT-SIGNATURE',
+  PAYMENT_RESPONSE: 'PAYMENT-RESPONSE',
+});
+
+// Payment schemes the client can sign for
+export const SCHEMES = Object.freeze(['exact', 'upto']);
+
+export const TRANSFER_AUTH_TYPES = Object.freeze({
+  TransferWithAuthorization: [
+    { name: 'from', type: 'address' },
+    { name: 'to', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'validAfter', type: 'uint256' },
+    { name: 'validBefore', type: 'uint256' },
+    { name: 'nonce', type: 'bytes32' },
+  ],
+});
+
+// balanceOf(address) selector
+const BALANCE_OF = '0x70a08231';
+
+// Statuses worth resending the same signed payment for
+const RETRY_STATUSES = [502, 503, 504];
+
+/**
+ * Client-side x402 failure. `code` is one of:
+ *   MISSING_PAYMENT_REQUIRED, NO_COMPATIBLE_REQUIREMENTS, AMOUNT_EXCEEDS_MAX,
+ *   INSUFFICIENT_BALANCE, PAYMENT_DECLINED
+ */
+export class X402Error extends Error {
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'X402Error';
+    this.code = code;
+    Object.assign(this, details);
+  }
+}
+
+/**
+ * base64(JSON) → value, UTF-8 safe in both environments
+ */
+export function decodeHeader(value) {
+  const bytes = Uint8Array.from(atob(value), ch => ch.charCodeAt(0));
+  return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+/**
+ * value → base64(JSON), UTF-8 safe in both environments
+ */
+export function encodeHeader(value) {
+  const bytes = new TextEncoder().encode(JSON.stringify(value));
+  let binary = '';
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return btoa(binary);
+}
+
+/**
+ * Requirements list from a 402 response's PAYMENT-REQUIRED header
+ */
+export function parsePaymentRequired(response) {
+  const header = response.headers.get(HEADERS.PAYMENT_REQUIRED);
+  if (!header) throw new X402Error('Missing PAYMENT-REQUIRED header', 'MISSING_PAYMENT_REQUIRED', { status: response.status });
+  const list = decodeHeader(header);
+  return Array.isArray(list) ? list : [list];
+}
+
+/**
+ * Chain id from a CAIP-2 `eip155:<chainId>` network id
+ */
+export function chainIdOf(network) {
+  const match = /^eip155:(\d+)$/.exec(network || '');
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Does a /x402/supported kind list accept these requirements?
+ */
+export function isSupported(requirements, supportedKinds) {
+  if (!supportedKinds) return true;
+  const mode = requirements.extra?.settlementMode || 'escrow';
+  return supportedKinds.some(kind =>
+    kind.scheme === requirements.scheme &&
+    kind.network === requirements.network &&
+    kind.asset.toLowerCase() === requirements.asset.toLowerCase() &&
+    kind.settlementMode === mode
+  );
+}
+
+/**
+ * Pick the first requirements the client can and may pay (server order = preference).
+ *
+ * @param {Array} requirementsList - From PAYMENT-REQUIRED
+ * @param {object} [policy]
+ * @param {string[]} [policy.networks] - Accepted CAIP-2 networks (default: any eip155)
+ * @param {string[]} [policy.allowedAssets] - Accepted token addresses (default: any)
+ * @param {string|bigint} [policy.maxAmount] - Highest price in base units (default: no cap)
+ * @param {Array} [policy.supportedKinds] - Kinds from /x402/supported (default: not checked)
+ * @param {string[]} [policy.schemes] - Accepted schemes (default: SCHEMES); `maxAmount` caps an upto maximum
+ * @throws {X402Error} NO_COMPATIBLE_REQUIREMENTS or AMOUNT_EXCEEDS_MAX
+ */
+export function selectRequirements(requirementsList, { networks, allowedAssets, maxAmount, supportedKinds, schemes = SCHEMES } = {}) {
+  const assets = allowedAssets && allowedAssets.map(asset => asset.toLowerCase());
+
+  const compatible = requirementsList.filter(r =>
+    SCHEMES.includes(r.scheme) && schemes.includes(r.scheme) &&
+    chainIdOf(r.network) !== null &&
+    (!networks || networks.includes(r.network)) &&
+    (r.extra?.settlementMode === 'transfer' || r.extra?.assetTransferMethod === 'eip3009') &&
+    (!assets || assets.includes(String(r.asset).toLowerCase())) &&
+    isSupported(r, supportedKinds)
+  );
+  if (compatible.length === 0) {
+    throw new X402Error('No compatible payment requirements found', 'NO_COMPATIBLE_REQUIREMENTS', { requirements: requirementsList });
+  }
+
+  const affordable = maxAmount === undefined || maxAmount === null
+    ? compatible
+    : compatible.filter(r => BigInt(r.amount) <= BigInt(maxAmount));
+  if (affordable.length === 0) {
+    throw new X402Error(
+      `Price ${compatible[0].amount} exceeds the maximum of ${maxAmount}`,
+      'AMOUNT_EXCEEDS_MAX',
+      { requirements: compatible[0], maxAmount: String(maxAmount) }
+    );
+  }
+  return affordable[0];
+}
+
+/**
+ * ERC-20 balance (base units) via the signer's provider
+ */
+export async function balanceOf(provider, asset, owner) {
+  const data = BALANCE_OF + owner.toLowerCase().replace(/^0x/, '').padStart(64, '0');
+  const result = await provider.call({ to: asset, data });
+  return BigInt(result === '0x' ? 0 : result);
+}
+
+function randomNonce() {
+  const bytes = globalThis.crypto.getRandomValues(new Uint8Array(32));
+  return '0x' + Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Sign EIP-3009 transferWithAuthorization for `requirements`
+ *
+ * @param {object} requirements - Selected PaymentRequirements
+ * @param {object} signer - ethers v6 compatible Signer
+ * @param {object} [options]
+ * @param {number} [options.validFor] - Authorization lifetime in seconds (default: 3600)
+ * @param {Function} [options.now] - Clock returning unix seconds
+ * @returns {Promise<object>} x402 V2 payment payload
+ */
+export async function signPayment(requirements, signer, { validFor = 3600, now = () => Math.floor(Date.now() / 1000) } = {}) {
+  const from = await signer.getAddress();
+
+  // name and version come from requirements.extra (the server provides them)
+  const domain = {
+    name: requirements.extra?.name || 'USDT0',
+    version: requirements.extra?.version || '1',
+    chainId: chainIdOf(requirements.network),
+    verifyingContract: requirements.asset,
+  };
+
+  const authorization = {
+    from,
+    to: requirements.payTo,      // treasury (transfer), facilitator collector (upto transfer) or adapter (escrow)
+    value: String(requirements.amount),
+    validAfter: '0',
+    validBefore: String(now() + validFor),
+    nonce: randomNonce(),
+  };
+
+  const signature = await signer.signTypedData(domain, TRANSFER_AUTH_TYPES, authorization);
+
+  return {
+    x402Version: X402_VERSION,
+    scheme: requirements.scheme || 'exact',
+    network: requirements.network,
+    payload: { signature, authorization },
+  };
+}
+
+/**
+ * Authorized vs. charged amounts (base units) of a payment. `charged` and
+ * `refunded` are null without a successful PAYMENT-RESPONSE (for `upto`:
+ * nothing was charged).
+ *
+ * @param {object} requirements - Requirements that were paid
+ * @param {object|null} settlement - Decoded PAYMENT-RESPONSE
+ * @returns {{ authorized: string, charged: string|null, refunded: string|null }}
+ */
+export function paymentAmounts(requirements, settlement) {
+  const authorized = String(requirements.amount);
+  if (!settlement || settlement.success === false) return { authorized, charged: null, refunded: null };
+  if (settlement.charged !== undefined) {
+    return { authorized, charged: String(settlement.charged), refunded: String(settlement.refunded ?? '0') };
+  }
+  return { authorized, charged: authorized, refunded: '0' };
+}
+
+function withHeader(init, name, value) {
+  const headers = new Headers(init.headers || {});
+  headers.set(name, value);
+  return { ...init, headers };
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * fetch() that pays x402 402 responses.
+ *
+ * Non-402 responses are returned untouched. Paid responses (whatever their
+ * status) get `response.x402 = { requirements, payload, settlement, authorized,
+ * charged, refund }`, where `settlement` is the decoded PAYMENT-RESPONSE or
+ * null, the amounts come from paymentAmounts() and `refund` is the refund
+ * receipt of a payment the server gave back (or null).
+ *
+ * @param {string} url
+ * @param {object} [init] - fetch init (method, headers, body); reused for the paid retry
+ * @param {object} options
+ * @param {object|Function} options.signer - Signer, or (requirements) → Signer for multi-chain wallets
+ * @param {string|bigint} [options.maxAmount] - Refuse prices above this (base units)
+ * @param {string[]} [options.allowedAssets] - Token addresses the client pays with
+ * @param {string[]} [options.networks] - Accepted CAIP-2 networks
+ * @param {Array} [options.supportedKinds] - /x402/supported kinds to match
+ * @param {string[]} [options.schemes] - Accepted schemes (default: exact and upto)
+ * @param {boolean} [options.checkBalance] - Check the token balance first (default: true, needs signer.provider)
+ * @param {Function} [options.beforePayment] - async ({ requirements, payer, balance }) hook; throw to abort
+ * @param {Function} [options.onSigned] - async (payload) hook, called right before the paid request
+ * @param {number} [options.retries] - Resends of the paid request on 502/503/504 without PAYMENT-RESPONSE, or network errors (default: 2)
+ * @param {number} [options.retryDelay] - Base backoff in ms (default: 500)
+ * @param {number} [options.validFor] - Authorization lifetime in seconds (default: 3600)
+ * @param {Function} [options.fetch] - fetch implementation
+ * @returns {Promise<Response>}
+ */
+export async function x402Fetch(url, init = {}, options = {}) {
+  const {
+    signer: signerOption,
+    maxAmount,
+    allowedAssets,
+    networks,
+    supportedKinds,
+    schemes,
+    checkBalance = true,
+    beforePayment,
+    onSigned,
+    retries = 2,
+    retryDelay = 500,
+    validFor,
+    fetch: fetchImpl = globalThis.fetch,
+  } = options;
+
+  const response = await fetchImpl(url, init);
+  if (response.status !== 402) return response;
+
+  const requirements = selectRequirements(parsePaymentRequired(response), { networks, allowedAssets, maxAmount, supportedKinds, schemes });
+
+  const signer = typeof signerOption === 'function' ? await signerOption(requirements) : signerOption;
+  if (!signer) throw new X402Error('No signer for ' + requirements.network, 'PAYMENT_DECLINED', { requirements });
+  const payer = await signer.getAddress();
+
+  let balance = null;
+  if (checkBalance && signer.provider) {
+    balance = await balanceOf(signer.provider, requirements.asset, payer);
+    if (balance < BigInt(requirements.amount)) {
+      throw new X402Error(
+        `Insufficient balance: ${balance} < ${requirements.amount}`,
+        'INSUFFICIENT_BALANCE',
+        { requirements, payer, balance, required: BigInt(requirements.amount) }
+      );
+    }
+  }
+
+  if (beforePayment) await beforePayment({ requirements, payer, balance });
+
+  const payload = await signPayment(requirements, signer, validFor ? { validFor } : {});
+  if (onSigned) await onSigned(payload);
+
+  const paidInit = withHeader(init, HEADERS.PAYMENT_SIGNATURE, encodeHeader(payload));
+  let paid;
+  for (let attempt = 0; ; attempt++) {
+    try {
+      paid = await fetchImpl(url, paidInit);
+      // A PAYMENT-RESPONSE means the nonce was used: resending cannot pay again
+      if (!RETRY_STATUSES.includes(paid.status) || paid.headers.has(HEADERS.PAYMENT_RESPONSE) || attempt >= retries) break;
+    } catch (error) {
+      if (attempt >= retries) throw error;
+    }
+    await sleep(retryDelay * (attempt + 1));
+  }
+
+  const header = paid.headers.get(HEADERS.PAYMENT_RESPONSE);
+  const settlement = header ? decodeHeader(header) : null;
+  const { authorized, charged } = paymentAmounts(requirements, settlement);
+  paid.x402 = { requirements, payload, settlement, authorized, charged, refund: settlement?.refund || null };
+  return paid;
+}
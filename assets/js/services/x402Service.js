@@ -1,22 +1,46 @@
 /**
  * x402 V2 Client Service
  *
- * Handles the x402 payment flow:
+ * Browser wrapper around the x402 client SDK (../lib/x402Client.js):
  * 1. Request → 402 + PAYMENT-REQUIRED
- * 2. Parse requirements
+ * 2. Parse requirements (checked against /supported when prefetched)
  * 3. Sign EIP-3009 transferWithAuthorization
  * 4. Retry with PAYMENT-SIGNATURE
  * 5. Parse PAYMENT-RESPONSE
  *
+ * Metered (`upto`) requirements are paid the same way: the signature
+ * authorizes the quoted maximum and `x402Receipt.charged` shows what the
+ * server actually charged. A payment the server refunded after failing
+ * carries the refund receipt in `x402Receipt.refund`.
+ *
  * @package x402-boilerplate
  * @version 1.0.0
  * @since 2026-02-03
  */
 
+import { x402Fetch, isSupported, paymentAmounts } from '../lib/x402Client.js';
+
 class X402Service {
   constructor() {
     this.network = 'eip155:1030';
     this.x402Version = 2;
+    this.supportedUrl = '/api/x402/supported.php';
+    this.supportedKinds = null; // null = not prefetched, accept any compatible requirements
+  }
+
+  /**
+   * Prefetch the payment kinds the facilitator accepts (GET /x402/supported)
+   * @param {string} url - Discovery endpoint (defaults to the PHP proxy)
+   * @returns {Promise<Array>} kinds
+   */
+  async fetchSupported(url = this.supportedUrl) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to load supported payment kinds (HTTP ${response.status})`);
+    }
+    const data = await response.json();
+    this.supportedKinds = data.kinds || [];
+    return this.supportedKinds;
   }
 
   /**
@@ -24,123 +48,50 @@ class X402Service {
    * @param {string} url - The URL to request
    * @param {object} options - Fetch options
    * @param {object} signer - ethers.js Signer (from connected wallet)
-   * @returns {Promise<Response>}
+   * @param {object} [policy] - x402Fetch options (maxAmount, allowedAssets, ...)
+   * @returns {Promise<Response>} Paid responses carry `x402Response` (decoded PAYMENT-RESPONSE)
+   *   and `x402Receipt` (see receipt())
    */
-  async payAndFetch(url, options = {}, signer) {
-    // Step 1: Initial request
-    const response = await fetch(url, options);
-
-    if (response.status !== 402) {
-      return response; // No payment needed
+  async payAndFetch(url, options = {}, signer, policy = {}) {
+    if (this.supportedKinds === null && this.supportedUrl) {
+      await this.fetchSupported().catch(err => console.warn('[x402] Supported kinds unavailable:', err.message));
     }
 
-    // Step 2: Parse payment requirements
-    const requirementsList = this.parsePaymentRequired(response);
-    const requirements = this.selectRequirements(requirementsList);
-
-    if (!requirements) {
-      throw new Error('No compatible payment requirements found');
-    }
-
-    // Step 3: Sign EIP-3009 authorization
-    const paymentPayload = await this.signPayment(requirements, signer);
-
-    // Step 4: Retry with payment
-    const paidResponse = await fetch(url, {
-      ...options,
-      headers: {
-        ...options.headers,
-        'PAYMENT-SIGNATURE': this.encodePayload(paymentPayload),
-      },
+    const response = await x402Fetch(url, options, {
+      networks: [this.network],
+      supportedKinds: this.supportedKinds,
+      ...policy,
+      signer,
     });
 
-    // Step 5: Parse PAYMENT-RESPONSE if present
-    const paymentResponse = paidResponse.headers.get('PAYMENT-RESPONSE');
-    if (paymentResponse) {
-      paidResponse.x402Response = JSON.parse(atob(paymentResponse));
+    if (response.x402?.settlement) {
+      response.x402Response = response.x402.settlement;
     }
-
-    return paidResponse;
-  }
-
-  /**
-   * Parse PAYMENT-REQUIRED header into requirements array
-   */
-  parsePaymentRequired(response) {
-    const header = response.headers.get('PAYMENT-REQUIRED');
-    if (!header) throw new Error('Missing PAYMENT-REQUIRED header');
-    return JSON.parse(atob(header));
-  }
-
-  /**
-   * Select compatible requirements (eip3009 on eip155:1030)
-   */
-  selectRequirements(requirementsList) {
-    return requirementsList.find(r =>
-      r.scheme === 'exact' &&
-      r.network === this.network &&
-      (r.extra?.settlementMode === 'transfer' || r.extra?.assetTransferMethod === 'eip3009')
-    );
+    if (response.x402) {
+      response.x402Receipt = this.receipt(response.x402.requirements, response.x402.settlement);
+    }
+    return response;
   }
 
   /**
-   * Sign EIP-3009 transferWithAuthorization for payment
+   * Receipt for display: amounts in base units, `charged` null when nothing was charged,
+   * `refund` the server's refund receipt when the payment was given back
+   * @returns {{scheme: string, authorized: string, charged: string|null, refunded: string|null, transaction: string|null, refund: object|null}}
    */
-  async signPayment(requirements, signer) {
-    const address = await signer.getAddress();
-
-    // Generate random nonce for EIP-3009
-    const nonce = ethers.hexlify(ethers.randomBytes(32));
-    const validAfter = 0;
-    const validBefore = Math.floor(Date.now() / 1000) + 3600; // 1 hour
-
-    // EIP-712 typed data for transferWithAuthorization
-    // name and version come from the requirements.extra (server provides them)
-    const domain = {
-      name: requirements.extra.name,
-      version: requirements.extra.version,
-      chainId: 1030,
-      verifyingContract: requirements.asset,
-    };
-
-    const types = {
-      TransferWithAuthorization: [
-        { name: 'from', type: 'address' },
-        { name: 'to', type: 'address' },
-        { name: 'value', type: 'uint256' },
-        { name: 'validAfter', type: 'uint256' },
-        { name: 'validBefore', type: 'uint256' },
-        { name: 'nonce', type: 'bytes32' },
-      ],
-    };
-
-    const message = {
-      from: address,
-      to: requirements.payTo,      // treasury (transfer) or adapter (escrow)
-      value: requirements.amount,
-      validAfter: String(validAfter),
-      validBefore: String(validBefore),
-      nonce,
-    };
-
-    const signature = await signer.signTypedData(domain, types, message);
-
+  receipt(requirements, settlement) {
     return {
-      x402Version: this.x402Version,
-      scheme: 'exact',
-      network: this.network,
-      payload: {
-        signature,
-        authorization: message,
-      },
+      scheme: requirements.scheme,
+      ...paymentAmounts(requirements, settlement),
+      transaction: settlement?.transaction || null,
+      refund: settlement?.refund || null,
     };
   }
 
   /**
-   * Encode payload as base64
+   * Check requirements (scheme, network, asset, settlementMode) against the prefetched /supported kinds
    */
-  encodePayload(payload) {
-    return btoa(JSON.stringify(payload));
+  isSupported(requirements) {
+    return isSupported(requirements, this.supportedKinds);
   }
 }
 
@@ -24,3 +24,30 @@ CREATE TABLE IF NOT EXISTS x402_api_payments (
 CREATE INDEX IF NOT EXISTS idx_x402_payments_payer ON x402_api_payments (payer_address);
 CREATE INDEX IF NOT EXISTS idx_x402_payments_tx ON x402_api_payments (tx_hash);
 CREATE INDEX IF NOT EXISTS idx_x402_payments_created ON x402_api_payments (created_at);
+
+-- Facilitator payment ledger: every verify and settle attempt
+-- (created by the facilitator itself with X402_PAYMENT_LEDGER=postgres; times in ms since epoch)
+CREATE TABLE IF NOT EXISTS x402_facilitator_payments (
+    id VARCHAR(36) PRIMARY KEY,
+    created_at BIGINT NOT NULL,
+    operation VARCHAR(8) NOT NULL,
+    mode VARCHAR(8),
+    scheme TEXT,
+    network TEXT,
+    payload_hash VARCHAR(66),
+    payer TEXT,
+    asset TEXT,
+    amount TEXT,
+    pay_to TEXT,
+    outcome VARCHAR(8) NOT NULL,
+    reason TEXT,
+    tx_hash VARCHAR(66),
+    latency_ms INTEGER,
+    settlement_id VARCHAR(36),
+    request_id VARCHAR(128),
+    updated_at BIGINT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_x402_facilitator_payments_created ON x402_facilitator_payments (created_at);
+CREATE INDEX IF NOT EXISTS idx_x402_facilitator_payments_payer ON x402_facilitator_payments (payer, created_at);
+CREATE INDEX IF NOT EXISTS idx_x402_facilitator_payments_settlement ON x402_facilitator_payments (settlement_id);
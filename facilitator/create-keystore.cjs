@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+/**
+ * Encrypt a relayer private key into a JSON keystore
+ *
+ * For the facilitator's `keystore` signer backend (X402_SIGNER_BACKEND=keystore).
+ * The key and passphrase are read from the process environment so they never
+ * land in shell history; unset them afterwards.
+ *
+ * Usage:
+ *   ARENA_SIGNER_PRIVATE_KEY=0x... X402_KEYSTORE_PASSPHRASE=... \
+ *     node facilitator/create-keystore.cjs facilitator/data/relayer.json
+ *
+ * @package x402-boilerplate
+ * @since 1.1.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+async function main() {
+    const outPath = process.argv[2];
+    const key = process.env.ARENA_SIGNER_PRIVATE_KEY;
+    const passphrase = process.env.X402_KEYSTORE_PASSPHRASE;
+
+    if (!outPath || !key || !passphrase) {
+        console.error('Usage: ARENA_SIGNER_PRIVATE_KEY=0x... X402_KEYSTORE_PASSPHRASE=... node create-keystore.cjs <out.json>');
+        process.exit(1);
+    }
+    if (fs.existsSync(outPath)) {
+        console.error(`Refusing to overwrite ${outPath}`);
+        process.exit(1);
+    }
+
+    const wallet = new ethers.Wallet(key);
+    const json = await wallet.encrypt(passphrase);
+
+    fs.mkdirSync(path.dirname(path.resolve(outPath)), { recursive: true });
+    fs.writeFileSync(outPath, json, { mode: 0o600 });
+    console.log(`Keystore for ${wallet.address} written to ${outPath}`);
+}
+
+main().catch(error => { console.error('Error:', error.message); process.exit(1); });
@@ -0,0 +1,178 @@
+/**
+ * x402 Escrow Order Book
+ *
+ * Escrow-mode payments lock the buyer's funds in the X402EscrowAdapter under
+ * an order id. The facilitator records every order it settles here, with
+ * the time after which an order nobody released is swept (refunded to the
+ * buyer by default) and the transactions that moved it along:
+ *
+ *   held ──release──▶ released
+ *     │  ──refund───▶ refunded        (a partial refund keeps it held)
+ *     └──dispute──▶ disputed ──release / refund──▶ released / refunded
+ *
+ * A dispute takes the order out of expiry sweeps; it stays locked until it
+ * is released or refunded explicitly. The adapter's getOrder() is the source
+ * of truth for amounts and status (sync()); the book adds what the chain
+ * does not know (network, expiry, history). Orders are persisted (JSON lines).
+ *
+ * @package x402-boilerplate
+ * @since 1.1.0
+ */
+
+const { ethers } = require('ethers');
+const { JsonlStore } = require('./jsonl-store.cjs');
+
+const ESCROW_STATUS = Object.freeze({
+    HELD: 'held',
+    RELEASED: 'released',
+    REFUNDED: 'refunded',
+    DISPUTED: 'disputed',
+});
+
+// X402EscrowAdapter.getOrder() status, by enum value
+const ORDER_STATUS = Object.freeze(['none', ESCROW_STATUS.HELD, ESCROW_STATUS.RELEASED, ESCROW_STATUS.REFUNDED, ESCROW_STATUS.DISPUTED]);
+
+// What the expiry sweep does with a held order
+const EXPIRY_ACTIONS = ['refund', 'release'];
+
+// Closed orders are kept for 30 days, then compacted away on load
+const RETENTION_SECONDS = 30 * 24 * 3600;
+
+// How far along an order is: the book never moves an order back
+const PROGRESS = Object.freeze({ held: 0, disputed: 1, released: 2, refunded: 2 });
+
+const isOpen = order => order.status === ESCROW_STATUS.HELD || order.status === ESCROW_STATUS.DISPUTED;
+
+/**
+ * Order id as the adapter sees it: bytes32 ids as-is (lowercased), anything
+ * else hashed, like the middleware does for `orderId` route options
+ */
+function escrowOrderId(value) {
+    if (typeof value === 'string' && ethers.isHexString(value, 32)) return value.toLowerCase();
+    return ethers.id(String(value));
+}
+
+class EscrowBook {
+    /**
+     * @param {object} options
+     * @param {string} options.filePath - JSON-lines order file
+     * @param {number} [options.ttl] - Seconds an order stays held before it is swept
+     * @param {function} [options.now] - Clock returning unix seconds
+     */
+    constructor({ filePath, ttl = 86400, now = () => Math.floor(Date.now() / 1000) }) {
+        this.ttl = ttl;
+        this.now = now;
+
+        const loadedAt = now();
+        this.store = new JsonlStore({
+            filePath,
+            keyField: 'key',
+            keep: order => isOpen(order) || loadedAt - order.updatedAt < RETENTION_SECONDS,
+        });
+    }
+
+    static key(network, orderId) {
+        return `${network}:${orderId}`;
+    }
+
+    /**
+     * Record an order the facilitator just locked in the adapter
+     * @returns {object} The held order
+     */
+    hold({ network, orderId, buyer, asset, amount, refunded = '0', transaction }) {
+        const now = this.now();
+        return this.store.write({
+            key: EscrowBook.key(network, orderId),
+            orderId, network, buyer, asset,
+            amount: String(amount),
+            refunded: String(refunded),
+            status: ESCROW_STATUS.HELD,
+            expiresAt: now + this.ttl,
+            createdAt: now,
+            updatedAt: now,
+            history: [{ action: 'hold', transaction, amount: String(amount), at: now }],
+        });
+    }
+
+    /**
+     * Merge `fields` into an order (created if the book has never seen it)
+     * and append `event` ({ action, transaction?, amount?, reason? }) to its history
+     */
+    update(network, orderId, fields, event = null) {
+        const now = this.now();
+        const existing = this.get(network, orderId);
+        return this.store.write({
+            key: EscrowBook.key(network, orderId),
+            orderId, network,
+            ...(existing ? {} : { createdAt: now, expiresAt: null, history: [] }),
+            ...fields,
+            updatedAt: now,
+            ...(event ? { history: [...(existing?.history || []), { ...event, at: now }] } : {}),
+        });
+    }
+
+    /**
+     * Bring an order up to the adapter's view of it ({ buyer, token, amount,
+     * refunded, status }). Only ever moves it forward: right after an update
+     * a node can still answer from before it.
+     */
+    sync(network, orderId, onChain) {
+        const order = this.get(network, orderId);
+        const behind = !order
+            || (PROGRESS[onChain.status] ?? 0) > (PROGRESS[order.status] ?? 0)
+            || BigInt(onChain.refunded) > BigInt(order.refunded || '0');
+        if (!behind) return order;
+
+        const { buyer, token, amount, refunded, status } = onChain;
+        return this.update(network, orderId, { buyer, asset: token, amount, refunded, status });
+    }
+
+    get(network, orderId) {
+        return this.store.get(EscrowBook.key(network, orderId));
+    }
+
+    /**
+     * Order by id on any network (most recent first)
+     */
+    find(orderId) {
+        const matches = [...this.store.values()].filter(order => order.orderId === orderId);
+        return matches.sort((a, b) => b.updatedAt - a.updatedAt)[0] || null;
+    }
+
+    /**
+     * Held (not disputed) orders past their expiry
+     */
+    expired() {
+        const now = this.now();
+        return [...this.store.values()].filter(order =>
+            order.status === ESCROW_STATUS.HELD && order.expiresAt !== null && order.expiresAt <= now);
+    }
+
+    stats() {
+        const counts = { held: 0, released: 0, refunded: 0, disputed: 0 };
+        for (const order of this.store.values()) counts[order.status] = (counts[order.status] || 0) + 1;
+        return counts;
+    }
+}
+
+/**
+ * Public view of an order (GET /x402/escrow/:orderId)
+ */
+function describeOrder(order) {
+    return {
+        orderId: order.orderId,
+        network: order.network,
+        status: order.status,
+        buyer: order.buyer,
+        asset: order.asset,
+        amount: order.amount,
+        refunded: order.refunded,
+        remaining: isOpen(order) ? (BigInt(order.amount) - BigInt(order.refunded)).toString() : '0',
+        expiresAt: order.expiresAt ?? null,
+        createdAt: order.createdAt ?? null,
+        updatedAt: order.updatedAt ?? null,
+        history: order.history || [],
+    };
+}
+
+module.exports = { EscrowBook, describeOrder, escrowOrderId, ESCROW_STATUS, ORDER_STATUS, EXPIRY_ACTIONS };
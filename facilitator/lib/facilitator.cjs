@@ -0,0 +1,1302 @@
+/**
+ * x402 Facilitator Core
+ *
+ * Verification and settlement logic behind the facilitator's HTTP endpoints,
+ * callable in-process. x402-facilitator.cjs is a thin HTTP wrapper around it
+ * (API key, body parsing, rate limits, metrics); Node servers can embed it
+ * directly and skip the two loopback round trips per paid request
+ * (see middleware/x402-middleware.cjs, `facilitator` option).
+ *
+ * Every operation resolves to `{ statusCode, body }`: `body` is exactly what
+ * the HTTP endpoint sends and `statusCode` the status it sends it with, so
+ * both modes return the same results.
+ *
+ * Schemes: `exact` settles the authorized amount. `upto` (metered) treats
+ * the authorized amount as a maximum and settles the `charge` the resource
+ * server reports after serving the request:
+ *   - transfer: the buyer authorizes the maximum to the facilitator's
+ *     collector (first relayer), which forwards the charge to
+ *     `requirements.extra.treasury` and sends the rest back to the buyer
+ *     (the charge transaction is recorded with the settlement jobs, so
+ *     reconcile.cjs can trace it back to the authorization)
+ *   - escrow:   the adapter locks the maximum for the order and refunds the
+ *     difference to the buyer
+ *
+ * Escrow lifecycle: escrow payments stay locked in the adapter until they are
+ * released to the seller or refunded to the buyer (escrowOrder(),
+ * releaseEscrow(), refundEscrow(), disputeEscrow()). Orders nobody releases
+ * are swept once they expire (sweepEscrow(); see lib/escrow.cjs).
+ *
+ * Refunds: a transfer settlement can be refunded once (refundPayment()) when
+ * the resource server could not deliver after it was paid. The collector
+ * sends the settled amount from the treasury back to the payer, within an
+ * allowance the treasury has granted it (see lib/refunds.cjs).
+ *
+ * Webhooks: payment.verified, payment.settled, payment.failed and
+ * payment.refunded events are posted, signed, to the configured endpoints
+ * and retried with backoff until they are delivered (see lib/webhooks.cjs).
+ *
+ * Payment ledger: every verify and settle attempt is recorded with its
+ * outcome and latency, and can be listed with listPayments() (see
+ * lib/payment-ledger.cjs).
+ *
+ * @package x402-boilerplate
+ * @since 1.1.0
+ */
+
+const path = require('path');
+const { ethers } = require('ethers');
+const { NonceStore, nonceKey } = require('./nonce-store.cjs');
+const { SettlementTracker, describeSettlement, SETTLEMENT_STATUS } = require('./settlements.cjs');
+const { RelayerPool } = require('./relayer-pool.cjs');
+const { EscrowBook, describeOrder, escrowOrderId, ESCROW_STATUS, ORDER_STATUS, EXPIRY_ACTIONS } = require('./escrow.cjs');
+const { RefundLedger, describeRefund, REFUND_STATUS } = require('./refunds.cjs');
+const { WebhookDispatcher, describeDelivery, parseWebhookEndpoints, DELIVERY_STATUS } = require('./webhooks.cjs');
+const { PaymentLedger, openPaymentStore, payloadHash, decodeCursor, PAYMENT_OUTCOMES } = require('./payment-ledger.cjs');
+const { loadNetworks } = require('./networks.cjs');
+const { createLogger } = require('./logger.cjs');
+
+// X402EscrowAdapter ABI (escrow mode). release pays what is left of an order
+// to the seller, refund returns part of it to the buyer, dispute freezes it
+// until one of the two; getOrder status: 0 none, 1 held, 2 released, 3 refunded, 4 disputed
+const ADAPTER_ABI = [
+    'function settlePayment(address token, bytes32 orderId, address buyer, uint256 value, uint256 validAfter, uint256 validBefore, bytes32 nonce, bytes calldata signature) external',
+    'function refund(bytes32 orderId, uint256 amount) external',
+    'function release(bytes32 orderId) external',
+    'function dispute(bytes32 orderId) external',
+    'function getOrder(bytes32 orderId) view returns (address buyer, address token, uint256 amount, uint256 refunded, uint8 status)',
+];
+
+// EIP-3009 transferWithAuthorization ABI (direct transfer mode)
+const EIP3009_ABI = [
+    'function transferWithAuthorization(address from, address to, uint256 value, uint256 validAfter, uint256 validBefore, bytes32 nonce, bytes signature) external',
+    'event AuthorizationUsed(address indexed authorizer, bytes32 indexed nonce)',
+];
+
+// ERC-20 ABI (balance checks; transfers out of the collector for metered
+// payments; refunds out of the treasury within its allowance to the collector)
+const ERC20_ABI = [
+    'function balanceOf(address account) view returns (uint256)',
+    'function transfer(address to, uint256 value) returns (bool)',
+    'function allowance(address owner, address spender) view returns (uint256)',
+    'function transferFrom(address from, address to, uint256 value) returns (bool)',
+    'event Transfer(address indexed from, address indexed to, uint256 value)',
+];
+
+// Payment schemes this facilitator verifies and settles
+const SCHEMES = ['exact', 'upto'];
+
+// EIP-712 types for TransferWithAuthorization
+const TRANSFER_AUTH_TYPES = {
+    TransferWithAuthorization: [
+        { name: 'from', type: 'address' },
+        { name: 'to', type: 'address' },
+        { name: 'value', type: 'uint256' },
+        { name: 'validAfter', type: 'uint256' },
+        { name: 'validBefore', type: 'uint256' },
+        { name: 'nonce', type: 'bytes32' },
+    ],
+};
+
+const FACILITATOR_DIR = path.resolve(__dirname, '..');
+
+/**
+ * Facilitator options from the environment (same variables as the HTTP server)
+ */
+function configFromEnv(env = process.env) {
+    return {
+        // Chains, assets and escrow adapters come from networks.json.
+        // X402_ADAPTER_ADDRESS still enables escrow mode on the default network (eip155:1030).
+        ...loadNetworks(env.X402_NETWORKS_CONFIG || path.join(FACILITATOR_DIR, 'networks.json'), { escrowAdapter: env.X402_ADAPTER_ADDRESS || '' }),
+
+        // Replay protection ledger (JSON lines, one record per nonce state change)
+        nonceStorePath: env.X402_NONCE_STORE || path.join(FACILITATOR_DIR, 'data/nonces.jsonl'),
+
+        // Async settlement: broadcast, respond with a settlement id, confirm in the background.
+        // Per-request override: { "async": true|false } in the settle body.
+        asyncSettlement: env.X402_SETTLE_ASYNC === 'true',
+        confirmations: parseInt(env.X402_CONFIRMATIONS || '1', 10),
+        settlementStorePath: env.X402_SETTLEMENT_STORE || path.join(FACILITATOR_DIR, 'data/settlements.jsonl'),
+
+        // Escrow orders: seconds before an unreleased order is swept, and what the sweep does
+        // with it (refund to the buyer or release to the seller); sweep interval 0 = on request only
+        escrowStorePath: env.X402_ESCROW_STORE || path.join(FACILITATOR_DIR, 'data/escrow.jsonl'),
+        escrowTtl: parseInt(env.X402_ESCROW_TTL || '86400', 10),
+        escrowExpiryAction: env.X402_ESCROW_EXPIRY_ACTION || 'refund',
+        escrowSweepInterval: parseInt(env.X402_ESCROW_SWEEP_INTERVAL || '300', 10),
+
+        // Refunds of transfer settlements, one per settlement transaction
+        refundStorePath: env.X402_REFUND_STORE || path.join(FACILITATOR_DIR, 'data/refunds.jsonl'),
+
+        // Payment webhooks: endpoints (comma-separated), the events they get (empty = all),
+        // the HMAC secret, and how long failing deliveries are retried
+        webhookStorePath: env.X402_WEBHOOK_STORE || path.join(FACILITATOR_DIR, 'data/webhooks.jsonl'),
+        webhookEndpoints: parseWebhookEndpoints(env.X402_WEBHOOK_URLS || '', env.X402_WEBHOOK_EVENTS || ''),
+        webhookSecret: env.X402_WEBHOOK_SECRET || '',
+        webhookMaxAttempts: parseInt(env.X402_WEBHOOK_MAX_ATTEMPTS || '8', 10),
+        webhookRetryBase: parseInt(env.X402_WEBHOOK_RETRY_BASE || '10', 10),
+
+        // Payment ledger: every verify/settle attempt. sqlite (default), postgres or jsonl;
+        // Postgres from X402_PAYMENT_DATABASE_URL, else the PHP API's DB_PGSQL_* variables.
+        // X402_PAYMENT_RETENTION_DAYS prunes the JSON-lines ledger (unset = keep forever)
+        paymentLedger: env.X402_PAYMENT_LEDGER || 'sqlite',
+        paymentStorePath: env.X402_PAYMENT_STORE || path.join(FACILITATOR_DIR, 'data/payments.db'),
+        paymentRetentionDays: parseInt(env.X402_PAYMENT_RETENTION_DAYS || '0', 10),
+        paymentDatabaseUrl: env.X402_PAYMENT_DATABASE_URL || '',
+        paymentDatabaseEnv: {
+            DB_PGSQL_HOST: env.DB_PGSQL_HOST, DB_PGSQL_PORT: env.DB_PGSQL_PORT, DB_PGSQL_NAME: env.DB_PGSQL_NAME,
+            DB_PGSQL_USER: env.DB_PGSQL_USER, DB_PGSQL_PASS: env.DB_PGSQL_PASS,
+        },
+
+        // Relayer transaction manager: local nonces, estimated gas, fee bumps for stuck txs
+        relayer: {
+            gasMargin: parseInt(env.X402_GAS_MARGIN || '20', 10),
+            stuckAfter: parseInt(env.X402_STUCK_TX_TIMEOUT || '60', 10),
+            bumpPercent: parseInt(env.X402_FEE_BUMP_PERCENT || '15', 10),
+            maxBumps: parseInt(env.X402_MAX_FEE_BUMPS || '3', 10),
+        },
+
+        // Relayer pool: failover between several relayer wallets
+        relayerPool: {
+            minBalance: ethers.parseEther(env.X402_RELAYER_MIN_BALANCE || '1'),
+            maxFailures: parseInt(env.X402_RELAYER_MAX_FAILURES || '3', 10),
+            cooldown: parseInt(env.X402_RELAYER_COOLDOWN || '300', 10),
+        },
+    };
+}
+
+function invalid(reason, statusCode = 200) {
+    return { statusCode, body: { valid: false, reason } };
+}
+
+function rejected(error, statusCode) {
+    return { statusCode, body: { success: false, error } };
+}
+
+/**
+ * Amount in base units (a metered charge, an escrow refund), or null unless 1 <= amount <= max
+ */
+function parseAmount(amount, max) {
+    if (!/^\d+$/.test(String(amount ?? ''))) return null;
+    const value = BigInt(amount);
+    return value >= 1n && value <= BigInt(max) ? value : null;
+}
+
+function settlementLogFields(job) {
+    return {
+        requestId: job.requestId, settlementId: job.id, network: job.network, payer: job.payer,
+        asset: job.asset, amount: job.amount, txHash: job.txHash, blockNumber: job.blockNumber,
+        durationMs: (job.updatedAt - job.createdAt) * 1000,
+    };
+}
+
+class Facilitator {
+    /**
+     * @param {object} options - configFromEnv() output plus:
+     * @param {Map<string, object>} options.networks - Network registry (lib/networks.cjs)
+     * @param {string} options.defaultNetwork - CAIP-2 id of the default network
+     * @param {object[]} options.signers - Relayer signers (lib/signers.cjs); connected to each chain's provider
+     * @param {string} options.nonceStorePath - Nonce ledger file
+     * @param {string} options.settlementStorePath - Async settlement jobs file
+     * @param {string} options.escrowStorePath - Escrow order book file
+     * @param {number} [options.escrowTtl] - Seconds an escrow order stays held before the sweep takes it
+     * @param {string} [options.escrowExpiryAction] - 'refund' (to the buyer) or 'release' (to the seller)
+     * @param {number} [options.escrowSweepInterval] - Seconds between background sweeps (0 = only on request)
+     * @param {string} options.refundStorePath - Refund ledger file
+     * @param {string} options.webhookStorePath - Webhook delivery file
+     * @param {Array<{ url: string, events: string[] }>} [options.webhookEndpoints] - Webhook endpoints (none = no webhooks)
+     * @param {string} [options.webhookSecret] - HMAC key for webhook signatures
+     * @param {number} [options.webhookMaxAttempts] - Attempts before a delivery is failed
+     * @param {number} [options.webhookRetryBase] - Seconds before the first retry, doubled for each one after
+     * @param {Function} [options.fetch] - fetch implementation for webhook deliveries
+     * @param {string} [options.paymentLedger] - 'sqlite', 'postgres' or 'jsonl'
+     * @param {string} options.paymentStorePath - SQLite database (or JSON-lines file)
+     * @param {number} [options.paymentRetentionDays] - Days the JSON-lines ledger keeps attempts (0 = forever, the default)
+     * @param {string} [options.paymentDatabaseUrl] - Postgres connection string
+     * @param {object} [options.paymentDatabaseEnv] - DB_PGSQL_* used without a connection string
+     * @param {boolean} [options.asyncSettlement] - Default for settle requests without `async`
+     * @param {number} [options.confirmations] - Blocks before an async settlement is confirmed
+     * @param {object} [options.relayer] - RelayerTxManager options
+     * @param {object} [options.relayerPool] - RelayerPool options
+     * @param {Function} [options.createProvider] - (chainConfig) → provider (default: JsonRpcProvider on the chain's RPC)
+     * @param {Function} [options.onSettlement] - Called when a settlement reaches a final state:
+     *   { network, async, status, payer, asset, amount, transaction, duration (s) }
+     * @param {object} [options.logger] - Structured logger (lib/logger.cjs)
+     * @param {Function} [options.now] - Clock returning unix seconds
+     */
+    constructor({
+        networks,
+        defaultNetwork,
+        signers,
+        nonceStorePath,
+        settlementStorePath,
+        escrowStorePath,
+        escrowTtl = 86400,
+        escrowExpiryAction = 'refund',
+        escrowSweepInterval = 300,
+        refundStorePath,
+        webhookStorePath,
+        webhookEndpoints = [],
+        webhookSecret = '',
+        webhookMaxAttempts = 8,
+        webhookRetryBase = 10,
+        fetch: fetchImpl = globalThis.fetch,
+        paymentLedger = 'sqlite',
+        paymentStorePath,
+        paymentRetentionDays = 0,
+        paymentDatabaseUrl = '',
+        paymentDatabaseEnv = {},
+        asyncSettlement = false,
+        confirmations = 1,
+        relayer = {},
+        relayerPool = {},
+        createProvider = config => new ethers.JsonRpcProvider(config.rpc, config.chainId, { staticNetwork: true }),
+        onSettlement = () => {},
+        logger = createLogger(),
+        now = () => Math.floor(Date.now() / 1000),
+    }) {
+        if (!signers || signers.length === 0) throw new Error('Facilitator needs at least one relayer signer');
+        if (!EXPIRY_ACTIONS.includes(escrowExpiryAction)) {
+            throw new Error(`Unknown escrow expiry action "${escrowExpiryAction}" (expected ${EXPIRY_ACTIONS.join(' or ')})`);
+        }
+
+        this.networks = networks;
+        this.defaultNetwork = defaultNetwork;
+        this.signers = signers;
+        this.nonceStorePath = nonceStorePath;
+        this.settlementStorePath = settlementStorePath;
+        this.escrowStorePath = escrowStorePath;
+        this.escrowTtl = escrowTtl;
+        this.escrowExpiryAction = escrowExpiryAction;
+        this.escrowSweepInterval = escrowSweepInterval;
+        this.refundStorePath = refundStorePath;
+        this.webhookOptions = {
+            filePath: webhookStorePath, endpoints: webhookEndpoints, secret: webhookSecret,
+            maxAttempts: webhookMaxAttempts, retryBase: webhookRetryBase, fetch: fetchImpl,
+        };
+        this.paymentOptions = {
+            backend: paymentLedger, filePath: paymentStorePath, retentionDays: paymentRetentionDays,
+            databaseUrl: paymentDatabaseUrl, env: paymentDatabaseEnv,
+        };
+        this.asyncSettlement = asyncSettlement;
+        this.confirmations = confirmations;
+        this.relayer = relayer;
+        this.relayerPool = relayerPool;
+        this.createProvider = createProvider;
+        this.onSettlement = onSettlement;
+        this.logger = logger;
+        this.now = now;
+
+        this.chains = new Map(); // network id → chain config + provider + relayer pool
+        this.relayerAddresses = [];
+        this.collector = null;   // receives metered transfer authorizations (first relayer)
+        this.nonceStore = null;
+        this.settlements = null;
+        this.escrow = null;
+        this.escrowBusy = new Set(); // orders with a lifecycle transaction in flight
+        this.sweepTimer = null;
+        this.sweeping = false;
+        this.refunds = null;
+        this.refundBusy = new Set(); // settlements with a refund in flight
+        this.webhooks = null;
+        this.payments = null;
+    }
+
+    /**
+     * Open the ledgers and connect every configured chain.
+     * Throws if no chain is reachable.
+     */
+    async init() {
+        this.relayerAddresses = await Promise.all(this.signers.map(signer => signer.getAddress()));
+        this.collector = this.relayerAddresses[0];
+        this.nonceStore = new NonceStore({ filePath: this.nonceStorePath, now: this.now });
+        this.logger.info('Nonce ledger', { path: this.nonceStorePath, active: this.nonceStore.size });
+
+        this.settlements = new SettlementTracker({
+            filePath: this.settlementStorePath,
+            getProvider: network => this.getChain(network)?.provider || null,
+            confirmations: this.confirmations,
+            onFinal: job => this.handleSettlementFinal(job),
+            logger: this.logger,
+            now: this.now,
+        });
+        this.logger.info('Settlement jobs', { path: this.settlementStorePath, pending: this.settlements.pending().length, confirmations: this.confirmations });
+
+        this.escrow = new EscrowBook({ filePath: this.escrowStorePath, ttl: this.escrowTtl, now: this.now });
+        this.logger.info('Escrow orders', { path: this.escrowStorePath, ...this.escrow.stats(), ttl: this.escrowTtl, expiryAction: this.escrowExpiryAction });
+
+        this.refunds = new RefundLedger({ filePath: this.refundStorePath, now: this.now });
+        this.logger.info('Refund ledger', { path: this.refundStorePath, ...this.refunds.stats() });
+
+        this.webhooks = new WebhookDispatcher({ ...this.webhookOptions, logger: this.logger.child({ component: 'webhooks' }), now: this.now });
+        this.logger.info('Webhooks', {
+            path: this.webhookOptions.filePath, endpoints: this.webhookOptions.endpoints.map(endpoint => endpoint.url), ...this.webhooks.stats(),
+        });
+
+        const paymentStore = await openPaymentStore({ ...this.paymentOptions, logger: this.logger });
+        this.payments = new PaymentLedger({ store: paymentStore, logger: this.logger });
+        this.logger.info('Payment ledger', { backend: paymentStore.backend, location: paymentStore.location });
+
+        for (const config of this.networks.values()) {
+            const provider = this.createProvider(config);
+            const relayers = new RelayerPool({
+                ...this.relayerPool,
+                signers: this.signers.map(signer => signer.connect(provider)),
+                provider,
+                logger: this.logger.child({ network: config.network }),
+                now: this.now,
+                manager: {
+                    ...this.relayer,
+                    onReplaced: (oldHash, newHash) => {
+                        this.settlements.replaceTransaction(oldHash, newHash);
+                        this.refunds.replaceTransaction(oldHash, newHash);
+                    },
+                },
+            });
+            const chain = { ...config, provider, relayers, connected: false };
+            this.chains.set(config.network, chain);
+
+            try {
+                await provider.getBlockNumber();
+                await relayers.init();
+                relayers.start();
+                chain.connected = true;
+                this.logger.info('Connected', {
+                    network: config.network, chainName: config.chainName, rpc: config.rpc,
+                    adapter: config.escrowAdapter || 'none (transfer mode only)',
+                });
+            } catch (error) {
+                this.logger.error('Network unavailable', { network: config.network, error });
+            }
+        }
+
+        if (![...this.chains.values()].some(chain => chain.connected)) {
+            throw new Error('No network reachable');
+        }
+    }
+
+    /**
+     * Start the async settlement watcher, the escrow expiry sweep and webhook retries
+     */
+    start() {
+        this.settlements.start();
+        this.webhooks.start();
+        if (this.escrowSweepInterval > 0 && !this.sweepTimer) {
+            this.sweepTimer = setInterval(() => this.sweepEscrow(), this.escrowSweepInterval * 1000);
+            this.sweepTimer.unref();
+        }
+    }
+
+    stop() {
+        if (this.settlements) this.settlements.stop();
+        if (this.webhooks) this.webhooks.stop();
+        if (this.payments) this.payments.close().catch(error => this.logger.error('Payment ledger close failed', { error }));
+        clearInterval(this.sweepTimer);
+        this.sweepTimer = null;
+        for (const chain of this.chains.values()) chain.relayers.stop();
+    }
+
+    /**
+     * Look up a connected chain by CAIP-2 id (e.g. 'eip155:1030')
+     */
+    getChain(network) {
+        const chain = this.chains.get(network);
+        return chain && chain.connected ? chain : null;
+    }
+
+    // ── Escrow mode ──
+
+    verify(request, context) {
+        return this.verifyPayment('escrow', request, context);
+    }
+
+    settle(request, context) {
+        return this.settlePayment('escrow', request, context);
+    }
+
+    // ── Transfer mode (direct EIP-3009, no escrow) ──
+
+    verifyTransfer(request, context) {
+        return this.verifyPayment('transfer', request, context);
+    }
+
+    settleTransfer(request, context) {
+        return this.settlePayment('transfer', request, context);
+    }
+
+    /**
+     * Check a payment without touching the chain state. A valid metered
+     * (`upto`) payment holds its nonce until it is settled or expires.
+     *
+     * @param {string} mode - 'escrow' or 'transfer'
+     * @param {object} request - { payload, requirements }
+     * @param {object} [context] - { log, requestId } request-scoped logger and ID
+     * @returns {Promise<{ statusCode: number, body: { valid: boolean, reason?: string } }>}
+     */
+    async verifyPayment(mode, request, context = {}) {
+        const startedAt = Date.now();
+        const result = await this.checkPayment(mode, request, context);
+        this.recordAttempt('verify', mode, request, result, { startedAt, requestId: context.requestId });
+        return result;
+    }
+
+    async checkPayment(mode, request, { log = this.logger } = {}) {
+        const { payload, requirements } = request || {};
+        if (!payload?.payload?.authorization || !requirements?.asset) return invalid('Missing payload or requirements', 400);
+
+        try {
+            if (payload.x402Version !== 2) return invalid('Unsupported x402 version');
+            if (!SCHEMES.includes(payload.scheme)) return invalid('Unsupported scheme');
+            if (payload.scheme !== (requirements.scheme || 'exact')) return invalid('Scheme does not match requirements');
+            const metered = payload.scheme === 'upto';
+
+            const chain = this.getChain(payload.network);
+            if (!chain) return invalid(`Unsupported network: ${payload.network}`);
+            if (mode === 'escrow' && !chain.escrowAdapter) return invalid(`Escrow adapter not configured for ${chain.network}`, 400);
+
+            const asset = chain.assets[requirements.asset.toLowerCase()];
+            if (!asset || !asset.eip3009) return invalid('Unsupported asset');
+            if (mode === 'escrow' && requirements.extra?.assetTransferMethod !== 'eip3009') return invalid('Only eip3009 method supported');
+            if (mode === 'transfer' && requirements.extra?.settlementMode !== 'transfer') return invalid('Settlement mode must be transfer');
+            if (mode === 'transfer' && metered && !ethers.isAddress(requirements.extra?.treasury || '')) return invalid('Metered transfers need extra.treasury');
+
+            const { from, to, value, validAfter, validBefore, nonce } = payload.payload.authorization;
+            if (this.nonceStore.isUsed(nonceKey(chain.network, requirements.asset, from, nonce))) return invalid('Nonce already used');
+
+            const domain = {
+                name: asset.eip712Name,
+                version: asset.eip712Version,
+                chainId: chain.chainId,
+                verifyingContract: requirements.asset,
+            };
+
+            const message = { from, to, value, validAfter, validBefore, nonce };
+            const recoveredSigner = ethers.verifyTypedData(domain, TRANSFER_AUTH_TYPES, message, payload.payload.signature);
+
+            if (recoveredSigner.toLowerCase() !== from.toLowerCase()) return invalid('Invalid signature');
+            if (mode === 'escrow' && to.toLowerCase() !== chain.escrowAdapter.toLowerCase()) return invalid('Wrong payment destination');
+            if (mode === 'transfer' && metered && to.toLowerCase() !== this.collector.toLowerCase()) return invalid('Wrong payment destination (expected facilitator collector)');
+            if (mode === 'transfer' && !metered && to.toLowerCase() !== requirements.payTo.toLowerCase()) return invalid('Wrong payment destination (expected treasury)');
+
+            const token = new ethers.Contract(requirements.asset, ERC20_ABI, chain.provider);
+            const balance = await token.balanceOf(from);
+            if (balance < BigInt(value)) return invalid('Insufficient balance');
+
+            const now = this.now();
+            if (now < Number(validAfter) || now > Number(validBefore)) return invalid('Authorization expired or not yet valid');
+            if (BigInt(value) < BigInt(requirements.amount)) return invalid('Insufficient amount');
+
+            if (mode === 'escrow') {
+                const adapter = new ethers.Contract(chain.escrowAdapter, ADAPTER_ABI, chain.provider);
+                try {
+                    await adapter.settlePayment.staticCall(
+                        requirements.asset, requirements.extra.orderId, from, value,
+                        validAfter, validBefore, nonce, payload.payload.signature,
+                        { from: chain.relayers.addresses[0] }
+                    );
+                } catch (simError) {
+                    return invalid('Settlement simulation failed: ' + (simError.reason || simError.message));
+                }
+            }
+
+            // Metered payments settle after the resource has run: hold the nonce now
+            if (metered && !this.nonceStore.authorize(nonceKey(chain.network, requirements.asset, from, nonce), { payer: from, asset: requirements.asset, validBefore })) {
+                return invalid('Nonce already used');
+            }
+
+            this.emitEvent('payment.verified', {
+                network: chain.network, mode, scheme: payload.scheme, payer: from, asset: requirements.asset,
+                amount: String(value), payTo: requirements.payTo, nonce,
+            });
+            return { statusCode: 200, body: { valid: true } };
+        } catch (error) {
+            log.error('Verify error', { error });
+            return invalid(error.message);
+        }
+    }
+
+    /**
+     * Broadcast a payment and, unless async, wait for its receipt.
+     * Metered (`upto`) payments always settle synchronously.
+     *
+     * @param {string} mode - 'escrow' or 'transfer'
+     * @param {object} request - { payload, requirements, async?, charge? } — `charge` (base units) is required for `upto`
+     * @param {object} [context] - { log, requestId } stored on async jobs
+     * @returns {Promise<{ statusCode: number, body: object }>} Settle response
+     */
+    async settlePayment(mode, request, context = {}) {
+        const startedAt = Date.now();
+        const result = await this.sendPayment(mode, request, context);
+        this.recordAttempt('settle', mode, request, result, { startedAt, requestId: context.requestId });
+        return result;
+    }
+
+    async sendPayment(mode, request, { log = this.logger, requestId = null } = {}) {
+        const { payload, requirements } = request || {};
+        if (!payload?.payload?.authorization || !requirements?.asset) return rejected('Missing payload or requirements', 400);
+
+        const chain = this.getChain(payload.network);
+        if (!chain) return rejected(`Unsupported network: ${payload.network}`, 400);
+        if (mode === 'escrow' && !chain.escrowAdapter) return rejected(`Escrow adapter not configured for ${chain.network}`, 400);
+
+        const { from, to, value, validAfter, validBefore, nonce } = payload.payload.authorization;
+        if (!/^\d+$/.test(String(value ?? ''))) return rejected('Authorization value must be an integer amount', 400);
+        const metered = payload.scheme === 'upto';
+        if (metered && parseAmount(request.charge, value) === null) {
+            return rejected('charge must be an integer amount between 1 and the authorized value', 400);
+        }
+
+        const key = nonceKey(chain.network, requirements.asset, from, nonce);
+        if (!this.nonceStore.reserve(key, { payer: from, asset: requirements.asset, validBefore })) {
+            return rejected('Nonce already used', 409);
+        }
+
+        const isAsync = typeof request.async === 'boolean' ? request.async : this.asyncSettlement;
+        const startedAt = Date.now();
+        const label = mode === 'escrow' ? 'Settlement' : 'Transfer';
+
+        try {
+            if (metered) return await this.settleMetered(mode, chain, request, { log, key, startedAt, requestId });
+
+            let transaction;
+            if (mode === 'escrow') {
+                const adapter = new ethers.Contract(chain.escrowAdapter, ADAPTER_ABI, chain.provider);
+                transaction = await adapter.settlePayment.populateTransaction(
+                    requirements.asset, requirements.extra.orderId, from, value,
+                    validAfter, validBefore, nonce, payload.payload.signature
+                );
+            } else {
+                const token = new ethers.Contract(requirements.asset, EIP3009_ABI, chain.provider);
+                transaction = await token.transferWithAuthorization.populateTransaction(
+                    from, to, value, validAfter, validBefore, nonce, payload.payload.signature
+                );
+            }
+
+            const tx = await chain.relayers.submit(transaction);
+            log = log.child({ txHash: tx.hash, relayer: tx.relayer });
+            log.info(`${label} tx sent`);
+
+            if (isAsync) {
+                const job = this.settlements.create({
+                    network: chain.network, mode, payer: from, asset: requirements.asset, amount: value, nonceKey: key, txHash: tx.hash, requestId,
+                    orderId: mode === 'escrow' ? requirements.extra.orderId : null,
+                });
+                return {
+                    statusCode: 200,
+                    body: {
+                        x402Version: 2, scheme: 'exact', network: chain.network,
+                        success: true, status: SETTLEMENT_STATUS.PENDING, settlementId: job.id, transaction: tx.hash, payer: from,
+                    },
+                };
+            }
+
+            const receipt = await tx.wait();
+            log.info(`${label} confirmed`, { blockNumber: receipt.blockNumber });
+            this.nonceStore.markSettled(key, receipt.hash);
+            if (mode === 'escrow') {
+                this.holdEscrow(chain.network, requirements.extra.orderId, { buyer: from, asset: requirements.asset, amount: value, transaction: receipt.hash });
+            }
+            this.finishSettlement({
+                network: chain.network, async: false, status: SETTLEMENT_STATUS.CONFIRMED, payer: from,
+                asset: requirements.asset, amount: value, transaction: receipt.hash, duration: (Date.now() - startedAt) / 1000,
+            }, { mode, scheme: 'exact', orderId: mode === 'escrow' ? requirements.extra.orderId : null, requestId });
+
+            return {
+                statusCode: 200,
+                body: {
+                    x402Version: 2, scheme: 'exact', network: chain.network,
+                    success: true, transaction: receipt.hash, payer: from,
+                },
+            };
+        } catch (error) {
+            log.error('Settle error', { error });
+            this.nonceStore.markFailed(key, error.reason || error.message);
+            this.emitEvent('payment.failed', {
+                network: chain.network, mode, scheme: payload.scheme, async: isAsync, payer: from, asset: requirements.asset,
+                amount: String(value), transaction: null, error: error.reason || error.message, requestId,
+            });
+            return rejected(error.reason || error.message, 500);
+        }
+    }
+
+    /**
+     * Metered settlement: use the authorization for the maximum, then pass on
+     * the charge and return the rest. Failures before the authorization is
+     * used propagate (the nonce is released); a failed split is reported with
+     * the authorization transaction, since the funds have moved by then.
+     */
+    async settleMetered(mode, chain, request, { log, key, startedAt, requestId }) {
+        const { payload, requirements } = request;
+        const { from, value, validAfter, validBefore, nonce } = payload.payload.authorization;
+        const charged = BigInt(request.charge);
+        const refunded = BigInt(value) - charged;
+        const token = new ethers.Contract(requirements.asset, [...EIP3009_ABI, ...ERC20_ABI], chain.provider);
+        const adapter = mode === 'escrow' ? new ethers.Contract(chain.escrowAdapter, ADAPTER_ABI, chain.provider) : null;
+
+        const authorization = mode === 'escrow'
+            ? await adapter.settlePayment.populateTransaction(
+                requirements.asset, requirements.extra.orderId, from, value,
+                validAfter, validBefore, nonce, payload.payload.signature
+            )
+            : await token.transferWithAuthorization.populateTransaction(
+                from, this.collector, value, validAfter, validBefore, nonce, payload.payload.signature
+            );
+        const authTx = await chain.relayers.submit(authorization);
+        const authReceipt = await authTx.wait();
+        this.nonceStore.markSettled(key, authReceipt.hash);
+        log = log.child({ txHash: authReceipt.hash, relayer: authTx.relayer });
+        log.info('Metered authorization used', { authorized: value, charge: charged.toString() });
+
+        // Collector transfers go out from the collector itself, one after the other
+        const steps = [];
+        if (mode === 'transfer') {
+            steps.push(['charge', await token.transfer.populateTransaction(requirements.extra.treasury, charged), { from: this.collector }]);
+        }
+        if (refunded > 0n) {
+            steps.push(mode === 'escrow'
+                ? ['refund', await adapter.refund.populateTransaction(requirements.extra.orderId, refunded), {}]
+                : ['refund', await token.transfer.populateTransaction(from, refunded), { from: this.collector }]);
+        }
+
+        const hashes = { charge: null, refund: null };
+        try {
+            for (const [step, transaction, options] of steps) {
+                const tx = await chain.relayers.submit(transaction, options);
+                hashes[step] = (await tx.wait()).hash;
+            }
+        } catch (error) {
+            log.error('Metered settlement incomplete', {
+                error, authorized: value, charge: charged.toString(), chargeTx: hashes.charge, refundTx: hashes.refund,
+                holder: mode === 'escrow' ? chain.escrowAdapter : this.collector,
+            });
+            this.emitEvent('payment.failed', {
+                network: chain.network, mode, scheme: 'upto', async: false, payer: from, asset: requirements.asset,
+                amount: String(value), transaction: authReceipt.hash, error: `Metered settlement incomplete: ${error.reason || error.message}`, requestId,
+            });
+            return {
+                statusCode: 500,
+                body: {
+                    success: false, error: `Metered settlement incomplete: ${error.reason || error.message}`,
+                    transaction: authReceipt.hash, payer: from,
+                },
+            };
+        }
+
+        log.info('Metered settlement confirmed', { charged: charged.toString(), refunded: refunded.toString(), chargeTx: hashes.charge, refundTx: hashes.refund });
+        if (hashes.charge) {
+            this.settlements.recordCharge({
+                network: chain.network, mode, payer: from, asset: requirements.asset, amount: charged.toString(),
+                txHash: authReceipt.hash, chargeTxHash: hashes.charge, requestId,
+            });
+        }
+        if (mode === 'escrow') {
+            this.holdEscrow(chain.network, requirements.extra.orderId, {
+                buyer: from, asset: requirements.asset, amount: value, refunded, transaction: authReceipt.hash,
+            });
+        }
+        this.finishSettlement({
+            network: chain.network, async: false, status: SETTLEMENT_STATUS.CONFIRMED, payer: from,
+            asset: requirements.asset, amount: charged.toString(), transaction: authReceipt.hash, duration: (Date.now() - startedAt) / 1000,
+        }, {
+            mode, scheme: 'upto', orderId: mode === 'escrow' ? requirements.extra.orderId : null, requestId,
+            authorized: String(value), refunded: refunded.toString(),
+        });
+
+        return {
+            statusCode: 200,
+            body: {
+                x402Version: 2, scheme: 'upto', network: chain.network,
+                success: true, transaction: authReceipt.hash, payer: from,
+                authorized: String(value), charged: charged.toString(), refunded: refunded.toString(),
+                chargeTransaction: hashes.charge, refundTransaction: hashes.refund,
+            },
+        };
+    }
+
+    /**
+     * Async settlement status (GET /x402/settlements/:id), or null if unknown
+     */
+    settlement(id) {
+        const job = this.settlements.get(id);
+        return job ? describeSettlement(job) : null;
+    }
+
+    /**
+     * Settlement watcher callback: release or consume the nonce once the
+     * transaction's fate is known.
+     */
+    handleSettlementFinal(job) {
+        if (job.status === SETTLEMENT_STATUS.CONFIRMED) {
+            this.nonceStore.markSettled(job.nonceKey, job.txHash);
+            if (job.orderId) this.holdEscrow(job.network, job.orderId, { buyer: job.payer, asset: job.asset, amount: job.amount, transaction: job.txHash });
+            this.logger.info('Async settlement confirmed', settlementLogFields(job));
+        } else {
+            this.nonceStore.markFailed(job.nonceKey, `Transaction ${job.status}`);
+            this.logger.error(`Async settlement ${job.status}`, settlementLogFields(job));
+        }
+
+        this.finishSettlement({
+            network: job.network, async: true, status: job.status, payer: job.payer,
+            asset: job.asset, amount: job.amount, transaction: job.txHash, duration: job.updatedAt - job.createdAt,
+        }, { mode: job.mode, scheme: 'exact', orderId: job.orderId, settlementId: job.id, requestId: job.requestId });
+        this.payments.finalize(job.id, {
+            outcome: job.status === SETTLEMENT_STATUS.CONFIRMED ? PAYMENT_OUTCOMES.SETTLED : PAYMENT_OUTCOMES.FAILED,
+            reason: job.status === SETTLEMENT_STATUS.CONFIRMED ? null : `Transaction ${job.status}`,
+            txHash: job.txHash,
+        });
+    }
+
+    /**
+     * A settlement reached a final state: the onSettlement hook, then
+     * payment.settled (confirmed) or payment.failed (reverted, dropped)
+     */
+    finishSettlement(event, details) {
+        this.onSettlement(event);
+        const { duration, ...data } = event;
+        this.emitEvent(event.status === SETTLEMENT_STATUS.CONFIRMED ? 'payment.settled' : 'payment.failed', {
+            ...data, amount: String(data.amount), ...details, orderId: details.orderId ? escrowOrderId(details.orderId) : null, durationMs: Math.round(duration * 1000),
+        });
+    }
+
+    // ── Payment ledger ──
+
+    /**
+     * Record a verify or settle attempt and its result in the payment ledger
+     */
+    recordAttempt(operation, mode, request, { statusCode, body }, { startedAt, requestId = null }) {
+        const { payload, requirements } = request || {};
+        const authorization = payload?.payload?.authorization;
+        let outcome;
+        if (operation === 'verify') outcome = body.valid ? PAYMENT_OUTCOMES.VALID : PAYMENT_OUTCOMES.INVALID;
+        else if (body.success) outcome = body.status === SETTLEMENT_STATUS.PENDING ? PAYMENT_OUTCOMES.PENDING : PAYMENT_OUTCOMES.SETTLED;
+        else outcome = statusCode >= 500 ? PAYMENT_OUTCOMES.FAILED : PAYMENT_OUTCOMES.REJECTED;
+
+        this.payments.record({
+            operation, mode,
+            scheme: payload?.scheme ?? null,
+            network: payload?.network ?? null,
+            payloadHash: payload ? payloadHash(payload) : null,
+            payer: typeof authorization?.from === 'string' ? authorization.from.toLowerCase() : null,
+            asset: typeof requirements?.asset === 'string' ? requirements.asset.toLowerCase() : null,
+            // Metered settlements: what was charged, not the authorized maximum
+            amount: body.charged ?? (authorization?.value === undefined ? null : String(authorization.value)),
+            payTo: typeof requirements?.payTo === 'string' ? requirements.payTo.toLowerCase() : null,
+            outcome,
+            reason: body.reason || body.error || null,
+            txHash: body.transaction || null,
+            latencyMs: Date.now() - startedAt,
+            settlementId: body.settlementId || null,
+            requestId,
+        });
+    }
+
+    /**
+     * Recorded verify and settle attempts, newest first (GET /x402/payments)
+     *
+     * @param {object} request - { payer?, asset?, status?, operation?, network?, from?, to?, cursor?, limit? } —
+     *   from/to as ISO 8601 or unix seconds; limit 1–200 (default 50)
+     * @returns {Promise<{ statusCode: number, body: { payments: object[], nextCursor: string|null } }>}
+     */
+    async listPayments(request = {}) {
+        const blank = value => value === undefined || value === null || value === '';
+        const address = (name) => {
+            if (blank(request[name])) return { value: null };
+            return ethers.isAddress(request[name]) ? { value: request[name].toLowerCase() } : { error: rejected(`${name} must be an address`, 400) };
+        };
+        const time = (name) => {
+            if (blank(request[name])) return { value: null };
+            const value = /^\d+$/.test(String(request[name])) ? Number(request[name]) * 1000 : Date.parse(request[name]);
+            return Number.isNaN(value) ? { error: rejected(`${name} must be an ISO 8601 date or unix seconds`, 400) } : { value };
+        };
+
+        const payer = address('payer');
+        const asset = address('asset');
+        const from = time('from');
+        const to = time('to');
+        const failed = [payer, asset, from, to].find(filter => filter.error);
+        if (failed) return failed.error;
+
+        const status = blank(request.status) ? null : request.status;
+        if (status && !Object.values(PAYMENT_OUTCOMES).includes(status)) {
+            return rejected(`status must be one of ${Object.values(PAYMENT_OUTCOMES).join(', ')}`, 400);
+        }
+        const operation = blank(request.operation) ? null : request.operation;
+        if (operation && !['verify', 'settle'].includes(operation)) return rejected('operation must be verify or settle', 400);
+        const limit = blank(request.limit) ? 50 : parseAmount(request.limit, 200);
+        if (limit === null) return rejected('limit must be an integer between 1 and 200', 400);
+        const cursor = blank(request.cursor) ? null : request.cursor;
+        if (cursor) {
+            try { decodeCursor(cursor); }
+            catch { return rejected('Invalid cursor', 400); }
+        }
+
+        const page = await this.payments.query({
+            payer: payer.value, asset: asset.value, outcome: status, operation,
+            network: blank(request.network) ? null : request.network, from: from.value, to: to.value,
+        }, { cursor, limit: Number(limit) });
+        return { statusCode: 200, body: page };
+    }
+
+    // ── Webhooks ──
+
+    /**
+     * Queue a webhook event. Never throws: a payment must not fail because
+     * its notification could not be written.
+     */
+    emitEvent(type, data) {
+        try {
+            this.webhooks?.emit(type, data);
+        } catch (error) {
+            this.logger.error('Webhook event not queued', { event: type, error });
+        }
+    }
+
+    /**
+     * Recent webhook deliveries (GET /x402/webhooks/deliveries)
+     *
+     * @param {object} request - { status?, limit? } — limit 1–500 (default 50)
+     */
+    webhookDeliveries(request = {}) {
+        const { status = null } = request;
+        if (status && !Object.values(DELIVERY_STATUS).includes(status)) {
+            return rejected(`status must be one of ${Object.values(DELIVERY_STATUS).join(', ')}`, 400);
+        }
+        const limit = request.limit === undefined || request.limit === null || request.limit === '' ? 50 : parseAmount(request.limit, 500);
+        if (limit === null) return rejected('limit must be an integer between 1 and 500', 400);
+
+        const deliveries = this.webhooks.list({ status, limit: Number(limit) }).map(describeDelivery);
+        return { statusCode: 200, body: { deliveries, stats: this.webhooks.stats() } };
+    }
+
+    /**
+     * Send a delivery again, whatever its status (POST /x402/webhooks/deliveries/:id/replay)
+     */
+    async replayWebhook(id, { log = this.logger } = {}) {
+        const delivery = await this.webhooks.replay(id);
+        if (!delivery) return rejected('Delivery not found', 404);
+        log.info('Webhook replayed', { deliveryId: id, event: delivery.event.type, url: delivery.url, status: delivery.status });
+        return { statusCode: 200, body: { success: true, delivery: describeDelivery(delivery) } };
+    }
+
+    /**
+     * Send every failed delivery again (POST /x402/webhooks/replay)
+     */
+    async replayFailedWebhooks({ log = this.logger } = {}) {
+        const deliveries = [];
+        for (const failed of this.webhooks.list({ status: DELIVERY_STATUS.FAILED, limit: Infinity }).reverse()) {
+            deliveries.push(await this.webhooks.replay(failed.id));
+        }
+        const delivered = deliveries.filter(delivery => delivery.status === DELIVERY_STATUS.DELIVERED).length;
+        if (deliveries.length > 0) log.info('Failed webhooks replayed', { replayed: deliveries.length, delivered });
+        return { statusCode: 200, body: { success: true, replayed: deliveries.length, delivered, deliveries: deliveries.map(describeDelivery) } };
+    }
+
+    // ── Escrow lifecycle ──
+
+    /**
+     * Book an escrow order once its settlement is confirmed
+     */
+    holdEscrow(network, orderId, { buyer, asset, amount, refunded = '0', transaction }) {
+        const order = this.escrow.hold({ network, orderId: escrowOrderId(orderId), buyer, asset, amount, refunded, transaction });
+        this.logger.info('Escrow order held', { network, orderId: order.orderId, payer: buyer, amount: order.amount, expiresAt: order.expiresAt });
+    }
+
+    /**
+     * Order id and network of a lifecycle request ({ orderId, network? }):
+     * without `network`, the network the book has the order on, else the default
+     */
+    locateEscrow(request) {
+        if (!request?.orderId) return { error: rejected('orderId is required', 400) };
+        const orderId = escrowOrderId(request.orderId);
+        const recorded = request.network ? this.escrow.get(request.network, orderId) : this.escrow.find(orderId);
+        return { orderId, recorded, network: request.network || recorded?.network || this.defaultNetwork };
+    }
+
+    /**
+     * Read the order from the adapter and bring the book in line with it
+     * (orders can also move on-chain without the facilitator, e.g. through
+     * EscrowCore). Returns { error } when the order can't be read; `onChain`
+     * is null when the adapter does not know the order.
+     */
+    async loadEscrow({ orderId, recorded, network }) {
+        const chain = this.getChain(network);
+        if (!chain) return { error: rejected(`Unsupported network: ${network}`, 400) };
+        if (!chain.escrowAdapter) return { error: rejected(`Escrow adapter not configured for ${network}`, 400) };
+
+        const adapter = new ethers.Contract(chain.escrowAdapter, ADAPTER_ABI, chain.provider);
+        let onChain = null;
+        try {
+            const [buyer, token, amount, refunded, status] = await adapter.getOrder(orderId);
+            if (Number(status) !== 0) {
+                onChain = { buyer, token, amount: amount.toString(), refunded: refunded.toString(), status: ORDER_STATUS[Number(status)] || 'unknown' };
+            }
+        } catch (error) {
+            return { error: rejected(`Escrow adapter unavailable: ${error.reason || error.message}`, 502) };
+        }
+        if (!onChain && !recorded) return { error: rejected('Order not found', 404) };
+
+        const order = onChain ? this.escrow.sync(network, orderId, onChain) : recorded;
+        return { chain, adapter, orderId, order, onChain };
+    }
+
+    /**
+     * Escrow order status (GET /x402/escrow/:orderId)
+     *
+     * @param {object} request - { orderId, network? } — orderId as in the payment requirements
+     * @returns {Promise<{ statusCode: number, body: object }>} describeOrder() view, or { success: false, error }
+     */
+    async escrowOrder(request) {
+        const location = this.locateEscrow(request);
+        if (location.error) return location.error;
+        const target = await this.loadEscrow(location);
+        if (target.error) return target.error;
+        return { statusCode: 200, body: describeOrder(target.order) };
+    }
+
+    /**
+     * Pay what is left of an order to the seller (held or disputed orders)
+     *
+     * @param {object} request - { orderId, network?, reason? }
+     * @param {object} [context] - { log }
+     */
+    releaseEscrow(request, context) {
+        return this.escrowTransaction('release', request, context, ({ adapter, orderId, remaining }) => ({
+            transaction: adapter.release.populateTransaction(orderId),
+            amount: remaining,
+            status: ESCROW_STATUS.RELEASED,
+        }));
+    }
+
+    /**
+     * Return an order's funds to the buyer: `amount` (base units) or, without
+     * it, everything that is left. A partial refund leaves the order open.
+     *
+     * @param {object} request - { orderId, network?, amount?, reason? }
+     * @param {object} [context] - { log }
+     */
+    refundEscrow(request, context) {
+        return this.escrowTransaction('refund', request, context, ({ adapter, orderId, order, remaining }) => {
+            const amount = request.amount === undefined || request.amount === null ? remaining : parseAmount(request.amount, remaining);
+            if (amount === null) return rejected(`amount must be an integer amount between 1 and the remaining ${remaining}`, 400);
+            return {
+                transaction: adapter.refund.populateTransaction(orderId, amount),
+                amount,
+                status: amount === remaining ? ESCROW_STATUS.REFUNDED : order.status,
+            };
+        });
+    }
+
+    /**
+     * Freeze a held order: no expiry sweep until it is released or refunded explicitly
+     *
+     * @param {object} request - { orderId, network?, reason? }
+     * @param {object} [context] - { log }
+     */
+    disputeEscrow(request, context) {
+        return this.escrowTransaction('dispute', request, context, ({ adapter, orderId, order }) => {
+            if (order.status !== ESCROW_STATUS.HELD) return rejected(`Order is ${order.status}`, 409);
+            return { transaction: adapter.dispute.populateTransaction(orderId), amount: null, status: ESCROW_STATUS.DISPUTED };
+        });
+    }
+
+    /**
+     * One adapter transaction on an open order. `plan(target)` returns
+     * { transaction, amount, status } or a rejection; one lifecycle
+     * transaction per order is in flight at a time.
+     */
+    async escrowTransaction(action, request, { log = this.logger } = {}, plan) {
+        const location = this.locateEscrow(request);
+        if (location.error) return location.error;
+
+        const busyKey = EscrowBook.key(location.network, location.orderId);
+        if (this.escrowBusy.has(busyKey)) return rejected('Order is being updated', 409);
+        this.escrowBusy.add(busyKey);
+        log = log.child({ network: location.network, orderId: location.orderId });
+
+        try {
+            const target = await this.loadEscrow(location);
+            if (target.error) return target.error;
+            const { chain, orderId, order } = target;
+            if (!target.onChain) return rejected('Order is not held by the escrow adapter', 409);
+            if (order.status !== ESCROW_STATUS.HELD && order.status !== ESCROW_STATUS.DISPUTED) return rejected(`Order is ${order.status}`, 409);
+
+            const step = plan({ ...target, remaining: BigInt(order.amount) - BigInt(order.refunded) });
+            if (step.statusCode) return step;
+
+            const tx = await chain.relayers.submit(await step.transaction);
+            const receipt = await tx.wait();
+            const amount = step.amount === null ? null : step.amount.toString();
+            const fields = { status: step.status };
+            if (action === 'refund') fields.refunded = (BigInt(order.refunded) + step.amount).toString();
+            const updated = this.escrow.update(chain.network, orderId, fields, { action, transaction: receipt.hash, amount, reason: request.reason });
+            log.info(`Escrow ${action} confirmed`, { txHash: receipt.hash, amount, status: step.status, reason: request.reason });
+            if (action === 'refund') {
+                this.emitEvent('payment.refunded', {
+                    kind: 'escrow', network: chain.network, orderId, payer: updated.buyer, asset: updated.asset, amount,
+                    transaction: receipt.hash, reason: request.reason ?? null, order: describeOrder(updated),
+                });
+            }
+
+            return {
+                statusCode: 200,
+                body: { success: true, action, transaction: receipt.hash, amount, order: describeOrder(updated) },
+            };
+        } catch (error) {
+            log.error(`Escrow ${action} failed`, { error });
+            return rejected(error.reason || error.message, 500);
+        } finally {
+            this.escrowBusy.delete(busyKey);
+        }
+    }
+
+    /**
+     * Expiry sweep: refund (or release, see escrowExpiryAction) every held
+     * order past its expiry. Runs every escrowSweepInterval seconds after
+     * start() and on POST /x402/escrow/sweep; overlapping sweeps are skipped.
+     */
+    async sweepEscrow({ log = this.logger } = {}) {
+        if (this.sweeping) return rejected('Sweep already running', 409);
+        this.sweeping = true;
+
+        try {
+            const orders = [];
+            for (const order of this.escrow.expired()) {
+                const request = { orderId: order.orderId, network: order.network, reason: 'expired' };
+                const result = this.escrowExpiryAction === 'release'
+                    ? await this.releaseEscrow(request, { log })
+                    : await this.refundEscrow(request, { log });
+                orders.push({
+                    orderId: order.orderId, network: order.network, success: result.body.success,
+                    transaction: result.body.transaction || null, error: result.body.error || null,
+                });
+            }
+
+            const swept = orders.filter(order => order.success).length;
+            if (orders.length > 0) log.info('Escrow sweep', { action: this.escrowExpiryAction, expired: orders.length, swept });
+            return { statusCode: 200, body: { success: true, action: this.escrowExpiryAction, swept, orders } };
+        } finally {
+            this.sweeping = false;
+        }
+    }
+
+    // ── Refunds (transfer mode) ──
+
+    /**
+     * Refund a transfer settlement (POST /x402/refund). The payer, treasury,
+     * asset and amount come from the settlement's receipt, not the request.
+     * Asking again for a refunded settlement returns the first receipt.
+     *
+     * @param {object} request - { transaction, network?, reason? } — `transaction` is the settlement tx hash
+     * @param {object} [context] - { log }
+     * @returns {Promise<{ statusCode: number, body: object }>} Refund receipt (describeRefund())
+     */
+    async refundPayment(request, { log = this.logger } = {}) {
+        const { transaction, reason = null } = request || {};
+        if (typeof transaction !== 'string' || !ethers.isHexString(transaction, 32)) {
+            return rejected('transaction must be a settlement transaction hash', 400);
+        }
+        const network = request.network || this.defaultNetwork;
+        const chain = this.getChain(network);
+        if (!chain) return rejected(`Unsupported network: ${network}`, 400);
+
+        const busyKey = RefundLedger.key(chain.network, transaction);
+        if (this.refundBusy.has(busyKey)) return rejected('Refund in progress', 409);
+        this.refundBusy.add(busyKey);
+
+        log = log.child({ network: chain.network, settlementTx: transaction });
+        try {
+            const existing = this.refunds.get(chain.network, transaction);
+            if (existing?.status === REFUND_STATUS.REFUNDED) return { statusCode: 200, body: describeRefund(existing) };
+            if (existing?.status === REFUND_STATUS.PENDING) {
+                const pending = await this.resolveRefund(chain, existing, log);
+                if (pending) return pending;
+            }
+
+            const settlement = await this.readSettlement(chain, transaction);
+            if (settlement.error) return settlement.error;
+            return await this.sendRefund(chain, transaction, { ...settlement, reason }, log);
+        } catch (error) {
+            log.error('Refund error', { error });
+            return rejected(error.reason || error.message, 500);
+        } finally {
+            this.refundBusy.delete(busyKey);
+        }
+    }
+
+    /**
+     * Payer, treasury, asset and amount of a transfer settlement sent by this
+     * facilitator's relayers, or { error }
+     */
+    async readSettlement(chain, transaction) {
+        const receipt = await chain.provider.getTransactionReceipt(transaction);
+        if (!receipt) return { error: rejected('Settlement not found (or not mined yet)', 404) };
+        if (receipt.status !== 1) return { error: rejected('Settlement reverted', 409) };
+
+        const relayers = this.relayerAddresses.map(address => address.toLowerCase());
+        if (!relayers.includes(receipt.from.toLowerCase())) return { error: rejected('Not a settlement sent by this facilitator', 400) };
+
+        const events = new ethers.Interface([...EIP3009_ABI, ...ERC20_ABI]);
+        const parsed = receipt.logs
+            .filter(log => chain.assets[log.address.toLowerCase()])
+            .map(log => ({ address: log.address.toLowerCase(), event: events.parseLog(log) }))
+            .filter(({ event }) => event);
+        const used = parsed.find(({ event }) => event.name === 'AuthorizationUsed');
+        const transfer = used && parsed.find(({ address, event }) => event.name === 'Transfer'
+            && address === used.address && event.args.from.toLowerCase() === used.event.args.authorizer.toLowerCase());
+        if (!transfer) return { error: rejected('Not a transfer settlement', 400) };
+
+        const [payer, treasury, value] = transfer.event.args;
+        if (relayers.includes(treasury.toLowerCase())) {
+            return { error: rejected('Metered settlements return the unused part when they settle', 400) };
+        }
+        if (chain.escrowAdapter && treasury.toLowerCase() === chain.escrowAdapter.toLowerCase()) {
+            return { error: rejected('Escrow payments are refunded through /x402/escrow/:orderId/refund', 400) };
+        }
+        return { payer, treasury, asset: transfer.address, amount: value };
+    }
+
+    /**
+     * Settle the fate of a pending refund (signed before a crash, a node error
+     * or a wait timeout) on chain. Returns the response when it is refunded or
+     * may still be mined; null once it is failed and can be sent again.
+     */
+    async resolveRefund(chain, refund, log) {
+        const key = { network: refund.network, transaction: refund.settlementTransaction };
+        if (!refund.refundTransaction) {
+            return rejected('Refund was started without a recorded transaction: check the treasury\'s transfers to the payer, it is not sent again', 409);
+        }
+
+        // Nonce first: if the refund was mined, its receipt is there by the time we look
+        const minedNonce = await chain.provider.getTransactionCount(this.collector, 'latest');
+        for (const hash of [refund.refundTransaction, ...(refund.replaced || [])]) {
+            const receipt = await chain.provider.getTransactionReceipt(hash);
+            if (!receipt) continue;
+            if (receipt.status !== 1) {
+                this.refunds.update(key.network, key.transaction, { status: REFUND_STATUS.FAILED, refundTransaction: hash, error: 'Refund reverted' });
+                return null;
+            }
+            const refunded = this.refunds.update(key.network, key.transaction, {
+                status: REFUND_STATUS.REFUNDED, refundTransaction: hash, blockNumber: receipt.blockNumber,
+            });
+            this.emitEvent('payment.refunded', { kind: 'transfer', ...describeRefund(refunded) });
+            return { statusCode: 200, body: describeRefund(refunded) };
+        }
+        if (!Number.isInteger(refund.refundNonce) || refund.refundNonce >= minedNonce) {
+            return rejected(`Refund ${refund.refundTransaction} is not confirmed yet`, 409);
+        }
+
+        // Another collector transaction took its nonce: this one can never be mined
+        log.warn('Refund dropped', { refundTx: refund.refundTransaction, nonce: refund.refundNonce });
+        this.refunds.update(key.network, key.transaction, { status: REFUND_STATUS.FAILED, error: 'Refund dropped: its nonce was used by another transaction' });
+        return null;
+    }
+
+    /**
+     * Send `amount` from the treasury back to the payer from the collector.
+     * The refund is recorded with its hash once signed, before the broadcast.
+     * It is marked failed only when nothing was signed or it reverted; after
+     * any other error it stays pending and resolveRefund() decides.
+     */
+    async sendRefund(chain, transaction, { payer, treasury, asset, amount, reason }, log) {
+        const token = new ethers.Contract(asset, ERC20_ABI, chain.provider);
+        const [allowance, balance] = await Promise.all([token.allowance(treasury, this.collector), token.balanceOf(treasury)]);
+        if (allowance < amount) {
+            return rejected(`Treasury allowance for the collector ${this.collector} is ${allowance}, the refund needs ${amount}`, 409);
+        }
+        if (balance < amount) return rejected(`Treasury balance ${balance} is below the refund (${amount})`, 409);
+
+        const record = { network: chain.network, transaction, payer, treasury, asset, amount, reason };
+        let signed = null;
+        const onSigned = ({ hash, nonce }) => {
+            // Signed again after a nonce error: the first hash is kept in `replaced`
+            if (signed) this.refunds.replaceTransaction(signed, hash, { refundNonce: nonce });
+            else this.refunds.begin({ ...record, refundTransaction: hash, refundNonce: nonce });
+            signed = hash;
+        };
+        try {
+            const tx = await chain.relayers.submit(await token.transferFrom.populateTransaction(treasury, payer, amount), { from: this.collector, onSigned });
+            log.info('Refund sent', { payer, amount: amount.toString(), refundTx: tx.hash, reason });
+
+            const receipt = await tx.wait();
+            const refund = this.refunds.update(chain.network, transaction, {
+                status: REFUND_STATUS.REFUNDED, refundTransaction: receipt.hash, blockNumber: receipt.blockNumber,
+            });
+            log.info('Refund confirmed', { payer, amount: amount.toString(), refundTx: receipt.hash, blockNumber: receipt.blockNumber });
+            this.emitEvent('payment.refunded', { kind: 'transfer', ...describeRefund(refund) });
+            return { statusCode: 200, body: describeRefund(refund) };
+        } catch (error) {
+            log.error('Refund failed', { error, payer, amount: amount.toString(), refundTx: signed });
+            if (!signed) {
+                this.refunds.fail(record, error.reason || error.message);
+            } else if (error.receipt) {
+                this.refunds.update(chain.network, transaction, { status: REFUND_STATUS.FAILED, error: error.reason || error.message });
+            }
+            return rejected(`Refund failed: ${error.reason || error.message}`, 500);
+        }
+    }
+
+    /**
+     * Chain, relayer and ledger status (GET /x402/health); reconnects chains that were down
+     */
+    async health() {
+        const networks = await Promise.all([...this.chains.values()].map(async (chain) => {
+            const status = {
+                network: chain.network,
+                chainId: chain.chainId,
+                chainName: chain.chainName,
+                adapter: chain.escrowAdapter || null,
+                supportedAssets: Object.entries(chain.assets).map(([addr, info]) => ({
+                    address: addr,
+                    symbol: info.symbol,
+                    eip3009: info.eip3009,
+                })),
+            };
+
+            try {
+                const blockNumber = await chain.provider.getBlockNumber();
+                if (!chain.connected) {
+                    await chain.relayers.init();
+                    chain.relayers.start();
+                    chain.connected = true;
+                } else {
+                    await chain.relayers.refreshBalances();
+                }
+                return { ...status, status: 'ok', blockNumber, relayers: chain.relayers.status() };
+            } catch (error) {
+                return { ...status, status: 'error', error: error.message };
+            }
+        }));
+
+        const healthy = networks.filter(n => n.status === 'ok').length;
+
+        return {
+            statusCode: healthy > 0 ? 200 : 503,
+            body: {
+                status: healthy === networks.length ? 'ok' : (healthy > 0 ? 'degraded' : 'error'),
+                defaultNetwork: this.defaultNetwork,
+                facilitator: this.relayerAddresses[0],
+                collector: this.collector,
+                relayers: this.relayerAddresses,
+                nonces: this.nonceStore.stats(),
+                settlements: this.settlements.stats(),
+                escrow: this.escrow.stats(),
+                refunds: this.refunds.stats(),
+                webhooks: { endpoints: this.webhooks.endpoints.length, ...this.webhooks.stats() },
+                payments: await this.payments.stats(),
+                networks,
+                x402Version: 2,
+            },
+        };
+    }
+}
+
+module.exports = {
+    Facilitator,
+    configFromEnv,
+    settlementLogFields,
+    ADAPTER_ABI,
+    EIP3009_ABI,
+    ERC20_ABI,
+    TRANSFER_AUTH_TYPES,
+    SCHEMES,
+};
@@ -0,0 +1,219 @@
+/**
+ * Append-only JSON-lines store
+ *
+ * Shared persistence for the facilitator's ledgers. Records are kept in an
+ * in-memory Map and every change is appended synchronously to disk, so a
+ * write is durable before the caller moves on. On load (and on compact())
+ * the file is replayed (later lines win) and rewritten without the records
+ * `keep` rejects.
+ *
+ * The facilitator's stores have a single writer. A `shared` store is written
+ * by several processes (the agent's spend ledger): it is never rewritten,
+ * since a rewrite would drop lines appended meanwhile; reload() picks up the
+ * other processes' appends and locked() serializes read-check-append
+ * sequences through a lock file next to it. The lock relies on link(2),
+ * rename(2) and process ids, so a shared store must sit on a local
+ * filesystem used by processes on the same host (not NFS or a synced folder).
+ *
+ * @package x402-boilerplate
+ * @since 1.1.0
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// How long locked() waits for another process, and the age after which a
+// lock whose owner still seems alive (pid reused) is taken over anyway
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_STALE_MS = 30_000;
+
+/**
+ * Whether a process with this id is running (on this machine)
+ */
+function processAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+}
+
+function sleepSync(ms) {
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Replay a JSON-lines file without writing to it: records by key, later
+ * lines merged over earlier ones (empty if the file does not exist)
+ *
+ * @returns {Map<string, object>}
+ */
+function readJsonl(filePath, keyField = 'key') {
+    const entries = new Map();
+    if (!fs.existsSync(filePath)) return entries;
+    for (const line of fs.readFileSync(filePath, 'utf-8').split('\n')) {
+        if (!line.trim()) continue;
+        try {
+            const record = JSON.parse(line);
+            const key = record[keyField];
+            entries.set(key, { ...entries.get(key), ...record });
+        } catch {
+            // Torn write from a crash — ignore the partial line
+        }
+    }
+    return entries;
+}
+
+class JsonlStore {
+    /**
+     * @param {object} options
+     * @param {string} options.filePath - JSON-lines file (created if missing)
+     * @param {string} [options.keyField] - Record field used as the Map key
+     * @param {function} [options.keep] - Compaction filter applied on load
+     * @param {boolean} [options.shared] - Written by other processes too: never rewritten, `keep` is ignored
+     */
+    constructor({ filePath, keyField = 'key', keep = () => true, shared = false }) {
+        this.filePath = filePath;
+        this.keyField = keyField;
+        this.shared = shared;
+        this.entries = new Map();
+        this.load(keep);
+    }
+
+    load(keep) {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        this.entries = readJsonl(this.filePath, this.keyField);
+        if (!this.shared) this.compact(keep);
+    }
+
+    /**
+     * Replay the file again, with what other processes appended since
+     */
+    reload() {
+        this.entries = readJsonl(this.filePath, this.keyField);
+    }
+
+    /**
+     * Run `fn` (synchronous) holding the store's lock file. A lock left by a
+     * process that is gone is taken over; otherwise throws after LOCK_TIMEOUT_MS.
+     */
+    locked(fn) {
+        const lockPath = this.filePath + '.lock';
+        const deadline = Date.now() + LOCK_TIMEOUT_MS;
+        // The lock is written in full, then linked into place: it is never seen empty
+        const token = `${process.pid} ${crypto.randomUUID()}`;
+        const tmpPath = `${lockPath}.${crypto.randomUUID()}`;
+        fs.writeFileSync(tmpPath, token);
+        let claim = null;
+        try {
+            for (;;) {
+                try {
+                    fs.linkSync(tmpPath, lockPath);
+                    break;
+                } catch (error) {
+                    if (error.code !== 'EEXIST') throw error;
+                }
+                const held = readLock(lockPath);
+                if (held && lockIsStale(held)) {
+                    claim = takeOver(lockPath, held.token, tmpPath);
+                    if (claim) break;
+                }
+                if (Date.now() > deadline) throw new Error(`${this.filePath} is locked by another process (${lockPath})`);
+                sleepSync(10);
+            }
+        } finally {
+            fs.rmSync(tmpPath, { force: true });
+        }
+
+        try {
+            return fn();
+        } finally {
+            // Only our own lock: after LOCK_STALE_MS another process may have taken it over
+            if (readLock(lockPath)?.token === token) fs.rmSync(lockPath, { force: true });
+            if (claim) fs.rmSync(claim, { force: true });
+        }
+    }
+
+    /**
+     * Drop the records `keep` rejects and rewrite the file with the rest
+     */
+    compact(keep) {
+        if (this.shared) throw new Error('Shared JSON-lines stores are append-only');
+        for (const [key, entry] of this.entries) {
+            if (!keep(entry)) this.entries.delete(key);
+        }
+
+        const tmpPath = this.filePath + '.tmp';
+        const content = [...this.entries.values()].map(entry => JSON.stringify(entry) + '\n').join('');
+        fs.writeFileSync(tmpPath, content);
+        fs.renameSync(tmpPath, this.filePath);
+    }
+
+    get(key) {
+        return this.entries.get(key) || null;
+    }
+
+    values() {
+        return this.entries.values();
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    /**
+     * Merge `update` into the record with the same key and append it
+     * @returns {object} The merged record
+     */
+    write(update) {
+        const key = update[this.keyField];
+        const entry = { ...this.entries.get(key), ...update };
+        this.entries.set(key, entry);
+        fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n');
+        return entry;
+    }
+}
+
+function readLock(lockPath) {
+    try {
+        const token = fs.readFileSync(lockPath, 'utf-8');
+        return { token, pid: parseInt(token, 10), mtimeMs: fs.statSync(lockPath).mtimeMs };
+    } catch {
+        return null; // released meanwhile
+    }
+}
+
+function lockIsStale({ pid, mtimeMs }) {
+    return (Number.isInteger(pid) && !processAlive(pid)) || Date.now() - mtimeMs > LOCK_STALE_MS;
+}
+
+/**
+ * Replace the stale lock `stale` with ours (at `tmpPath`). Several waiters can
+ * judge the same lock stale: each first creates a claim file named after it,
+ * and only the one that gets the claim, and finds the lock unchanged, renames
+ * its own lock over it, so no one removes a lock another process just took.
+ *
+ * @returns {string|null} The claim file, removed on release, or null
+ */
+function takeOver(lockPath, stale, tmpPath) {
+    const claim = `${lockPath}.${stale.replace(/\W/g, '')}.takeover`;
+    try {
+        fs.writeFileSync(claim, String(process.pid), { flag: 'wx' });
+    } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+        // A waiter that died while taking over
+        const owner = readLock(claim);
+        if (owner && lockIsStale(owner)) fs.rmSync(claim, { force: true });
+        return null;
+    }
+    if (readLock(lockPath)?.token !== stale) {
+        fs.rmSync(claim, { force: true });
+        return null;
+    }
+    fs.renameSync(tmpPath, lockPath);
+    return claim;
+}
+
+module.exports = { JsonlStore, readJsonl, processAlive };
@@ -0,0 +1,115 @@
+/**
+ * x402 Structured Logger
+ *
+ * Leveled logger that writes one JSON object per line (default) or a
+ * readable `[x402] message key=value` line. Child loggers carry bound
+ * fields — the facilitator binds `requestId` and `route` per request, then
+ * payer / asset / amount / txHash as a handler learns them.
+ *
+ *   X402_LOG_LEVEL:  debug | info | warn | error | silent (default: info)
+ *   X402_LOG_FORMAT: json | text (default: json)
+ *
+ * @package x402-boilerplate
+ * @since 1.1.0
+ */
+
+const crypto = require('crypto');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const FORMATS = ['json', 'text'];
+
+// X-Request-Id values accepted from clients; anything else gets a fresh id
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+function serializeError(error) {
+    const fields = { message: error.message };
+    if (error.code) fields.code = error.code;
+    if (error.reason) fields.reason = error.reason;
+    if (error.shortMessage && error.shortMessage !== error.message) fields.shortMessage = error.shortMessage;
+    return fields;
+}
+
+function serialize(value) {
+    if (value instanceof Error) return serializeError(value);
+    if (typeof value === 'bigint') return value.toString();
+    return value;
+}
+
+class Logger {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.level] - Minimum level written
+     * @param {string} [options.format] - 'json' or 'text'
+     * @param {object} [options.fields] - Fields bound to every line
+     * @param {object} [options.stream] - Output for debug/info (default: stdout)
+     * @param {object} [options.errorStream] - Output for warn/error (default: stderr)
+     * @param {Function} [options.now] - Clock returning a Date (tests)
+     */
+    constructor({ level = 'info', format = 'json', fields = {}, stream = process.stdout, errorStream = process.stderr, now = () => new Date() } = {}) {
+        if (!(level in LEVELS)) throw new Error(`Unknown log level: ${level} (expected ${Object.keys(LEVELS).join(', ')})`);
+        if (!FORMATS.includes(format)) throw new Error(`Unknown log format: ${format} (expected ${FORMATS.join(', ')})`);
+        this.level = level;
+        this.format = format;
+        this.fields = fields;
+        this.stream = stream;
+        this.errorStream = errorStream;
+        this.now = now;
+    }
+
+    /**
+     * Logger that adds `fields` to every line
+     */
+    child(fields) {
+        return new Logger({ ...this, fields: { ...this.fields, ...fields } });
+    }
+
+    enabled(level) {
+        return LEVELS[level] >= LEVELS[this.level];
+    }
+
+    debug(message, fields) { this.write('debug', message, fields); }
+    info(message, fields) { this.write('info', message, fields); }
+    warn(message, fields) { this.write('warn', message, fields); }
+    error(message, fields) { this.write('error', message, fields); }
+
+    write(level, message, fields = {}) {
+        if (!this.enabled(level)) return;
+
+        const entry = {};
+        for (const [key, value] of Object.entries({ ...this.fields, ...fields })) {
+            if (value !== undefined && value !== null) entry[key] = serialize(value);
+        }
+
+        const line = this.format === 'json'
+            ? JSON.stringify({ time: this.now().toISOString(), level, msg: message, ...entry })
+            : formatText(level, message, entry);
+
+        (LEVELS[level] >= LEVELS.warn ? this.errorStream : this.stream).write(line + '\n');
+    }
+}
+
+function formatText(level, message, entry) {
+    const pairs = Object.entries(entry).map(([key, value]) => {
+        const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        return `${key}=${/\s/.test(text) ? JSON.stringify(text) : text}`;
+    });
+    const prefix = level === 'info' ? '[x402]' : `[x402] ${level.toUpperCase()}`;
+    return [prefix, message, ...pairs].join(' ');
+}
+
+/**
+ * Logger configured from X402_LOG_LEVEL / X402_LOG_FORMAT
+ */
+function createLogger(env = process.env, options = {}) {
+    return new Logger({ level: env.X402_LOG_LEVEL || 'info', format: env.X402_LOG_FORMAT || 'json', ...options });
+}
+
+/**
+ * Correlation id for a request: the caller's X-Request-Id if well-formed, else a new UUID
+ */
+function requestIdFrom(headerValue) {
+    const value = Array.isArray(headerValue) ? headerValue[0] : headerValue;
+    return value && REQUEST_ID_PATTERN.test(value) ? value : crypto.randomUUID();
+}
+
+module.exports = { Logger, createLogger, requestIdFrom, LEVELS };
@@ -0,0 +1,174 @@
+/**
+ * x402 Metrics Registry
+ *
+ * Minimal Prometheus client: counters, gauges and histograms with labels,
+ * rendered in the text exposition format (version 0.0.4) for GET /metrics.
+ *
+ * Gauges may take a `collect` callback that refreshes their values at
+ * scrape time (e.g. relayer balances read from the pool's cache).
+ *
+ * @package x402-boilerplate
+ * @since 1.1.0
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const DEFAULT_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return '{' + entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',') + '}';
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+class Metric {
+    constructor(type, name, help, labelNames = []) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.series = new Map(); // label key → { labels, ... }
+    }
+
+    labels(labels = {}) {
+        const picked = {};
+        for (const name of this.labelNames) picked[name] = labels[name] ?? '';
+        return picked;
+    }
+
+    entry(labels, init) {
+        const picked = this.labels(labels);
+        const key = JSON.stringify(picked);
+        if (!this.series.has(key)) this.series.set(key, { labels: picked, ...init() });
+        return this.series.get(key);
+    }
+
+    header() {
+        return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, labelNames) {
+        super('counter', name, help, labelNames);
+    }
+
+    inc(labels = {}, amount = 1) {
+        if (amount < 0) throw new Error(`Counter ${this.name} cannot decrease`);
+        this.entry(labels, () => ({ value: 0 })).value += amount;
+    }
+
+    get(labels = {}) {
+        return this.series.get(JSON.stringify(this.labels(labels)))?.value || 0;
+    }
+
+    render() {
+        return [...this.header(), ...[...this.series.values()].map(s => `${this.name}${formatLabels(s.labels)} ${formatValue(s.value)}`)];
+    }
+}
+
+class Gauge extends Metric {
+    /**
+     * @param {Function} [collect] - Called with the gauge before each render
+     */
+    constructor(name, help, labelNames, collect = null) {
+        super('gauge', name, help, labelNames);
+        this.collect = collect;
+    }
+
+    set(labels = {}, value) {
+        this.entry(labels, () => ({ value: 0 })).value = value;
+    }
+
+    get(labels = {}) {
+        return this.series.get(JSON.stringify(this.labels(labels)))?.value;
+    }
+
+    reset() {
+        this.series.clear();
+    }
+
+    render() {
+        if (this.collect) this.collect(this);
+        return [...this.header(), ...[...this.series.values()].map(s => `${this.name}${formatLabels(s.labels)} ${formatValue(s.value)}`)];
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+        super('histogram', name, help, labelNames);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    observe(labels = {}, value) {
+        const series = this.entry(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+        this.buckets.forEach((bound, i) => { if (value <= bound) series.counts[i]++; });
+        series.sum += value;
+        series.count++;
+    }
+
+    render() {
+        const lines = this.header();
+        for (const series of this.series.values()) {
+            this.buckets.forEach((bound, i) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${series.counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+            lines.push(`${this.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`);
+            lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+        }
+        return lines;
+    }
+}
+
+class MetricsRegistry {
+    constructor() {
+        this.metrics = new Map();
+    }
+
+    register(metric) {
+        if (this.metrics.has(metric.name)) throw new Error(`Metric already registered: ${metric.name}`);
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    counter(name, help, labelNames) {
+        return this.register(new Counter(name, help, labelNames));
+    }
+
+    gauge(name, help, labelNames, collect) {
+        return this.register(new Gauge(name, help, labelNames, collect));
+    }
+
+    histogram(name, help, labelNames, buckets) {
+        return this.register(new Histogram(name, help, labelNames, buckets));
+    }
+
+    /**
+     * Prometheus text exposition of every registered metric
+     */
+    render() {
+        return [...this.metrics.values()].map(metric => metric.render().join('\n')).join('\n\n') + '\n';
+    }
+}
+
+/**
+ * Collapse a free-form verify/settle reason into a low-cardinality label:
+ * 'Unsupported network: eip155:5' → 'Unsupported network'.
+ */
+function reasonLabel(reason) {
+    if (!reason) return '';
+    return String(reason).split(/[:(\n]/)[0].trim().slice(0, 64);
+}
+
+module.exports = { MetricsRegistry, Counter, Gauge, Histogram, reasonLabel, CONTENT_TYPE, DEFAULT_BUCKETS };
@@ -0,0 +1,135 @@
+/**
+ * x402 Network Registry
+ *
+ * Loads the facilitator's chain configuration (networks.json) and indexes it
+ * by CAIP-2 network id (`eip155:<chainId>`), the same value buyers put in the
+ * `network` field of their payment payload.
+ *
+ * Chain entries mirror the wallet_addEthereumChain shape used by
+ * assets/js/config/networks.js, plus the facilitator-only fields:
+ *   - assets:        EIP-3009 tokens accepted on this chain (keyed by address)
+ *   - escrowCore:    EscrowCore contract (informational)
+ *   - escrowAdapter: X402EscrowAdapter contract (enables escrow mode)
+ *
+ * @package x402-boilerplate
+ * @since 1.1.0
+ */
+
+const fs = require('fs');
+
+/**
+ * Read and validate a networks config file.
+ *
+ * @param {string} filePath - Path to networks.json
+ * @param {object} [overrides] - Values applied to the default network
+ * @param {string} [overrides.escrowAdapter] - Adapter address (X402_ADAPTER_ADDRESS)
+ * @returns {{ defaultNetwork: string, networks: Map<string, object> }}
+ */
+function loadNetworks(filePath, overrides = {}) {
+    const raw = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    return buildNetworks(raw, overrides);
+}
+
+function buildNetworks(raw, overrides = {}) {
+    if (!Array.isArray(raw.networks) || raw.networks.length === 0) {
+        throw new Error('Networks config must list at least one network');
+    }
+
+    const networks = new Map();
+
+    for (const entry of raw.networks) {
+        const chainId = Number(entry.chainId);
+        if (!Number.isInteger(chainId) || chainId <= 0) throw new Error(`Invalid chainId: ${entry.chainId}`);
+        if (!entry.rpcUrls || !entry.rpcUrls[0]) throw new Error(`Network ${chainId} has no rpcUrls`);
+
+        const network = `eip155:${chainId}`;
+        if (networks.has(network)) throw new Error(`Duplicate network: ${network}`);
+
+        const assets = {};
+        for (const [address, info] of Object.entries(entry.assets || {})) {
+            assets[address.toLowerCase()] = info;
+        }
+
+        networks.set(network, {
+            network,
+            chainId,
+            chainName: entry.chainName || network,
+            nativeCurrency: entry.nativeCurrency || { name: 'Ether', symbol: 'ETH', decimals: 18 },
+            rpc: entry.rpcUrls[0],
+            rpcUrls: entry.rpcUrls,
+            blockExplorerUrls: entry.blockExplorerUrls || [],
+            assets,
+            escrowCore: entry.escrowCore || '',
+            escrowAdapter: entry.escrowAdapter || '',
+        });
+    }
+
+    const defaultNetwork = raw.defaultNetwork || networks.keys().next().value;
+    if (!networks.has(defaultNetwork)) throw new Error(`Default network ${defaultNetwork} is not configured`);
+
+    if (overrides.escrowAdapter && !networks.get(defaultNetwork).escrowAdapter) {
+        networks.get(defaultNetwork).escrowAdapter = overrides.escrowAdapter;
+    }
+
+    return { defaultNetwork, networks };
+}
+
+/**
+ * Public description of a network in wallet_addEthereumChain form
+ * (matches assets/js/config/networks.js), with accepted assets attached.
+ */
+function describeNetwork(chain) {
+    return {
+        network: chain.network,
+        chainId: '0x' + chain.chainId.toString(16),
+        chainName: chain.chainName,
+        nativeCurrency: chain.nativeCurrency,
+        rpcUrls: chain.rpcUrls,
+        blockExplorerUrls: chain.blockExplorerUrls,
+        assets: Object.entries(chain.assets).map(([address, info]) => ({
+            address,
+            symbol: info.symbol,
+            decimals: info.decimals,
+            eip3009: info.eip3009,
+        })),
+        escrow: !!chain.escrowAdapter,
+    };
+}
+
+/**
+ * Payment kinds the facilitator can verify and settle (GET /x402/supported).
+ * Every EIP-3009 asset is settleable by direct transfer; chains with an
+ * escrow adapter additionally accept escrow settlement. Metered (`upto`)
+ * escrow kinds come with the adapter; metered transfer kinds need the
+ * facilitator's collector address, which buyers authorize instead of the
+ * treasury and which is listed in the kind's `extra`.
+ *
+ * @param {Map<string, object>} networks - Network registry from loadNetworks()
+ * @param {object} [options]
+ * @param {string} [options.collector] - Collector address (Facilitator#collector)
+ * @returns {Array<{x402Version: number, scheme: string, network: string, asset: string, settlementMode: string, extra?: object}>}
+ */
+function supportedKinds(networks, { collector = null } = {}) {
+    const kinds = [];
+
+    for (const chain of networks.values()) {
+        for (const [asset, info] of Object.entries(chain.assets)) {
+            if (!info.eip3009) continue;
+
+            const modes = chain.escrowAdapter ? ['transfer', 'escrow'] : ['transfer'];
+            for (const settlementMode of modes) {
+                kinds.push({ x402Version: 2, scheme: 'exact', network: chain.network, asset, settlementMode });
+            }
+            if (collector) {
+                kinds.push({ x402Version: 2, scheme: 'upto', network: chain.network, asset, settlementMode: 'transfer', extra: { collector } });
+            }
+            if (chain.escrowAdapter) {
+                kinds.push({ x402Version: 2, scheme: 'upto', network: chain.network, asset, settlementMode: 'escrow' });
+            }
+        }
+    }
+
+    return kinds;
+}
+
+module.exports = { loadNetworks, buildNetworks, describeNetwork, supportedKinds };
@@ -0,0 +1,119 @@
+/**
+ * x402 Nonce Ledger
+ *
+ * Durable record of every EIP-3009 nonce the facilitator has accepted.
+ * Prevents the same PAYMENT-SIGNATURE from being verified or settled twice.
+ *
+ * Backed by an append-only JSON-lines file (see jsonl-store.cjs). Every state
+ * change is written synchronously, so a reservation is both atomic
+ * (single-threaded check-and-set) and durable before the settlement
+ * transaction is broadcast.
+ *
+ * Nonce states:
+ *   - authorized: verified metered (upto) payment, held for its settlement
+ *   - pending:  reserved for a settlement that is in flight
+ *   - settled:  transferred on-chain (terminal)
+ *   - failed:   settlement reverted or was never broadcast (may be retried)
+ *
+ * @package x402-boilerplate
+ * @since 1.1.0
+ */
+
+const { JsonlStore } = require('./jsonl-store.cjs');
+
+const STATUS = Object.freeze({
+    AUTHORIZED: 'authorized',
+    PENDING: 'pending',
+    SETTLED: 'settled',
+    FAILED: 'failed',
+});
+
+/**
+ * Build a ledger key. EIP-3009 nonces are scoped per token and authorizer,
+ * and the network keeps identical token addresses on different chains apart.
+ */
+function nonceKey(network, asset, from, nonce) {
+    return [network, asset, from, nonce].map(part => String(part).toLowerCase()).join(':');
+}
+
+class NonceStore {
+    /**
+     * @param {object} options
+     * @param {string} options.filePath - JSON-lines ledger file (created if missing)
+     * @param {function} [options.now] - Clock returning unix seconds
+     */
+    constructor({ filePath, now = () => Math.floor(Date.now() / 1000) }) {
+        this.now = now;
+
+        // Entries whose authorization window has closed are dropped on load —
+        // they can never pass verification again.
+        const loadedAt = now();
+        this.store = new JsonlStore({
+            filePath,
+            keep: entry => !(entry.validBefore && Number(entry.validBefore) < loadedAt),
+        });
+    }
+
+    get size() {
+        return this.store.size;
+    }
+
+    get(key) {
+        return this.store.get(key);
+    }
+
+    /**
+     * A nonce is used once it is authorized, pending or settled. Failed nonces
+     * were never consumed on-chain, so the buyer may submit the same
+     * authorization again.
+     */
+    isUsed(key) {
+        const entry = this.store.get(key);
+        return !!entry && entry.status !== STATUS.FAILED;
+    }
+
+    /**
+     * Atomically hold a nonce between the verification of a metered payment
+     * and its settlement, so replays of the same authorization fail verify.
+     * @returns {boolean} false if the nonce is already authorized, pending or settled
+     */
+    authorize(key, { payer, asset, validBefore } = {}) {
+        if (this.isUsed(key)) return false;
+        this.write({ key, status: STATUS.AUTHORIZED, payer, asset, validBefore, txHash: null, reason: null });
+        return true;
+    }
+
+    /**
+     * Atomically reserve a nonce for settlement. An authorized nonce is taken
+     * over by the settlement that follows its verification.
+     * @returns {boolean} false if the nonce is already pending or settled
+     */
+    reserve(key, { payer, asset, validBefore } = {}) {
+        if (this.isUsed(key) && this.store.get(key).status !== STATUS.AUTHORIZED) return false;
+        this.write({ key, status: STATUS.PENDING, payer, asset, validBefore, txHash: null, reason: null });
+        return true;
+    }
+
+    markSettled(key, txHash) {
+        this.write({ key, status: STATUS.SETTLED, txHash });
+    }
+
+    markFailed(key, reason) {
+        this.write({ key, status: STATUS.FAILED, reason });
+    }
+
+    write(update) {
+        this.store.write({ ...update, updatedAt: this.now() });
+    }
+
+    /**
+     * Count entries by status (for /x402/health)
+     */
+    stats() {
+        const counts = { authorized: 0, pending: 0, settled: 0, failed: 0 };
+        for (const entry of this.store.values()) counts[entry.status]++;
+        return counts;
+    }
+}
+
+module.exports = { NonceStore, nonceKey, STATUS };
@@ -0,0 +1,491 @@
+/**
+ * x402 Payment Ledger
+ *
+ * The facilitator's own record of every verify and settle attempt, whatever
+ * the resource server does with the result:
+ *
+ *   { id, createdAt, operation (verify|settle), mode (escrow|transfer), scheme,
+ *     network, payloadHash, payer, asset, amount, payTo, outcome, reason,
+ *     txHash, latencyMs, settlementId, requestId }
+ *
+ * Outcomes: verify → valid | invalid; settle → settled | pending | rejected
+ * (refused before anything was sent) | failed (sent and did not go through).
+ * Async settlements are recorded as pending and updated once final.
+ *
+ * Backends:
+ *   sqlite   (default) a local database file, through node:sqlite (Node 22.5+)
+ *            or the better-sqlite3 package; without either, JSON lines next to
+ *            it, with a warning
+ *   postgres the optional pg package; X402_PAYMENT_DATABASE_URL or the DB_PGSQL_*
+ *            variables the PHP API uses
+ *   jsonl    JSON lines (lib/jsonl-store.cjs), held in memory, for small setups
+ *            and tests
+ *
+ * Every attempt is kept. With a retention set, the JSON-lines ledger drops
+ * attempts older than it on load and hourly; prune the SQL backends with a
+ * database job.
+ *
+ * Writes are queued in order and never throw into a payment: a ledger that
+ * is down is logged, not fatal. query() pages newest first with an opaque cursor.
+ *
+ * @package x402-boilerplate
+ * @since 1.1.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { JsonlStore } = require('./jsonl-store.cjs');
+const { createLogger } = require('./logger.cjs');
+
+const PAYMENT_LEDGER_BACKENDS = ['sqlite', 'postgres', 'jsonl'];
+
+// How often the JSON-lines ledger drops attempts past the retention
+const COMPACT_INTERVAL_MS = 3600 * 1000;
+
+const PAYMENT_OUTCOMES = Object.freeze({
+    VALID: 'valid',
+    INVALID: 'invalid',
+    SETTLED: 'settled',
+    PENDING: 'pending',
+    REJECTED: 'rejected',
+    FAILED: 'failed',
+});
+
+const TABLE = 'x402_facilitator_payments';
+
+// Record field → column
+const COLUMNS = Object.freeze({
+    id: 'id',
+    createdAt: 'created_at',
+    operation: 'operation',
+    mode: 'mode',
+    scheme: 'scheme',
+    network: 'network',
+    payloadHash: 'payload_hash',
+    payer: 'payer',
+    asset: 'asset',
+    amount: 'amount',
+    payTo: 'pay_to',
+    outcome: 'outcome',
+    reason: 'reason',
+    txHash: 'tx_hash',
+    latencyMs: 'latency_ms',
+    settlementId: 'settlement_id',
+    requestId: 'request_id',
+    updatedAt: 'updated_at',
+});
+
+const SCHEMA = [
+    `CREATE TABLE IF NOT EXISTS ${TABLE} (
+        id VARCHAR(36) PRIMARY KEY,
+        created_at BIGINT NOT NULL,
+        operation VARCHAR(8) NOT NULL,
+        mode VARCHAR(8),
+        scheme TEXT,
+        network TEXT,
+        payload_hash VARCHAR(66),
+        payer TEXT,
+        asset TEXT,
+        amount TEXT,
+        pay_to TEXT,
+        outcome VARCHAR(8) NOT NULL,
+        reason TEXT,
+        tx_hash VARCHAR(66),
+        latency_ms INTEGER,
+        settlement_id VARCHAR(36),
+        request_id VARCHAR(128),
+        updated_at BIGINT NOT NULL
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_${TABLE}_created ON ${TABLE} (created_at)`,
+    `CREATE INDEX IF NOT EXISTS idx_${TABLE}_payer ON ${TABLE} (payer, created_at)`,
+    `CREATE INDEX IF NOT EXISTS idx_${TABLE}_settlement ON ${TABLE} (settlement_id)`,
+];
+
+const FIELDS = Object.keys(COLUMNS);
+
+/**
+ * Hash of a payment payload as sent (same payload, same hash)
+ */
+function payloadHash(payload) {
+    return '0x' + crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex');
+}
+
+function fromRow(row) {
+    const record = {};
+    for (const [field, column] of Object.entries(COLUMNS)) record[field] = row[column] ?? null;
+    record.createdAt = Number(record.createdAt);
+    record.updatedAt = Number(record.updatedAt);
+    if (record.latencyMs !== null) record.latencyMs = Number(record.latencyMs);
+    return record;
+}
+
+/**
+ * Whether `record` passes query filters (JSON-lines backend; the SQL
+ * backends build the same conditions in buildQuery())
+ */
+function matchesFilters(record, { payer, asset, outcome, operation, network, from, to }, cursor) {
+    if (payer && record.payer !== payer) return false;
+    if (asset && record.asset !== asset) return false;
+    if (outcome && record.outcome !== outcome) return false;
+    if (operation && record.operation !== operation) return false;
+    if (network && record.network !== network) return false;
+    if (from !== null && from !== undefined && record.createdAt < from) return false;
+    if (to !== null && to !== undefined && record.createdAt > to) return false;
+    if (cursor && !(record.createdAt < cursor.createdAt || (record.createdAt === cursor.createdAt && record.id < cursor.id))) return false;
+    return true;
+}
+
+/**
+ * SELECT for a page of payments; `placeholder(n)` is the driver's nth parameter
+ */
+function buildQuery({ payer, asset, outcome, operation, network, from, to }, cursor, limit, placeholder) {
+    const where = [];
+    const params = [];
+    const equals = (column, value) => { if (value) { params.push(value); where.push(`${column} = ${placeholder(params.length)}`); } };
+
+    equals('payer', payer);
+    equals('asset', asset);
+    equals('outcome', outcome);
+    equals('operation', operation);
+    equals('network', network);
+    if (from !== null && from !== undefined) { params.push(from); where.push(`created_at >= ${placeholder(params.length)}`); }
+    if (to !== null && to !== undefined) { params.push(to); where.push(`created_at <= ${placeholder(params.length)}`); }
+    if (cursor) {
+        params.push(cursor.createdAt, cursor.createdAt, cursor.id);
+        const [a, b, c] = [params.length - 2, params.length - 1, params.length].map(placeholder);
+        where.push(`(created_at < ${a} OR (created_at = ${b} AND id < ${c}))`);
+    }
+
+    return {
+        sql: `SELECT * FROM ${TABLE}${where.length > 0 ? ' WHERE ' + where.join(' AND ') : ''} ORDER BY created_at DESC, id DESC LIMIT ${limit}`,
+        params,
+    };
+}
+
+// ── Backends ──
+
+class JsonlPaymentStore {
+    /**
+     * @param {object} options
+     * @param {string} options.filePath - JSON-lines file
+     * @param {number} [options.retentionDays] - Days attempts are kept (0 = forever)
+     * @param {function} [options.now] - Clock returning unix ms
+     */
+    constructor({ filePath, retentionDays = 0, now = Date.now }) {
+        this.backend = 'jsonl';
+        this.location = filePath;
+        this.retentionMs = retentionDays * 24 * 3600 * 1000;
+        this.now = now;
+        this.store = new JsonlStore({ filePath, keyField: 'id', keep: record => this.keep(record) });
+        this.compactedAt = now();
+        this.index();
+    }
+
+    // Pending async settlements stay until they are finalized
+    keep(record) {
+        return !this.retentionMs || record.outcome === PAYMENT_OUTCOMES.PENDING || this.now() - record.createdAt < this.retentionMs;
+    }
+
+    index() {
+        this.bySettlement = new Map();
+        for (const record of this.store.values()) {
+            if (record.settlementId) this.bySettlement.set(record.settlementId, record.id);
+        }
+    }
+
+    async insert(record) {
+        if (this.retentionMs && this.now() - this.compactedAt >= COMPACT_INTERVAL_MS) {
+            this.store.compact(entry => this.keep(entry));
+            this.compactedAt = this.now();
+            this.index();
+        }
+        this.store.write(record);
+        if (record.settlementId) this.bySettlement.set(record.settlementId, record.id);
+    }
+
+    async updateSettlement(settlementId, fields) {
+        const id = this.bySettlement.get(settlementId);
+        if (id) this.store.write({ id, ...fields });
+    }
+
+    async query(filters, cursor, limit) {
+        return [...this.store.values()]
+            .filter(record => matchesFilters(record, filters, cursor))
+            .sort((a, b) => b.createdAt - a.createdAt || (b.id < a.id ? -1 : b.id > a.id ? 1 : 0))
+            .slice(0, limit);
+    }
+
+    async counts() {
+        const counts = {};
+        for (const record of this.store.values()) counts[record.outcome] = (counts[record.outcome] || 0) + 1;
+        return counts;
+    }
+
+    async close() {}
+}
+
+/**
+ * SQLite through node:sqlite or better-sqlite3 (both synchronous, same
+ * prepare().run/all shape); null when neither is available
+ */
+function loadSqlite() {
+    try {
+        const { DatabaseSync } = require('node:sqlite');
+        return { name: 'node:sqlite', open: filePath => new DatabaseSync(filePath) };
+    } catch {
+        // Node < 22.5
+    }
+    try {
+        const Database = require('better-sqlite3');
+        return { name: 'better-sqlite3', open: filePath => new Database(filePath) };
+    } catch {
+        return null;
+    }
+}
+
+class SqlPaymentStore {
+    /**
+     * @param {object} options
+     * @param {string} options.backend - 'sqlite' or 'postgres'
+     * @param {string} options.location - Where the data lives (for logs)
+     * @param {function} options.run - (sql, params) → Promise<rows>
+     * @param {function} options.placeholder - n → nth parameter marker
+     * @param {function} [options.close]
+     */
+    constructor({ backend, location, run, placeholder, close = async () => {} }) {
+        this.backend = backend;
+        this.location = location;
+        this.run = run;
+        this.placeholder = placeholder;
+        this.close = close;
+    }
+
+    async init() {
+        for (const statement of SCHEMA) await this.run(statement, []);
+    }
+
+    async insert(record) {
+        const columns = FIELDS.map(field => COLUMNS[field]);
+        const markers = columns.map((_, index) => this.placeholder(index + 1));
+        await this.run(`INSERT INTO ${TABLE} (${columns.join(', ')}) VALUES (${markers.join(', ')})`, FIELDS.map(field => record[field] ?? null));
+    }
+
+    async updateSettlement(settlementId, fields) {
+        const entries = Object.entries(fields);
+        const assignments = entries.map(([field], index) => `${COLUMNS[field]} = ${this.placeholder(index + 1)}`);
+        await this.run(
+            `UPDATE ${TABLE} SET ${assignments.join(', ')} WHERE settlement_id = ${this.placeholder(entries.length + 1)}`,
+            [...entries.map(([, value]) => value ?? null), settlementId]
+        );
+    }
+
+    async query(filters, cursor, limit) {
+        const { sql, params } = buildQuery(filters, cursor, limit, this.placeholder);
+        return (await this.run(sql, params)).map(fromRow);
+    }
+
+    async counts() {
+        const rows = await this.run(`SELECT outcome, COUNT(*) AS count FROM ${TABLE} GROUP BY outcome`, []);
+        return Object.fromEntries(rows.map(row => [row.outcome, Number(row.count)]));
+    }
+}
+
+function openSqlite(filePath, driver) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const db = driver.open(filePath);
+    return new SqlPaymentStore({
+        backend: 'sqlite',
+        location: filePath,
+        placeholder: () => '?',
+        run: async (sql, params) => {
+            const statement = db.prepare(sql);
+            if (/^\s*SELECT/i.test(sql)) return statement.all(...params);
+            statement.run(...params);
+            return [];
+        },
+        close: async () => db.close(),
+    });
+}
+
+function openPostgres({ url, env }) {
+    let pg;
+    try {
+        pg = require('pg');
+    } catch {
+        throw new Error('X402_PAYMENT_LEDGER=postgres needs the pg package (npm install pg)');
+    }
+    const pool = new pg.Pool(url ? { connectionString: url } : {
+        host: env.DB_PGSQL_HOST || 'db',
+        port: parseInt(env.DB_PGSQL_PORT || '5432', 10),
+        database: env.DB_PGSQL_NAME || 'x402',
+        user: env.DB_PGSQL_USER || 'x402',
+        password: env.DB_PGSQL_PASS || '',
+    });
+    const location = url ? url.replace(/\/\/[^@/]*@/, '//') : `${env.DB_PGSQL_HOST || 'db'}/${env.DB_PGSQL_NAME || 'x402'}`;
+    return new SqlPaymentStore({
+        backend: 'postgres',
+        location,
+        placeholder: n => `$${n}`,
+        run: async (sql, params) => (await pool.query(sql, params)).rows,
+        close: () => pool.end(),
+    });
+}
+
+/**
+ * Open the configured backend (see the module comment)
+ *
+ * @param {object} options
+ * @param {string} [options.backend] - 'sqlite' (default), 'postgres' or 'jsonl'
+ * @param {string} options.filePath - SQLite database or JSON-lines file
+ * @param {number} [options.retentionDays] - JSON lines: days attempts are kept (0 = forever, the default)
+ * @param {string} [options.databaseUrl] - Postgres connection string
+ * @param {object} [options.env] - DB_PGSQL_* when there is no databaseUrl
+ * @param {object} [options.logger]
+ * @param {function} [options.now] - Clock returning unix ms (JSON-lines retention)
+ */
+async function openPaymentStore({ backend = 'sqlite', filePath, retentionDays = 0, databaseUrl = '', env = process.env, logger = createLogger(), now = Date.now }) {
+    if (!PAYMENT_LEDGER_BACKENDS.includes(backend)) {
+        throw new Error(`Unknown payment ledger "${backend}" (expected ${PAYMENT_LEDGER_BACKENDS.join(', ')})`);
+    }
+    if (backend === 'jsonl') return new JsonlPaymentStore({ filePath, retentionDays, now });
+
+    let store;
+    if (backend === 'sqlite') {
+        const driver = loadSqlite();
+        if (!driver) {
+            const fallback = filePath.replace(/(\.[^./\\]*)?$/, '.jsonl');
+            logger.warn('SQLite unavailable (Node 22.5+ or the better-sqlite3 package), payment ledger kept as JSON lines', { path: fallback });
+            return new JsonlPaymentStore({ filePath: fallback, retentionDays, now });
+        }
+        store = openSqlite(filePath, driver);
+    } else {
+        store = openPostgres({ url: databaseUrl, env });
+    }
+    await store.init();
+    return store;
+}
+
+class PaymentLedger {
+    /**
+     * @param {object} options
+     * @param {object} options.store - openPaymentStore() result
+     * @param {object} [options.logger]
+     */
+    constructor({ store, logger = createLogger() }) {
+        this.store = store;
+        this.logger = logger;
+        this.writes = Promise.resolve();
+    }
+
+    get backend() {
+        return this.store.backend;
+    }
+
+    enqueue(label, write) {
+        this.writes = this.writes.then(write).catch((error) => {
+            this.logger.error(`Payment ledger ${label} failed`, { error });
+        });
+        return this.writes;
+    }
+
+    /**
+     * Record an attempt (fields as in the module comment; id and timestamps added)
+     */
+    record(entry) {
+        const now = Date.now();
+        const record = { ...entry, id: crypto.randomUUID(), createdAt: now, updatedAt: now };
+        this.enqueue('write', () => this.store.insert(record));
+        return record;
+    }
+
+    /**
+     * Final state of an async settlement recorded as pending
+     */
+    finalize(settlementId, { outcome, reason = null, txHash }) {
+        return this.enqueue('update', () => this.store.updateSettlement(settlementId, { outcome, reason, txHash, updatedAt: Date.now() }));
+    }
+
+    /**
+     * A page of attempts, newest first
+     *
+     * @param {object} filters - { payer?, asset?, outcome?, operation?, network?, from?, to? } (addresses lowercase, times unix ms)
+     * @param {object} [options] - { cursor?, limit }
+     * @returns {Promise<{ payments: object[], nextCursor: string|null }>}
+     */
+    async query(filters, { cursor = null, limit = 50 } = {}) {
+        await this.writes;
+        const rows = await this.store.query(filters, cursor ? decodeCursor(cursor) : null, limit + 1);
+        const page = rows.slice(0, limit);
+        const last = page[page.length - 1];
+        return {
+            payments: page.map(describePayment),
+            nextCursor: rows.length > limit ? encodeCursor(last) : null,
+        };
+    }
+
+    async stats() {
+        await this.writes;
+        return { backend: this.backend, ...await this.store.counts() };
+    }
+
+    async close() {
+        await this.writes;
+        await this.store.close();
+    }
+}
+
+function encodeCursor(record) {
+    return Buffer.from(JSON.stringify([record.createdAt, record.id])).toString('base64url');
+}
+
+/**
+ * Cursor → { createdAt, id }; throws on anything query() did not hand out
+ */
+function decodeCursor(cursor) {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    } catch {
+        decoded = null;
+    }
+    if (!Array.isArray(decoded) || !Number.isInteger(decoded[0]) || typeof decoded[1] !== 'string') throw new Error('Invalid cursor');
+    return { createdAt: decoded[0], id: decoded[1] };
+}
+
+/**
+ * Public view of an attempt (GET /x402/payments)
+ */
+function describePayment(record) {
+    return {
+        id: record.id,
+        createdAt: new Date(record.createdAt).toISOString(),
+        operation: record.operation,
+        mode: record.mode,
+        scheme: record.scheme,
+        network: record.network,
+        payloadHash: record.payloadHash,
+        payer: record.payer,
+        asset: record.asset,
+        amount: record.amount,
+        payTo: record.payTo,
+        outcome: record.outcome,
+        reason: record.reason,
+        txHash: record.txHash,
+        latencyMs: record.latencyMs,
+        settlementId: record.settlementId,
+        requestId: record.requestId,
+    };
+}
+
+module.exports = {
+    PaymentLedger,
+    openPaymentStore,
+    loadSqlite,
+    describePayment,
+    decodeCursor,
+    payloadHash,
+    buildQuery,
+    PAYMENT_LEDGER_BACKENDS,
+    PAYMENT_OUTCOMES,
+};
@@ -0,0 +1,107 @@
+/**
+ * Environment files and named profiles
+ *
+ * readEnvFile() parses the KEY=value files used for .env; applyProfile()
+ * loads a named profile (X402_PROFILE or --profile <name>) into an
+ * environment, so the facilitator and the agent can be pointed at a whole
+ * setup at once:
+ *
+ *   X402_PROFILE=local node facilitator/x402-facilitator.cjs
+ *   node agent/x402-ai-agent-demo.cjs --profile local "What is x402?"
+ *
+ * Variables already set in the environment win over the profile. Callers
+ * read a profile instead of .env, not on top of it. Values starting with ./
+ * or ../ are paths relative to the profile file.
+ *
+ * @package x402-boilerplate
+ * @since 1.1.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PROFILES = Object.freeze({
+    // Local chain, mock AI backend and dev keys (npm run local)
+    local: path.resolve(__dirname, '../../local/local.env'),
+});
+
+/**
+ * KEY=value lines → object (comments, blank lines and lines without = skipped;
+ * one pair of surrounding quotes removed)
+ */
+function parseEnv(content) {
+    const values = {};
+    for (const raw of content.split('\n')) {
+        const line = raw.trim();
+        if (!line || line.startsWith('#') || !line.includes('=')) continue;
+
+        const equalIndex = line.indexOf('=');
+        const key = line.substring(0, equalIndex).trim();
+        let value = line.substring(equalIndex + 1).trim();
+
+        if ((value.startsWith('"') && value.endsWith('"')) ||
+            (value.startsWith("'") && value.endsWith("'"))) {
+            value = value.slice(1, -1);
+        }
+        values[key] = value;
+    }
+    return values;
+}
+
+/**
+ * Read an env file; with `relativeTo`, ./ and ../ values become absolute paths
+ */
+function readEnvFile(filePath, { relativeTo = null } = {}) {
+    const values = parseEnv(fs.readFileSync(filePath, 'utf-8'));
+    if (relativeTo) {
+        for (const [key, value] of Object.entries(values)) {
+            if (value.startsWith('./') || value.startsWith('../')) values[key] = path.resolve(relativeTo, value);
+        }
+    }
+    return values;
+}
+
+/**
+ * Fill unset variables of `env` from `values`. Returns the keys that were set.
+ */
+function assignUnset(env, values) {
+    const assigned = [];
+    for (const [key, value] of Object.entries(values)) {
+        if (env[key]) continue;
+        env[key] = value;
+        assigned.push(key);
+    }
+    return assigned;
+}
+
+/**
+ * Profile name from --profile <name> / --profile=<name>, else X402_PROFILE
+ */
+function profileName(env, argv = []) {
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--profile') return argv[i + 1] || '';
+        if (argv[i].startsWith('--profile=')) return argv[i].slice('--profile='.length);
+    }
+    return env.X402_PROFILE || null;
+}
+
+/**
+ * Apply the selected profile to `env` (mutated). Throws on unknown profiles.
+ *
+ * @returns {{ name: string, path: string, assigned: string[] } | null} null when no profile is selected
+ */
+function applyProfile(env, argv = []) {
+    const name = profileName(env, argv);
+    if (name === null) return null;
+
+    const filePath = PROFILES[name];
+    if (!filePath) {
+        throw new Error(`Unknown profile "${name}" (available: ${Object.keys(PROFILES).join(', ')})`);
+    }
+
+    env.X402_PROFILE = name;
+    const assigned = assignUnset(env, readEnvFile(filePath, { relativeTo: path.dirname(filePath) }));
+    return { name, path: filePath, assigned };
+}
+
+module.exports = { PROFILES, parseEnv, readEnvFile, assignUnset, applyProfile };
@@ -0,0 +1,86 @@
+/**
+ * x402 Rate Limiting
+ *
+ * Token buckets keyed by an arbitrary string (API key, payer address,
+ * route + client). A bucket holds up to `capacity` tokens and refills
+ * continuously, so "60/min" allows a burst of 60 and then one request
+ * per second.
+ *
+ * Limits are written as `<requests>/<window>` with window `s`, `min`, `h`
+ * or `day` (e.g. "600/min", "5/s"); "off" or "0" disables a limit.
+ *
+ * @package x402-boilerplate
+ * @since 1.1.0
+ */
+
+const WINDOWS = { s: 1, sec: 1, m: 60, min: 60, h: 3600, hour: 3600, d: 86400, day: 86400 };
+
+/**
+ * Parse a "<requests>/<window>" limit
+ * @returns {{ capacity: number, refillPerSecond: number }|null} null when disabled
+ */
+function parseRate(value) {
+    if (value === undefined || value === null) return null;
+    const text = String(value).trim().toLowerCase();
+    if (text === '' || text === 'off' || text === '0') return null;
+
+    const match = text.match(/^(\d+)\s*\/\s*([a-z]+)$/);
+    if (!match || !WINDOWS[match[2]] || Number(match[1]) === 0) {
+        throw new Error(`Invalid rate limit "${value}" (expected e.g. 60/min, 5/s, off)`);
+    }
+    const capacity = Number(match[1]);
+    return { capacity, refillPerSecond: capacity / WINDOWS[match[2]] };
+}
+
+/**
+ * Parse "route=limit,route=limit" into a Map of route → rate
+ */
+function parseRouteRates(value) {
+    const routes = new Map();
+    for (const part of (value || '').split(',').map(item => item.trim()).filter(Boolean)) {
+        const [route, limit] = part.split('=').map(item => item.trim());
+        if (!route || limit === undefined) throw new Error(`Invalid route rate limit "${part}" (expected /route=60/min)`);
+        routes.set(route, parseRate(limit));
+    }
+    return routes;
+}
+
+class RateLimiter {
+    /**
+     * @param {object} options
+     * @param {number} options.capacity - Bucket size (burst)
+     * @param {number} options.refillPerSecond - Tokens added per second
+     * @param {number} [options.maxKeys] - Buckets kept before the least recently used is dropped
+     * @param {function} [options.now] - Clock returning seconds (fractional)
+     */
+    constructor({ capacity, refillPerSecond, maxKeys = 10_000, now = () => Date.now() / 1000 }) {
+        this.capacity = capacity;
+        this.refillPerSecond = refillPerSecond;
+        this.maxKeys = maxKeys;
+        this.now = now;
+        this.buckets = new Map(); // key → { tokens, updatedAt }, in LRU order
+    }
+
+    /**
+     * Take `cost` tokens from `key`'s bucket
+     * @returns {{ allowed: boolean, remaining: number, retryAfter: number }} retryAfter in whole seconds
+     */
+    take(key, cost = 1) {
+        const now = this.now();
+        const bucket = this.buckets.get(key) || { tokens: this.capacity, updatedAt: now };
+        bucket.tokens = Math.min(this.capacity, bucket.tokens + (now - bucket.updatedAt) * this.refillPerSecond);
+        bucket.updatedAt = now;
+
+        this.buckets.delete(key);
+        this.buckets.set(key, bucket);
+        if (this.buckets.size > this.maxKeys) this.buckets.delete(this.buckets.keys().next().value);
+
+        if (bucket.tokens >= cost) {
+            bucket.tokens -= cost;
+            return { allowed: true, remaining: Math.floor(bucket.tokens), retryAfter: 0 };
+        }
+        return { allowed: false, remaining: 0, retryAfter: Math.ceil((cost - bucket.tokens) / this.refillPerSecond) };
+    }
+}
+
+module.exports = { RateLimiter, parseRate, parseRouteRates };
@@ -0,0 +1,370 @@
+/**
+ * x402 Treasury Reconciliation
+ *
+ * Checks the payments ai.php recorded (x402_api_payments, one row per paid
+ * request with its settlement tx_hash) against what actually reached the
+ * treasury: the Transfer logs of the network's assets (USDT0, CNHT0) to
+ * X402_API_TREASURY over a block range.
+ *
+ *   matched:    a row whose transaction moved its asset and amount to the treasury
+ *   missing:    a row whose transaction never landed, reverted or paid someone else
+ *   orphaned:   a transfer to the treasury no row accounts for
+ *   mismatched: a row whose transaction moved a different amount (or asset),
+ *               or a second row for a transaction already matched
+ *
+ * Rows whose transaction was mined outside the range are skipped (outOfRange),
+ * so overlapping ranges can be checked without false alarms.
+ *
+ * Metered and escrow payments reach the treasury in a later transaction than
+ * the one recorded: the collector's charge, the adapter's release. The
+ * facilitator's settlement and escrow stores link each of those back to the
+ * settlement transaction (readTransactionLinks()), so the row is matched
+ * against the transfer its charge or release made. Links only last as long as
+ * the stores keep them (a week for settlements, 30 days for closed orders).
+ *
+ * @package x402-boilerplate
+ * @since 1.1.0
+ */
+
+const fs = require('fs');
+const { ethers } = require('ethers');
+const { readJsonl } = require('./jsonl-store.cjs');
+
+const TRANSFER_EVENT = ethers.id('Transfer(address,address,uint256)');
+
+const CSV_COLUMNS = ['type', 'reason', 'tx_hash', 'payment_id', 'block_number', 'asset', 'symbol',
+    'recorded_amount', 'onchain_amount', 'payer', 'from', 'created_at'];
+
+const topicAddress = topic => ethers.getAddress(ethers.dataSlice(topic, 12));
+
+/**
+ * Transfer logs of `assets` to `treasury` in [fromBlock, toBlock], read
+ * `batchSize` blocks at a time (RPCs cap eth_getLogs ranges)
+ *
+ * @param {object} options
+ * @param {object} options.provider - ethers provider
+ * @param {string[]} options.assets - Token addresses
+ * @param {string} options.treasury - Receiving address
+ * @param {number} options.fromBlock
+ * @param {number} options.toBlock
+ * @param {number} [options.batchSize] - Blocks per eth_getLogs call (default: 1000)
+ * @returns {Promise<Array<{ txHash, blockNumber, logIndex, asset, from, amount: bigint }>>}
+ */
+async function scanTreasuryTransfers({ provider, assets, treasury, fromBlock, toBlock, batchSize = 1000 }) {
+    const transfers = [];
+    for (let start = fromBlock; start <= toBlock; start += batchSize) {
+        const logs = await provider.getLogs({
+            address: assets,
+            topics: [TRANSFER_EVENT, null, ethers.zeroPadValue(treasury, 32)],
+            fromBlock: start,
+            toBlock: Math.min(start + batchSize - 1, toBlock),
+        });
+        for (const log of logs) {
+            transfers.push({
+                txHash: log.transactionHash.toLowerCase(),
+                blockNumber: log.blockNumber,
+                logIndex: log.index,
+                asset: log.address.toLowerCase(),
+                from: topicAddress(log.topics[1]),
+                amount: BigInt(log.data),
+            });
+        }
+    }
+    return transfers;
+}
+
+/**
+ * CSV text → array of objects keyed by the header row (RFC 4180 quoting,
+ * as written by psql \copy ... CSV HEADER)
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') { field += '"'; i++; }
+            else if (char === '"') quoted = false;
+            else field += char;
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const [header = [], ...records] = rows.filter(record => record.some(value => value !== ''));
+    return records.map(record => Object.fromEntries(header.map((name, index) => [name.trim(), record[index] ?? ''])));
+}
+
+/**
+ * Payment row as the reconciler uses it (x402_api_payments columns in, any case)
+ */
+function normalizePayment(row) {
+    const createdAt = row.created_at ? Date.parse(String(row.created_at).replace(' ', 'T')) : NaN;
+    return {
+        id: row.id === undefined || row.id === null || row.id === '' ? null : String(row.id),
+        payer: String(row.payer_address || ''),
+        asset: String(row.asset_address || '').toLowerCase(),
+        amount: String(row.amount ?? ''),
+        txHash: String(row.tx_hash || '').toLowerCase(),
+        createdAt: Number.isNaN(createdAt) ? null : new Date(createdAt).toISOString(),
+    };
+}
+
+/**
+ * Payment rows exported from x402_api_payments: CSV (psql \copy ... CSV HEADER),
+ * a JSON array, or JSON lines
+ */
+function readPaymentsFile(filePath) {
+    const content = fs.readFileSync(filePath, 'utf-8');
+    const trimmed = content.trim();
+    let rows;
+    if (trimmed.startsWith('[')) rows = JSON.parse(trimmed);
+    else if (trimmed.startsWith('{')) rows = trimmed.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+    else rows = parseCsv(content);
+    return rows.map(normalizePayment);
+}
+
+/**
+ * Payment rows created between `since` and `until` (Dates) straight from
+ * PostgreSQL (DB_PGSQL_* like the PHP API). Needs the optional `pg` package.
+ */
+async function queryPayments(env, { since, until }) {
+    let pg;
+    try {
+        pg = require('pg');
+    } catch {
+        throw new Error('Reading x402_api_payments needs the pg package (npm install pg); or export the rows with psql and pass --payments <file>');
+    }
+
+    const client = new pg.Client({
+        host: env.DB_PGSQL_HOST || 'db',
+        port: parseInt(env.DB_PGSQL_PORT || '5432', 10),
+        database: env.DB_PGSQL_NAME || 'x402',
+        user: env.DB_PGSQL_USER || 'x402',
+        password: env.DB_PGSQL_PASS || '',
+    });
+    await client.connect();
+    try {
+        const result = await client.query(
+            `SELECT id, payer_address, asset_address, amount, tx_hash, created_at
+               FROM x402_api_payments WHERE created_at BETWEEN $1 AND $2 ORDER BY id`,
+            [since, until]
+        );
+        return result.rows.map(row => normalizePayment({ ...row, created_at: row.created_at?.toISOString?.() ?? row.created_at }));
+    } finally {
+        await client.end();
+    }
+}
+
+/**
+ * Later transactions that paid the treasury for a settlement, from the
+ * facilitator's stores (read-only): the collector's charge for a metered
+ * transfer (settlement jobs, `chargeTxHash`) and the adapter's release of an
+ * escrow order (order history, `release` after `hold`)
+ *
+ * @param {object} options
+ * @param {string} [options.settlementsPath] - X402_SETTLEMENT_STORE file
+ * @param {string} [options.escrowPath] - X402_ESCROW_STORE file
+ * @returns {Map<string, string>} Later tx hash → settlement tx hash (lowercase)
+ */
+function readTransactionLinks({ settlementsPath = null, escrowPath = null }) {
+    const links = new Map();
+    const link = (later, original) => {
+        if (later && original) links.set(later.toLowerCase(), original.toLowerCase());
+    };
+
+    if (settlementsPath) {
+        for (const job of readJsonl(settlementsPath, 'id').values()) link(job.chargeTxHash, job.txHash);
+    }
+    if (escrowPath) {
+        for (const order of readJsonl(escrowPath, 'key').values()) {
+            const history = order.history || [];
+            const hold = history.find(event => event.action === 'hold');
+            for (const event of history) {
+                if (event.action === 'release') link(event.transaction, hold?.transaction);
+            }
+        }
+    }
+    return links;
+}
+
+/**
+ * Match payment rows against treasury transfers.
+ *
+ * Rows without a transfer in range are looked up by receipt: not found or
+ * reverted → missing; mined outside [fromBlock, toBlock] → outOfRange; mined
+ * in range without paying the treasury → missing, with where the payer's
+ * tokens went (`paidTo`). A row whose transaction has a charge or release
+ * in `links` is matched against that transaction's transfer instead
+ * (`transferTxHash` on mismatches); one mined after the range is outOfRange.
+ *
+ * @param {object} options
+ * @param {object} options.provider - ethers provider
+ * @param {Array} options.transfers - scanTreasuryTransfers() output
+ * @param {Array} options.payments - normalizePayment() rows
+ * @param {string} options.treasury
+ * @param {Object<string, { symbol: string }>} options.assets - Scanned assets by lowercase address
+ * @param {number} options.fromBlock
+ * @param {number} options.toBlock
+ * @param {Map<string, string>} [options.links] - readTransactionLinks() output
+ * @returns {Promise<object>} { summary, missing, orphaned, mismatched }
+ */
+async function reconcile({ provider, transfers, payments, treasury, assets, fromBlock, toBlock, links = new Map() }) {
+    const symbol = asset => assets[asset]?.symbol || null;
+
+    // Transfers per transaction, summed per asset
+    const received = new Map();
+    for (const transfer of transfers) {
+        const entry = received.get(transfer.txHash) || { blockNumber: transfer.blockNumber, from: transfer.from, amounts: new Map() };
+        entry.amounts.set(transfer.asset, (entry.amounts.get(transfer.asset) || 0n) + transfer.amount);
+        received.set(transfer.txHash, entry);
+    }
+
+    // Settlement tx → the charge or release that paid the treasury for it
+    const followUps = new Map();
+    for (const [later, original] of links) followUps.set(original, later);
+
+    const missing = [];
+    const mismatched = [];
+    const claimed = new Set();
+    let matched = 0;
+    let outOfRange = 0;
+
+    for (const payment of payments) {
+        const base = { id: payment.id, txHash: payment.txHash || null, payer: payment.payer, asset: payment.asset, symbol: symbol(payment.asset), amount: payment.amount, createdAt: payment.createdAt };
+        if (!/^0x[0-9a-f]{64}$/.test(payment.txHash)) {
+            missing.push({ ...base, reason: 'no transaction hash' });
+            continue;
+        }
+
+        const followUp = followUps.get(payment.txHash) || null;
+        const paidIn = received.has(payment.txHash) ? payment.txHash : followUp;
+        const entry = paidIn ? received.get(paidIn) : null;
+        if (entry) {
+            const via = paidIn !== payment.txHash ? { transferTxHash: paidIn } : {};
+            if (claimed.has(paidIn)) {
+                mismatched.push({ ...base, ...via, blockNumber: entry.blockNumber, reason: 'duplicate row', onChainAsset: null, onChainAmount: null });
+                continue;
+            }
+            claimed.add(paidIn);
+
+            const [onChainAsset, onChainAmount] = entry.amounts.has(payment.asset)
+                ? [payment.asset, entry.amounts.get(payment.asset)]
+                : [...entry.amounts.entries()][0];
+            const reason = onChainAsset !== payment.asset ? 'asset differs' : (String(onChainAmount) !== payment.amount ? 'amount differs' : null);
+            if (reason) {
+                mismatched.push({ ...base, ...via, blockNumber: entry.blockNumber, reason, onChainAsset, onChainSymbol: symbol(onChainAsset), onChainAmount: onChainAmount.toString() });
+            } else {
+                matched++;
+            }
+            continue;
+        }
+
+        const receipt = await provider.getTransactionReceipt(payment.txHash);
+        if (!receipt) {
+            missing.push({ ...base, reason: 'transaction not found' });
+        } else if (receipt.blockNumber < fromBlock || receipt.blockNumber > toBlock) {
+            outOfRange++;
+        } else if (receipt.status !== 1) {
+            missing.push({ ...base, blockNumber: receipt.blockNumber, reason: 'transaction reverted' });
+        } else if (followUp && (await provider.getTransactionReceipt(followUp))?.blockNumber > toBlock) {
+            outOfRange++;
+        } else {
+            const paidTo = receipt.logs
+                .filter(log => log.topics[0] === TRANSFER_EVENT && log.topics.length === 3)
+                .filter(log => topicAddress(log.topics[1]).toLowerCase() === payment.payer.toLowerCase())
+                .map(log => topicAddress(log.topics[2]));
+            missing.push({ ...base, blockNumber: receipt.blockNumber, reason: 'no transfer to treasury', paidTo: [...new Set(paidTo)] });
+        }
+    }
+
+    const orphaned = [];
+    for (const [txHash, entry] of received) {
+        if (claimed.has(txHash)) continue;
+        for (const [asset, amount] of entry.amounts) {
+            orphaned.push({ txHash, blockNumber: entry.blockNumber, from: entry.from, asset, symbol: symbol(asset), amount: amount.toString() });
+        }
+    }
+
+    return {
+        treasury,
+        fromBlock,
+        toBlock,
+        summary: {
+            transfers: transfers.length,
+            payments: payments.length,
+            matched,
+            missing: missing.length,
+            orphaned: orphaned.length,
+            mismatched: mismatched.length,
+            outOfRange,
+        },
+        missing,
+        orphaned,
+        mismatched,
+    };
+}
+
+/**
+ * Report → CSV, one line per discrepancy (CSV_COLUMNS)
+ */
+function reportToCsv(report) {
+    const escape = (value) => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const lines = [CSV_COLUMNS.join(',')];
+    const push = record => lines.push(CSV_COLUMNS.map(column => escape(record[column])).join(','));
+
+    for (const entry of report.missing) {
+        push({
+            type: 'missing', reason: entry.paidTo?.length ? `${entry.reason} (paid ${entry.paidTo.join(' ')})` : entry.reason,
+            tx_hash: entry.txHash, payment_id: entry.id, block_number: entry.blockNumber, asset: entry.asset, symbol: entry.symbol,
+            recorded_amount: entry.amount, payer: entry.payer, created_at: entry.createdAt,
+        });
+    }
+    for (const entry of report.orphaned) {
+        push({
+            type: 'orphaned', reason: 'no payment row', tx_hash: entry.txHash, block_number: entry.blockNumber,
+            asset: entry.asset, symbol: entry.symbol, onchain_amount: entry.amount, from: entry.from,
+        });
+    }
+    for (const entry of report.mismatched) {
+        push({
+            type: 'mismatched', reason: entry.reason, tx_hash: entry.txHash, payment_id: entry.id, block_number: entry.blockNumber,
+            asset: entry.onChainAsset || entry.asset, symbol: entry.onChainSymbol || entry.symbol,
+            recorded_amount: entry.amount, onchain_amount: entry.onChainAmount, payer: entry.payer, created_at: entry.createdAt,
+        });
+    }
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    scanTreasuryTransfers,
+    readPaymentsFile,
+    queryPayments,
+    normalizePayment,
+    parseCsv,
+    readTransactionLinks,
+    reconcile,
+    reportToCsv,
+    TRANSFER_EVENT,
+    CSV_COLUMNS,
+};
@@ -0,0 +1,136 @@
+/**
+ * x402 Refund Ledger
+ *
+ * Transfer-mode payments are final once settled: the funds sit in the
+ * treasury. When the resource server takes the money and then fails to
+ * deliver (the AI provider answers 502), it asks the facilitator to refund
+ * the settlement; the collector sends the same amount from the treasury back
+ * to the payer with transferFrom(), within an allowance the treasury grants
+ * the collector.
+ *
+ * Refunds are keyed by network and settlement transaction, so a settlement is
+ * refunded at most once: asking again returns the first receipt. The refund
+ * transaction is signed first and recorded, with its hash and nonce, before
+ * it is broadcast: whatever happens next (an error from the node, a crash),
+ * the chain decides whether it went through, never a second transferFrom.
+ *
+ *   pending:  refund signed and possibly broadcast (refundTransaction, refundNonce)
+ *   refunded: refund mined
+ *   failed:   nothing was sent, it reverted, or its nonce went to another
+ *             transaction; the refund can be asked for again
+ *
+ * Records are persisted (JSON lines) and never compacted, since they are what
+ * makes refunds idempotent.
+ *
+ * @package x402-boilerplate
+ * @since 1.1.0
+ */
+
+const { JsonlStore } = require('./jsonl-store.cjs');
+
+const REFUND_STATUS = Object.freeze({
+    PENDING: 'pending',
+    REFUNDED: 'refunded',
+    FAILED: 'failed',
+});
+
+class RefundLedger {
+    /**
+     * @param {object} options
+     * @param {string} options.filePath - JSON-lines refund file
+     * @param {function} [options.now] - Clock returning unix seconds
+     */
+    constructor({ filePath, now = () => Math.floor(Date.now() / 1000) }) {
+        this.now = now;
+        this.store = new JsonlStore({ filePath, keyField: 'key' });
+    }
+
+    static key(network, transaction) {
+        return `${network}:${transaction.toLowerCase()}`;
+    }
+
+    get(network, transaction) {
+        return this.store.get(RefundLedger.key(network, transaction));
+    }
+
+    /**
+     * Record a refund whose transaction is signed and about to be broadcast
+     * @returns {object} The pending refund
+     */
+    begin({ network, transaction, payer, treasury, asset, amount, reason = null, refundTransaction, refundNonce }) {
+        return this.create({ network, transaction, payer, treasury, asset, amount, reason }, {
+            status: REFUND_STATUS.PENDING, refundTransaction, refundNonce, replaced: [], error: null,
+        });
+    }
+
+    /**
+     * Record a refund that failed before its transaction was signed (nothing was sent)
+     * @returns {object} The failed refund
+     */
+    fail({ network, transaction, payer, treasury, asset, amount, reason = null }, error) {
+        return this.create({ network, transaction, payer, treasury, asset, amount, reason }, {
+            status: REFUND_STATUS.FAILED, refundTransaction: null, refundNonce: null, replaced: [], error,
+        });
+    }
+
+    create({ network, transaction, payer, treasury, asset, amount, reason }, fields) {
+        const now = this.now();
+        return this.store.write({
+            key: RefundLedger.key(network, transaction),
+            network,
+            settlementTransaction: transaction.toLowerCase(),
+            payer, treasury, asset,
+            amount: String(amount),
+            reason,
+            ...fields,
+            createdAt: now,
+            updatedAt: now,
+        });
+    }
+
+    /**
+     * Merge `fields` ({ status?, refundTransaction?, blockNumber?, error? }) into a refund
+     */
+    update(network, transaction, fields) {
+        return this.store.write({ key: RefundLedger.key(network, transaction), ...fields, updatedAt: this.now() });
+    }
+
+    /**
+     * Follow a fee-bumped rebroadcast (or a resend at a new nonce, `fields`
+     * = { refundNonce }): the pending refund now waits on `newHash`
+     */
+    replaceTransaction(oldHash, newHash, fields = {}) {
+        const refund = [...this.store.values()].find(entry => entry.status === REFUND_STATUS.PENDING && entry.refundTransaction === oldHash);
+        if (!refund) return null;
+        return this.store.write({
+            key: refund.key, ...fields, refundTransaction: newHash, replaced: [...(refund.replaced || []), oldHash], updatedAt: this.now(),
+        });
+    }
+
+    stats() {
+        const counts = { pending: 0, refunded: 0, failed: 0 };
+        for (const refund of this.store.values()) counts[refund.status] = (counts[refund.status] || 0) + 1;
+        return counts;
+    }
+}
+
+/**
+ * Refund receipt (POST /x402/refund, PAYMENT-RESPONSE `refund`)
+ */
+function describeRefund(refund) {
+    return {
+        success: refund.status === REFUND_STATUS.REFUNDED,
+        status: refund.status,
+        network: refund.network,
+        settlementTransaction: refund.settlementTransaction,
+        transaction: refund.refundTransaction,
+        payer: refund.payer,
+        treasury: refund.treasury,
+        asset: refund.asset,
+        amount: refund.amount,
+        reason: refund.reason,
+        refundedAt: refund.status === REFUND_STATUS.REFUNDED ? refund.updatedAt : null,
+    };
+}
+
+module.exports = { RefundLedger, describeRefund, REFUND_STATUS };
@@ -0,0 +1,201 @@
+/**
+ * x402 Relayer Pool
+ *
+ * Spreads settlements across several relayer wallets on one chain. Each
+ * member wraps its own RelayerTxManager (own nonce sequence), and a member is
+ * taken out of rotation when:
+ *   - its native gas balance drops below `minBalance`, or
+ *   - `maxFailures` consecutive broadcasts fail (re-admitted after `cooldown`)
+ *
+ * New settlements go to the healthy member with the fewest in-flight
+ * transactions.
+ *
+ * @package x402-boilerplate
+ * @since 1.1.0
+ */
+
+const { ethers } = require('ethers');
+const { RelayerTxManager } = require('./relayer.cjs');
+const { createLogger } = require('./logger.cjs');
+
+class RelayerPool {
+    /**
+     * @param {object} options
+     * @param {object[]} options.signers - ethers Signers connected to `provider`
+     * @param {object} options.provider - ethers Provider for the chain
+     * @param {bigint} [options.minBalance] - Native balance (wei) below which a relayer is benched
+     * @param {number} [options.maxFailures] - Consecutive failures before a relayer is benched
+     * @param {number} [options.cooldown] - Seconds a failing relayer sits out
+     * @param {number} [options.balanceInterval] - Balance refresh interval (ms)
+     * @param {object} [options.manager] - Options passed to each RelayerTxManager
+     * @param {object} [options.logger] - Structured logger (lib/logger.cjs)
+     * @param {function} [options.now] - Clock returning unix seconds
+     */
+    constructor({
+        signers,
+        provider,
+        minBalance = ethers.parseEther('1'),
+        maxFailures = 3,
+        cooldown = 300,
+        balanceInterval = 60_000,
+        manager = {},
+        logger = createLogger(),
+        now = () => Math.floor(Date.now() / 1000),
+    }) {
+        if (!signers || signers.length === 0) throw new Error('Relayer pool needs at least one signer');
+
+        this.provider = provider;
+        this.minBalance = minBalance;
+        this.maxFailures = maxFailures;
+        this.cooldown = cooldown;
+        this.balanceInterval = balanceInterval;
+        this.logger = logger;
+        this.now = now;
+        this.timer = null;
+
+        this.members = signers.map(signer => ({
+            signer,
+            address: null,
+            manager: new RelayerTxManager({ logger, ...manager, signer, provider, now }),
+            balance: null,
+            active: 0,           // submissions being prepared or broadcast
+            failures: 0,         // consecutive
+            benchedUntil: 0,
+            lowBalance: false,
+        }));
+    }
+
+    /**
+     * Resolve addresses, sync nonces and load balances
+     */
+    async init() {
+        for (const member of this.members) {
+            member.address = await member.signer.getAddress();
+            await member.manager.syncNonce();
+        }
+        await this.refreshBalances();
+    }
+
+    get addresses() {
+        return this.members.map(member => member.address);
+    }
+
+    isHealthy(member) {
+        return !member.lowBalance && member.benchedUntil <= this.now();
+    }
+
+    load(member) {
+        return member.active + member.manager.inFlight.size;
+    }
+
+    /**
+     * Healthy member with the fewest in-flight transactions
+     */
+    pick() {
+        const healthy = this.members.filter(member => this.isHealthy(member));
+        if (healthy.length === 0) throw new Error('No healthy relayer available');
+        return healthy.reduce((best, member) => (this.load(member) < this.load(best) ? member : best));
+    }
+
+    /**
+     * Submit through the least-loaded healthy relayer, or through the member
+     * at `from` when the transaction must come from a specific wallet (its
+     * health is not checked). `onSigned` is passed to the member's
+     * RelayerTxManager.submit(). The returned submission carries `relayer`
+     * (address) for logging.
+     */
+    async submit(request, { from = null, onSigned = null } = {}) {
+        const member = from ? this.member(from) : this.pick();
+        member.active++;
+
+        try {
+            const submission = await member.manager.submit(request, { onSigned });
+            this.recordSuccess(member);
+            submission.relayer = member.address;
+
+            const wait = submission.wait;
+            submission.wait = async (...args) => {
+                try {
+                    return await wait(...args);
+                } catch (error) {
+                    if (!error.receipt) this.recordFailure(member, error); // timeouts, not reverts
+                    throw error;
+                }
+            };
+            return submission;
+        } catch (error) {
+            if (error.phase !== 'estimate') this.recordFailure(member, error);
+            throw error;
+        } finally {
+            member.active--;
+        }
+    }
+
+    member(address) {
+        const member = this.members.find(m => m.address && m.address.toLowerCase() === address.toLowerCase());
+        if (!member) throw new Error(`${address} is not a relayer in this pool`);
+        return member;
+    }
+
+    recordSuccess(member) {
+        member.failures = 0;
+    }
+
+    recordFailure(member, error) {
+        member.failures++;
+        if (member.failures >= this.maxFailures) {
+            member.benchedUntil = this.now() + this.cooldown;
+            member.failures = 0;
+            this.logger.warn('Relayer benched after repeated failures', { relayer: member.address, cooldown: this.cooldown, error });
+        }
+    }
+
+    async refreshBalances() {
+        for (const member of this.members) {
+            try {
+                member.balance = await this.provider.getBalance(member.address);
+                const low = member.balance < this.minBalance;
+                if (low && !member.lowBalance) {
+                    this.logger.warn('Relayer out of rotation: low balance', {
+                        relayer: member.address, balance: ethers.formatEther(member.balance), minBalance: ethers.formatEther(this.minBalance),
+                    });
+                } else if (!low && member.lowBalance) {
+                    this.logger.info('Relayer back in rotation', { relayer: member.address, balance: ethers.formatEther(member.balance) });
+                }
+                member.lowBalance = low;
+            } catch (error) {
+                this.logger.error('Relayer balance check failed', { relayer: member.address, error });
+            }
+        }
+    }
+
+    start() {
+        if (this.timer) return;
+        for (const member of this.members) member.manager.start();
+        this.timer = setInterval(() => this.refreshBalances(), this.balanceInterval);
+        this.timer.unref();
+    }
+
+    stop() {
+        for (const member of this.members) member.manager.stop();
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Per-relayer status for /x402/health
+     */
+    status() {
+        return this.members.map(member => ({
+            address: member.address,
+            balance: member.balance === null ? null : ethers.formatEther(member.balance),
+            healthy: this.isHealthy(member),
+            reason: member.lowBalance ? 'low balance' : (member.benchedUntil > this.now() ? 'repeated failures' : null),
+            inFlight: this.load(member),
+            nextNonce: member.manager.nextNonce,
+            failures: member.failures,
+        }));
+    }
+}
+
+module.exports = { RelayerPool };
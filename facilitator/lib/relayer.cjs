@@ -0,0 +1,260 @@
+/**
+ * x402 Relayer Transaction Manager
+ *
+ * Owns every transaction a relayer wallet sends on one chain:
+ *   - Assigns nonces locally (no per-send RPC race between concurrent settlements)
+ *   - Serializes broadcasts through a single queue
+ *   - Estimates gas with a safety margin instead of fixed limits
+ *   - Watches in-flight transactions and rebroadcasts stuck ones with bumped fees
+ *
+ * A submission keeps every hash it was broadcast under; wait() resolves with
+ * the receipt of whichever replacement was mined.
+ *
+ * @package x402-boilerplate
+ * @since 1.1.0
+ */
+
+const { ethers } = require('ethers');
+const { createLogger } = require('./logger.cjs');
+
+const NONCE_ERRORS = new Set(['NONCE_EXPIRED', 'REPLACEMENT_UNDERPRICED']);
+
+function isNonceError(error) {
+    return NONCE_ERRORS.has(error.code) || /nonce too low|nonce.*too high|already known|invalid nonce/i.test(error.message || '');
+}
+
+function bump(value, percent) {
+    return value === null || value === undefined ? value : value + (value * BigInt(percent) + 99n) / 100n;
+}
+
+class RelayerTxManager {
+    /**
+     * @param {object} options
+     * @param {object} options.signer - ethers Signer connected to `provider`
+     * @param {object} options.provider - ethers Provider for the chain
+     * @param {number} [options.gasMargin] - Percent added to estimated gas
+     * @param {number} [options.stuckAfter] - Seconds before an unmined tx is rebroadcast
+     * @param {number} [options.bumpPercent] - Fee increase per rebroadcast (min 10% for most nodes)
+     * @param {number} [options.maxBumps] - Rebroadcasts per transaction
+     * @param {number} [options.pollInterval] - Receipt / stuck-tx polling interval (ms)
+     * @param {function} [options.onReplaced] - (oldHash, newHash) after a fee bump
+     * @param {object} [options.logger] - Structured logger (lib/logger.cjs)
+     * @param {function} [options.now] - Clock returning unix seconds
+     */
+    constructor({
+        signer,
+        provider,
+        gasMargin = 20,
+        stuckAfter = 60,
+        bumpPercent = 15,
+        maxBumps = 3,
+        pollInterval = 2000,
+        onReplaced = () => {},
+        logger = createLogger(),
+        now = () => Math.floor(Date.now() / 1000),
+    }) {
+        this.signer = signer;
+        this.provider = provider;
+        this.gasMargin = gasMargin;
+        this.stuckAfter = stuckAfter;
+        this.bumpPercent = bumpPercent;
+        this.maxBumps = maxBumps;
+        this.pollInterval = pollInterval;
+        this.onReplaced = onReplaced;
+        this.logger = logger;
+        this.now = now;
+
+        this.address = null;
+        this.nextNonce = null;
+        this.queue = Promise.resolve();
+        this.inFlight = new Map(); // nonce → submission
+        this.timer = null;
+        this.checking = false;
+    }
+
+    /**
+     * Run `task` after every previously queued broadcast has finished
+     */
+    enqueue(task) {
+        const run = this.queue.then(task, task);
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    async syncNonce() {
+        if (!this.address) this.address = await this.signer.getAddress();
+        this.nextNonce = await this.provider.getTransactionCount(this.address, 'pending');
+    }
+
+    async feeFields() {
+        const feeData = await this.provider.getFeeData();
+        if (feeData.maxFeePerGas !== null && feeData.maxPriorityFeePerGas !== null) {
+            return { maxFeePerGas: feeData.maxFeePerGas, maxPriorityFeePerGas: feeData.maxPriorityFeePerGas };
+        }
+        return { gasPrice: feeData.gasPrice };
+    }
+
+    /**
+     * Estimate, sign and broadcast a transaction request ({ to, data, value? }).
+     * Gas estimation failing means the call would revert, so nothing is sent.
+     * With `onSigned`, the transaction is signed first and `onSigned({ hash,
+     * nonce })` is awaited before the broadcast, so the caller can record the
+     * hash of anything that may reach the chain.
+     *
+     * @param {object} request
+     * @param {object} [options] - { onSigned? }
+     * @returns {Promise<object>} Submission: { nonce, hash, hashes, request, wait() }
+     */
+    submit(request, { onSigned = null } = {}) {
+        return this.enqueue(async () => {
+            if (this.nextNonce === null) await this.syncNonce();
+
+            let estimate;
+            try {
+                estimate = await this.provider.estimateGas({ ...request, from: this.address });
+            } catch (error) {
+                error.phase = 'estimate'; // the call itself would revert — not a relayer fault
+                throw error;
+            }
+            const gasLimit = estimate + (estimate * BigInt(this.gasMargin)) / 100n;
+            const fees = await this.feeFields();
+
+            let tx;
+            for (let attempt = 0; ; attempt++) {
+                try {
+                    const transaction = { ...request, ...fees, gasLimit, nonce: this.nextNonce };
+                    tx = onSigned ? await this.signThenBroadcast(transaction, onSigned) : await this.signer.sendTransaction(transaction);
+                    break;
+                } catch (error) {
+                    if (attempt === 0 && isNonceError(error)) {
+                        await this.syncNonce();
+                        continue;
+                    }
+                    throw error;
+                }
+            }
+
+            const submission = {
+                nonce: tx.nonce,
+                hash: tx.hash,
+                hashes: [tx.hash],
+                request: { ...request, gasLimit },
+                fees,
+                bumps: 0,
+                sentAt: this.now(),
+            };
+            submission.wait = (confirmations, timeout) => this.wait(submission, confirmations, timeout);
+
+            this.nextNonce = tx.nonce + 1;
+            this.inFlight.set(tx.nonce, submission);
+            return submission;
+        });
+    }
+
+    /**
+     * sendTransaction() in two steps, with `onSigned` in between
+     */
+    async signThenBroadcast(transaction, onSigned) {
+        const populated = await this.signer.populateTransaction(transaction);
+        delete populated.from;
+        const signed = await this.signer.signTransaction(ethers.Transaction.from(populated));
+        await onSigned({ hash: ethers.keccak256(signed), nonce: populated.nonce });
+        return this.provider.broadcastTransaction(signed);
+    }
+
+    /**
+     * Wait until any hash of the submission is mined with `confirmations` blocks.
+     * Throws if the mined transaction reverted.
+     */
+    async wait(submission, confirmations = 1, timeout = 300_000) {
+        const deadline = Date.now() + timeout;
+
+        while (Date.now() < deadline) {
+            for (const hash of submission.hashes) {
+                const receipt = await this.provider.getTransactionReceipt(hash);
+                if (!receipt) continue;
+
+                if (receipt.status === 0) {
+                    this.inFlight.delete(submission.nonce);
+                    const error = new Error(`Transaction reverted: ${hash}`);
+                    error.receipt = receipt;
+                    throw error;
+                }
+                if (await receipt.confirmations() >= confirmations) {
+                    this.inFlight.delete(submission.nonce);
+                    return receipt;
+                }
+            }
+            await new Promise(resolve => setTimeout(resolve, this.pollInterval));
+        }
+
+        throw new Error(`Timed out waiting for transaction ${submission.hash}`);
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.checkStuck(), this.pollInterval);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Drop mined transactions from the in-flight set and rebroadcast stuck
+     * ones at the same nonce with bumped fees.
+     */
+    async checkStuck() {
+        if (this.checking || this.inFlight.size === 0) return;
+        this.checking = true;
+
+        try {
+            const minedNonce = await this.provider.getTransactionCount(this.address, 'latest');
+
+            for (const [nonce, submission] of this.inFlight) {
+                if (nonce < minedNonce) {
+                    this.inFlight.delete(nonce);
+                    continue;
+                }
+                if (this.now() - submission.sentAt < this.stuckAfter || submission.bumps >= this.maxBumps) continue;
+
+                await this.enqueue(() => this.rebroadcast(submission));
+            }
+        } catch (error) {
+            this.logger.error('Relayer stuck-tx check failed', { relayer: this.address, error });
+        } finally {
+            this.checking = false;
+        }
+    }
+
+    async rebroadcast(submission) {
+        const current = await this.feeFields();
+        const fees = {};
+        for (const field of Object.keys(current)) {
+            const bumped = bump(submission.fees[field], this.bumpPercent);
+            fees[field] = bumped > current[field] ? bumped : current[field];
+        }
+
+        try {
+            const tx = await this.signer.sendTransaction({ ...submission.request, ...fees, nonce: submission.nonce });
+            const previous = submission.hash;
+
+            submission.fees = fees;
+            submission.bumps++;
+            submission.sentAt = this.now();
+            submission.hash = tx.hash;
+            submission.hashes.push(tx.hash);
+
+            this.logger.warn('Rebroadcast with bumped fees', { relayer: this.address, nonce: submission.nonce, replacedHash: previous, txHash: tx.hash });
+            this.onReplaced(previous, tx.hash);
+        } catch (error) {
+            // Nonce consumed in the meantime — the original (or a replacement) was mined
+            if (isNonceError(error)) return;
+            this.logger.error('Rebroadcast failed', { relayer: this.address, nonce: submission.nonce, error });
+        }
+    }
+}
+
+module.exports = { RelayerTxManager };
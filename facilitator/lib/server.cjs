@@ -0,0 +1,623 @@
+/**
+ * x402 Facilitator HTTP Layer
+ *
+ * createFacilitator() builds the facilitator's request handler from injected
+ * dependencies — relayer signer(s), an optional provider, the config and a
+ * clock — without touching the network, the disk or a port:
+ *
+ *   const app = createFacilitator({ signer, provider, config, clock });
+ *   await app.init();                       // ledgers + chain connections
+ *   http.createServer(app).listen(3849, '127.0.0.1');
+ *
+ * The handler adds the HTTP concerns (API key, rate limits, metrics,
+ * request logging, the demo endpoint) on top of the verify/settle core in
+ * lib/facilitator.cjs. x402-facilitator.cjs is the process entry point
+ * that wires it to the environment.
+ *
+ * @package x402-boilerplate
+ * @since 1.1.0
+ */
+
+const path = require('path');
+const { ethers } = require('ethers');
+const { Facilitator, configFromEnv } = require('./facilitator.cjs');
+const { x402Fetch, X402Error } = require('../../assets/js/lib/x402Client.js');
+const { SETTLEMENT_STATUS } = require('./settlements.cjs');
+const { describeNetwork, supportedKinds } = require('./networks.cjs');
+const { MetricsRegistry, reasonLabel, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./metrics.cjs');
+const { createLogger, requestIdFrom } = require('./logger.cjs');
+const { RateLimiter, parseRate, parseRouteRates } = require('./rate-limit.cjs');
+const { DailySpendCap } = require('./spend-cap.cjs');
+
+const FACILITATOR_DIR = path.resolve(__dirname, '..');
+
+// Every endpoint, in match order (`:name` matches one path segment). The
+// router dispatches on this table and x402-facilitator.cjs logs it at startup.
+const ROUTES = Object.freeze([
+    { method: 'GET', path: '/x402/health', description: 'Health check (per-network status)' },
+    { method: 'GET', path: '/x402/networks', description: 'Configured chains and accepted assets' },
+    { method: 'GET', path: '/x402/supported', description: 'Accepted payment kinds (scheme, network, asset, settlement mode)' },
+    { method: 'GET', path: '/metrics', description: 'Prometheus metrics (outcomes, latency, amounts, relayer balances, RPC errors)' },
+    { method: 'POST', path: '/x402/verify', description: 'Verify payment (escrow mode)' },
+    { method: 'POST', path: '/x402/settle', description: 'Execute payment via escrow' },
+    { method: 'POST', path: '/x402/verify-transfer', description: 'Verify payment (direct transfer mode)' },
+    { method: 'POST', path: '/x402/settle-transfer', description: 'Execute direct EIP-3009 transfer' },
+    { method: 'GET', path: '/x402/settlements/:id', description: 'Async settlement status' },
+    { method: 'POST', path: '/x402/refund', description: 'Refund a transfer settlement from the treasury (once per transaction)' },
+    { method: 'POST', path: '/x402/escrow/sweep', description: 'Run the escrow expiry sweep now' },
+    { method: 'GET', path: '/x402/escrow/:orderId', description: 'Escrow order status (book + adapter)' },
+    { method: 'POST', path: '/x402/escrow/:orderId/release', description: 'Pay the rest of an escrow order to the seller' },
+    { method: 'POST', path: '/x402/escrow/:orderId/refund', description: 'Refund an escrow order (all, or { amount }) to the buyer' },
+    { method: 'POST', path: '/x402/escrow/:orderId/dispute', description: 'Freeze an escrow order until it is released or refunded' },
+    { method: 'GET', path: '/x402/payments', description: 'Recorded verify/settle attempts (payer, asset, status, from, to, cursor, limit)' },
+    { method: 'GET', path: '/x402/webhooks/deliveries', description: 'Webhook deliveries, newest first (status, limit)' },
+    { method: 'POST', path: '/x402/webhooks/deliveries/:id/replay', description: 'Send one webhook delivery again' },
+    { method: 'POST', path: '/x402/webhooks/replay', description: 'Send every failed webhook delivery again' },
+    { method: 'POST', path: '/x402/demo-ai', description: 'Full x402 flow for the web demo page' },
+].map(route => Object.freeze({ ...route, pattern: new RegExp(`^${route.path.replace(/:\w+/g, '([^/]+)')}$`) })));
+
+/**
+ * Server options from the environment: configFromEnv() plus the HTTP layer
+ */
+function serverConfigFromEnv(env = process.env) {
+    return {
+        // Networks, ledgers, async settlement and relayer options: see configFromEnv() in lib/facilitator.cjs
+        ...configFromEnv(env),
+
+        // Shared secret for X-API-Key / X-Facilitator-Key
+        apiKey: env.X402_FACILITATOR_KEY || '',
+
+        // Abuse protection: token buckets written as "<requests>/<window>" ("off" disables)
+        rateLimits: {
+            apiKey: parseRate(env.X402_RATE_LIMIT_API_KEY ?? '600/min'),
+            payer: parseRate(env.X402_RATE_LIMIT_PAYER ?? '60/min'),
+            routes: parseRouteRates(env.X402_RATE_LIMIT_ROUTES ?? '/x402/demo-ai=10/min'),
+        },
+
+        // /x402/demo-ai spends the demo wallet's real tokens: cap it per UTC day
+        demoBuyerKey: env.DEMO_BUYER_KEY || '',
+        apiUrl: env.API_URL || 'http://localhost/api/x402/ai.php',
+        demoDailyCap: env.X402_DEMO_DAILY_CAP || '1',
+        demoSpendPath: env.X402_DEMO_SPEND_STORE || path.join(FACILITATOR_DIR, 'data/demo-spend.jsonl'),
+    };
+}
+
+/**
+ * JSON request body; with `optional`, an empty body is {}
+ */
+function parseBody(req, { optional = false } = {}) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk.toString();
+            if (body.length > 1048576) reject(new Error('Body too large'));
+        });
+        req.on('end', () => {
+            if (optional && !body.trim()) return resolve({});
+            try { resolve(JSON.parse(body)); }
+            catch (error) { reject(error); }
+        });
+        req.on('error', reject);
+    });
+}
+
+function sendJson(res, statusCode, data) {
+    res.body = data;
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+}
+
+/**
+ * Decode one percent-encoded path segment; null when an escape is malformed
+ */
+function decodeSegment(segment) {
+    try {
+        return decodeURIComponent(segment);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * ROUTES entry for a request and its decoded `:name` segments (null for a
+ * malformed one), or null when nothing matches
+ */
+function matchRoute(method, pathname) {
+    for (const route of ROUTES) {
+        if (route.method !== method) continue;
+        const match = pathname.match(route.pattern);
+        if (match) return { route, params: match.slice(1).map(decodeSegment) };
+    }
+    return null;
+}
+
+/**
+ * Build the facilitator request handler. Nothing is opened or connected
+ * until init().
+ *
+ * @param {object} options
+ * @param {object} options.config - serverConfigFromEnv() output (or the same shape)
+ * @param {object} [options.signer] - Relayer signer (shorthand for `signers: [signer]`)
+ * @param {object[]} [options.signers] - Relayer signers (lib/signers.cjs)
+ * @param {object} [options.provider] - Provider used for every chain (default: a metered JsonRpcProvider per chain)
+ * @param {function} [options.clock] - Clock returning unix seconds (ledgers, time windows, rate limits)
+ * @param {object} [options.logger] - Structured logger (lib/logger.cjs)
+ * @returns {function} (req, res) handler with `init()`, `start()`, `stop()`, `facilitator` and `metrics`
+ */
+function createFacilitator({ config, signer, signers, provider, clock, logger = createLogger() }) {
+    const now = clock || (() => Math.floor(Date.now() / 1000));
+    const limiterClock = clock ? { now: clock } : {};
+    const metrics = new MetricsRegistry();
+
+    // ── Metrics ──
+
+    const verifyTotal = metrics.counter('x402_verify_requests_total',
+        'Verify requests by route, outcome (valid, invalid, error) and reason', ['route', 'outcome', 'reason']);
+    const settleTotal = metrics.counter('x402_settle_requests_total',
+        'Settle requests by route, outcome (settled, pending, rejected, failed) and reason', ['route', 'outcome', 'reason']);
+    const settlementsFinalized = metrics.counter('x402_async_settlements_total',
+        'Async settlements by final status (confirmed, reverted, dropped)', ['network', 'status']);
+    const settlementDuration = metrics.histogram('x402_settlement_duration_seconds',
+        'Time from settle request to a final on-chain result', ['network', 'mode', 'status']);
+    const settledAmount = metrics.counter('x402_settled_amount_total',
+        'Amount settled on-chain, in token units', ['network', 'asset']);
+    const rpcRequests = metrics.counter('x402_rpc_requests_total',
+        'JSON-RPC calls to chain nodes', ['network', 'method']);
+    const rateLimited = metrics.counter('x402_rate_limited_total',
+        'Requests rejected with 429, by limit scope (api_key, payer, route, demo_spend)', ['scope', 'route']);
+    const rpcErrors = metrics.counter('x402_rpc_errors_total',
+        'Failed JSON-RPC calls (transport = node unreachable, response = node returned an error)', ['network', 'method', 'type']);
+
+    /**
+     * JsonRpcProvider that counts every call and failure per network and method
+     */
+    class MeteredJsonRpcProvider extends ethers.JsonRpcProvider {
+        constructor(url, network, options) {
+            super(url, network.chainId, options);
+            this.networkId = network.network;
+        }
+
+        async _send(payload) {
+            const payloads = Array.isArray(payload) ? payload : [payload];
+            for (const item of payloads) rpcRequests.inc({ network: this.networkId, method: item.method });
+
+            let results;
+            try {
+                results = await super._send(payload);
+            } catch (error) {
+                for (const item of payloads) rpcErrors.inc({ network: this.networkId, method: item.method, type: 'transport' });
+                throw error;
+            }
+
+            for (const result of results) {
+                if (!result.error) continue;
+                const item = payloads.find(p => p.id === result.id);
+                rpcErrors.inc({ network: this.networkId, method: item ? item.method : '', type: 'response' });
+            }
+            return results;
+        }
+    }
+
+    // Verification/settlement core (lib/facilitator.cjs): chains, relayer pools, ledgers
+    const facilitator = new Facilitator({
+        ...config,
+        signers: signers || (signer ? [signer] : []),
+        createProvider: provider
+            ? () => provider
+            : chainConfig => new MeteredJsonRpcProvider(chainConfig.rpc, chainConfig, { staticNetwork: true }),
+        onSettlement: recordSettlement,
+        logger,
+        now,
+    });
+    let demoSpend = null;
+
+    const rateLimits = config.rateLimits || { routes: new Map() };
+    const limiters = {
+        apiKey: rateLimits.apiKey && new RateLimiter({ ...rateLimits.apiKey, ...limiterClock }),
+        payer: rateLimits.payer && new RateLimiter({ ...rateLimits.payer, ...limiterClock }),
+        routes: new Map([...rateLimits.routes].filter(([, rate]) => rate).map(([route, rate]) => [route, new RateLimiter({ ...rate, ...limiterClock })])),
+    };
+
+    // Relayers of every chain, skipping pools that never initialized
+    function relayerStatuses() {
+        return [...facilitator.chains.values()]
+            .flatMap(chain => chain.relayers.status().map(relayer => ({ network: chain.network, ...relayer })))
+            .filter(relayer => relayer.address);
+    }
+
+    metrics.gauge('x402_relayer_balance', 'Relayer native gas balance', ['network', 'address'], gauge => {
+        gauge.reset();
+        for (const relayer of relayerStatuses()) {
+            if (relayer.balance !== null) gauge.set(relayer, Number(relayer.balance));
+        }
+    });
+    metrics.gauge('x402_relayer_healthy', 'Relayer in rotation (1) or benched (0)', ['network', 'address'], gauge => {
+        gauge.reset();
+        for (const relayer of relayerStatuses()) gauge.set(relayer, relayer.healthy ? 1 : 0);
+    });
+    metrics.gauge('x402_network_up', 'Chain reachable at last check', ['network'], gauge => {
+        for (const chain of facilitator.chains.values()) gauge.set({ network: chain.network }, chain.connected ? 1 : 0);
+    });
+    metrics.gauge('x402_settlements_pending', 'Async settlements awaiting confirmation', [], gauge => {
+        gauge.set({}, facilitator.settlements ? facilitator.settlements.pending().length : 0);
+    });
+    metrics.gauge('x402_webhook_deliveries', 'Webhook deliveries by status', ['status'], gauge => {
+        if (!facilitator.webhooks) return;
+        for (const [status, count] of Object.entries(facilitator.webhooks.stats())) gauge.set({ status }, count);
+    });
+
+    /**
+     * Record a confirmed settlement's amount (token units) for x402_settled_amount_total
+     */
+    function recordSettledAmount(chain, asset, value) {
+        const info = chain.assets[asset.toLowerCase()];
+        const amount = info ? Number(ethers.formatUnits(value, info.decimals)) : Number(value);
+        settledAmount.inc({ network: chain.network, asset: info ? info.symbol : asset.toLowerCase() }, amount);
+    }
+
+    /**
+     * Facilitator onSettlement hook: latency, async outcomes and settled amounts
+     */
+    function recordSettlement({ network, async, status, asset, amount, duration }) {
+        settlementDuration.observe({ network, mode: async ? 'async' : 'sync', status }, duration);
+        if (async) settlementsFinalized.inc({ network, status });
+
+        const chain = facilitator.chains.get(network);
+        if (chain && status === SETTLEMENT_STATUS.CONFIRMED) recordSettledAmount(chain, asset, amount);
+    }
+
+    /**
+     * Count a verify/settle response once it has been sent
+     */
+    function instrument(route, handler) {
+        return async (req, res) => {
+            res.on('finish', () => {
+                const data = res.body || {};
+                const reason = reasonLabel(data.reason || data.error);
+                if (route.includes('verify')) {
+                    const outcome = res.statusCode >= 400 ? 'error' : (data.valid ? 'valid' : 'invalid');
+                    verifyTotal.inc({ route, outcome, reason });
+                } else {
+                    let outcome = 'failed';
+                    if (data.success) outcome = data.status === SETTLEMENT_STATUS.PENDING ? 'pending' : 'settled';
+                    else if (res.statusCode < 500) outcome = 'rejected';
+                    settleTotal.inc({ route, outcome, reason });
+                }
+            });
+            return handler(req, res);
+        };
+    }
+
+    /**
+     * Take a token from `limiter` for `key`; answer 429 + Retry-After when empty.
+     * @returns {boolean} true if the request was rejected
+     */
+    function rejectIfLimited(req, res, scope, limiter, key) {
+        if (!limiter) return false;
+        const result = limiter.take(key);
+        if (result.allowed) return false;
+
+        rateLimited.inc({ scope, route: new URL(req.url, 'http://localhost').pathname });
+        req.log.warn('Rate limit exceeded', { scope, retryAfter: result.retryAfter });
+        res.setHeader('Retry-After', String(result.retryAfter));
+        sendJson(res, 429, { error: 'Rate limit exceeded', scope, retryAfter: result.retryAfter });
+        return true;
+    }
+
+    // ── Handlers ──
+
+    async function handleHealth(req, res) {
+        const result = await facilitator.health();
+        sendJson(res, result.statusCode, result.body);
+    }
+
+    function handleNetworks(req, res) {
+        sendJson(res, 200, {
+            defaultNetwork: config.defaultNetwork,
+            networks: [...config.networks.values()].map(describeNetwork),
+        });
+    }
+
+    function handleSupported(req, res) {
+        sendJson(res, 200, { kinds: supportedKinds(config.networks, { collector: facilitator.collector }) });
+    }
+
+    function handleMetrics(req, res) {
+        res.writeHead(200, { 'Content-Type': METRICS_CONTENT_TYPE });
+        res.end(metrics.render());
+    }
+
+    /**
+     * HTTP endpoint for a Facilitator operation: API key, JSON body and payer
+     * limit here, the verification or settlement itself in lib/facilitator.cjs.
+     */
+    function facilitatorRoute(operation, invalidBody) {
+        return async (req, res) => {
+            const apiKey = req.headers['x-api-key'];
+            if (!apiKey || apiKey !== config.apiKey) return sendJson(res, 401, { error: 'Invalid or missing API key' });
+
+            let body;
+            try { body = await parseBody(req); }
+            catch { return sendJson(res, 400, invalidBody); }
+
+            const authorization = body?.payload?.payload?.authorization;
+            if (authorization) {
+                const { from, value } = authorization;
+                req.log = req.log.child({ network: body.payload.network, payer: from, asset: body.requirements?.asset, amount: value });
+                if (rejectIfLimited(req, res, 'payer', limiters.payer, String(from).toLowerCase())) return;
+            }
+
+            const result = await facilitator[operation](body, { log: req.log, requestId: req.id });
+            if (result.body.transaction) req.log = req.log.child({ txHash: result.body.transaction });
+            sendJson(res, result.statusCode, result.body);
+        };
+    }
+
+    const handleVerify = facilitatorRoute('verify', { valid: false, reason: 'Invalid JSON body' });
+    const handleSettle = facilitatorRoute('settle', { success: false, error: 'Invalid JSON body' });
+    const handleVerifyTransfer = facilitatorRoute('verifyTransfer', { valid: false, reason: 'Invalid JSON body' });
+    const handleSettleTransfer = facilitatorRoute('settleTransfer', { success: false, error: 'Invalid JSON body' });
+    const handleRefund = facilitatorRoute('refundPayment', { success: false, error: 'Invalid JSON body' });
+
+    async function handleSettlementStatus(req, res, id) {
+        const apiKey = req.headers['x-api-key'];
+        if (!apiKey || apiKey !== config.apiKey) return sendJson(res, 401, { error: 'Invalid or missing API key' });
+
+        const settlement = facilitator.settlement(id);
+        if (!settlement) return sendJson(res, 404, { error: 'Settlement not found' });
+
+        sendJson(res, 200, settlement);
+    }
+
+    /**
+     * Escrow order endpoints (/x402/escrow/:orderId[/release|/refund|/dispute]).
+     * The network comes from ?network= or the body, else the order book.
+     */
+    function escrowRoute(operation) {
+        return async (req, res, orderId) => {
+            const apiKey = req.headers['x-api-key'];
+            if (!apiKey || apiKey !== config.apiKey) return sendJson(res, 401, { error: 'Invalid or missing API key' });
+
+            let body = {};
+            if (req.method === 'POST') {
+                try { body = await parseBody(req, { optional: true }) || {}; }
+                catch { return sendJson(res, 400, { success: false, error: 'Invalid JSON body' }); }
+            }
+
+            const network = new URL(req.url, 'http://localhost').searchParams.get('network') || body.network;
+            req.log = req.log.child({ orderId });
+            const result = await facilitator[operation]({ ...body, orderId, network }, { log: req.log });
+            if (result.body.transaction) req.log = req.log.child({ txHash: result.body.transaction });
+            sendJson(res, result.statusCode, result.body);
+        };
+    }
+
+    const escrowHandlers = {
+        status: escrowRoute('escrowOrder'),
+        release: escrowRoute('releaseEscrow'),
+        refund: escrowRoute('refundEscrow'),
+        dispute: escrowRoute('disputeEscrow'),
+    };
+
+    async function handleEscrowSweep(req, res) {
+        const apiKey = req.headers['x-api-key'];
+        if (!apiKey || apiKey !== config.apiKey) return sendJson(res, 401, { error: 'Invalid or missing API key' });
+
+        const result = await facilitator.sweepEscrow({ log: req.log });
+        sendJson(res, result.statusCode, result.body);
+    }
+
+    /**
+     * Webhook delivery log and replays (GET /x402/webhooks/deliveries,
+     * POST /x402/webhooks/deliveries/:id/replay, POST /x402/webhooks/replay)
+     */
+    async function handleWebhooks(req, res, deliveryId) {
+        const apiKey = req.headers['x-api-key'];
+        if (!apiKey || apiKey !== config.apiKey) return sendJson(res, 401, { error: 'Invalid or missing API key' });
+
+        let result;
+        if (req.method === 'GET') {
+            const query = new URL(req.url, 'http://localhost').searchParams;
+            result = facilitator.webhookDeliveries({ status: query.get('status'), limit: query.get('limit') });
+        } else if (deliveryId) {
+            req.log = req.log.child({ deliveryId });
+            result = await facilitator.replayWebhook(deliveryId, { log: req.log });
+        } else {
+            result = await facilitator.replayFailedWebhooks({ log: req.log });
+        }
+        sendJson(res, result.statusCode, result.body);
+    }
+
+    /**
+     * Recorded verify/settle attempts (GET /x402/payments?payer=&asset=&status=&from=&to=&cursor=&limit=)
+     */
+    async function handlePayments(req, res) {
+        const apiKey = req.headers['x-api-key'];
+        if (!apiKey || apiKey !== config.apiKey) return sendJson(res, 401, { error: 'Invalid or missing API key' });
+
+        const query = new URL(req.url, 'http://localhost').searchParams;
+        const result = await facilitator.listPayments(Object.fromEntries(
+            ['payer', 'asset', 'status', 'operation', 'network', 'from', 'to', 'cursor', 'limit'].map(name => [name, query.get(name)]),
+        ));
+        sendJson(res, result.statusCode, result.body);
+    }
+
+    async function handleDemoAi(req, res) {
+        const facilitatorKey = req.headers['x-facilitator-key'];
+        if (!facilitatorKey || facilitatorKey !== config.apiKey) return sendJson(res, 401, { error: 'Invalid or missing API key' });
+
+        let body;
+        try { body = await parseBody(req); }
+        catch { return sendJson(res, 400, { success: false, message: 'Invalid JSON body' }); }
+
+        const question = (body.question || '').trim();
+        if (!question || question.length > 500) return sendJson(res, 422, { success: false, message: 'Question required (max 500 chars)' });
+
+        const demoKey = config.demoBuyerKey;
+        if (!demoKey) return sendJson(res, 500, { success: false, message: 'No demo wallet configured (set DEMO_BUYER_KEY)' });
+
+        const url = `${config.apiUrl}?q=${encodeURIComponent(question)}`;
+
+        // Budget reserved for this payment; handed back if the payment provably never settled
+        let reservation = null;
+        let paymentSent = false;
+
+        try {
+            // GET → 402 → balance check → daily cap → sign EIP-3009 → paid retry
+            const paidRes = await x402Fetch(url, { headers: { 'X-Request-Id': req.id } }, {
+                signer: (requirements) => {
+                    const chain = facilitator.getChain(requirements.network);
+                    if (!chain) throw new X402Error(`Unsupported network: ${requirements.network}`, 'PAYMENT_DECLINED');
+                    return new ethers.Wallet(demoKey, chain.provider);
+                },
+                beforePayment: ({ requirements }) => {
+                    const assetInfo = facilitator.getChain(requirements.network).assets[requirements.asset.toLowerCase()];
+                    const budget = demoSpend.reserve(requirements.asset, requirements.amount, assetInfo?.decimals ?? 6);
+                    if (!budget.allowed) {
+                        throw new X402Error(
+                            `Demo daily spend cap reached (${config.demoDailyCap} ${assetInfo?.symbol || 'tokens'} per day). Try again tomorrow.`,
+                            'DEMO_SPEND_CAP',
+                            { asset: requirements.asset, budget }
+                        );
+                    }
+                    reservation = budget;
+                },
+                onSigned: () => { paymentSent = true; },
+            });
+
+            if (!paidRes.x402) {
+                const text = await paidRes.text();
+                req.log.error('Demo expected 402', { upstreamStatus: paidRes.status, body: text.slice(0, 500) });
+                return sendJson(res, 502, { success: false, message: `API returned ${paidRes.status}` });
+            }
+
+            const payer = paidRes.x402.payload.payload.authorization.from;
+            const result = await paidRes.json();
+
+            if (paidRes.status !== 200 || !result.success) {
+                // 402 = rejected at verification, nothing was settled; a refunded payment was given back
+                const refund = paidRes.x402.refund || result.refund;
+                if (paidRes.status === 402 || refund?.success) demoSpend.release(reservation);
+                req.log.error('Demo payment failed', { upstreamStatus: paidRes.status, payer, reason: result.message, refunded: Boolean(refund?.success) });
+                return sendJson(res, paidRes.status >= 400 ? paidRes.status : 502, result);
+            }
+
+            const { requirements, authorized, charged } = paidRes.x402;
+            // Metered: only the charged part of the reservation counts against the cap
+            if (charged !== null && BigInt(charged) < BigInt(authorized)) demoSpend.release(reservation, BigInt(authorized) - BigInt(charged));
+            req.log.info('Demo AI query paid', { payer, asset: requirements.asset, amount: charged ?? requirements.amount, txHash: result.data?.payment?.tx_hash });
+            sendJson(res, 200, result);
+        } catch (error) {
+            if (reservation && !paymentSent) demoSpend.release(reservation);
+
+            switch (error.code) {
+                case 'INSUFFICIENT_BALANCE':
+                    return sendJson(res, 400, {
+                        success: false,
+                        message: `Insufficient USDT0 balance: ${ethers.formatUnits(error.balance, 6)} < ${ethers.formatUnits(error.required, 6)}`,
+                    });
+                case 'DEMO_SPEND_CAP':
+                    rateLimited.inc({ scope: 'demo_spend', route: '/x402/demo-ai' });
+                    req.log.warn('Demo daily spend cap reached', {
+                        asset: error.asset, spent: error.budget.spent, limit: error.budget.limit, retryAfter: error.budget.retryAfter,
+                    });
+                    res.setHeader('Retry-After', String(error.budget.retryAfter));
+                    return sendJson(res, 429, { success: false, message: error.message });
+                case 'MISSING_PAYMENT_REQUIRED':
+                case 'NO_COMPATIBLE_REQUIREMENTS':
+                case 'PAYMENT_DECLINED':
+                    return sendJson(res, 502, { success: false, message: error.message });
+            }
+
+            req.log.error('Demo error', { error });
+            sendJson(res, 500, { success: false, message: error.message });
+        }
+    }
+
+    // ── Router ──
+
+    // A `:name` segment with a malformed %-escape answers 400 with `malformed`
+    const withSegment = (malformed, handle) => (req, res, value) => (value === null ? sendJson(res, 400, malformed) : handle(req, res, value));
+    const malformedOrder = { success: false, error: 'Malformed order id' };
+
+    const routeHandlers = {
+        'GET /x402/health': handleHealth,
+        'GET /x402/networks': handleNetworks,
+        'GET /x402/supported': handleSupported,
+        'GET /metrics': handleMetrics,
+        'POST /x402/verify': instrument('/x402/verify', handleVerify),
+        'POST /x402/settle': instrument('/x402/settle', handleSettle),
+        'POST /x402/verify-transfer': instrument('/x402/verify-transfer', handleVerifyTransfer),
+        'POST /x402/settle-transfer': instrument('/x402/settle-transfer', handleSettleTransfer),
+        'GET /x402/settlements/:id': withSegment({ error: 'Malformed settlement id' }, handleSettlementStatus),
+        'POST /x402/refund': handleRefund,
+        'POST /x402/escrow/sweep': handleEscrowSweep,
+        'GET /x402/escrow/:orderId': withSegment(malformedOrder, escrowHandlers.status),
+        'POST /x402/escrow/:orderId/release': withSegment(malformedOrder, escrowHandlers.release),
+        'POST /x402/escrow/:orderId/refund': withSegment(malformedOrder, escrowHandlers.refund),
+        'POST /x402/escrow/:orderId/dispute': withSegment(malformedOrder, escrowHandlers.dispute),
+        'GET /x402/payments': handlePayments,
+        'GET /x402/webhooks/deliveries': (req, res) => handleWebhooks(req, res, null),
+        'POST /x402/webhooks/deliveries/:id/replay': withSegment({ success: false, error: 'Malformed delivery id' }, handleWebhooks),
+        'POST /x402/webhooks/replay': (req, res) => handleWebhooks(req, res, null),
+        'POST /x402/demo-ai': handleDemoAi,
+    };
+
+    async function route(req, res) {
+        const pathname = new URL(req.url, 'http://localhost').pathname;
+        const startedAt = Date.now();
+
+        // Correlation id: reuse the caller's X-Request-Id (PHP forwards its own) or mint one
+        req.id = requestIdFrom(req.headers['x-request-id']);
+        req.log = logger.child({ requestId: req.id, route: pathname });
+        res.setHeader('X-Request-Id', req.id);
+        res.on('finish', () => {
+            if (pathname === '/metrics' || pathname === '/x402/health') return;
+            const data = res.body || {};
+            req.log.info('Request completed', {
+                method: req.method, status: res.statusCode, durationMs: Date.now() - startedAt,
+                valid: data.valid, success: data.success, reason: data.reason || data.error || (data.success === false ? data.message : undefined),
+            });
+        });
+
+        if (req.method === 'OPTIONS') { res.writeHead(200); res.end(); return; }
+
+        // Per API key, then per route per caller (API key, else remote address)
+        const caller = req.headers['x-api-key'] || req.headers['x-facilitator-key'];
+        if (caller && rejectIfLimited(req, res, 'api_key', limiters.apiKey, caller)) return;
+        if (rejectIfLimited(req, res, 'route', limiters.routes.get(pathname), `${pathname} ${caller || req.socket.remoteAddress}`)) return;
+
+        const match = matchRoute(req.method, pathname);
+        if (!match) return sendJson(res, 404, { error: 'Not found' });
+        return routeHandlers[`${match.route.method} ${match.route.path}`](req, res, ...match.params);
+    }
+
+    // A handler that throws answers 500 instead of leaving the request hanging
+    async function handler(req, res) {
+        try {
+            await route(req, res);
+        } catch (error) {
+            (req.log || logger).error('Request failed', { error });
+            if (res.headersSent) res.destroy();
+            else sendJson(res, 500, { error: 'Internal server error' });
+        }
+    }
+
+    /**
+     * Open the ledgers and connect every chain. Call before serving requests.
+     */
+    handler.init = async () => {
+        if (!config.apiKey) throw new Error('X402_FACILITATOR_KEY is required');
+        await facilitator.init();
+
+        demoSpend = new DailySpendCap({ filePath: config.demoSpendPath, limit: config.demoDailyCap, now });
+        logger.info('Demo spend cap', { path: config.demoSpendPath, dailyCap: demoSpend.enabled ? config.demoDailyCap : 'off' });
+    };
+    handler.start = () => facilitator.start();
+    handler.stop = () => facilitator.stop();
+    handler.facilitator = facilitator;
+    handler.metrics = metrics;
+    return handler;
+}
+
+module.exports = { createFacilitator, serverConfigFromEnv, ROUTES };
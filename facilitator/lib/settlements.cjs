@@ -0,0 +1,222 @@
+/**
+ * x402 Settlement Tracker
+ *
+ * Async settlement support: once a settlement transaction is broadcast the
+ * facilitator records it here and answers the HTTP request immediately.
+ * A background watcher polls each pending transaction until it reaches the
+ * configured confirmation depth, reverts, or disappears from the node.
+ *
+ * Settlement states:
+ *   - pending:   broadcast, waiting for receipt / confirmations
+ *   - confirmed: mined with status 1 and `confirmations` blocks deep
+ *   - reverted:  mined with status 0
+ *   - dropped:   no receipt and unknown to the node after `dropTimeout`
+ *
+ * Jobs are persisted (JSON lines), so a restart resumes watching.
+ *
+ * @package x402-boilerplate
+ * @since 1.1.0
+ */
+
+const crypto = require('crypto');
+const { JsonlStore } = require('./jsonl-store.cjs');
+const { createLogger } = require('./logger.cjs');
+
+const SETTLEMENT_STATUS = Object.freeze({
+    PENDING: 'pending',
+    CONFIRMED: 'confirmed',
+    REVERTED: 'reverted',
+    DROPPED: 'dropped',
+});
+
+// Finished settlements are kept for a week, then compacted away on load
+const RETENTION_SECONDS = 7 * 24 * 3600;
+
+class SettlementTracker {
+    /**
+     * @param {object} options
+     * @param {string} options.filePath - JSON-lines job file
+     * @param {function} options.getProvider - network id → ethers Provider (or null)
+     * @param {number} [options.confirmations] - Blocks required before `confirmed`
+     * @param {number} [options.pollInterval] - Watcher interval (ms)
+     * @param {number} [options.dropTimeout] - Seconds before an unknown tx is `dropped`
+     * @param {function} [options.onFinal] - Called with the job when it leaves `pending`
+     * @param {object} [options.logger] - Structured logger (lib/logger.cjs)
+     * @param {function} [options.now] - Clock returning unix seconds
+     */
+    constructor({
+        filePath,
+        getProvider,
+        confirmations = 1,
+        pollInterval = 3000,
+        dropTimeout = 600,
+        onFinal = () => {},
+        logger = createLogger(),
+        now = () => Math.floor(Date.now() / 1000),
+    }) {
+        this.getProvider = getProvider;
+        this.confirmations = confirmations;
+        this.pollInterval = pollInterval;
+        this.dropTimeout = dropTimeout;
+        this.onFinal = onFinal;
+        this.logger = logger;
+        this.now = now;
+        this.timer = null;
+        this.polling = false;
+
+        const loadedAt = now();
+        this.store = new JsonlStore({
+            filePath,
+            keyField: 'id',
+            keep: job => job.status === SETTLEMENT_STATUS.PENDING || loadedAt - job.updatedAt < RETENTION_SECONDS,
+        });
+    }
+
+    /**
+     * Record a broadcast settlement transaction
+     * @returns {object} The pending job (includes `id`)
+     */
+    create({ network, mode, payer, asset, amount, nonceKey, txHash, requestId = null, orderId = null }) {
+        const now = this.now();
+        return this.store.write({
+            id: crypto.randomUUID(),
+            status: SETTLEMENT_STATUS.PENDING,
+            network, mode, payer, asset, amount, nonceKey, txHash, requestId, orderId,
+            blockNumber: null,
+            confirmations: 0,
+            createdAt: now,
+            updatedAt: now,
+        });
+    }
+
+    /**
+     * Record a metered settlement the collector passed on: its authorization
+     * transaction and the charge to the treasury (treasury reconciliation
+     * follows the charge back to the authorization). Confirmed already, so
+     * the watcher never polls it.
+     * @returns {object} The confirmed job
+     */
+    recordCharge({ network, mode, payer, asset, amount, txHash, chargeTxHash, requestId = null }) {
+        const now = this.now();
+        return this.store.write({
+            id: crypto.randomUUID(),
+            status: SETTLEMENT_STATUS.CONFIRMED,
+            network, mode, payer, asset, amount, nonceKey: null, txHash, chargeTxHash, requestId, orderId: null,
+            blockNumber: null,
+            confirmations: 0,
+            createdAt: now,
+            updatedAt: now,
+        });
+    }
+
+    get(id) {
+        return this.store.get(id);
+    }
+
+    /**
+     * Follow a fee-bumped rebroadcast: the pending job now waits on `newHash`
+     */
+    replaceTransaction(oldHash, newHash) {
+        const job = this.pending().find(pendingJob => pendingJob.txHash === oldHash);
+        if (!job) return null;
+        return this.store.write({ id: job.id, txHash: newHash, replaced: [...(job.replaced || []), oldHash], updatedAt: this.now() });
+    }
+
+    pending() {
+        return [...this.store.values()].filter(job => job.status === SETTLEMENT_STATUS.PENDING);
+    }
+
+    stats() {
+        const counts = { pending: 0, confirmed: 0, reverted: 0, dropped: 0 };
+        for (const job of this.store.values()) counts[job.status]++;
+        return counts;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.poll(), this.pollInterval);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Check every pending job once. Overlapping polls are skipped.
+     */
+    async poll() {
+        if (this.polling) return;
+        this.polling = true;
+        try {
+            for (const job of this.pending()) {
+                try {
+                    await this.check(job);
+                } catch (error) {
+                    this.logger.error('Settlement watcher error', { settlementId: job.id, txHash: job.txHash, error });
+                }
+            }
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    async check(job) {
+        const provider = this.getProvider(job.network);
+        if (!provider) return;
+
+        const receipt = await provider.getTransactionReceipt(job.txHash);
+
+        if (receipt) {
+            if (receipt.status === 0) {
+                return this.finalize(job, SETTLEMENT_STATUS.REVERTED, { blockNumber: receipt.blockNumber });
+            }
+
+            const confirmations = await receipt.confirmations();
+            if (confirmations >= this.confirmations) {
+                return this.finalize(job, SETTLEMENT_STATUS.CONFIRMED, { blockNumber: receipt.blockNumber, confirmations });
+            }
+
+            this.store.write({ id: job.id, blockNumber: receipt.blockNumber, confirmations, updatedAt: this.now() });
+            return;
+        }
+
+        // No receipt: still in the mempool, or dropped/replaced
+        const tx = await provider.getTransaction(job.txHash);
+        if (!tx && this.now() - job.createdAt > this.dropTimeout) {
+            return this.finalize(job, SETTLEMENT_STATUS.DROPPED, {});
+        }
+    }
+
+    finalize(job, status, fields) {
+        const updated = this.store.write({ id: job.id, status, ...fields, updatedAt: this.now() });
+        this.onFinal(updated);
+        return updated;
+    }
+}
+
+/**
+ * Public view of a settlement job (GET /x402/settlements/:id)
+ */
+function describeSettlement(job) {
+    return {
+        id: job.id,
+        status: job.status,
+        network: job.network,
+        mode: job.mode,
+        transaction: job.txHash,
+        replaced: job.replaced || [],
+        payer: job.payer,
+        asset: job.asset,
+        amount: job.amount,
+        blockNumber: job.blockNumber,
+        confirmations: job.confirmations,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt,
+        requestId: job.requestId || null,
+        orderId: job.orderId || null,
+    };
+}
+
+module.exports = { SettlementTracker, describeSettlement, SETTLEMENT_STATUS };
@@ -0,0 +1,162 @@
+/**
+ * x402 Relayer Signer Backends
+ *
+ * Builds the ethers Signers the relayer pool settles with. Settlement code
+ * only ever sees the Signer interface; where the key lives is decided here.
+ *
+ * Backends (X402_SIGNER_BACKEND):
+ *   - key:      raw private keys from ARENA_SIGNER_PRIVATE_KEY(S) (default)
+ *   - keystore: encrypted JSON keystores (X402_KEYSTORE_PATH, comma-separated)
+ *               unlocked with X402_KEYSTORE_PASSPHRASE or X402_KEYSTORE_PASSPHRASE_FILE
+ *   - remote:   HTTP remote signer (X402_REMOTE_SIGNER_URL, X402_REMOTE_SIGNER_TOKEN)
+ *
+ * Remote signer protocol (JSON, `Authorization: Bearer <token>`):
+ *   GET  /accounts          → { accounts: ["0x..."] }
+ *   POST /sign/transaction  { address, transaction: <unsigned serialized tx> } → { signedTransaction }
+ *   POST /sign/typed-data   { address, domain, types, message } → { signature }
+ *
+ * There is no message signing: relayers only send transactions. A signer may
+ * refuse transactions (403), e.g. to contracts outside its allow-list.
+ *
+ * facilitator/remote-signer.cjs implements this protocol for local use.
+ *
+ * @package x402-boilerplate
+ * @since 1.1.0
+ */
+
+const fs = require('fs');
+const { ethers } = require('ethers');
+
+const BACKENDS = ['key', 'keystore', 'remote'];
+
+/**
+ * Signer that delegates every signature to a remote signing service.
+ * Signed transactions are checked against the request before use.
+ */
+class RemoteSigner extends ethers.AbstractSigner {
+    /**
+     * @param {object} options
+     * @param {string} options.url - Remote signer base URL
+     * @param {string} options.address - Account to sign with
+     * @param {string} [options.token] - Bearer token
+     * @param {number} [options.timeout] - Request timeout (ms)
+     * @param {object} [provider] - ethers Provider
+     */
+    constructor({ url, address, token = '', timeout = 10_000 }, provider = null) {
+        super(provider);
+        this.url = url.replace(/\/+$/, '');
+        this.address = ethers.getAddress(address);
+        this.token = token;
+        this.timeout = timeout;
+    }
+
+    connect(provider) {
+        return new RemoteSigner({ url: this.url, address: this.address, token: this.token, timeout: this.timeout }, provider);
+    }
+
+    async getAddress() {
+        return this.address;
+    }
+
+    async request(route, body) {
+        return remoteRequest(this.url, route, this.token, this.timeout, { address: this.address, ...body });
+    }
+
+    async signTransaction(tx) {
+        const populated = { ...tx };
+        delete populated.from;
+        const unsigned = ethers.Transaction.from(populated);
+
+        const { signedTransaction } = await this.request('/sign/transaction', { transaction: unsigned.unsignedSerialized });
+        const signed = ethers.Transaction.from(signedTransaction);
+
+        if (signed.from !== this.address || signed.unsignedHash !== unsigned.unsignedHash) {
+            throw new Error('Remote signer returned a transaction that does not match the request');
+        }
+        return signed.serialized;
+    }
+
+    async signMessage() {
+        throw new Error('The remote signer protocol does not sign messages');
+    }
+
+    async signTypedData(domain, types, value) {
+        const { signature } = await this.request('/sign/typed-data', { domain, types, message: jsonSafe(value) });
+        if (ethers.verifyTypedData(domain, types, value, signature) !== this.address) throw new Error('Remote signer returned an invalid typed-data signature');
+        return signature;
+    }
+}
+
+function jsonSafe(value) {
+    return JSON.parse(JSON.stringify(value, (_, v) => (typeof v === 'bigint' ? v.toString() : v)));
+}
+
+async function remoteRequest(url, route, token, timeout, body) {
+    const response = await fetch(url + route, {
+        method: body ? 'POST' : 'GET',
+        headers: {
+            'Content-Type': 'application/json',
+            ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        },
+        body: body ? JSON.stringify(body) : undefined,
+        signal: AbortSignal.timeout(timeout),
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(`Remote signer ${route} failed (${response.status}): ${data.error || 'unknown error'}`);
+    return data;
+}
+
+function splitList(value) {
+    return [...new Set((value || '').split(',').map(item => item.trim()).filter(Boolean))];
+}
+
+function readPassphrase(env) {
+    if (env.X402_KEYSTORE_PASSPHRASE_FILE) return fs.readFileSync(env.X402_KEYSTORE_PASSPHRASE_FILE, 'utf-8').trim();
+    if (env.X402_KEYSTORE_PASSPHRASE) return env.X402_KEYSTORE_PASSPHRASE;
+    throw new Error('X402_KEYSTORE_PASSPHRASE or X402_KEYSTORE_PASSPHRASE_FILE is required for the keystore backend');
+}
+
+/**
+ * Build relayer signers (not yet connected to a provider) from configuration.
+ *
+ * @param {object} env - Usually process.env
+ * @returns {Promise<{ backend: string, signers: object[] }>}
+ */
+async function loadSigners(env) {
+    const backend = env.X402_SIGNER_BACKEND || 'key';
+    if (!BACKENDS.includes(backend)) throw new Error(`Unknown X402_SIGNER_BACKEND: ${backend} (expected ${BACKENDS.join(', ')})`);
+
+    if (backend === 'key') {
+        const keys = splitList(env.ARENA_SIGNER_PRIVATE_KEYS || env.ARENA_SIGNER_PRIVATE_KEY);
+        if (keys.length === 0) throw new Error('ARENA_SIGNER_PRIVATE_KEY (or ARENA_SIGNER_PRIVATE_KEYS) is required');
+        return { backend, signers: keys.map(key => new ethers.Wallet(key)) };
+    }
+
+    if (backend === 'keystore') {
+        const paths = splitList(env.X402_KEYSTORE_PATH);
+        if (paths.length === 0) throw new Error('X402_KEYSTORE_PATH is required for the keystore backend');
+        const passphrase = readPassphrase(env);
+
+        const signers = [];
+        for (const keystorePath of paths) {
+            const json = fs.readFileSync(keystorePath, 'utf-8');
+            signers.push(await ethers.Wallet.fromEncryptedJson(json, passphrase));
+        }
+        return { backend, signers };
+    }
+
+    const url = env.X402_REMOTE_SIGNER_URL;
+    if (!url) throw new Error('X402_REMOTE_SIGNER_URL is required for the remote backend');
+    const token = env.X402_REMOTE_SIGNER_TOKEN || '';
+
+    let addresses = splitList(env.X402_REMOTE_SIGNER_ADDRESSES);
+    if (addresses.length === 0) {
+        ({ accounts: addresses } = await remoteRequest(url.replace(/\/+$/, ''), '/accounts', token, 10_000));
+    }
+    if (!addresses || addresses.length === 0) throw new Error('Remote signer has no accounts');
+
+    return { backend, signers: addresses.map(address => new RemoteSigner({ url, address, token })) };
+}
+
+module.exports = { loadSigners, RemoteSigner, BACKENDS };
@@ -0,0 +1,82 @@
+/**
+ * x402 Daily Spend Cap
+ *
+ * Global per-asset budget for a wallet the facilitator spends from (the
+ * demo buyer). Spending is reserved before a payment is signed and released
+ * again if the payment provably never settled. Totals are persisted per UTC
+ * day, so a restart does not reset the budget.
+ *
+ * @package x402-boilerplate
+ * @since 1.1.0
+ */
+
+const { ethers } = require('ethers');
+const { JsonlStore } = require('./jsonl-store.cjs');
+
+const DAY_SECONDS = 86400;
+
+// Days of history kept in the file
+const RETENTION_DAYS = 30;
+
+class DailySpendCap {
+    /**
+     * @param {object} options
+     * @param {string} options.filePath - JSON-lines spend file
+     * @param {string} options.limit - Daily cap in token units (e.g. '1' = 1 USDT0); '0' disables
+     * @param {function} [options.now] - Clock returning unix seconds
+     */
+    constructor({ filePath, limit, now = () => Math.floor(Date.now() / 1000) }) {
+        this.limit = String(limit);
+        this.enabled = Number(this.limit) > 0;
+        this.now = now;
+
+        const today = Math.floor(now() / DAY_SECONDS);
+        this.store = new JsonlStore({ filePath, keep: entry => today - entry.day < RETENTION_DAYS });
+    }
+
+    /**
+     * Reserve `amount` (base units) of `asset` against today's cap
+     *
+     * @param {string} asset - Token address
+     * @param {bigint|string} amount - Base units
+     * @param {number} decimals - Token decimals (to convert the cap)
+     * @returns {{ allowed: boolean, key: string, amount: bigint, spent: bigint, limit: bigint, retryAfter: number }}
+     */
+    reserve(asset, amount, decimals) {
+        const now = this.now();
+        const day = Math.floor(now / DAY_SECONDS);
+        const key = `${day}:${asset.toLowerCase()}`;
+        const value = BigInt(amount);
+        const limit = ethers.parseUnits(this.limit, decimals);
+        const spent = BigInt(this.store.get(key)?.spent || '0');
+        const retryAfter = (day + 1) * DAY_SECONDS - now;
+
+        if (this.enabled && spent + value > limit) {
+            return { allowed: false, key, amount: value, spent, limit, retryAfter };
+        }
+
+        this.store.write({ key, day, asset: asset.toLowerCase(), spent: (spent + value).toString() });
+        return { allowed: true, key, amount: value, spent: spent + value, limit, retryAfter };
+    }
+
+    /**
+     * Give back a reservation whose payment never settled, or the `amount`
+     * (base units) of it a metered payment did not charge
+     */
+    release(reservation, amount = reservation.amount) {
+        const entry = this.store.get(reservation.key);
+        if (!entry) return;
+        const spent = BigInt(entry.spent) - BigInt(amount);
+        this.store.write({ key: reservation.key, spent: (spent > 0n ? spent : 0n).toString() });
+    }
+
+    /**
+     * Today's spend per asset (base units)
+     */
+    today() {
+        const day = Math.floor(this.now() / DAY_SECONDS);
+        return [...this.store.values()].filter(entry => entry.day === day).map(entry => ({ asset: entry.asset, spent: entry.spent }));
+    }
+}
+
+module.exports = { DailySpendCap };
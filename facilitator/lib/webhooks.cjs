@@ -0,0 +1,336 @@
+/**
+ * x402 Webhooks
+ *
+ * Payment events for downstream systems (billing, chat bots, analytics)
+ * that would otherwise poll the database:
+ *
+ *   payment.verified   a payment passed verification
+ *   payment.settled    a settlement is confirmed on-chain
+ *   payment.failed     a settlement was attempted and did not go through
+ *   payment.refunded   a payment (or part of an escrow order) went back to the payer
+ *
+ * Every event is POSTed to each endpoint subscribed to it, signed with the
+ * shared secret:
+ *
+ *   X-X402-Event:     payment.settled
+ *   X-X402-Delivery:  <delivery id>
+ *   X-X402-Timestamp: <unix seconds>
+ *   X-X402-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+ *
+ *   { "id": "evt_…", "type": "payment.settled", "createdAt": 1760000000, "data": { … } }
+ *
+ * Receivers check the signature and the timestamp (verifyWebhookSignature()).
+ * A 2xx answer delivers the event; anything else is retried with exponential
+ * backoff (retryBase × 2^(attempt - 1) seconds, at most maxDelay) until
+ * maxAttempts, after which the delivery is failed and waits to be replayed.
+ * Deliveries are persisted (JSON lines), so retries resume after a restart.
+ *
+ * @package x402-boilerplate
+ * @since 1.1.0
+ */
+
+const crypto = require('crypto');
+const { JsonlStore } = require('./jsonl-store.cjs');
+const { createLogger } = require('./logger.cjs');
+
+const WEBHOOK_EVENTS = Object.freeze(['payment.verified', 'payment.settled', 'payment.failed', 'payment.refunded']);
+
+const DELIVERY_STATUS = Object.freeze({
+    PENDING: 'pending',
+    DELIVERED: 'delivered',
+    FAILED: 'failed',
+});
+
+// Delivered events are kept for a week and failed ones for 30 days (to be replayed), then compacted away on load
+const DELIVERED_RETENTION_SECONDS = 7 * 24 * 3600;
+const FAILED_RETENTION_SECONDS = 30 * 24 * 3600;
+
+/**
+ * Endpoints from X402_WEBHOOK_URLS (comma-separated) and X402_WEBHOOK_EVENTS
+ * (comma-separated event types every endpoint gets; empty = all)
+ * @returns {Array<{ url: string, events: string[] }>}
+ */
+function parseWebhookEndpoints(urls, events = '') {
+    const types = String(events).split(',').map(type => type.trim()).filter(Boolean);
+    return String(urls).split(',').map(url => url.trim()).filter(Boolean)
+        .map(url => ({ url, events: types.length > 0 ? types : [...WEBHOOK_EVENTS] }));
+}
+
+/**
+ * X-X402-Signature value for a body sent at `timestamp`
+ */
+function signWebhook(secret, timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Check a received webhook: the signature over the raw body, and a timestamp
+ * no further than `tolerance` seconds from now (replayed requests fail)
+ *
+ * @param {object} options
+ * @param {string} options.secret - X402_WEBHOOK_SECRET
+ * @param {string} options.body - Raw request body, exactly as received
+ * @param {string|number} options.timestamp - X-X402-Timestamp
+ * @param {string} options.signature - X-X402-Signature
+ * @param {number} [options.tolerance] - Seconds (default: 300)
+ * @param {number} [options.now] - Unix seconds (default: the current time)
+ * @returns {boolean}
+ */
+function verifyWebhookSignature({ secret, body, timestamp, signature, tolerance = 300, now = Math.floor(Date.now() / 1000) }) {
+    if (!secret || typeof signature !== 'string' || !/^\d+$/.test(String(timestamp ?? ''))) return false;
+    if (Math.abs(now - Number(timestamp)) > tolerance) return false;
+    const expected = Buffer.from(signWebhook(secret, timestamp, body));
+    const received = Buffer.from(signature);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+class WebhookDispatcher {
+    /**
+     * @param {object} options
+     * @param {string} options.filePath - JSON-lines delivery file
+     * @param {Array<{ url: string, events: string[] }>} [options.endpoints] - Subscribed endpoints (parseWebhookEndpoints())
+     * @param {string} [options.secret] - HMAC key; required when there are endpoints
+     * @param {number} [options.maxAttempts] - Attempts before a delivery is failed
+     * @param {number} [options.retryBase] - Seconds before the first retry, doubled for each one after
+     * @param {number} [options.maxDelay] - Longest wait between two attempts (s)
+     * @param {number} [options.timeout] - Per-attempt request timeout (ms)
+     * @param {number} [options.pollInterval] - Retry watcher interval (ms)
+     * @param {Function} [options.fetch] - fetch implementation
+     * @param {object} [options.logger] - Structured logger (lib/logger.cjs)
+     * @param {function} [options.now] - Clock returning unix seconds
+     */
+    constructor({
+        filePath,
+        endpoints = [],
+        secret = '',
+        maxAttempts = 8,
+        retryBase = 10,
+        maxDelay = 3600,
+        timeout = 5000,
+        pollInterval = 5000,
+        fetch: fetchImpl = globalThis.fetch,
+        logger = createLogger(),
+        now = () => Math.floor(Date.now() / 1000),
+    }) {
+        for (const endpoint of endpoints) {
+            if (!/^https?:\/\//.test(endpoint.url)) throw new Error(`Invalid webhook URL: ${endpoint.url}`);
+            const unknown = endpoint.events.find(type => !WEBHOOK_EVENTS.includes(type));
+            if (unknown) throw new Error(`Unknown webhook event "${unknown}" (expected ${WEBHOOK_EVENTS.join(', ')})`);
+        }
+        if (endpoints.length > 0 && !secret) throw new Error('X402_WEBHOOK_SECRET is required when webhooks are configured');
+
+        this.endpoints = endpoints;
+        this.secret = secret;
+        this.maxAttempts = maxAttempts;
+        this.retryBase = retryBase;
+        this.maxDelay = maxDelay;
+        this.timeout = timeout;
+        this.pollInterval = pollInterval;
+        this.fetch = fetchImpl;
+        this.logger = logger;
+        this.now = now;
+        this.timer = null;
+        this.polling = false;
+        this.inFlight = new Map(); // delivery id → attempt promise
+
+        const loadedAt = now();
+        this.store = new JsonlStore({
+            filePath,
+            keyField: 'id',
+            keep: delivery => delivery.status === DELIVERY_STATUS.PENDING
+                || loadedAt - delivery.updatedAt < (delivery.status === DELIVERY_STATUS.FAILED ? FAILED_RETENTION_SECONDS : DELIVERED_RETENTION_SECONDS),
+        });
+    }
+
+    /**
+     * Queue an event for every endpoint subscribed to `type` and send it
+     * right away (in the background; failures are retried by the watcher)
+     * @returns {object[]} The new deliveries
+     */
+    emit(type, data) {
+        if (!WEBHOOK_EVENTS.includes(type)) throw new Error(`Unknown webhook event: ${type}`);
+        const endpoints = this.endpoints.filter(endpoint => endpoint.events.includes(type));
+        if (endpoints.length === 0) return [];
+
+        const now = this.now();
+        const event = { id: `evt_${crypto.randomUUID()}`, type, createdAt: now, data };
+        const deliveries = endpoints.map(endpoint => this.store.write({
+            id: crypto.randomUUID(),
+            url: endpoint.url,
+            event,
+            status: DELIVERY_STATUS.PENDING,
+            attempts: 0,
+            nextAttemptAt: now,
+            lastStatus: null,
+            lastError: null,
+            createdAt: now,
+            updatedAt: now,
+            deliveredAt: null,
+        }));
+        for (const delivery of deliveries) this.attempt(delivery.id);
+        return deliveries;
+    }
+
+    /**
+     * Send a delivery once and record the outcome. Concurrent calls for the
+     * same delivery share one attempt.
+     * @returns {Promise<object>} The updated delivery
+     */
+    attempt(id) {
+        if (!this.inFlight.has(id)) {
+            const attempt = this.send(id).finally(() => this.inFlight.delete(id));
+            this.inFlight.set(id, attempt);
+        }
+        return this.inFlight.get(id);
+    }
+
+    async send(id) {
+        const delivery = this.store.get(id);
+        const body = JSON.stringify(delivery.event);
+        const timestamp = this.now();
+
+        let lastStatus = null;
+        let lastError = null;
+        try {
+            const response = await this.fetch(delivery.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'x402-facilitator-webhooks',
+                    'X-X402-Event': delivery.event.type,
+                    'X-X402-Delivery': delivery.id,
+                    'X-X402-Timestamp': String(timestamp),
+                    'X-X402-Signature': signWebhook(this.secret, timestamp, body),
+                },
+                body,
+                signal: AbortSignal.timeout(this.timeout),
+            });
+            lastStatus = response.status;
+            await response.text().catch(() => '');
+            if (!response.ok) lastError = `HTTP ${response.status}`;
+        } catch (error) {
+            lastError = error.message;
+        }
+
+        const now = this.now();
+        const attempts = delivery.attempts + 1;
+        const fields = { event: delivery.event.type, eventId: delivery.event.id, url: delivery.url, attempts };
+        if (!lastError) {
+            this.logger.debug('Webhook delivered', { ...fields, status: lastStatus });
+            return this.store.write({
+                id, status: DELIVERY_STATUS.DELIVERED, attempts, lastStatus, lastError: null, nextAttemptAt: null, deliveredAt: now, updatedAt: now,
+            });
+        }
+
+        if (attempts >= this.maxAttempts) {
+            this.logger.error('Webhook delivery failed', { ...fields, status: lastStatus, error: lastError });
+            return this.store.write({ id, status: DELIVERY_STATUS.FAILED, attempts, lastStatus, lastError, nextAttemptAt: null, updatedAt: now });
+        }
+
+        const nextAttemptAt = now + this.backoff(attempts);
+        this.logger.warn('Webhook delivery will be retried', { ...fields, status: lastStatus, error: lastError, nextAttemptAt });
+        return this.store.write({ id, status: DELIVERY_STATUS.PENDING, attempts, lastStatus, lastError, nextAttemptAt, updatedAt: now });
+    }
+
+    /**
+     * Seconds to wait after the `attempts`-th failed attempt
+     */
+    backoff(attempts) {
+        return Math.min(this.retryBase * 2 ** (attempts - 1), this.maxDelay);
+    }
+
+    get(id) {
+        return this.store.get(id);
+    }
+
+    /**
+     * Deliveries, newest first, optionally only those with `status`
+     */
+    list({ status = null, limit = 50 } = {}) {
+        return [...this.store.values()]
+            .filter(delivery => !status || delivery.status === status)
+            .sort((a, b) => b.createdAt - a.createdAt)
+            .slice(0, limit);
+    }
+
+    /**
+     * Pending deliveries whose next attempt is due
+     */
+    due() {
+        const now = this.now();
+        return [...this.store.values()].filter(delivery =>
+            delivery.status === DELIVERY_STATUS.PENDING && delivery.nextAttemptAt <= now && !this.inFlight.has(delivery.id));
+    }
+
+    /**
+     * Send a delivery again from scratch (any status): attempts start over
+     * @returns {Promise<object|null>} The delivery after the first new attempt, or null if unknown
+     */
+    async replay(id) {
+        const delivery = this.store.get(id);
+        if (!delivery) return null;
+        if (this.inFlight.has(id)) return this.inFlight.get(id);
+
+        this.store.write({ id, status: DELIVERY_STATUS.PENDING, attempts: 0, nextAttemptAt: this.now(), replayedAt: this.now(), updatedAt: this.now() });
+        return this.attempt(id);
+    }
+
+    stats() {
+        const counts = { pending: 0, delivered: 0, failed: 0 };
+        for (const delivery of this.store.values()) counts[delivery.status]++;
+        return counts;
+    }
+
+    start() {
+        if (this.timer || this.endpoints.length === 0) return;
+        this.timer = setInterval(() => this.poll(), this.pollInterval);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Retry every due delivery once. Overlapping polls are skipped.
+     */
+    async poll() {
+        if (this.polling) return;
+        this.polling = true;
+        try {
+            for (const delivery of this.due()) await this.attempt(delivery.id);
+        } finally {
+            this.polling = false;
+        }
+    }
+}
+
+/**
+ * Public view of a delivery (GET /x402/webhooks/deliveries)
+ */
+function describeDelivery(delivery) {
+    return {
+        id: delivery.id,
+        url: delivery.url,
+        event: delivery.event,
+        status: delivery.status,
+        attempts: delivery.attempts,
+        lastStatus: delivery.lastStatus,
+        lastError: delivery.lastError,
+        nextAttemptAt: delivery.nextAttemptAt,
+        createdAt: delivery.createdAt,
+        updatedAt: delivery.updatedAt,
+        deliveredAt: delivery.deliveredAt,
+    };
+}
+
+module.exports = {
+    WebhookDispatcher,
+    describeDelivery,
+    parseWebhookEndpoints,
+    signWebhook,
+    verifyWebhookSignature,
+    WEBHOOK_EVENTS,
+    DELIVERY_STATUS,
+};
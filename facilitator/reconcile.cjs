@@ -0,0 +1,218 @@
+#!/usr/bin/env node
+/**
+ * x402 Treasury Reconciliation — recorded payments vs. on-chain receipts
+ *
+ * Scans the Transfer logs of the network's assets (USDT0, CNHT0) to
+ * X402_API_TREASURY over a block range, matches them against the
+ * x402_api_payments rows written by ai.php (by tx_hash) and reports missing,
+ * orphaned and mismatched-amount entries (see lib/reconcile.cjs). Metered
+ * charges and escrow releases are traced back to the recorded settlement
+ * through the facilitator's settlement and escrow stores.
+ *
+ * Rows come from PostgreSQL (DB_PGSQL_*, needs `npm install pg`) or from an
+ * export passed with --payments:
+ *   psql -U x402 -d x402 -c "\copy (SELECT * FROM x402_api_payments) TO 'payments.csv' CSV HEADER"
+ *
+ * Usage:
+ *   node facilitator/reconcile.cjs --from 118000000 [--to latest] [--payments payments.csv]
+ *                                  [--network eip155:1030] [--assets USDT0,CNHT0]
+ *                                  [--settlements settlements.jsonl] [--escrow escrow.jsonl]
+ *                                  [--json report.json] [--csv report.csv] [--format json|csv]
+ *
+ * The report goes to stdout (--format, default json); --json / --csv also
+ * write it to files. Exit codes: 0 everything matches, 1 discrepancies found,
+ * 2 bad arguments or configuration, 3 RPC or database error.
+ *
+ * @package x402-boilerplate
+ * @since 1.1.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { ethers } = require('ethers');
+const { loadNetworks } = require('./lib/networks.cjs');
+const { applyProfile, readEnvFile, assignUnset } = require('./lib/profile.cjs');
+const { scanTreasuryTransfers, readPaymentsFile, queryPayments, readTransactionLinks, reconcile, reportToCsv } = require('./lib/reconcile.cjs');
+
+const EXIT = Object.freeze({ OK: 0, DISCREPANCIES: 1, USAGE: 2, ERROR: 3 });
+
+const HELP = `Usage: reconcile.cjs --from <block> [options]
+
+Options:
+  --from <block>        First block to scan (required)
+  --to <block>          Last block to scan (default: latest)
+  --network <caip2>     Network (default: the networks.json default)
+  --assets <symbols>    Assets to scan, comma-separated (default: all of the network's assets)
+  --treasury <address>  Receiving address (default: X402_API_TREASURY)
+  --payments <file>     x402_api_payments export (CSV with header, JSON or JSON lines) instead of PostgreSQL
+  --settlements <file>  Facilitator settlement store, for metered charges (default: X402_SETTLEMENT_STORE)
+  --escrow <file>       Facilitator escrow store, for escrow releases (default: X402_ESCROW_STORE)
+  --slack <seconds>     Rows created this long before/after the range are checked too (default: 86400)
+  --batch <blocks>      Blocks per eth_getLogs call (default: 1000)
+  --format json|csv     Report format on stdout (default: json)
+  --json <file>         Also write the JSON report to <file>
+  --csv <file>          Also write the CSV report to <file>
+  --profile <name>      Read a named profile instead of .env (local: npm run local)
+  -h, --help            Show this help
+
+Exit codes: 0 all matched, 1 discrepancies, 2 usage, 3 RPC/database error`;
+
+function usageError(message) {
+    return Object.assign(new Error(message), { exitCode: EXIT.USAGE });
+}
+
+/**
+ * Command line → options; throws usage errors
+ */
+function parseOptions(argv) {
+    let values;
+    try {
+        ({ values } = parseArgs({
+            args: argv,
+            options: {
+                from: { type: 'string' },
+                to: { type: 'string', default: 'latest' },
+                network: { type: 'string' },
+                assets: { type: 'string' },
+                treasury: { type: 'string' },
+                payments: { type: 'string' },
+                settlements: { type: 'string' },
+                escrow: { type: 'string' },
+                slack: { type: 'string', default: '86400' },
+                batch: { type: 'string', default: '1000' },
+                format: { type: 'string', default: 'json' },
+                json: { type: 'string' },
+                csv: { type: 'string' },
+                profile: { type: 'string' }, // applied at startup
+                help: { type: 'boolean', short: 'h', default: false },
+            },
+        }));
+    } catch (error) {
+        throw usageError(error.message);
+    }
+    if (values.help) return { help: true };
+
+    const integer = (name, value) => {
+        if (!/^\d+$/.test(value)) throw usageError(`--${name} must be a non-negative integer, got "${value}"`);
+        return parseInt(value, 10);
+    };
+    if (values.from === undefined) throw usageError('--from is required');
+    if (!['json', 'csv'].includes(values.format)) throw usageError(`--format must be json or csv, got "${values.format}"`);
+
+    return {
+        help: false,
+        fromBlock: integer('from', values.from),
+        toBlock: values.to === 'latest' ? null : integer('to', values.to),
+        network: values.network || null,
+        assets: values.assets ? values.assets.split(',').map(symbol => symbol.trim().toUpperCase()).filter(Boolean) : null,
+        treasury: values.treasury || null,
+        payments: values.payments || null,
+        settlements: values.settlements || null,
+        escrow: values.escrow || null,
+        slack: integer('slack', values.slack),
+        batchSize: Math.max(1, integer('batch', values.batch)),
+        format: values.format,
+        json: values.json || null,
+        csv: values.csv || null,
+    };
+}
+
+// Same environment as the facilitator: a profile replaces .env, explicit variables win
+function loadEnvironment(argv) {
+    if (applyProfile(process.env, argv)) return;
+    const envPath = path.resolve(__dirname, '../.env');
+    if (fs.existsSync(envPath)) assignUnset(process.env, readEnvFile(envPath));
+}
+
+async function main() {
+    let options;
+    try {
+        loadEnvironment(process.argv.slice(2));
+        options = parseOptions(process.argv.slice(2));
+    } catch (error) {
+        console.error(`Error: ${error.message}\n\n${HELP}`);
+        return EXIT.USAGE;
+    }
+    if (options.help) {
+        console.log(HELP);
+        return EXIT.OK;
+    }
+
+    const env = process.env;
+    let chain;
+    let assets;
+    let treasury;
+    try {
+        const registry = loadNetworks(env.X402_NETWORKS_CONFIG || path.join(__dirname, 'networks.json'));
+        const network = options.network || registry.defaultNetwork;
+        chain = registry.networks.get(network);
+        if (!chain) throw usageError(`Unknown network: ${network}`);
+
+        assets = Object.fromEntries(Object.entries(chain.assets)
+            .filter(([, info]) => !options.assets || options.assets.includes(info.symbol.toUpperCase())));
+        const unknown = (options.assets || []).filter(symbol => !Object.values(assets).some(info => info.symbol.toUpperCase() === symbol));
+        if (unknown.length > 0) throw usageError(`Unknown asset on ${network}: ${unknown.join(', ')}`);
+        if (Object.keys(assets).length === 0) throw usageError(`No assets configured on ${network}`);
+
+        treasury = options.treasury || env.X402_API_TREASURY || '';
+        if (!ethers.isAddress(treasury)) throw usageError('Treasury address missing or invalid (set X402_API_TREASURY or --treasury)');
+        treasury = ethers.getAddress(treasury);
+        if (options.payments && !fs.existsSync(options.payments)) throw usageError(`Payments file not found: ${options.payments}`);
+        for (const name of ['settlements', 'escrow']) {
+            if (options[name] && !fs.existsSync(options[name])) throw usageError(`--${name} file not found: ${options[name]}`);
+        }
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        return error.exitCode || EXIT.USAGE;
+    }
+
+    let report;
+    try {
+        const provider = new ethers.JsonRpcProvider(chain.rpc, chain.chainId, { staticNetwork: true });
+        const toBlock = options.toBlock ?? await provider.getBlockNumber();
+        if (toBlock < options.fromBlock) throw usageError(`--to (${toBlock}) is before --from (${options.fromBlock})`);
+
+        const [first, last] = await Promise.all([provider.getBlock(options.fromBlock), provider.getBlock(toBlock)]);
+        if (!first || !last) throw usageError(`Block range ${options.fromBlock}-${toBlock} is beyond the chain head`);
+        const since = new Date((first.timestamp - options.slack) * 1000);
+        const until = new Date((last.timestamp + options.slack) * 1000);
+
+        const payments = options.payments
+            ? readPaymentsFile(options.payments).filter(payment => !payment.createdAt || (new Date(payment.createdAt) >= since && new Date(payment.createdAt) <= until))
+            : await queryPayments(env, { since, until });
+        // The facilitator's own stores (missing ones just link nothing)
+        const links = readTransactionLinks({
+            settlementsPath: options.settlements || env.X402_SETTLEMENT_STORE || path.join(__dirname, 'data/settlements.jsonl'),
+            escrowPath: options.escrow || env.X402_ESCROW_STORE || path.join(__dirname, 'data/escrow.jsonl'),
+        });
+        const transfers = await scanTreasuryTransfers({
+            provider, assets: Object.keys(assets), treasury, fromBlock: options.fromBlock, toBlock, batchSize: options.batchSize,
+        });
+
+        report = {
+            network: chain.network,
+            generatedAt: new Date().toISOString(),
+            assets: Object.entries(assets).map(([address, info]) => ({ address, symbol: info.symbol, decimals: info.decimals })),
+            ...await reconcile({ provider, transfers, payments, treasury, assets, fromBlock: options.fromBlock, toBlock, links }),
+        };
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        return error.exitCode || EXIT.ERROR;
+    }
+
+    const json = JSON.stringify(report, null, 2) + '\n';
+    const csv = reportToCsv(report);
+    if (options.json) fs.writeFileSync(options.json, json);
+    if (options.csv) fs.writeFileSync(options.csv, csv);
+    process.stdout.write(options.format === 'csv' ? csv : json);
+
+    const { summary } = report;
+    console.error(`Blocks ${report.fromBlock}-${report.toBlock}: ${summary.transfers} transfers, ${summary.payments} rows, `
+        + `${summary.matched} matched, ${summary.missing} missing, ${summary.orphaned} orphaned, ${summary.mismatched} mismatched`
+        + (summary.outOfRange ? `, ${summary.outOfRange} outside the range` : ''));
+    return summary.missing + summary.orphaned + summary.mismatched > 0 ? EXIT.DISCREPANCIES : EXIT.OK;
+}
+
+// exitCode rather than process.exit() so piped output is flushed
+main().then((code) => { process.exitCode = code; });
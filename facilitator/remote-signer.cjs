@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+/**
+ * x402 Remote Signer (local stand-in)
+ *
+ * Minimal implementation of the remote-signer HTTP protocol used by the
+ * facilitator's `remote` signer backend (see lib/signers.cjs). Run it as a
+ * separate process — ideally under a separate user — so the facilitator
+ * never holds relayer keys. Swap it for an HSM/KMS-backed service that
+ * speaks the same protocol in production.
+ *
+ * It only signs transactions to the contracts the facilitator calls: the
+ * assets and escrow adapters in networks.json, on their own chain. A leaked
+ * token cannot be used to move the relayers' native balance or sign
+ * arbitrary messages.
+ *
+ * Usage:
+ *   X402_REMOTE_SIGNER_TOKEN=... X402_KEYSTORE_PATH=relayer.json \
+ *   X402_KEYSTORE_PASSPHRASE_FILE=/run/secrets/pass node remote-signer.cjs
+ *
+ * Environment variables (process environment only — .env is not read):
+ *   - X402_REMOTE_SIGNER_TOKEN: Bearer token clients must present (required)
+ *   - X402_REMOTE_SIGNER_PORT: Server port (default: 3850)
+ *   - X402_REMOTE_SIGNER_BACKEND: Where keys come from: keystore | key (default: keystore)
+ *   - X402_KEYSTORE_PATH / X402_KEYSTORE_PASSPHRASE(_FILE): keystore backend
+ *   - ARENA_SIGNER_PRIVATE_KEY(S): key backend
+ *   - X402_NETWORKS_CONFIG: Networks config with the allowed contracts (default: facilitator/networks.json)
+ *   - X402_ADAPTER_ADDRESS: Escrow adapter on the default network, as for the facilitator
+ *   - X402_LOG_LEVEL / X402_LOG_FORMAT: Logging, as for the facilitator
+ *
+ * Endpoints:
+ *   GET  /accounts
+ *   POST /sign/transaction  (to an allowed contract only)
+ *   POST /sign/typed-data
+ *
+ * @package x402-boilerplate
+ * @since 1.1.0
+ */
+
+const http = require('http');
+const path = require('path');
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { loadSigners } = require('./lib/signers.cjs');
+const { loadNetworks } = require('./lib/networks.cjs');
+const { createLogger } = require('./lib/logger.cjs');
+
+const PORT = parseInt(process.env.X402_REMOTE_SIGNER_PORT || '3850', 10);
+const TOKEN = process.env.X402_REMOTE_SIGNER_TOKEN || '';
+
+const logger = createLogger(process.env).child({ component: 'remote-signer' });
+const wallets = new Map(); // lowercase address → ethers.Wallet
+const allowedTo = new Map(); // chainId → Set of lowercase contract addresses
+
+/**
+ * Contracts relayers may call, per chain: the configured assets and escrow adapters
+ */
+function loadAllowedTo(env) {
+    const { networks } = loadNetworks(env.X402_NETWORKS_CONFIG || path.join(__dirname, 'networks.json'), { escrowAdapter: env.X402_ADAPTER_ADDRESS || '' });
+    for (const chain of networks.values()) {
+        const contracts = new Set(Object.keys(chain.assets));
+        if (chain.escrowAdapter) contracts.add(chain.escrowAdapter.toLowerCase());
+        allowedTo.set(BigInt(chain.chainId), contracts);
+    }
+}
+
+function sendJson(res, statusCode, data) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+}
+
+function parseBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk.toString();
+            if (body.length > 1048576) reject(new Error('Body too large'));
+        });
+        req.on('end', () => {
+            try { resolve(JSON.parse(body)); }
+            catch (error) { reject(error); }
+        });
+        req.on('error', reject);
+    });
+}
+
+function authorized(req) {
+    const header = req.headers['authorization'] || '';
+    const presented = Buffer.from(header.replace(/^Bearer\s+/i, ''));
+    const expected = Buffer.from(TOKEN);
+    return presented.length === expected.length && crypto.timingSafeEqual(presented, expected);
+}
+
+const server = http.createServer(async (req, res) => {
+    if (!authorized(req)) return sendJson(res, 401, { error: 'Invalid or missing token' });
+
+    if (req.url === '/accounts' && req.method === 'GET') {
+        return sendJson(res, 200, { accounts: [...wallets.values()].map(wallet => wallet.address) });
+    }
+
+    if (req.method !== 'POST' || !req.url.startsWith('/sign/')) return sendJson(res, 404, { error: 'Not found' });
+
+    let body;
+    try { body = await parseBody(req); }
+    catch { return sendJson(res, 400, { error: 'Invalid JSON body' }); }
+
+    const wallet = wallets.get(String(body.address || '').toLowerCase());
+    if (!wallet) return sendJson(res, 404, { error: 'Unknown account' });
+
+    try {
+        if (req.url === '/sign/transaction') {
+            const tx = ethers.Transaction.from(body.transaction);
+            if (!tx.to || !allowedTo.get(tx.chainId)?.has(tx.to.toLowerCase())) {
+                logger.warn('Refused transaction', { account: wallet.address, to: tx.to, chainId: tx.chainId, nonce: tx.nonce });
+                return sendJson(res, 403, { error: `Transactions to ${tx.to || 'a new contract'} on chain ${tx.chainId} are not allowed` });
+            }
+            tx.signature = wallet.signingKey.sign(tx.unsignedHash);
+            logger.info('Signed transaction', { account: wallet.address, to: tx.to, chainId: tx.chainId, nonce: tx.nonce, txHash: tx.hash });
+            return sendJson(res, 200, { signedTransaction: tx.serialized });
+        }
+        if (req.url === '/sign/typed-data') {
+            return sendJson(res, 200, { signature: await wallet.signTypedData(body.domain, body.types, body.message) });
+        }
+        sendJson(res, 404, { error: 'Not found' });
+    } catch (error) {
+        sendJson(res, 400, { error: error.message });
+    }
+});
+
+async function start() {
+    if (!TOKEN) {
+        logger.error('X402_REMOTE_SIGNER_TOKEN is required');
+        process.exit(1);
+    }
+
+    const backend = process.env.X402_REMOTE_SIGNER_BACKEND || 'keystore';
+    if (backend === 'remote') {
+        logger.error('X402_REMOTE_SIGNER_BACKEND must be keystore or key');
+        process.exit(1);
+    }
+
+    const { signers } = await loadSigners({ ...process.env, X402_SIGNER_BACKEND: backend });
+    for (const wallet of signers) wallets.set(wallet.address.toLowerCase(), wallet);
+    loadAllowedTo(process.env);
+
+    server.listen(PORT, '127.0.0.1', () => {
+        logger.info('Remote signer listening', {
+            backend, url: `http://127.0.0.1:${PORT}`, accounts: [...wallets.values()].map(wallet => wallet.address),
+            allowedTo: Object.fromEntries([...allowedTo].map(([chainId, contracts]) => [`eip155:${chainId}`, [...contracts]])),
+        });
+    });
+}
+
+process.on('SIGINT', () => server.close(() => process.exit(0)));
+process.on('SIGTERM', () => server.close(() => process.exit(0)));
+
+start().catch(error => { logger.error('Fatal error', { error }); process.exit(1); });
@@ -0,0 +1,108 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+interface IEIP3009Token {
+    function transferWithAuthorization(
+        address from,
+        address to,
+        uint256 value,
+        uint256 validAfter,
+        uint256 validBefore,
+        bytes32 nonce,
+        bytes calldata signature
+    ) external;
+
+    function transfer(address to, uint256 value) external returns (bool);
+}
+
+/**
+ * @title MockEscrowAdapter
+ * @notice The X402EscrowAdapter interface the facilitator uses in escrow mode:
+ *         settlePayment pulls an EIP-3009 authorization into an order held by
+ *         the adapter; release pays what is left to a single payee, refund
+ *         returns part or all of it to the buyer, dispute freezes it until one
+ *         of the two. With operators set, only they can release, refund and dispute.
+ */
+contract MockEscrowAdapter {
+    enum Status { None, Held, Released, Refunded, Disputed }
+
+    struct Order {
+        address buyer;
+        address token;
+        uint256 amount;
+        uint256 refunded;
+        Status status;
+    }
+
+    address public immutable payee;
+    bool public immutable restricted;
+    mapping(address => bool) public isOperator;
+    mapping(bytes32 => Order) private _orders;
+
+    event OrderHeld(bytes32 indexed orderId, address indexed buyer, address token, uint256 amount);
+    event OrderRefunded(bytes32 indexed orderId, uint256 amount);
+    event OrderReleased(bytes32 indexed orderId, address indexed payee, uint256 amount);
+    event OrderDisputed(bytes32 indexed orderId);
+
+    constructor(address payee_, address[] memory operators) {
+        payee = payee_;
+        restricted = operators.length > 0;
+        for (uint256 i = 0; i < operators.length; i++) isOperator[operators[i]] = true;
+    }
+
+    modifier onlyOperator() {
+        require(!restricted || isOperator[msg.sender], "X402EscrowAdapter: caller is not an operator");
+        _;
+    }
+
+    function getOrder(bytes32 orderId)
+        external
+        view
+        returns (address buyer, address token, uint256 amount, uint256 refunded, uint8 status)
+    {
+        Order storage order = _orders[orderId];
+        return (order.buyer, order.token, order.amount, order.refunded, uint8(order.status));
+    }
+
+    function settlePayment(
+        address token,
+        bytes32 orderId,
+        address buyer,
+        uint256 value,
+        uint256 validAfter,
+        uint256 validBefore,
+        bytes32 nonce,
+        bytes calldata signature
+    ) external {
+        require(_orders[orderId].status == Status.None, "X402EscrowAdapter: order exists");
+        _orders[orderId] = Order(buyer, token, value, 0, Status.Held);
+        IEIP3009Token(token).transferWithAuthorization(buyer, address(this), value, validAfter, validBefore, nonce, signature);
+        emit OrderHeld(orderId, buyer, token, value);
+    }
+
+    function refund(bytes32 orderId, uint256 amount) external onlyOperator {
+        Order storage order = _orders[orderId];
+        require(order.status == Status.Held || order.status == Status.Disputed, "X402EscrowAdapter: order is not open");
+        require(amount > 0 && amount <= order.amount - order.refunded, "X402EscrowAdapter: refund exceeds balance");
+        order.refunded += amount;
+        if (order.refunded == order.amount) order.status = Status.Refunded;
+        require(IEIP3009Token(order.token).transfer(order.buyer, amount), "X402EscrowAdapter: transfer failed");
+        emit OrderRefunded(orderId, amount);
+    }
+
+    function release(bytes32 orderId) external onlyOperator {
+        Order storage order = _orders[orderId];
+        require(order.status == Status.Held || order.status == Status.Disputed, "X402EscrowAdapter: order is not open");
+        uint256 amount = order.amount - order.refunded;
+        order.status = Status.Released;
+        require(IEIP3009Token(order.token).transfer(payee, amount), "X402EscrowAdapter: transfer failed");
+        emit OrderReleased(orderId, payee, amount);
+    }
+
+    function dispute(bytes32 orderId) external onlyOperator {
+        Order storage order = _orders[orderId];
+        require(order.status == Status.Held, "X402EscrowAdapter: order is not held");
+        order.status = Status.Disputed;
+        emit OrderDisputed(orderId);
+    }
+}
@@ -0,0 +1,19 @@
+/**
+ * Hardhat Network for the local stack and the end-to-end tests
+ *
+ * Only the node is used (`hardhat node`, started by lib/local-evm.cjs); the
+ * mock contracts in contracts/ are compiled with solc-js, which needs no
+ * compiler download. Accounts are the standard development mnemonic, the
+ * same keys as DEV_KEYS, with 10 000 ETH each; one block per transaction.
+ *
+ * @package x402-boilerplate
+ * @since 1.1.0
+ */
+
+module.exports = {
+    networks: {
+        hardhat: {
+            chainId: parseInt(process.env.X402_LOCAL_CHAIN_ID || '31337', 10),
+        },
+    },
+};
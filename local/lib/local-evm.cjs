@@ -0,0 +1,286 @@
+/**
+ * Local chain for end-to-end tests and offline mode
+ *
+ * Runs a Hardhat Network node (`hardhat node` with local/hardhat.config.cjs)
+ * as a child process and deploys the mock contracts in local/contracts/ to
+ * it, compiled with solc-js (no compiler download):
+ *
+ *   MockEIP3009Token   the subset of FiatToken V2 the facilitator relies on
+ *                      (ERC-20, EIP-712 domain, transferWithAuthorization with
+ *                      a `bytes signature`), with FiatToken V2's revert reasons
+ *   MockEscrowAdapter  the X402EscrowAdapter interface used in escrow mode
+ *                      (settlePayment, release, refund, dispute, getOrder),
+ *                      paying released orders to a single payee
+ *
+ * Signature recovery, authorization checks and transfers all run as EVM
+ * bytecode, so a test exercises the full 402 → sign → verify → settle flow
+ * against a real node without network access.
+ *
+ *   const evm = new LocalEvm({ chainId: 1030 });
+ *   await evm.start();                                    // evm.url → http://127.0.0.1:<port>
+ *   const token = await evm.deployToken({ name: 'USDT0', decimals: 6 });
+ *   await token.mint(buyer, 1_000_000n);
+ *   await token.approve(treasury, collector, 1_000_000n); // sent from the treasury, impersonated
+ *   const adapter = await evm.deployEscrowAdapter({ payee: treasury });
+ *   await evm.stop();
+ *
+ * Contracts are deployed from DEV_KEYS[0], so on a fresh chain the first one
+ * lands at 0x5FbDB2315678afecb367f032d93F642f64180aa3 and the second at
+ * 0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512 (local/networks.json relies on it).
+ *
+ * @package x402-boilerplate
+ * @since 1.1.0
+ */
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+const { ethers } = require('ethers');
+
+const CONTRACTS_DIR = path.resolve(__dirname, '../contracts');
+const HARDHAT_CONFIG = path.resolve(__dirname, '../hardhat.config.cjs');
+const STARTUP_TIMEOUT = 30_000;
+
+const TOKEN_ABI = [
+    'function name() view returns (string)',
+    'function symbol() view returns (string)',
+    'function version() view returns (string)',
+    'function decimals() view returns (uint8)',
+    'function totalSupply() view returns (uint256)',
+    'function balanceOf(address account) view returns (uint256)',
+    'function authorizationState(address authorizer, bytes32 nonce) view returns (bool)',
+    'function DOMAIN_SEPARATOR() view returns (bytes32)',
+    'function mint(address to, uint256 value)',
+    'function transfer(address to, uint256 value) returns (bool)',
+    'function allowance(address owner, address spender) view returns (uint256)',
+    'function approve(address spender, uint256 value) returns (bool)',
+    'function transferFrom(address from, address to, uint256 value) returns (bool)',
+    'function transferWithAuthorization(address from, address to, uint256 value, uint256 validAfter, uint256 validBefore, bytes32 nonce, bytes signature)',
+    'event Transfer(address indexed from, address indexed to, uint256 value)',
+    'event Approval(address indexed owner, address indexed spender, uint256 value)',
+    'event AuthorizationUsed(address indexed authorizer, bytes32 indexed nonce)',
+];
+
+// Well-known anvil / hardhat development keys (never use them on a real chain)
+const DEV_KEYS = [
+    '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80',
+    '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d',
+    '0x5de4111afa1a4b94908f83103eb1f1706367c2e68ca870fc3fb9a804cdab365a',
+    '0x7c852118294e51e653712a81e05800f419141751be58f605c371e15141b007a6',
+];
+
+let compiled = null;
+
+/**
+ * ABI and bytecode of every contract in local/contracts, compiled once per process
+ *
+ * @returns {Object<string, { abi: object[], bytecode: string }>}
+ */
+function compileContracts() {
+    if (compiled) return compiled;
+
+    let solc;
+    try {
+        solc = require('solc');
+    } catch {
+        throw new Error('The local chain needs the dev dependencies (solc, hardhat): run npm install');
+    }
+    const sources = {};
+    for (const file of fs.readdirSync(CONTRACTS_DIR).filter(name => name.endsWith('.sol'))) {
+        sources[file] = { content: fs.readFileSync(path.join(CONTRACTS_DIR, file), 'utf-8') };
+    }
+    const output = JSON.parse(solc.compile(JSON.stringify({
+        language: 'Solidity',
+        sources,
+        settings: {
+            optimizer: { enabled: true, runs: 200 },
+            outputSelection: { '*': { '*': ['abi', 'evm.bytecode.object'] } },
+        },
+    })));
+    const errors = (output.errors || []).filter(entry => entry.severity === 'error');
+    if (errors.length > 0) throw new Error(`Mock contracts do not compile:\n${errors.map(entry => entry.formattedMessage).join('\n')}`);
+
+    compiled = {};
+    for (const contracts of Object.values(output.contracts)) {
+        for (const [name, contract] of Object.entries(contracts)) {
+            compiled[name] = { abi: contract.abi, bytecode: '0x' + contract.evm.bytecode.object };
+        }
+    }
+    return compiled;
+}
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * A deployed MockEIP3009Token; reads return promises, writes wait for the receipt
+ */
+class LocalToken {
+    constructor(evm, contract) {
+        this.evm = evm;
+        this.contract = contract;
+        this.address = contract.target;
+    }
+
+    balanceOf(account) {
+        return this.contract.balanceOf(account);
+    }
+
+    allowance(owner, spender) {
+        return this.contract.allowance(owner, spender);
+    }
+
+    authorizationState(authorizer, nonce) {
+        return this.contract.authorizationState(authorizer, nonce);
+    }
+
+    async mint(account, amount) {
+        await (await this.contract.mint(account, amount)).wait();
+    }
+
+    /**
+     * approve(spender, amount) sent from `owner`, whose key the caller may not have
+     */
+    async approve(owner, spender, amount) {
+        await this.evm.sendAs(owner, { to: this.address, data: this.contract.interface.encodeFunctionData('approve', [spender, amount]) });
+    }
+}
+
+class LocalEvm {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.chainId] - Chain id (default: 31337)
+     */
+    constructor({ chainId = 31337 } = {}) {
+        this.chainId = chainId;
+        this.child = null;
+        this.url = null;
+        this.rpc = null;
+        this.deployer = null;
+        this.killOnExit = null;
+    }
+
+    /**
+     * Start the node on `port` (default: a free one) and wait until it answers
+     */
+    async start(port = 0) {
+        const listenPort = port || await freePort();
+        const hardhat = require.resolve('hardhat/package.json');
+        const bin = path.join(path.dirname(hardhat), require(hardhat).bin.hardhat);
+
+        const child = spawn(process.execPath, [bin, 'node', '--config', HARDHAT_CONFIG, '--hostname', '127.0.0.1', '--port', String(listenPort)], {
+            cwd: path.dirname(HARDHAT_CONFIG),
+            env: { ...process.env, X402_LOCAL_CHAIN_ID: String(this.chainId), HARDHAT_DISABLE_TELEMETRY_PROMPT: 'true' },
+            stdio: ['ignore', 'pipe', 'pipe'],
+        });
+        this.child = child;
+        this.killOnExit = () => child.kill();
+        process.on('exit', this.killOnExit);
+
+        // The node logs every request: keep draining its output once it is up
+        let output = '';
+        try {
+            await new Promise((resolve, reject) => {
+                const timer = setTimeout(() => reject(new Error(`Hardhat node not listening after ${STARTUP_TIMEOUT / 1000}s: ${output.trim()}`)), STARTUP_TIMEOUT);
+                const collect = (chunk) => {
+                    if (this.url) return;
+                    output += chunk;
+                    if (/Started HTTP/.test(output)) {
+                        clearTimeout(timer);
+                        this.url = `http://127.0.0.1:${listenPort}`;
+                        resolve();
+                    }
+                };
+                child.stdout.on('data', collect);
+                child.stderr.on('data', collect);
+                child.once('exit', (code) => {
+                    clearTimeout(timer);
+                    reject(new Error(`Hardhat node exited with code ${code}: ${output.trim()}`));
+                });
+            });
+        } catch (error) {
+            await this.stop();
+            throw error;
+        }
+
+        this.rpc = this.provider();
+        this.deployer = new ethers.Wallet(DEV_KEYS[0], this.rpc);
+        return this.url;
+    }
+
+    async stop() {
+        const child = this.child;
+        if (!child) return;
+        this.child = null;
+        this.url = null;
+        if (this.rpc) this.rpc.destroy();
+        this.rpc = null;
+        process.removeListener('exit', this.killOnExit);
+        if (child.exitCode !== null || child.signalCode !== null) return;
+        await new Promise((resolve) => {
+            child.once('exit', resolve);
+            child.kill('SIGTERM');
+        });
+    }
+
+    /**
+     * JSON-RPC provider for this node (no chain-id polling; no response cache,
+     * since every transaction is mined as soon as it is sent)
+     */
+    provider() {
+        return new ethers.JsonRpcProvider(this.url, this.chainId, { staticNetwork: true, pollingInterval: 50, cacheTimeout: -1 });
+    }
+
+    /**
+     * Deploy a MockEIP3009Token from DEV_KEYS[0]
+     * @param {object} [options] - { name, symbol?, version?, decimals? } (EIP-712 domain: name, version)
+     * @returns {Promise<LocalToken>}
+     */
+    async deployToken({ name = 'USDT0', symbol = name, version = '1', decimals = 6 } = {}) {
+        return new LocalToken(this, await this.deploy('MockEIP3009Token', [name, symbol, version, decimals]));
+    }
+
+    /**
+     * Deploy a MockEscrowAdapter from DEV_KEYS[0]
+     * @param {object} options - { payee, operators? } (no operators: anyone may release, refund and dispute)
+     * @returns {Promise<ethers.Contract>} with `address`
+     */
+    async deployEscrowAdapter({ payee, operators = [] }) {
+        const adapter = await this.deploy('MockEscrowAdapter', [payee, operators]);
+        adapter.address = adapter.target;
+        return adapter;
+    }
+
+    async deploy(name, args) {
+        const { abi, bytecode } = compileContracts()[name];
+        const contract = await new ethers.ContractFactory(abi, bytecode, this.deployer).deploy(...args);
+        await contract.waitForDeployment();
+        return contract;
+    }
+
+    /**
+     * Send a transaction from any address (hardhat_impersonateAccount), funding it for gas if needed
+     */
+    async sendAs(from, tx) {
+        await this.rpc.send('hardhat_impersonateAccount', [from]);
+        try {
+            if (await this.rpc.getBalance(from) < ethers.parseEther('1')) {
+                await this.rpc.send('hardhat_setBalance', [from, ethers.toQuantity(ethers.parseEther('1'))]);
+            }
+            return await (await new ethers.JsonRpcSigner(this.rpc, from).sendTransaction(tx)).wait();
+        } finally {
+            await this.rpc.send('hardhat_stopImpersonatingAccount', [from]);
+        }
+    }
+}
+
+module.exports = { LocalEvm, LocalToken, compileContracts, DEV_KEYS, TOKEN_ABI };
@@ -0,0 +1,356 @@
+#!/usr/bin/env node
+/**
+ * x402 Mock AI Backend
+ *
+ * Node stand-in for api/x402/ai.php that answers without the Anthropic API:
+ * the same x402 gate (Node middleware → facilitator verify/settle), the same
+ * routes and response shape, but the answer comes from a pluggable source:
+ *
+ *   - echo:     repeats the question
+ *   - canned:   keyword match against local/answers.json, with a fallback
+ *   - function: (question, req) → string | Promise<string>
+ *
+ * It also serves the demo page (x402-demo.html and assets/) and forwards the
+ * page's server-mode proxy call to the facilitator's /x402/demo-ai, so the
+ * whole demo runs on a laptop with `npm run local` and no network access.
+ *
+ *   const { createMockAi } = require('./local/mock-ai-server.cjs');
+ *   http.createServer(createMockAi({ facilitatorUrl, apiKey, payTo, answers: 'echo' })).listen(3851);
+ *
+ * Usage:
+ *   node local/mock-ai-server.cjs --profile local
+ *
+ * Environment variables (from the selected profile; .env is not read):
+ *   - MOCK_AI_PORT: Server port (default: 3851)
+ *   - MOCK_AI_MODE: echo | canned (default: canned)
+ *   - MOCK_AI_ANSWERS: Canned answers file (default: local/answers.json)
+ *   - X402_FACILITATOR_PORT / X402_FACILITATOR_KEY: Facilitator to verify and settle with
+ *   - X402_API_TREASURY: Treasury address (required)
+ *   - X402_API_PRICE: Price per query in token units (default: 100 = 0.0001 USDT0)
+ *   - X402_API_PRICE_PER_TOKEN: Metered price per token in token units (default: 0 = flat price)
+ *   - X402_API_MAX_TOKENS: Tokens a metered authorization covers (default: 1000)
+ *   - X402_API_SETTLEMENT_MODE: transfer | escrow (default: transfer). Escrow pays on delivery:
+ *     the payment is locked in the escrow adapter, released once the answer is in and
+ *     refunded automatically when the answer fails. A failed answer in transfer mode is
+ *     refunded from the treasury (POST /x402/refund)
+ *   - X402_NETWORKS_CONFIG: Networks config file (default: facilitator/networks.json)
+ *
+ * Endpoints:
+ *   GET  /api/x402/ai.php?q=...          - Paid answer (402 without PAYMENT-SIGNATURE)
+ *   POST /api/x402/ai-demo-proxy.php     - Demo page server mode → facilitator /x402/demo-ai
+ *   GET  /, /x402-demo.html, /assets/*   - Demo page
+ *
+ * @package x402-boilerplate
+ * @since 1.1.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const { ethers } = require('ethers');
+const { X402PaymentGate, x402Http } = require('../middleware/x402-middleware.cjs');
+const { loadNetworks } = require('../facilitator/lib/networks.cjs');
+const { applyProfile } = require('../facilitator/lib/profile.cjs');
+
+const ROOT = path.resolve(__dirname, '..');
+const ANSWERS_PATH = path.join(__dirname, 'answers.json');
+const DEFAULT_NETWORKS_PATH = path.join(ROOT, 'facilitator/networks.json');
+
+const AI_ROUTE = '/api/x402/ai.php';
+const PROXY_ROUTE = '/api/x402/ai-demo-proxy.php';
+const MAX_QUESTION_LENGTH = 500;
+
+const CONTENT_TYPES = Object.freeze({
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+});
+
+/**
+ * Mock AI options from the environment (see the header)
+ */
+function mockAiConfigFromEnv(env = process.env) {
+    return {
+        port: parseInt(env.MOCK_AI_PORT || '3851', 10),
+        facilitatorUrl: `http://127.0.0.1:${env.X402_FACILITATOR_PORT || '3849'}`,
+        apiKey: env.X402_FACILITATOR_KEY || '',
+        payTo: env.X402_API_TREASURY || '',
+        price: env.X402_API_PRICE || '100',
+        pricePerToken: env.X402_API_PRICE_PER_TOKEN || '0',
+        maxTokens: parseInt(env.X402_API_MAX_TOKENS || '1000', 10),
+        mode: env.X402_API_SETTLEMENT_MODE || 'transfer',
+        networksPath: env.X402_NETWORKS_CONFIG || DEFAULT_NETWORKS_PATH,
+        answers: env.MOCK_AI_MODE || 'canned',
+        answersPath: env.MOCK_AI_ANSWERS || ANSWERS_PATH,
+    };
+}
+
+/**
+ * Answer source for the keyword list in `filePath` ({ answers: [{ keywords, answer }], fallback })
+ */
+function cannedAnswers(filePath = ANSWERS_PATH) {
+    const { answers = [], fallback } = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    if (!fallback) throw new Error(`${filePath}: fallback answer is required`);
+
+    return question => {
+        const text = question.toLowerCase();
+        const hit = answers.find(entry => entry.keywords.some(keyword => text.includes(keyword.toLowerCase())));
+        return hit ? hit.answer : fallback;
+    };
+}
+
+function echoAnswer(question) {
+    return `You asked: "${question}". This is the mock AI backend echoing your question back; the payment was real (on the local chain).`;
+}
+
+/**
+ * `answers` option → { model, answer(question, req) }
+ */
+function answerSource(answers, answersPath) {
+    if (typeof answers === 'function') return { model: 'mock-custom', answer: answers };
+    if (answers === 'echo') return { model: 'mock-echo', answer: echoAnswer };
+    if (answers === 'canned') return { model: 'mock-canned', answer: cannedAnswers(answersPath) };
+    throw new Error(`Unknown mock AI mode "${answers}" (expected echo, canned or a function)`);
+}
+
+function sendJson(res, statusCode, data, headers = {}) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(data));
+}
+
+// Same body as api/utils/response.php
+function sendError(res, statusCode, message, errorCode, headers) {
+    sendJson(res, statusCode, { success: false, message, error_code: errorCode }, headers);
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk.toString();
+            if (body.length > 65536) reject(new Error('Body too large'));
+        });
+        req.on('end', () => resolve(body));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Static file under ROOT for a demo page path, or null (only the page and assets/)
+ */
+function staticFile(pathname) {
+    if (pathname === '/' || pathname === '/x402-demo.html') return path.join(ROOT, 'x402-demo.html');
+    if (!pathname.startsWith('/assets/')) return null;
+
+    const assetsDir = path.join(ROOT, 'assets');
+    const filePath = path.resolve(assetsDir, '.' + decodeURIComponent(pathname.slice('/assets'.length)));
+    return filePath.startsWith(assetsDir + path.sep) ? filePath : null;
+}
+
+/**
+ * Build the mock AI request handler.
+ *
+ * @param {object} options
+ * @param {string} [options.facilitatorUrl] - Facilitator base URL (payments and the demo proxy)
+ * @param {object} [options.facilitator] - In-process Facilitator instead of facilitatorUrl (no demo proxy)
+ * @param {string} [options.apiKey] - X402_FACILITATOR_KEY
+ * @param {string} options.payTo - Treasury address
+ * @param {string} [options.price] - Price per query in token units (default: 100)
+ * @param {string} [options.pricePerToken] - Metered price per token (like ai.php: upto scheme, charged by tokens_used; default: 0 = flat)
+ * @param {number} [options.maxTokens] - Tokens a metered authorization covers (default: 1000)
+ * @param {'transfer'|'escrow'} [options.mode] - Settlement mode (escrow: released after the answer, refunded if it fails)
+ * @param {string} [options.asset] - Asset symbol or address (default: USDT0)
+ * @param {string} [options.network] - CAIP-2 network (default: networks.json defaultNetwork)
+ * @param {string} [options.networksPath] - networks.json (HTTP mode)
+ * @param {'echo'|'canned'|Function} [options.answers] - Answer source (default: canned)
+ * @param {string} [options.answersPath] - Canned answers file (default: local/answers.json)
+ * @param {boolean} [options.demoPage] - Serve x402-demo.html and assets/ (default: true)
+ * @param {Function} [options.fetch] - fetch implementation (tests)
+ * @returns {function} (req, res) handler with `gate` and `model`
+ */
+function createMockAi({
+    facilitatorUrl, facilitator, apiKey = '', payTo, price = '100', pricePerToken = '0', maxTokens = 1000, mode = 'transfer', asset = 'USDT0', network,
+    networksPath = DEFAULT_NETWORKS_PATH, answers = 'canned', answersPath = ANSWERS_PATH,
+    demoPage = true, fetch: fetchImpl = fetch,
+}) {
+    if (!payTo) throw new Error('payTo (X402_API_TREASURY) is required');
+
+    const source = answerSource(answers, answersPath);
+    const registry = facilitator ? { networks: facilitator.networks } : loadNetworks(networksPath);
+    const perToken = BigInt(pricePerToken);
+    const route = perToken > 0n
+        ? { mode, scheme: 'upto', price: String(perToken * BigInt(maxTokens)), asset, description: `Mock AI query (${source.model}), ${perToken} per token up to ${maxTokens} tokens` }
+        : { mode, price: String(price), asset, description: `Mock AI query (${source.model})` };
+    const gate = new X402PaymentGate({
+        facilitatorUrl, facilitator, apiKey, payTo, network, networksPath, fetch: fetchImpl,
+        routes: { [`GET ${AI_ROUTE}`]: route },
+    });
+
+    const paidAnswer = x402Http(gate, async (req, res) => {
+        const question = req.question;
+        let answer;
+        try {
+            answer = String(await source.answer(question, req));
+        } catch {
+            return failAfterPayment(req, res, 'AI service error');
+        }
+        if (!answer) return failAfterPayment(req, res, 'AI returned empty response');
+
+        const tokensUsed = Math.ceil((question.length + answer.length) / 4);
+        const { payer, requirements } = req.x402;
+        let { transaction } = req.x402;
+        let charged = BigInt(requirements.amount);
+        if (req.x402.settle) {
+            // Metered: charge the tokens used, capped at the authorized maximum
+            charged = perToken * BigInt(tokensUsed);
+            if (charged > BigInt(requirements.amount)) charged = BigInt(requirements.amount);
+            if (charged < 1n) charged = 1n;
+            try {
+                ({ transaction } = await req.x402.settle(charged.toString()));
+            } catch (error) {
+                return sendError(res, error.statusCode || 500, error.message, error.code || 'X402_SETTLE_FAILED');
+            }
+        }
+
+        // Escrow: the answer is delivered, pay the seller (an order left held is swept at expiry)
+        let escrow = null;
+        if (req.x402.release) {
+            escrow = await req.x402.release('answer delivered').then(() => 'released', () => 'held');
+        }
+
+        const info = registry.networks.get(requirements.network)?.assets[requirements.asset.toLowerCase()] || {};
+        sendJson(res, 200, {
+            success: true,
+            message: 'Success',
+            data: {
+                answer,
+                model: source.model,
+                tokens_used: tokensUsed,
+                payment: {
+                    tx_hash: transaction ?? null,
+                    payer: payer ?? null,
+                    amount: ethers.formatUnits(charged, info.decimals ?? 6),
+                    authorized: ethers.formatUnits(requirements.amount, info.decimals ?? 6),
+                    token: info.symbol || requirements.asset,
+                    ...(escrow ? { order_id: req.x402.orderId, escrow } : {}),
+                },
+            },
+        });
+    });
+
+    // Paid but not answered: refund a transfer settlement like ai.php (escrow is refunded by the middleware on 502)
+    async function failAfterPayment(req, res, message) {
+        let refund = null;
+        if (req.x402.refund && !req.x402.orderId) {
+            refund = await req.x402.refund({ reason: message }).catch(error => ({ success: false, error: error.message }));
+        }
+        sendJson(res, 502, { success: false, message, error_code: 'SRV_EXTERNAL_ERROR', ...(refund ? { refund } : {}) });
+    }
+
+    // POST { question } → facilitator /x402/demo-ai (pays with DEMO_BUYER_KEY)
+    async function demoProxy(req, res) {
+        if (!facilitatorUrl) return sendError(res, 503, 'Demo proxy needs facilitatorUrl', 'SRV_SERVICE_UNAVAILABLE');
+
+        let question;
+        try { question = String(JSON.parse(await readBody(req) || '{}').question || '').trim(); }
+        catch { question = ''; }
+        if (!question) return sendError(res, 422, 'Question is required', 'VAL_REQUIRED_FIELD');
+        if (question.length > MAX_QUESTION_LENGTH) return sendError(res, 422, 'Question too long (max 500 chars)', 'VAL_INVALID_FORMAT');
+
+        try {
+            const upstream = await fetchImpl(`${facilitatorUrl.replace(/\/+$/, '')}/x402/demo-ai`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'X-Facilitator-Key': apiKey },
+                body: JSON.stringify({ question }),
+                signal: AbortSignal.timeout(120_000),
+            });
+            sendJson(res, upstream.status, await upstream.json());
+        } catch {
+            sendError(res, 502, 'Facilitator unavailable', 'SRV_EXTERNAL_ERROR');
+        }
+    }
+
+    function serveStatic(res, filePath) {
+        fs.readFile(filePath, (error, content) => {
+            if (error) return sendError(res, 404, 'Not found', 'OP_NOT_FOUND');
+            res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+            res.end(content);
+        });
+    }
+
+    const handler = async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+
+        if (url.pathname === AI_ROUTE) {
+            res.setHeader('Access-Control-Allow-Origin', '*');
+            res.setHeader('Access-Control-Expose-Headers', 'PAYMENT-REQUIRED, PAYMENT-RESPONSE, X-Request-Id');
+            if (req.method === 'OPTIONS') {
+                res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+                res.setHeader('Access-Control-Allow-Headers', 'Content-Type, PAYMENT-SIGNATURE, X-Request-Id');
+                return res.end();
+            }
+            if (req.method !== 'GET') return sendError(res, 405, 'Method not allowed', 'OP_METHOD_NOT_ALLOWED');
+
+            // Validated before the gate, like ai.php: a bad question is never charged
+            const question = (url.searchParams.get('q') || '').trim();
+            if (!question) return sendError(res, 422, 'Query parameter "q" is required', 'VAL_REQUIRED_FIELD');
+            if (question.length > MAX_QUESTION_LENGTH) return sendError(res, 422, 'Question too long (max 500 characters)', 'VAL_INVALID_FORMAT');
+
+            req.question = question;
+            return paidAnswer(req, res);
+        }
+
+        if (url.pathname === PROXY_ROUTE) {
+            if (req.method !== 'POST') return sendError(res, 405, 'Method not allowed', 'OP_METHOD_NOT_ALLOWED');
+            return demoProxy(req, res);
+        }
+
+        const filePath = demoPage && req.method === 'GET' ? staticFile(url.pathname) : null;
+        if (filePath) return serveStatic(res, filePath);
+
+        sendError(res, 404, 'Not found', 'OP_NOT_FOUND');
+    };
+
+    handler.gate = gate;
+    handler.model = source.model;
+    return handler;
+}
+
+// ============================================
+// CLI
+// ============================================
+
+function main() {
+    try {
+        applyProfile(process.env, process.argv.slice(2));
+    } catch (error) {
+        console.error(`[mock-ai] ${error.message}`);
+        process.exit(1);
+    }
+
+    const config = mockAiConfigFromEnv(process.env);
+    let handler;
+    try {
+        handler = createMockAi(config);
+    } catch (error) {
+        console.error(`[mock-ai] ${error.message}`);
+        process.exit(1);
+    }
+
+    const server = http.createServer(handler);
+    server.listen(config.port, '127.0.0.1', () => {
+        console.log(`[mock-ai] ${handler.model} answers on http://127.0.0.1:${config.port}${AI_ROUTE} (facilitator ${config.facilitatorUrl})`);
+        console.log(`[mock-ai] Demo page: http://127.0.0.1:${config.port}/`);
+    });
+
+    const shutdown = () => server.close(() => process.exit(0));
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+if (require.main === module) main();
+
+module.exports = { createMockAi, mockAiConfigFromEnv, cannedAnswers, echoAnswer, AI_ROUTE, PROXY_ROUTE };
@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+/**
+ * x402 Local Stack — the whole payment flow offline
+ *
+ * Starts, with the "local" profile (local/local.env):
+ *   1. a Hardhat node on the RPC port in local/networks.json, with the mock
+ *      USDT0 token (local/contracts) deployed and 100 USDT0 minted to the demo
+ *      buyer, a mock escrow adapter paying released orders to the treasury,
+ *      and the treasury's allowance for the collector (refunds of failed
+ *      answers)
+ *   2. the facilitator (a child process, X402_PROFILE=local)
+ *   3. the mock AI backend (echo or canned answers, no Anthropic API)
+ *
+ * Then pay from another terminal with the agent or open the demo page:
+ *   node agent/x402-ai-agent-demo.cjs --profile local "What is x402?"
+ *
+ * The chain lives in memory and starts from genesis on every run, so the
+ * profile's ledgers (nonces, settlements, escrow, refunds, webhooks, demo spend,
+ * agent spend) are cleared at startup. Ctrl+C stops everything.
+ *
+ * Usage:
+ *   npm run local
+ *   MOCK_AI_MODE=echo npm run local
+ *   X402_API_SETTLEMENT_MODE=escrow npm run local   (pay on delivery through the escrow adapter)
+ *
+ * @package x402-boilerplate
+ * @since 1.1.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const { spawn } = require('child_process');
+const { ethers } = require('ethers');
+const { LocalEvm } = require('./lib/local-evm.cjs');
+const { createMockAi, mockAiConfigFromEnv, AI_ROUTE } = require('./mock-ai-server.cjs');
+const { applyProfile } = require('../facilitator/lib/profile.cjs');
+const { loadNetworks } = require('../facilitator/lib/networks.cjs');
+
+const ROOT = path.resolve(__dirname, '..');
+const BUYER_FUNDS = 100_000_000n; // 100 USDT0
+const STARTUP_TIMEOUT = 20_000;
+
+// Ledgers that refer to the previous run's chain
+const LEDGER_VARS = ['X402_NONCE_STORE', 'X402_SETTLEMENT_STORE', 'X402_ESCROW_STORE', 'X402_REFUND_STORE', 'X402_WEBHOOK_STORE', 'X402_PAYMENT_STORE', 'X402_DEMO_SPEND_STORE', 'AGENT_LEDGER_PATH'];
+
+function log(message) {
+    console.log(`[local] ${message}`);
+}
+
+async function waitForHealth(url, child) {
+    const deadline = Date.now() + STARTUP_TIMEOUT;
+    while (Date.now() < deadline) {
+        if (child.exitCode !== null) throw new Error(`Facilitator exited with code ${child.exitCode}`);
+        try {
+            if ((await fetch(url)).ok) return;
+        } catch {
+            // not listening yet
+        }
+        await new Promise(resolve => setTimeout(resolve, 200));
+    }
+    throw new Error(`Facilitator not healthy after ${STARTUP_TIMEOUT / 1000}s (${url})`);
+}
+
+async function main() {
+    applyProfile(process.env, ['--profile', 'local']);
+    const env = process.env;
+
+    // ── Chain + token ──
+    const registry = loadNetworks(env.X402_NETWORKS_CONFIG);
+    const chain = registry.networks.get(registry.defaultNetwork);
+    const [tokenAddress] = Object.entries(chain.assets).find(([, info]) => info.symbol === 'USDT0') || [];
+    const rpcUrl = new URL(chain.rpcUrls[0]);
+
+    const evm = new LocalEvm({ chainId: chain.chainId });
+    await evm.start(parseInt(rpcUrl.port, 10));
+    const token = await evm.deployToken({ name: 'USDT0', decimals: 6 });
+    if (token.address.toLowerCase() !== tokenAddress) {
+        await evm.stop();
+        throw new Error(`Mock USDT0 deployed at ${token.address}, but ${env.X402_NETWORKS_CONFIG} lists ${tokenAddress}`);
+    }
+    const adapter = await evm.deployEscrowAdapter({ payee: env.X402_API_TREASURY });
+    if (adapter.address.toLowerCase() !== chain.escrowAdapter.toLowerCase()) {
+        await evm.stop();
+        throw new Error(`Mock escrow adapter deployed at ${adapter.address}, but ${env.X402_NETWORKS_CONFIG} lists ${chain.escrowAdapter || 'none'}`);
+    }
+    const buyer = new ethers.Wallet(env.DEMO_BUYER_KEY).address;
+    await token.mint(buyer, BUYER_FUNDS);
+    // Sent from the treasury, impersonated (the local profile has no treasury key)
+    const collector = new ethers.Wallet(env.ARENA_SIGNER_PRIVATE_KEY).address;
+    await token.approve(env.X402_API_TREASURY, collector, BUYER_FUNDS);
+    log(`Hardhat node ${chain.network} on ${evm.url}, USDT0 at ${token.address}, escrow adapter at ${adapter.address}`);
+    log(`Demo buyer ${buyer}: ${ethers.formatUnits(BUYER_FUNDS, 6)} USDT0, treasury refund allowance for ${collector}`);
+
+    for (const name of LEDGER_VARS) fs.rmSync(env[name], { force: true });
+    // The payment ledger falls back to JSON lines next to the SQLite file on Node without SQLite
+    fs.rmSync(env.X402_PAYMENT_STORE.replace(/\.[^./\\]*$/, '') + '.jsonl', { force: true });
+
+    // ── Facilitator ──
+    const facilitatorUrl = `http://127.0.0.1:${env.X402_FACILITATOR_PORT}`;
+    const facilitator = spawn(process.execPath, [path.join(ROOT, 'facilitator/x402-facilitator.cjs')], {
+        env: { ...env, X402_PROFILE: 'local' },
+        stdio: 'inherit',
+    });
+
+    let mockAi = null;
+    let stopping = false;
+    const shutdown = (exitCode) => {
+        if (stopping) return;
+        stopping = true;
+        log('Stopping');
+        if (facilitator.exitCode === null) facilitator.kill('SIGTERM');
+        if (mockAi) mockAi.close();
+        evm.stop().then(() => { process.exitCode = exitCode; });
+    };
+    process.on('SIGINT', () => shutdown(0));
+    process.on('SIGTERM', () => shutdown(0));
+    facilitator.on('exit', (code) => {
+        if (stopping) return;
+        log(`Facilitator exited with code ${code}`);
+        shutdown(1);
+    });
+
+    try {
+        await waitForHealth(`${facilitatorUrl}/x402/health`, facilitator);
+    } catch (error) {
+        shutdown(1);
+        throw error;
+    }
+
+    // ── Mock AI ──
+    const config = mockAiConfigFromEnv(env);
+    const handler = createMockAi(config);
+    mockAi = http.createServer(handler);
+    try {
+        await new Promise((resolve, reject) => {
+            mockAi.once('error', reject);
+            mockAi.listen(config.port, '127.0.0.1', resolve);
+        });
+    } catch (error) {
+        mockAi = null;
+        shutdown(1);
+        throw error;
+    }
+
+    const aiUrl = `http://127.0.0.1:${config.port}`;
+    log(`Mock AI (${handler.model}) on ${aiUrl}${AI_ROUTE}`);
+    log('Ready. Try:');
+    console.log(`    node agent/x402-ai-agent-demo.cjs --profile local "What is x402?"`);
+    console.log(`    curl -i "${aiUrl}${AI_ROUTE}?q=hello"`);
+    console.log(`    open ${aiUrl}/   (demo page, server mode; fonts and wallet libraries load from CDNs)`);
+}
+
+main().catch((error) => {
+    console.error(`[local] ${error.message}`);
+    process.exitCode = 1;
+});
@@ -0,0 +1,646 @@
+/**
+ * x402 Payment Middleware for Node
+ *
+ * Node counterpart of api/middleware/X402Middleware.php: puts a price on
+ * routes of a Node service and runs the x402 V2 flow against the
+ * facilitator (facilitator/x402-facilitator.cjs):
+ *
+ *   1. No PAYMENT-SIGNATURE → 402 + PAYMENT-REQUIRED (base64 JSON requirements)
+ *   2. PAYMENT-SIGNATURE    → facilitator verify → settle
+ *   3. Settled              → PAYMENT-RESPONSE header, `req.x402` set, route runs
+ *
+ * Requirements, verify/settle bodies and settle responses use the same shapes
+ * as the PHP middleware and the facilitator, so either server side can sit
+ * behind the same buyers.
+ *
+ * Usage:
+ *   const { x402Express } = require('./middleware/x402-middleware.cjs');
+ *   app.use(x402Express({
+ *       facilitatorUrl: 'http://127.0.0.1:3849',
+ *       apiKey: process.env.X402_FACILITATOR_KEY,
+ *       payTo: process.env.X402_API_TREASURY,
+ *       routes: {
+ *           'GET /api/answer': { price: '100', asset: 'USDT0', description: 'One answer' },
+ *           'POST /api/orders/*': { price: req => quote(req), mode: 'escrow', orderId: req => req.params.id },
+ *       },
+ *   }));
+ *
+ * Adapters: x402Http (http.createServer), x402Express, x402Fastify.
+ *
+ * Metered routes (`scheme: 'upto'`): `price` is the maximum the buyer
+ * authorizes. The request is only verified before the route runs (the
+ * facilitator holds the nonce, so a replayed header fails verify); the route
+ * reports what it actually used and only that is charged:
+ *
+ *   'GET /api/ai': { scheme: 'upto', price: '30000', description: 'Up to 300 tokens' },
+ *   ...
+ *   const receipt = await req.x402.settle(String(tokensUsed * 100)); // sets PAYMENT-RESPONSE
+ *
+ * A route that never calls settle() charges nothing. Transfer-mode metered
+ * payments go through the facilitator's collector (from GET /x402/supported,
+ * or the `collector` option) and reach `payTo` once settled.
+ *
+ * Escrow routes (`mode: 'escrow'`): the payment stays locked in the escrow
+ * adapter under `req.x402.orderId` (the route's `orderId`, else the
+ * authorization nonce, so every payment is its own order) until the route
+ * releases it to the seller or refunds it:
+ *
+ *   await req.x402.release();                            // delivered
+ *   await req.x402.refund({ reason: 'out of stock' });   // all of it, or { amount }
+ *
+ * Refunds: `exact` transfer routes get `req.x402.refund({ reason })` too,
+ * which has the facilitator send the settled amount from the treasury back to
+ * the buyer (POST /x402/refund, once per settlement). A refund made before
+ * the route answers is added to PAYMENT-RESPONSE as `refund`. When the route
+ * answers with a 5xx without releasing or refunding, the middleware refunds
+ * the buyer itself once the response is sent (`autoRefund: false` on the
+ * route turns that off; the `onRefund` option reports the outcome).
+ *
+ * Embedded mode: pass `facilitator` (an initialized Facilitator from
+ * facilitator/lib/facilitator.cjs) instead of `facilitatorUrl` to verify and
+ * settle in-process, with the same results as the HTTP endpoints.
+ *
+ * @package x402-boilerplate
+ * @since 1.1.0
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { ethers } = require('ethers');
+const { loadNetworks } = require('../facilitator/lib/networks.cjs');
+const { requestIdFrom } = require('../facilitator/lib/logger.cjs');
+
+const X402_VERSION = 2;
+
+// Payment schemes a route can use ('upto' = metered, see the header)
+const SCHEMES = ['exact', 'upto'];
+
+const HEADERS = Object.freeze({
+    PAYMENT_REQUIRED: 'PAYMENT-REQUIRED',
+    PAYMENT_SIGNATURE: 'PAYMENT-SIGNATURE',
+    PAYMENT_RESPONSE: 'PAYMENT-RESPONSE',
+    REQUEST_ID: 'X-Request-Id',
+});
+
+// Facilitator endpoints per settlement mode
+const FACILITATOR_ROUTES = Object.freeze({
+    transfer: { verify: '/x402/verify-transfer', settle: '/x402/settle-transfer' },
+    escrow: { verify: '/x402/verify', settle: '/x402/settle' },
+});
+
+// Facilitator method behind each endpoint (embedded mode)
+const FACILITATOR_METHODS = Object.freeze({
+    '/x402/verify-transfer': 'verifyTransfer',
+    '/x402/settle-transfer': 'settleTransfer',
+    '/x402/verify': 'verify',
+    '/x402/settle': 'settle',
+    '/x402/refund': 'refundPayment',
+});
+
+// Facilitator method behind each escrow action (POST /x402/escrow/:orderId/<action>)
+const ESCROW_METHODS = Object.freeze({
+    release: 'releaseEscrow',
+    refund: 'refundEscrow',
+});
+
+const DEFAULT_NETWORKS_PATH = path.resolve(__dirname, '../facilitator/networks.json');
+
+function encodeHeader(value) {
+    return Buffer.from(JSON.stringify(value)).toString('base64');
+}
+
+function decodeHeader(value) {
+    try {
+        return JSON.parse(Buffer.from(value, 'base64').toString());
+    } catch {
+        return null;
+    }
+}
+
+function headerValue(headers, name) {
+    const value = headers[name.toLowerCase()] ?? headers[name];
+    return Array.isArray(value) ? value[0] : value;
+}
+
+/**
+ * Split "METHOD /path" (or "/path" for any method) into a matcher.
+ * A trailing `*` matches any suffix.
+ */
+function compileRoute(pattern) {
+    const [first, second] = pattern.trim().split(/\s+/);
+    const method = second ? first.toUpperCase() : null;
+    const routePath = second || first;
+    const prefix = routePath.endsWith('*') ? routePath.slice(0, -1) : null;
+    return {
+        pattern,
+        matches: (reqMethod, reqPath) => (!method || method === reqMethod.toUpperCase())
+            && (prefix !== null ? reqPath.startsWith(prefix) : reqPath === routePath),
+    };
+}
+
+class X402PaymentGate {
+    /**
+     * @param {object} options
+     * @param {string} [options.facilitatorUrl] - Facilitator base URL (e.g. http://127.0.0.1:3849)
+     * @param {object} [options.facilitator] - In-process Facilitator (instead of facilitatorUrl)
+     * @param {string} [options.apiKey] - X402_FACILITATOR_KEY (HTTP mode)
+     * @param {object} options.routes - "METHOD /path" → route config (see price())
+     * @param {string} [options.payTo] - Default treasury for transfer routes
+     * @param {string} [options.network] - Default CAIP-2 network (default: networks.json defaultNetwork)
+     * @param {string} [options.networksPath] - networks.json used to resolve assets and escrow adapters (HTTP mode)
+     * @param {number} [options.timeout] - Facilitator request timeout (ms)
+     * @param {string} [options.collector] - Facilitator collector for metered transfers (default: asked from the facilitator)
+     * @param {Function} [options.onRefund] - Called after an automatic refund: { payment, reason, receipt } or { payment, reason, error }
+     * @param {Function} [options.fetch] - fetch implementation (tests)
+     */
+    constructor({ facilitatorUrl, facilitator, apiKey, routes, payTo, network, networksPath = DEFAULT_NETWORKS_PATH, timeout = 30_000, collector, onRefund = () => {}, fetch: fetchImpl = fetch }) {
+        if (!facilitatorUrl && !facilitator) throw new Error('facilitatorUrl or facilitator is required');
+        if (!routes || Object.keys(routes).length === 0) throw new Error('At least one priced route is required');
+
+        // Embedded: resolve assets against the facilitator's own chain config
+        const registry = facilitator
+            ? { networks: facilitator.networks, defaultNetwork: facilitator.defaultNetwork }
+            : loadNetworks(networksPath);
+        this.facilitator = facilitator || null;
+        this.facilitatorUrl = facilitatorUrl ? facilitatorUrl.replace(/\/+$/, '') : null;
+        this.apiKey = apiKey || '';
+        this.timeout = timeout;
+        this.fetch = fetchImpl;
+        this.collectorAddress = collector || null;
+        this.onRefund = onRefund;
+        this.routes = Object.entries(routes).map(([pattern, config]) => ({
+            ...compileRoute(pattern),
+            ...this.resolveRoute(pattern, config, { registry, payTo, network: network || registry.defaultNetwork }),
+        }));
+    }
+
+    /**
+     * Validate a route config and fill in asset metadata from networks.json
+     */
+    resolveRoute(pattern, config, { registry, payTo, network }) {
+        const mode = config.mode || 'transfer';
+        if (!FACILITATOR_ROUTES[mode]) throw new Error(`${pattern}: unknown settlement mode "${mode}"`);
+        const scheme = config.scheme || 'exact';
+        if (!SCHEMES.includes(scheme)) throw new Error(`${pattern}: unknown scheme "${scheme}"`);
+        if (config.price === undefined) throw new Error(`${pattern}: price is required`);
+
+        const routeNetwork = config.network || network;
+        const chain = registry.networks.get(routeNetwork);
+        if (!chain) throw new Error(`${pattern}: network ${routeNetwork} is not in networks.json`);
+
+        const wanted = (config.asset || 'USDT0').toLowerCase();
+        const assetEntry = Object.entries(chain.assets)
+            .find(([address, info]) => address === wanted || (info.symbol || '').toLowerCase() === wanted);
+        if (!assetEntry && !(ethers.isAddress(config.asset) && config.name && config.version)) {
+            throw new Error(`${pattern}: unknown asset ${config.asset} on ${routeNetwork} (add it to networks.json or pass name/version)`);
+        }
+        const [asset, info] = assetEntry || [config.asset.toLowerCase(), {}];
+
+        const routePayTo = mode === 'escrow' ? (config.payTo || chain.escrowAdapter) : (config.payTo || payTo);
+        if (!routePayTo) {
+            throw new Error(mode === 'escrow'
+                ? `${pattern}: escrow mode needs an escrow adapter (networks.json or payTo)`
+                : `${pattern}: payTo (treasury) is required`);
+        }
+
+        return {
+            mode,
+            scheme,
+            network: routeNetwork,
+            asset,
+            payTo: routePayTo,
+            price: config.price,
+            orderId: config.orderId,
+            autoRefund: (mode === 'escrow' || scheme === 'exact') && config.autoRefund !== false,
+            name: config.name || info.eip712Name || info.symbol,
+            version: config.version || info.eip712Version || '1',
+            description: config.description || '',
+            async: config.async,
+        };
+    }
+
+    match(method, reqPath) {
+        return this.routes.find(route => route.matches(method, reqPath)) || null;
+    }
+
+    /**
+     * Address metered transfers are authorized to: the `collector` option, the
+     * embedded facilitator's collector, or the one GET /x402/supported lists
+     */
+    async collector(network) {
+        if (this.collectorAddress) return this.collectorAddress;
+        if (this.facilitator) return this.facilitator.collector;
+
+        const response = await this.fetch(this.facilitatorUrl + '/x402/supported', { signal: AbortSignal.timeout(this.timeout) });
+        const kinds = response.ok ? (await response.json()).kinds || [] : [];
+        const kind = kinds.find(k => k.scheme === 'upto' && k.network === network && k.extra?.collector);
+        if (!kind) throw new Error(`Facilitator does not offer metered transfers on ${network}`);
+        this.collectorAddress = kind.extra.collector;
+        return this.collectorAddress;
+    }
+
+    /**
+     * PaymentRequirements for one request (same shape as api/x402/ai.php).
+     * For metered transfers `payTo` is the collector and `extra.treasury` the
+     * route's payTo. `authorization` is the buyer's, once the request is paid.
+     */
+    async requirements(route, req, authorization = null) {
+        const amount = typeof route.price === 'function' ? await route.price(req) : route.price;
+        const extra = {
+            settlementMode: route.mode,
+            name: route.name,
+            version: route.version,
+            description: route.description,
+        };
+
+        if (route.mode === 'escrow') {
+            // The route's order id must be stable across the 402 and the paid retry of the
+            // same request; without one, the paid request's order is its authorization nonce
+            const orderId = typeof route.orderId === 'function' ? await route.orderId(req) : route.orderId;
+            extra.assetTransferMethod = 'eip3009';
+            extra.orderId = toBytes32(orderId ?? authorization?.nonce ?? `${req.method} ${req.url}`);
+        }
+
+        let payTo = route.payTo;
+        if (route.scheme === 'upto' && route.mode === 'transfer') {
+            extra.treasury = route.payTo;
+            payTo = await this.collector(route.network);
+        }
+
+        return {
+            scheme: route.scheme,
+            network: route.network,
+            amount: String(amount),
+            asset: route.asset,
+            payTo,
+            extra,
+        };
+    }
+
+    async callFacilitator(endpoint, body, requestId, method = FACILITATOR_METHODS[endpoint]) {
+        if (this.facilitator) {
+            try {
+                const log = this.facilitator.logger.child({ requestId, route: endpoint });
+                const result = await this.facilitator[method](body, { log, requestId });
+                return { status: result.statusCode, data: result.body };
+            } catch (error) {
+                return { status: 0, data: null, error };
+            }
+        }
+
+        try {
+            const response = await this.fetch(this.facilitatorUrl + endpoint, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-API-Key': this.apiKey,
+                    [HEADERS.REQUEST_ID]: requestId,
+                },
+                body: JSON.stringify(body),
+                signal: AbortSignal.timeout(this.timeout),
+            });
+            return { status: response.status, data: await response.json().catch(() => null) };
+        } catch (error) {
+            return { status: 0, data: null, error };
+        }
+    }
+
+    /**
+     * Run the x402 flow for one request.
+     *
+     * @param {object} req - { method, url, headers } (framework request objects work as-is)
+     * @returns {Promise<object>} One of
+     *   { action: 'next' }                                         — route is free
+     *   { action: 'respond', statusCode, headers, body }           — 402 / error, stop here
+     *   { action: 'paid', headers, payment, refund? }              — settled, continue to the route
+     *   { action: 'authorized', headers, payment, refund? }        — metered: verified, the route settles
+     *                                                                via payment.settle(charge)
+     *   Escrow payments also carry orderId, release() and refund(), exact
+     *   transfers refund(); `refund` is the state autoRefund() works from.
+     */
+    async process(req) {
+        const reqPath = new URL(req.originalUrl || req.url, 'http://localhost').pathname;
+        const route = this.match(req.method, reqPath);
+        if (!route) return { action: 'next' };
+
+        const requestId = requestIdFrom(headerValue(req.headers, HEADERS.REQUEST_ID));
+        const baseHeaders = { [HEADERS.REQUEST_ID]: requestId };
+        const signature = headerValue(req.headers, HEADERS.PAYMENT_SIGNATURE);
+        const payload = signature ? decodeHeader(signature) : null;
+        const requirements = await this.requirements(route, req, payload?.payload?.authorization);
+
+        if (!signature) return paymentRequired(requirements, reqPath, baseHeaders);
+        if (!payload || !payload.payload) {
+            return respond(400, baseHeaders, 'Invalid PAYMENT-SIGNATURE header', 'X402_INVALID_PAYLOAD');
+        }
+
+        const endpoints = FACILITATOR_ROUTES[route.mode];
+        const verify = await this.callFacilitator(endpoints.verify, { payload, requirements }, requestId);
+        if (verify.status === 0) return respond(503, baseHeaders, 'Facilitator unavailable', 'SRV_SERVICE_UNAVAILABLE');
+        if (!verify.data || !verify.data.valid) {
+            return respond(402, { ...baseHeaders, [HEADERS.PAYMENT_REQUIRED]: encodeHeader([requirements]) },
+                'Payment verification failed: ' + (verify.data?.reason || verify.data?.error || 'unknown'), 'X402_VERIFY_FAILED');
+        }
+
+        const refund = route.mode === 'escrow' || route.scheme === 'exact' ? this.refundControls(route, requirements, requestId) : null;
+
+        if (route.scheme === 'upto') {
+            return {
+                action: 'authorized',
+                headers: baseHeaders,
+                payment: {
+                    payer: payload.payload.authorization?.from,
+                    network: requirements.network,
+                    requirements,
+                    authorized: requirements.amount,
+                    settle: once(async (charge) => {
+                        const receipt = await this.settleMetered(endpoints.settle, payload, requirements, charge, requestId);
+                        if (refund) refund.state.held = true;
+                        return receipt;
+                    }),
+                    ...refund?.controls,
+                },
+                refund: refund?.state,
+            };
+        }
+
+        const settleBody = { payload, requirements };
+        if (typeof route.async === 'boolean') settleBody.async = route.async;
+        const settle = await this.callFacilitator(endpoints.settle, settleBody, requestId);
+        if (settle.status === 0) return respond(503, baseHeaders, 'Facilitator unavailable', 'SRV_SERVICE_UNAVAILABLE');
+        if (!settle.data || !settle.data.success) {
+            return respond(500, baseHeaders, 'Payment settlement failed: ' + (settle.data?.error || 'unknown'), 'X402_SETTLE_FAILED');
+        }
+
+        return {
+            action: 'paid',
+            headers: { ...baseHeaders, [HEADERS.PAYMENT_RESPONSE]: encodeHeader(settle.data) },
+            payment: {
+                payer: settle.data.payer,
+                transaction: settle.data.transaction,
+                network: settle.data.network,
+                status: settle.data.status || 'settled',
+                settlementId: settle.data.settlementId || null,
+                requirements,
+                settlement: settle.data,
+                ...refund?.controls,
+            },
+            refund: refund && Object.assign(refund.state, { held: true, transaction: settle.data.transaction }),
+        };
+    }
+
+    /**
+     * refund() of a payment (and orderId and release() of an escrow one), and
+     * the state autoRefund() checks: `held` once the funds are settled or
+     * locked, `closed` once the route has released or refunded
+     */
+    refundControls(route, requirements, requestId) {
+        const state = { held: false, closed: false, autoRefund: route.autoRefund, transaction: null };
+        if (route.mode === 'transfer') {
+            return {
+                state,
+                controls: {
+                    refund: ({ reason } = {}) => {
+                        state.closed = true;
+                        return this.refundTransfer(state.transaction, requirements, reason, requestId);
+                    },
+                },
+            };
+        }
+
+        const call = (action, body) => {
+            state.closed = true;
+            return this.escrowAction(action, requirements, body, requestId);
+        };
+        return {
+            state,
+            controls: {
+                orderId: requirements.extra.orderId,
+                release: (reason) => call('release', { reason }),
+                refund: ({ amount, reason } = {}) => call('refund', { amount: amount === undefined ? undefined : String(amount), reason }),
+            },
+        };
+    }
+
+    /**
+     * Refund a transfer settlement from the treasury. Resolves to the
+     * facilitator's refund receipt; rejects with `statusCode` and `code` set.
+     */
+    async refundTransfer(transaction, requirements, reason, requestId) {
+        const result = await this.callFacilitator('/x402/refund', { transaction, network: requirements.network, reason }, requestId);
+        if (result.status === 0) throw paymentError(503, 'Facilitator unavailable', 'SRV_SERVICE_UNAVAILABLE');
+        if (!result.data || !result.data.success) {
+            throw paymentError(result.status || 500, `Refund failed: ${result.data?.error || 'unknown'}`, 'X402_REFUND_FAILED');
+        }
+        return result.data;
+    }
+
+    /**
+     * Release or refund the escrow order of a paid request. Resolves to the
+     * facilitator's receipt; rejects with `statusCode` and `code` set.
+     */
+    async escrowAction(action, requirements, body, requestId) {
+        const { orderId } = requirements.extra;
+        const result = await this.callFacilitator(`/x402/escrow/${orderId}/${action}`,
+            { ...body, orderId, network: requirements.network }, requestId, ESCROW_METHODS[action]);
+        if (result.status === 0) throw paymentError(503, 'Facilitator unavailable', 'SRV_SERVICE_UNAVAILABLE');
+        if (!result.data || !result.data.success) {
+            throw paymentError(result.status || 500, `Escrow ${action} failed: ${result.data?.error || 'unknown'}`, 'X402_ESCROW_FAILED');
+        }
+        return result.data;
+    }
+
+    /**
+     * Refund a payment whose route failed (5xx) without releasing or
+     * refunding it. Never rejects; the outcome goes to `onRefund`.
+     */
+    async autoRefund(result, statusCode) {
+        const { refund, payment } = result;
+        if (!refund || !refund.autoRefund || !refund.held || refund.closed) return;
+
+        const reason = `Resource server answered ${statusCode}`;
+        try {
+            const receipt = await payment.refund({ reason });
+            this.onRefund({ payment, reason, receipt });
+        } catch (error) {
+            this.onRefund({ payment, reason, error });
+        }
+    }
+
+    /**
+     * Settle a verified metered payment for `charge` (base units).
+     * Resolves to the facilitator's receipt; rejects with `statusCode` and
+     * `code` (error_code) set.
+     */
+    async settleMetered(endpoint, payload, requirements, charge, requestId) {
+        const settle = await this.callFacilitator(endpoint, { payload, requirements, charge: String(charge) }, requestId);
+        if (settle.status === 0) throw paymentError(503, 'Facilitator unavailable', 'SRV_SERVICE_UNAVAILABLE');
+        if (!settle.data || !settle.data.success) {
+            throw paymentError(settle.status === 400 ? 400 : 500,
+                'Payment settlement failed: ' + (settle.data?.error || 'unknown'), 'X402_SETTLE_FAILED');
+        }
+        return settle.data;
+    }
+}
+
+function paymentError(statusCode, message, code) {
+    return Object.assign(new Error(message), { statusCode, code });
+}
+
+/**
+ * Wrap a function so later calls return the first call's promise
+ */
+function once(fn) {
+    let result = null;
+    return (...args) => (result ??= fn(...args));
+}
+
+function toBytes32(value) {
+    if (typeof value === 'string' && ethers.isHexString(value, 32)) return value;
+    return ethers.id(String(value));
+}
+
+function respond(statusCode, headers, message, errorCode) {
+    return { action: 'respond', statusCode, headers, body: { success: false, message, error_code: errorCode } };
+}
+
+function paymentRequired(requirements, endpoint, baseHeaders) {
+    return {
+        action: 'respond',
+        statusCode: 402,
+        headers: {
+            ...baseHeaders,
+            [HEADERS.PAYMENT_REQUIRED]: encodeHeader([requirements]),
+            // Bounty #11 spec compatibility headers (same as the PHP middleware)
+            'X-Payment-Amount': requirements.amount,
+            'X-Payment-Token': requirements.asset,
+            'X-Payment-Nonce': crypto.randomBytes(16).toString('hex'),
+            'X-Payment-Expiry': String(Math.floor(Date.now() / 1000) + 3600),
+            'X-Payment-Endpoint': endpoint,
+            'X-Payment-Invoice-Id': crypto.randomBytes(16).toString('hex'),
+        },
+        body: { success: false, message: 'Payment Required', error_code: 'X402_PAYMENT_REQUIRED', x402Version: X402_VERSION },
+    };
+}
+
+/**
+ * settle() (metered) and refund() also set PAYMENT-RESPONSE through
+ * `setHeader`; a refund goes out as `refund` next to the settlement
+ */
+function withReceipt(payment, setHeader) {
+    let settlement = payment.settlement || null;
+    const wrapped = { ...payment };
+    if (payment.settle) {
+        wrapped.settle = async (charge) => {
+            settlement = await payment.settle(charge);
+            setHeader(HEADERS.PAYMENT_RESPONSE, encodeHeader(settlement));
+            return settlement;
+        };
+    }
+    if (payment.refund) {
+        wrapped.refund = async (options) => {
+            const refund = await payment.refund(options);
+            setHeader(HEADERS.PAYMENT_RESPONSE, encodeHeader({ ...settlement, refund }));
+            return refund;
+        };
+    }
+    return wrapped;
+}
+
+/**
+ * Once the response is sent, refund the payment if the route failed
+ */
+function refundOnFailure(gate, result, res) {
+    if (!result.refund || !result.refund.autoRefund) return;
+    res.on('finish', () => {
+        if (res.statusCode >= 500) gate.autoRefund(result, res.statusCode);
+    });
+}
+
+function gateFrom(options) {
+    return options instanceof X402PaymentGate ? options : new X402PaymentGate(options);
+}
+
+// ============================================
+// ADAPTERS
+// ============================================
+
+/**
+ * Native http: wraps a request handler.
+ *   http.createServer(x402Http(options, (req, res) => { ... req.x402 ... }))
+ */
+function x402Http(options, handler) {
+    const gate = gateFrom(options);
+    return async (req, res) => {
+        let result;
+        try {
+            result = await gate.process(req);
+        } catch (error) {
+            result = respond(500, {}, error.message, 'X402_MIDDLEWARE_ERROR');
+        }
+
+        if (result.action === 'respond') {
+            res.writeHead(result.statusCode, { 'Content-Type': 'application/json', ...result.headers });
+            res.end(JSON.stringify(result.body));
+            return;
+        }
+        if (result.action === 'paid' || result.action === 'authorized') {
+            for (const [name, value] of Object.entries(result.headers)) res.setHeader(name, value);
+            req.x402 = withReceipt(result.payment, (name, value) => res.headersSent || res.setHeader(name, value));
+            refundOnFailure(gate, result, res);
+        }
+        return handler(req, res);
+    };
+}
+
+/**
+ * Express / Connect middleware: app.use(x402Express(options))
+ */
+function x402Express(options) {
+    const gate = gateFrom(options);
+    return (req, res, next) => {
+        gate.process(req).then(result => {
+            if (result.action === 'respond') {
+                res.status(result.statusCode).set(result.headers).json(result.body);
+                return;
+            }
+            if (result.action === 'paid' || result.action === 'authorized') {
+                res.set(result.headers);
+                req.x402 = withReceipt(result.payment, (name, value) => res.headersSent || res.set(name, value));
+                refundOnFailure(gate, result, res);
+            }
+            next();
+        }, next);
+    };
+}
+
+/**
+ * Fastify preHandler hook: fastify.addHook('preHandler', x402Fastify(options))
+ */
+function x402Fastify(options) {
+    const gate = gateFrom(options);
+    return async (request, reply) => {
+        const result = await gate.process(request);
+
+        if (result.action === 'respond') {
+            return reply.code(result.statusCode).headers(result.headers).send(result.body);
+        }
+        if (result.action === 'paid' || result.action === 'authorized') {
+            reply.headers(result.headers);
+            request.x402 = withReceipt(result.payment, (name, value) => reply.raw.headersSent || reply.header(name, value));
+            refundOnFailure(gate, result, reply.raw);
+        }
+    };
+}
+
+module.exports = {
+    X402PaymentGate,
+    x402Http,
+    x402Express,
+    x402Fastify,
+    encodeHeader,
+    decodeHeader,
+    HEADERS,
+    FACILITATOR_ROUTES,
+    SCHEMES,
+};
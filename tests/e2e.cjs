@@ -0,0 +1,538 @@
+#!/usr/bin/env node
+/**
+ * x402 Boilerplate — End-to-End Payment Tests
+ *
+ * Runs the real facilitator server, the Node payment middleware and the
+ * client SDK against a local Hardhat node (local/lib/local-evm.cjs) with the
+ * Solidity mock EIP-3009 token and escrow adapter from local/contracts
+ * deployed to it, and follows every payment on-chain:
+ * 402 → sign → verify → settle → 200, plus the ways a payment must fail
+ * (expired authorization, wrong payTo, insufficient balance, bad signature,
+ * reused nonce), a metered (upto) payment that charges less than it
+ * authorizes, escrow payments that are released on delivery or refunded
+ * automatically when the resource server fails, and a settled transfer the
+ * treasury refunds when the resource fails. Then runs the offline stack
+ * (npm run local) and pays the mock AI backend with the agent and the demo
+ * proxy. No network access needed; run npm install first (hardhat, solc).
+ *
+ * Usage:
+ *   npm run test:e2e
+ *   node tests/e2e.cjs
+ *
+ * @package x402-boilerplate
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { spawn } = require('child_process');
+const { ethers } = require('ethers');
+const { LocalEvm, DEV_KEYS, TOKEN_ABI } = require('../local/lib/local-evm.cjs');
+const { x402Http } = require('../middleware/x402-middleware.cjs');
+const sdk = require('../assets/js/lib/x402Client.js');
+
+const ROOT = path.resolve(__dirname, '..');
+process.chdir(ROOT);
+
+let errors = 0;
+let ok = 0;
+
+function pass(msg) { console.log('  \x1b[32mPASS\x1b[0m  ' + msg); ok++; }
+function fail(msg) { console.error('  \x1b[31mFAIL\x1b[0m  ' + msg); errors++; }
+
+var CHAIN_ID = 31337;
+var NETWORK = 'eip155:' + CHAIN_ID;
+var PRICE = 10000n; // 0.01 USDT0
+var API_KEY = 'e2e-facilitator-key';
+
+function freePort() {
+  return new Promise(function(resolve) {
+    var probe = http.createServer();
+    probe.listen(0, '127.0.0.1', function() {
+      var port = probe.address().port;
+      probe.close(function() { resolve(port); });
+    });
+  });
+}
+
+function listen(server) {
+  return new Promise(function(resolve) {
+    server.listen(0, '127.0.0.1', function() { resolve('http://127.0.0.1:' + server.address().port); });
+  });
+}
+
+async function waitFor(check, timeoutMs, label) {
+  var deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (await check().catch(function() { return false; })) return;
+    await new Promise(function(resolve) { setTimeout(resolve, 100); });
+  }
+  throw new Error(label + ' not ready after ' + timeoutMs + 'ms');
+}
+
+async function main() {
+  var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'x402-e2e-'));
+  var evm = new LocalEvm({ chainId: CHAIN_ID });
+  var facilitatorProcess = null;
+  var seller = null;
+  var meteredSeller = null;
+  var escrowSeller = null;
+  var refundSeller = null;
+  var facilitatorLog = '';
+
+  try {
+    // ============================================
+    // 1. Local Chain
+    // ============================================
+
+    console.log('\n=== 1. Local Chain ===');
+    var rpcUrl = await evm.start();
+    var provider = evm.provider();
+    var token = await evm.deployToken({ name: 'USDT0', decimals: 6 });
+    var relayer = new ethers.Wallet(DEV_KEYS[1]);
+    var treasury = ethers.Wallet.createRandom().address;
+    var buyer = ethers.Wallet.createRandom().connect(provider);
+    var broke = ethers.Wallet.createRandom().connect(provider);
+    var adapter = await evm.deployEscrowAdapter({ payee: treasury, operators: [relayer.address] });
+    await token.mint(buyer.address, 5000000n);
+
+    var contract = new ethers.Contract(token.address, TOKEN_ABI, provider);
+    (await provider.send('eth_chainId', [])) === ethers.toQuantity(CHAIN_ID) && (await provider.getBalance(relayer.address)) === ethers.parseEther('10000')
+      ? pass('Hardhat node serves JSON-RPC with prefunded accounts') : fail('Chain state at start');
+    (await contract.balanceOf(buyer.address)) === 5000000n && (await contract.name()) === 'USDT0'
+      && (await provider.getCode(token.address)) !== '0x'
+      ? pass('Mock EIP-3009 token deployed at ' + token.address) : fail('Token deployment');
+    (await provider.getCode(adapter.address)) !== '0x' && (await adapter.payee()) === treasury
+      ? pass('Mock escrow adapter deployed at ' + adapter.address) : fail('Adapter deployment');
+
+    var networksPath = path.join(dir, 'networks.json');
+    fs.writeFileSync(networksPath, JSON.stringify({
+      defaultNetwork: NETWORK,
+      networks: [{
+        chainId: CHAIN_ID,
+        chainName: 'Local EVM',
+        nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+        rpcUrls: [rpcUrl],
+        blockExplorerUrls: [],
+        assets: { [token.address.toLowerCase()]: { symbol: 'USDT0', decimals: 6, eip3009: true, eip712Name: 'USDT0', eip712Version: '1' } },
+        escrowCore: '',
+        escrowAdapter: adapter.address,
+      }],
+    }));
+
+    // ============================================
+    // 2. Facilitator Server
+    // ============================================
+
+    console.log('\n=== 2. Facilitator Server ===');
+    var facilitatorUrl = 'http://127.0.0.1:' + await freePort();
+    facilitatorProcess = spawn(process.execPath, ['facilitator/x402-facilitator.cjs'], {
+      env: {
+        PATH: process.env.PATH,
+        X402_FACILITATOR_PORT: facilitatorUrl.split(':').pop(),
+        X402_FACILITATOR_KEY: API_KEY,
+        X402_NETWORKS_CONFIG: networksPath,
+        X402_SIGNER_BACKEND: 'key',
+        ARENA_SIGNER_PRIVATE_KEY: relayer.privateKey,
+        X402_NONCE_STORE: path.join(dir, 'nonces.jsonl'),
+        X402_SETTLEMENT_STORE: path.join(dir, 'settlements.jsonl'),
+        X402_ESCROW_STORE: path.join(dir, 'escrow.jsonl'),
+        X402_REFUND_STORE: path.join(dir, 'refunds.jsonl'),
+        X402_WEBHOOK_STORE: path.join(dir, 'webhooks.jsonl'),
+        X402_PAYMENT_STORE: path.join(dir, 'payments.db'),
+        X402_DEMO_SPEND_STORE: path.join(dir, 'demo-spend.jsonl'),
+        X402_SETTLE_ASYNC: 'false',
+        X402_LOG_LEVEL: 'warn',
+      },
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+    facilitatorProcess.stdout.on('data', function(chunk) { facilitatorLog += chunk; });
+    facilitatorProcess.stderr.on('data', function(chunk) { facilitatorLog += chunk; });
+
+    await waitFor(async function() {
+      if (facilitatorProcess.exitCode !== null) throw new Error('facilitator exited: ' + facilitatorLog);
+      return (await fetch(facilitatorUrl + '/x402/health')).ok;
+    }, 15000, 'Facilitator');
+    var supported = await (await fetch(facilitatorUrl + '/x402/supported')).json();
+    supported.kinds.some(function(kind) { return kind.network === NETWORK && kind.asset.toLowerCase() === token.address.toLowerCase() && kind.settlementMode === 'transfer'; })
+      ? pass('Facilitator connects to the local chain and supports the mock token') : fail('Supported: ' + JSON.stringify(supported));
+
+    // ============================================
+    // 3. Paid Resource (402 → sign → verify → settle → 200)
+    // ============================================
+
+    console.log('\n=== 3. Paid Resource ===');
+    seller = http.createServer(x402Http({
+      facilitatorUrl: facilitatorUrl,
+      apiKey: API_KEY,
+      payTo: treasury,
+      networksPath: networksPath,
+      routes: { 'GET /paid': { price: String(PRICE), asset: 'USDT0', description: 'E2E resource' } },
+    }, function(req, res) {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ content: 'paid content', payer: req.x402.payer, transaction: req.x402.transaction }));
+    }));
+    var sellerUrl = await listen(seller);
+
+    var challenge = await fetch(sellerUrl + '/paid');
+    var requirements = sdk.parsePaymentRequired(challenge)[0];
+    (challenge.status === 402 && requirements.network === NETWORK && requirements.asset === token.address.toLowerCase()
+      && requirements.payTo === treasury && requirements.amount === String(PRICE) && requirements.extra.name === 'USDT0')
+      ? pass('Unpaid request → 402 with PAYMENT-REQUIRED') : fail('Challenge: ' + challenge.status + ' ' + JSON.stringify(requirements));
+
+    var statuses = [];
+    var recordingFetch = async function(url, init) {
+      var response = await fetch(url, init);
+      statuses.push(response.status);
+      return response;
+    };
+    var relayerGasBefore = await provider.getBalance(relayer.address);
+    var paid = await sdk.x402Fetch(sellerUrl + '/paid', {}, { signer: buyer, fetch: recordingFetch, networks: [NETWORK] });
+    var body = await paid.json();
+    var settlement = paid.x402.settlement;
+    (paid.status === 200 && statuses.join(',') === '402,200' && body.content === 'paid content' && body.payer === buyer.address)
+      ? pass('x402Fetch pays and receives the resource (402 → 200)') : fail('Paid: ' + paid.status + ' ' + statuses + ' ' + JSON.stringify(body));
+    (settlement && settlement.success && settlement.network === NETWORK && ethers.isHexString(settlement.transaction, 32) && settlement.transaction === body.transaction)
+      ? pass('PAYMENT-RESPONSE carries the settlement transaction') : fail('Settlement: ' + JSON.stringify(settlement));
+
+    var receipt = await provider.getTransactionReceipt(settlement.transaction);
+    var minedTx = await provider.getTransaction(settlement.transaction);
+    (receipt && receipt.status === 1 && minedTx.from === relayer.address && minedTx.to === token.address)
+      ? pass('Relayer broadcast transferWithAuthorization and it was mined') : fail('Receipt: ' + JSON.stringify(receipt));
+    var transferLog = receipt && receipt.logs.map(function(log) { return contract.interface.parseLog(log); }).find(function(log) { return log && log.name === 'Transfer'; });
+    (transferLog && transferLog.args.from === buyer.address && transferLog.args.to === treasury && transferLog.args.value === PRICE)
+      ? pass('Transfer event from buyer to treasury') : fail('Logs: ' + JSON.stringify(receipt && receipt.logs));
+    ((await contract.balanceOf(buyer.address)) === 5000000n - PRICE && (await contract.balanceOf(treasury)) === PRICE)
+      ? pass('Token balances moved on-chain') : fail('Balances after payment');
+    (await contract.authorizationState(buyer.address, paid.x402.payload.payload.authorization.nonce))
+      ? pass('Authorization nonce consumed on-chain') : fail('authorizationState still false');
+    (await provider.getBalance(relayer.address)) < relayerGasBefore
+      ? pass('Relayer paid the gas') : fail('Relayer balance unchanged');
+
+    // ============================================
+    // 4. Failure Paths
+    // ============================================
+
+    console.log('\n=== 4. Failure Paths ===');
+    var blockBefore = await provider.getBlockNumber();
+    var buyerBalance = await token.balanceOf(buyer.address);
+
+    async function payWith(payload) {
+      var response = await fetch(sellerUrl + '/paid', { headers: { 'PAYMENT-SIGNATURE': sdk.encodeHeader(payload) } });
+      return { status: response.status, body: await response.json() };
+    }
+    function rejectedWith(result, reason) {
+      return result.status === 402 && result.body.error_code === 'X402_VERIFY_FAILED' && result.body.message === 'Payment verification failed: ' + reason;
+    }
+
+    var nowSeconds = Math.floor(Date.now() / 1000);
+    var expired = await payWith(await sdk.signPayment(requirements, buyer, { validFor: 60, now: function() { return nowSeconds - 3600; } }));
+    rejectedWith(expired, 'Authorization expired or not yet valid') ? pass('Expired authorization rejected') : fail('Expired: ' + JSON.stringify(expired));
+
+    var notYetValid = await sdk.signPayment(requirements, buyer);
+    notYetValid.payload.authorization.validAfter = String(nowSeconds + 3600);
+    notYetValid.payload.signature = await buyer.signTypedData(
+      { name: 'USDT0', version: '1', chainId: CHAIN_ID, verifyingContract: requirements.asset }, sdk.TRANSFER_AUTH_TYPES, notYetValid.payload.authorization);
+    rejectedWith(await payWith(notYetValid), 'Authorization expired or not yet valid') ? pass('Not-yet-valid authorization rejected') : fail('validAfter in the future accepted');
+
+    var misdirected = await payWith(await sdk.signPayment({ ...requirements, payTo: ethers.Wallet.createRandom().address }, buyer));
+    rejectedWith(misdirected, 'Wrong payment destination (expected treasury)') ? pass('Wrong payTo rejected') : fail('Wrong payTo: ' + JSON.stringify(misdirected));
+
+    var clientSide = null;
+    try { await sdk.x402Fetch(sellerUrl + '/paid', {}, { signer: broke }); }
+    catch (error) { clientSide = error; }
+    (clientSide && clientSide.code === 'INSUFFICIENT_BALANCE' && clientSide.balance === 0n)
+      ? pass('SDK refuses to sign without enough balance') : fail('Client balance check: ' + (clientSide && clientSide.code));
+    var unchecked = await sdk.x402Fetch(sellerUrl + '/paid', {}, { signer: broke, checkBalance: false, retries: 0 });
+    var uncheckedBody = await unchecked.json();
+    rejectedWith({ status: unchecked.status, body: uncheckedBody }, 'Insufficient balance')
+      ? pass('Facilitator rejects insufficient balance') : fail('Insufficient balance: ' + JSON.stringify(uncheckedBody));
+
+    var forged = await sdk.signPayment(requirements, buyer);
+    forged.payload.signature = await broke.signTypedData(
+      { name: 'USDT0', version: '1', chainId: CHAIN_ID, verifyingContract: requirements.asset }, sdk.TRANSFER_AUTH_TYPES, forged.payload.authorization);
+    rejectedWith(await payWith(forged), 'Invalid signature') ? pass('Signature by another key rejected') : fail('Forged signature accepted');
+    var tampered = await sdk.signPayment(requirements, buyer);
+    tampered.payload.authorization.value = '1000000';
+    rejectedWith(await payWith(tampered), 'Invalid signature') ? pass('Tampered authorization rejected') : fail('Tampered value accepted');
+    var garbage = await sdk.signPayment(requirements, buyer);
+    garbage.payload.signature = '0x' + 'ab'.repeat(65);
+    var garbageResult = await payWith(garbage);
+    (garbageResult.status === 402 && garbageResult.body.error_code === 'X402_VERIFY_FAILED')
+      ? pass('Malformed signature rejected') : fail('Garbage signature: ' + JSON.stringify(garbageResult));
+
+    var replay = await payWith(paid.x402.payload);
+    rejectedWith(replay, 'Nonce already used') ? pass('Reused nonce rejected by the middleware flow') : fail('Replay: ' + JSON.stringify(replay));
+    var directSettle = await fetch(facilitatorUrl + '/x402/settle-transfer', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-API-Key': API_KEY },
+      body: JSON.stringify({ payload: paid.x402.payload, requirements: requirements }),
+    });
+    var directBody = await directSettle.json();
+    (directSettle.status === 409 && directBody.error === 'Nonce already used')
+      ? pass('Reused nonce rejected by /x402/settle-transfer (409)') : fail('Direct settle: ' + directSettle.status + ' ' + JSON.stringify(directBody));
+
+    (await provider.getBlockNumber() === blockBefore && await token.balanceOf(buyer.address) === buyerBalance)
+      ? pass('Rejected payments sent no transactions and moved no funds') : fail('Chain changed during rejections: block ' + await provider.getBlockNumber());
+
+    // The token itself refuses a replay that gets past the facilitator
+    var auth = paid.x402.payload.payload.authorization;
+    var outsider = new ethers.Contract(token.address, TOKEN_ABI, new ethers.Wallet(DEV_KEYS[2], provider));
+    var onChain = null;
+    try { await outsider.transferWithAuthorization(auth.from, auth.to, auth.value, auth.validAfter, auth.validBefore, auth.nonce, paid.x402.payload.payload.signature); }
+    catch (error) { onChain = error; }
+    (onChain && onChain.code === 'CALL_EXCEPTION' && onChain.reason === 'FiatTokenV2: authorization is used or canceled')
+      ? pass('Token rejects the reused authorization on-chain') : fail('On-chain replay: ' + (onChain ? onChain.message : 'accepted'));
+
+    // ============================================
+    // 5. Second Payment
+    // ============================================
+
+    console.log('\n=== 5. Second Payment ===');
+    var second = await sdk.x402Fetch(sellerUrl + '/paid', {}, { signer: buyer, networks: [NETWORK] });
+    var secondBody = await second.json();
+    (second.status === 200 && secondBody.transaction !== body.transaction
+      && (await contract.balanceOf(treasury)) === 2n * PRICE && await provider.getTransactionCount(relayer.address) === 2)
+      ? pass('Next payment settles with the next relayer nonce') : fail('Second payment: ' + second.status + ' ' + JSON.stringify(secondBody));
+
+    var health = await (await fetch(facilitatorUrl + '/x402/health')).json();
+    JSON.stringify(health).includes(relayer.address)
+      ? pass('Facilitator health reports the local relayer') : fail('Health: ' + JSON.stringify(health));
+
+    // ============================================
+    // 6. Metered Payment (upto)
+    // ============================================
+
+    console.log('\n=== 6. Metered Payment ===');
+    meteredSeller = http.createServer(x402Http({
+      facilitatorUrl: facilitatorUrl,
+      apiKey: API_KEY,
+      payTo: treasury,
+      networksPath: networksPath,
+      routes: { 'GET /metered': { scheme: 'upto', price: String(PRICE), asset: 'USDT0', description: 'E2E metered resource' } },
+    }, async function(req, res) {
+      var charged = await req.x402.settle(String(PRICE * 40n / 100n));
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ content: 'metered content', transaction: charged.transaction }));
+    }));
+    var meteredUrl = await listen(meteredSeller);
+    var buyerBefore = await token.balanceOf(buyer.address);
+    var treasuryBefore = await token.balanceOf(treasury);
+
+    var metered = await sdk.x402Fetch(meteredUrl + '/metered', {}, { signer: buyer, networks: [NETWORK] });
+    var meteredBody = await metered.json();
+    var meteredReceipt = metered.x402.settlement;
+    (metered.status === 200 && metered.x402.requirements.payTo === relayer.address && metered.x402.payload.payload.authorization.value === String(PRICE))
+      ? pass('Buyer authorizes the maximum to the facilitator collector') : fail('Metered: ' + metered.status + ' ' + JSON.stringify(meteredBody));
+    (meteredReceipt && meteredReceipt.authorized === String(PRICE) && meteredReceipt.charged === String(PRICE * 40n / 100n)
+      && metered.x402.charged === meteredReceipt.charged && meteredReceipt.transaction === meteredBody.transaction)
+      ? pass('PAYMENT-RESPONSE shows the authorized and charged amounts') : fail('Metered receipt: ' + JSON.stringify(meteredReceipt));
+    (await token.balanceOf(buyer.address) === buyerBefore - PRICE * 40n / 100n && await token.balanceOf(treasury) === treasuryBefore + PRICE * 40n / 100n
+      && await token.balanceOf(relayer.address) === 0n)
+      ? pass('Only the charge reaches the treasury; the rest is back with the buyer') : fail('Metered balances: buyer ' + await token.balanceOf(buyer.address) + ', treasury ' + await token.balanceOf(treasury));
+
+    // The same PAYMENT-SIGNATURE sent twice at once: verification holds the nonce, one request runs
+    var meteredOffer = sdk.parsePaymentRequired(await fetch(meteredUrl + '/metered'))[0];
+    var header = sdk.encodeHeader(await sdk.signPayment(meteredOffer, buyer));
+    var racing = await Promise.all([1, 2].map(function() {
+      return fetch(meteredUrl + '/metered', { headers: { 'PAYMENT-SIGNATURE': header } }).then(async function(res) { return { status: res.status, body: await res.json() }; });
+    }));
+    var served = racing.filter(function(result) { return result.status === 200; });
+    var refused = racing.filter(function(result) { return rejectedWith(result, 'Nonce already used'); });
+    (served.length === 1 && refused.length === 1)
+      ? pass('Concurrent replays of a metered payment: one is served, the other fails verify') : fail('Metered race: ' + JSON.stringify(racing));
+
+    // ============================================
+    // 7. Escrow (hold → release / automatic refund)
+    // ============================================
+
+    console.log('\n=== 7. Escrow ===');
+    escrowSeller = http.createServer(x402Http({
+      facilitatorUrl: facilitatorUrl,
+      apiKey: API_KEY,
+      payTo: treasury,
+      networksPath: networksPath,
+      routes: { 'GET /escrow': { mode: 'escrow', price: String(PRICE), asset: 'USDT0', description: 'E2E escrow resource' } },
+    }, async function(req, res) {
+      var deliver = req.url.includes('deliver=1');
+      if (deliver) await req.x402.release('delivered');
+      res.writeHead(deliver ? 200 : 502, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ orderId: req.x402.orderId }));
+    }));
+    var escrowUrl = await listen(escrowSeller);
+    function escrowStatus(orderId) {
+      return fetch(facilitatorUrl + '/x402/escrow/' + orderId, { headers: { 'X-API-Key': API_KEY } }).then(function(res) { return res.json(); });
+    }
+    buyerBefore = await token.balanceOf(buyer.address);
+    treasuryBefore = await token.balanceOf(treasury);
+
+    var delivered = await sdk.x402Fetch(escrowUrl + '/escrow?deliver=1', {}, { signer: buyer, networks: [NETWORK] });
+    var deliveredOrder = (await delivered.json()).orderId;
+    var releasedOrder = await escrowStatus(deliveredOrder);
+    (delivered.status === 200 && delivered.x402.requirements.payTo === adapter.address && releasedOrder.status === 'released'
+      && releasedOrder.history.map(function(event) { return event.action; }).join() === 'hold,release'
+      && await token.balanceOf(treasury) === treasuryBefore + PRICE && await token.balanceOf(adapter.address) === 0n)
+      ? pass('Escrow payment is held by the adapter and released to the treasury on delivery') : fail('Release: ' + delivered.status + ' ' + JSON.stringify(releasedOrder));
+
+    // No retry: the refunded authorization can't pay again
+    var undelivered = await sdk.x402Fetch(escrowUrl + '/escrow', {}, { signer: buyer, networks: [NETWORK], retries: 0 });
+    var undeliveredOrder = (await undelivered.json()).orderId;
+    await waitFor(async function() { return (await escrowStatus(undeliveredOrder)).status === 'refunded'; }, 5000, 'Automatic refund');
+    var refundedOrder = await escrowStatus(undeliveredOrder);
+    (undelivered.status === 502 && refundedOrder.refunded === String(PRICE) && undeliveredOrder === undelivered.x402.payload.payload.authorization.nonce
+      && await token.balanceOf(buyer.address) === buyerBefore - PRICE)
+      ? pass('A failed answer is refunded to the buyer automatically') : fail('Refund: ' + undelivered.status + ' ' + JSON.stringify(refundedOrder));
+
+    // ============================================
+    // 8. Transfer Refund (settled, then the resource failed)
+    // ============================================
+
+    console.log('\n=== 8. Transfer Refund ===');
+    refundSeller = http.createServer(x402Http({
+      facilitatorUrl: facilitatorUrl,
+      apiKey: API_KEY,
+      payTo: treasury,
+      networksPath: networksPath,
+      routes: { 'GET /flaky': { price: String(PRICE), asset: 'USDT0', description: 'E2E failing resource' } },
+    }, async function(req, res) {
+      var refund = await req.x402.refund({ reason: 'AI service error' }).catch(function(error) { return { success: false, error: error.message }; });
+      res.writeHead(502, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: false, message: 'AI service error', refund: refund }));
+    }));
+    var refundUrl = await listen(refundSeller);
+    buyerBefore = await token.balanceOf(buyer.address);
+    treasuryBefore = await token.balanceOf(treasury);
+
+    var unapproved = await sdk.x402Fetch(refundUrl + '/flaky', {}, { signer: buyer, networks: [NETWORK] });
+    var unapprovedBody = await unapproved.json();
+    (unapproved.status === 502 && unapproved.x402.refund === null && /allowance for the collector/.test(unapprovedBody.refund.error)
+      && await token.balanceOf(treasury) === treasuryBefore + PRICE)
+      ? pass('Without the treasury allowance the settled payment stays with the treasury') : fail('Unapproved: ' + JSON.stringify(unapprovedBody));
+
+    // The treasury approves the collector (sent impersonated: the test has no treasury key)
+    await token.approve(treasury, relayer.address, PRICE * 10n);
+    var flaky = await sdk.x402Fetch(refundUrl + '/flaky', {}, { signer: buyer, networks: [NETWORK] });
+    var refundReceipt = flaky.x402.refund;
+    var refundTx = refundReceipt && await provider.getTransactionReceipt(refundReceipt.transaction);
+    var refundLog = refundTx && refundTx.logs.map(function(log) { return contract.interface.parseLog(log); }).find(function(log) { return log && log.name === 'Transfer'; });
+    (flaky.status === 502 && refundReceipt && refundReceipt.success && refundReceipt.settlementTransaction === flaky.x402.settlement.transaction.toLowerCase()
+      && refundTx.status === 1 && refundTx.from === relayer.address && refundLog.args.from === treasury && refundLog.args.to === buyer.address
+      && refundLog.args.value === PRICE && await token.balanceOf(buyer.address) === buyerBefore - PRICE && await token.balanceOf(treasury) === treasuryBefore + PRICE)
+      ? pass('A failed transfer is refunded on-chain from the treasury, receipt in PAYMENT-RESPONSE') : fail('Transfer refund: ' + flaky.status + ' ' + JSON.stringify(refundReceipt));
+
+    var repeated = await fetch(facilitatorUrl + '/x402/refund', {
+      method: 'POST', headers: { 'X-API-Key': API_KEY, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ transaction: flaky.x402.settlement.transaction, network: NETWORK }),
+    }).then(function(res) { return res.json(); });
+    (repeated.success && repeated.transaction === refundReceipt.transaction && await token.balanceOf(buyer.address) === buyerBefore - PRICE)
+      ? pass('Refunding the same settlement again returns the first receipt') : fail('Repeat: ' + JSON.stringify(repeated));
+  } finally {
+    if (seller) seller.close();
+    if (meteredSeller) meteredSeller.close();
+    if (escrowSeller) escrowSeller.close();
+    if (refundSeller) refundSeller.close();
+    if (facilitatorProcess && facilitatorProcess.exitCode === null) {
+      var exited = new Promise(function(resolve) { facilitatorProcess.on('exit', resolve); });
+      facilitatorProcess.kill();
+      await exited;
+    }
+    await evm.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+    if (errors > 0 && facilitatorLog) console.error('\nFacilitator output:\n' + facilitatorLog.slice(-4000));
+  }
+}
+
+// ============================================
+// 9. Offline Local Stack (npm run local)
+// ============================================
+
+async function localStack() {
+  console.log('\n=== 9. Offline Local Stack ===');
+  var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'x402-local-'));
+  var stack = null;
+  var stackLog = '';
+
+  try {
+    // The local profile on free ports, ledgers in a temp dir
+    var rpcPort = await freePort();
+    var networks = JSON.parse(fs.readFileSync('local/networks.json', 'utf-8'));
+    networks.networks[0].rpcUrls = ['http://127.0.0.1:' + rpcPort];
+    var networksPath = path.join(dir, 'networks.json');
+    fs.writeFileSync(networksPath, JSON.stringify(networks));
+    var aiPort = await freePort();
+    var overrides = {
+      PATH: process.env.PATH,
+      X402_NETWORKS_CONFIG: networksPath,
+      X402_FACILITATOR_PORT: String(await freePort()),
+      MOCK_AI_PORT: String(aiPort),
+      API_URL: 'http://127.0.0.1:' + aiPort + '/api/x402/ai.php',
+      X402_NONCE_STORE: path.join(dir, 'nonces.jsonl'),
+      X402_SETTLEMENT_STORE: path.join(dir, 'settlements.jsonl'),
+      X402_DEMO_SPEND_STORE: path.join(dir, 'demo-spend.jsonl'),
+      AGENT_LEDGER_PATH: path.join(dir, 'agent-ledger.jsonl'),
+      X402_LOG_LEVEL: 'warn',
+    };
+
+    stack = spawn(process.execPath, ['local/start-local.cjs'], { env: overrides, stdio: ['ignore', 'pipe', 'pipe'] });
+    stack.stdout.on('data', function(chunk) { stackLog += chunk; });
+    stack.stderr.on('data', function(chunk) { stackLog += chunk; });
+    await waitFor(async function() {
+      if (stack.exitCode !== null) throw new Error('local stack exited: ' + stackLog);
+      return stackLog.includes('[local] Ready');
+    }, 20000, 'Local stack');
+    pass('npm run local starts chain, facilitator and mock AI offline');
+
+    var agentOutput = '';
+    var agentExit = await new Promise(function(resolve) {
+      var agent = spawn(process.execPath, ['agent/x402-ai-agent-demo.cjs', '--profile', 'local', '--json', 'What is EIP-3009?'],
+        { env: overrides, stdio: ['ignore', 'pipe', 'inherit'] });
+      agent.stdout.on('data', function(chunk) { agentOutput += chunk; });
+      agent.on('exit', resolve);
+    });
+    var result = agentExit === 0 ? JSON.parse(agentOutput) : null;
+    (result && result.ok && result.payment.network === 'eip155:31337' && result.payment.price === '0.0001 USDT0'
+      && /^0x[0-9a-f]{64}$/.test(result.payment.transaction) && result.body.data.model === 'mock-canned' && /EIP-3009/.test(result.body.data.answer))
+      ? pass('Agent --profile local pays the mock AI on the local chain') : fail('Agent: exit ' + agentExit + ' ' + agentOutput);
+
+    var proxied = await fetch('http://127.0.0.1:' + aiPort + '/api/x402/ai-demo-proxy.php', {
+      method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ question: 'What is Conflux?' }),
+    });
+    var proxiedBody = await proxied.json();
+    (proxied.status === 200 && /Conflux/.test(proxiedBody.data.answer) && proxiedBody.data.payment.payer === new ethers.Wallet(DEV_KEYS[2]).address
+      && proxiedBody.data.payment.tx_hash !== result.payment.transaction)
+      ? pass('Demo page server mode: proxy → facilitator /x402/demo-ai → mock AI → settled') : fail('Demo proxy: ' + proxied.status + ' ' + JSON.stringify(proxiedBody));
+
+    var stopped = new Promise(function(resolve) { stack.on('exit', resolve); });
+    stack.kill('SIGTERM');
+    var code = await stopped;
+    var facilitatorDown = await fetch('http://127.0.0.1:' + overrides.X402_FACILITATOR_PORT + '/x402/health').then(function() { return false; }, function() { return true; });
+    (code === 0 && facilitatorDown) ? pass('Stack stops its facilitator child on SIGTERM') : fail('Stop: exit ' + code + ', facilitator down ' + facilitatorDown);
+    stack = null;
+  } finally {
+    if (stack && stack.exitCode === null) {
+      var exited = new Promise(function(resolve) { stack.on('exit', resolve); });
+      stack.kill('SIGTERM');
+      await exited;
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+    if (errors > 0 && stackLog) console.error('\nLocal stack output:\n' + stackLog.slice(-4000));
+  }
+}
+
+// ============================================
+// RESULTS
+// ============================================
+
+function printResults() {
+  console.log('\n========================================');
+  console.log('  TOTAL: ' + ok + ' passed, ' + errors + ' failed');
+  console.log('========================================');
+  if (errors > 0) process.exit(1);
+  console.log('  ALL E2E TESTS PASSED');
+}
+
+main()
+  .then(localStack)
+  .catch(function(error) { fail('E2E run crashed: ' + error.message); })
+  .then(printResults);
@@ -35,6 +35,7 @@ const jsImports = [
   ['assets/js/services/walletService.js', './web3Service.js'],
   ['assets/js/services/walletService.js', './storageService.js'],
   ['assets/js/services/web3Service.js', '../config/networks.js'],
+  ['assets/js/services/x402Service.js', '../lib/x402Client.js'],
 ];
 jsImports.forEach(function(pair) {
   var resolved = path.join(path.dirname(pair[0]), pair[1]);
@@ -55,7 +56,7 @@ console.log('\n=== 2. HTML Imports ===');
 // ============================================
 
 console.log('\n=== 3. PHP require_once Paths ===');
-['api/x402/ai.php', 'api/x402/ai-demo-proxy.php', 'api/config/database.php'].forEach(function(f) {
+['api/x402/ai.php', 'api/x402/ai-demo-proxy.php', 'api/x402/supported.php', 'api/config/database.php'].forEach(function(f) {
   var content = fs.readFileSync(f, 'utf-8');
   var lines = content.split('\n');
   lines.forEach(function(line) {
@@ -87,15 +88,18 @@ var envContent = fs.readFileSync('.env.example', 'utf-8');
 // ============================================
 
 console.log('\n=== 5. Cross-file Consistency ===');
-var fac = fs.readFileSync('facilitator/x402-facilitator.cjs', 'utf-8');
+// The facilitator: HTTP server plus its verification/settlement core
+var fac = fs.readFileSync('facilitator/x402-facilitator.cjs', 'utf-8') + fs.readFileSync('facilitator/lib/server.cjs', 'utf-8') + fs.readFileSync('facilitator/lib/facilitator.cjs', 'utf-8');
 var ai = fs.readFileSync('api/x402/ai.php', 'utf-8');
 var x402svc = fs.readFileSync('assets/js/services/x402Service.js', 'utf-8');
 var demo = fs.readFileSync('x402-demo.html', 'utf-8');
 var agent = fs.readFileSync('agent/x402-ai-agent-demo.cjs', 'utf-8');
+var client = fs.readFileSync('assets/js/lib/x402Client.js', 'utf-8');
+var networksJson = fs.readFileSync('facilitator/networks.json', 'utf-8');
 
 // USDT0 address
 var usdt0 = '0xaf37e8b6c9ed7f6318979f56fc287d76c30847ff';
-(fac.includes(usdt0) && ai.includes(usdt0)) ? pass('USDT0 address consistent') : fail('USDT0 address mismatch');
+(networksJson.includes(usdt0) && ai.includes(usdt0)) ? pass('USDT0 address consistent') : fail('USDT0 address mismatch');
 
 // Network
 (fac.includes('eip155:1030') && ai.includes('eip155:1030') && x402svc.includes('eip155:1030') && demo.includes('eip155:1030'))
@@ -106,18 +110,30 @@ fac.includes("'3849'") ? pass('Facilitator port 3849') : fail('Port mismatch');
 
 // EIP-712 types - TransferWithAuthorization fields
 var eip712Fields = ['from', 'to', 'value', 'validAfter', 'validBefore', 'nonce'];
-var allHaveFields = [fac, x402svc, demo, agent].every(function(content) {
+var allHaveFields = [fac, client].every(function(content) {
   return eip712Fields.every(function(field) { return content.includes(field); });
 });
 allHaveFields ? pass('EIP-712 TransferWithAuthorization fields consistent') : fail('EIP-712 fields mismatch');
 
+// The demo's wallet mode pays the 402's accepts entry (exact or upto) through the client SDK
+(demo.includes("from './assets/js/lib/x402Client.js'") && demo.includes('signPayment(requirements, signer)')
+  && !/scheme: 'exact'/.test(demo) && !demo.includes('x402Service'))
+  ? pass('Demo wallet mode signs the selected requirements with the client SDK') : fail('Demo builds its own payment payload');
+
+// The facilitator's endpoints come from one route table, and the README covers each of them
+var { ROUTES: facilitatorRoutes } = require('../facilitator/lib/server.cjs');
+var readmeText = fs.readFileSync('README.md', 'utf-8');
+var undocumented = facilitatorRoutes.filter(function(route) { return !readmeText.includes(route.path); });
+(undocumented.length === 0 && fac.includes('endpoints: ROUTES.map(') && !/ \* {3}GET {2}\/x402\/health/.test(fac))
+  ? pass('Facilitator routes are listed from the router and documented in the README') : fail('Routes: ' + undocumented.map(function(route) { return route.path; }).join(', '));
+
 // settlementMode check
 (x402svc.includes('settlementMode') && ai.includes('settlementMode') && fac.includes('settlementMode'))
   ? pass('settlementMode field consistent') : fail('settlementMode mismatch');
 
 // API headers
 ['PAYMENT-REQUIRED', 'PAYMENT-SIGNATURE'].forEach(function(h) {
-  var count = [fac, ai, demo, agent, x402svc].filter(function(c) { return c.includes(h); }).length;
+  var count = [fac, ai, demo, agent, client].filter(function(c) { return c.includes(h); }).length;
   count >= 3 ? pass(h + ' header in ' + count + ' files') : fail(h + ' header only in ' + count + ' files');
 });
 
@@ -191,8 +207,8 @@ filesToCheck.forEach(function(item) {
 // ============================================
 
 console.log('\n=== 9. EIP-712 Domain Consistency ===');
-// All signers must use the same domain structure
-var domainFiles = [fac, agent, x402svc, demo];
+// All signers must use the same domain structure (agent, X402Service and the demo page sign through the client SDK)
+var domainFiles = [fac, client];
 var allHaveDomainName = domainFiles.every(function(c) { return c.includes('name:') || c.includes("'name'"); });
 var allHaveDomainVersion = domainFiles.every(function(c) { return c.includes('version:') || c.includes("'version'"); });
 var allHaveChainId = domainFiles.every(function(c) { return c.includes('chainId:') || c.includes("'chainId'") || c.includes('chainId'); });
@@ -203,18 +219,21 @@ allHaveDomainVersion ? pass('All signers include domain.version') : fail('Missin
 allHaveChainId ? pass('All signers include domain.chainId') : fail('Missing domain.chainId');
 allHaveVerifyingContract ? pass('All signers include domain.verifyingContract') : fail('Missing domain.verifyingContract');
 
-// Verify chainId 1030 is used consistently
-var allUse1030 = domainFiles.every(function(c) { return c.includes('1030'); });
+// Verify chainId 1030 is used consistently (the SDK derives it from the CAIP-2 network)
+var allUse1030 = [fac, demo, x402svc].every(function(c) { return c.includes('1030'); });
 allUse1030 ? pass('ChainId 1030 used in all signing files') : fail('ChainId mismatch in signing files');
+(client.includes('chainIdOf(requirements.network)') && [agent, x402svc, fac].every(function(c) { return c.includes('x402Client.js') && c.includes('x402Fetch'); }))
+  ? pass('Agent, X402Service and demo handler pay through the client SDK') : fail('Client SDK not shared');
 
 // ============================================
 // 10. Agent Safety Controls
 // ============================================
 
 console.log('\n=== 10. Agent Safety Controls ===');
-agent.includes('SPEND_CAP') ? pass('Agent has spending cap') : fail('Agent missing spending cap');
-agent.includes('AGENT_SPEND_CAP') ? pass('Agent reads AGENT_SPEND_CAP env var') : fail('Agent missing AGENT_SPEND_CAP env');
-agent.includes('totalSpent') ? pass('Agent tracks total spending') : fail('Agent missing spend tracking');
+var spendPolicySrc = fs.readFileSync('agent/lib/spend-policy.cjs', 'utf-8');
+(agent.includes('SpendPolicy') && agent.includes('spendPolicy.authorize(')) ? pass('Agent has spending policy') : fail('Agent missing spending policy');
+spendPolicySrc.includes('AGENT_SPEND_CAP') ? pass('Default policy reads AGENT_SPEND_CAP env var') : fail('Policy missing AGENT_SPEND_CAP env');
+(agent.includes('AGENT_LEDGER_PATH') && agent.includes('spendPolicy.settle(')) ? pass('Agent records spending in a persistent ledger') : fail('Agent missing spend ledger');
 envContent.includes('AGENT_SPEND_CAP') ? pass('.env.example has AGENT_SPEND_CAP') : fail('.env.example missing AGENT_SPEND_CAP');
 
 // ============================================
@@ -239,12 +258,2649 @@ var middleware = fs.readFileSync('api/middleware/X402Middleware.php', 'utf-8');
 middleware.includes('random_bytes') ? pass('Nonce uses cryptographic random') : fail('Nonce not cryptographically random');
 middleware.includes('HEADER_PAYMENT_REQUIRED') ? pass('PAYMENT-REQUIRED header preserved') : fail('PAYMENT-REQUIRED header removed');
 
+// ============================================
+// 13. Nonce Ledger (Replay Protection)
+// ============================================
+
+console.log('\n=== 13. Nonce Ledger ===');
+var os = require('os');
+var { NonceStore, nonceKey } = require('../facilitator/lib/nonce-store.cjs');
+var ledgerDir = fs.mkdtempSync(path.join(os.tmpdir(), 'x402-nonces-'));
+var ledgerPath = path.join(ledgerDir, 'nonces.jsonl');
+var future = Math.floor(Date.now() / 1000) + 3600;
+var store = new NonceStore({ filePath: ledgerPath });
+var key = nonceKey('eip155:1030', usdt0, '0xBuyer', '0xABC');
+
+key === nonceKey('eip155:1030', usdt0.toUpperCase(), '0xbuyer', '0xabc') ? pass('Nonce key is case-insensitive') : fail('Nonce key is case-sensitive');
+!store.isUsed(key) ? pass('Fresh nonce is unused') : fail('Fresh nonce reported as used');
+store.reserve(key, { payer: '0xBuyer', asset: usdt0, validBefore: future }) ? pass('First reservation succeeds') : fail('First reservation rejected');
+!store.reserve(key, { validBefore: future }) ? pass('Concurrent reservation of pending nonce rejected') : fail('Pending nonce reserved twice');
+store.markFailed(key, 'reverted');
+store.reserve(key, { validBefore: future }) ? pass('Failed nonce can be retried') : fail('Failed nonce blocked');
+store.markSettled(key, '0xtx');
+var reloaded = new NonceStore({ filePath: ledgerPath });
+(reloaded.get(key) && reloaded.get(key).status === 'settled' && reloaded.get(key).txHash === '0xtx')
+  ? pass('Settled nonce survives restart') : fail('Settled nonce lost on reload');
+!reloaded.reserve(key, { validBefore: future }) ? pass('Settled nonce cannot be reused after restart') : fail('Settled nonce reused after restart');
+var expiredKey = nonceKey('eip155:1030', usdt0, '0xBuyer', '0xDEF');
+reloaded.reserve(expiredKey, { validBefore: 1 });
+!new NonceStore({ filePath: ledgerPath }).get(expiredKey) ? pass('Expired authorizations compacted on load') : fail('Expired authorization kept');
+fs.rmSync(ledgerDir, { recursive: true, force: true });
+
+fac.includes("'Nonce already used'") ? pass('Facilitator rejects reused nonces') : fail('Facilitator missing nonce check');
+
+// ============================================
+// 14. Multi-chain Network Config
+// ============================================
+
+console.log('\n=== 14. Multi-chain Network Config ===');
+var { loadNetworks, buildNetworks, describeNetwork } = require('../facilitator/lib/networks.cjs');
+var netConfig = loadNetworks('facilitator/networks.json', { escrowAdapter: '0x00000000000000000000000000000000000000aa' });
+netConfig.defaultNetwork === 'eip155:1030' ? pass('Default network is eip155:1030') : fail('Default network: ' + netConfig.defaultNetwork);
+(netConfig.networks.has('eip155:1030') && netConfig.networks.has('eip155:71')) ? pass('Mainnet and testnet configured') : fail('Missing eSpace mainnet/testnet');
+netConfig.networks.get('eip155:1030').assets[usdt0] ? pass('USDT0 accepted on eip155:1030') : fail('USDT0 missing on eip155:1030');
+netConfig.networks.get('eip155:1030').escrowAdapter.endsWith('aa') ? pass('X402_ADAPTER_ADDRESS applies to default network') : fail('Adapter override ignored');
+!netConfig.networks.get('eip155:71').escrowAdapter ? pass('Adapter override not leaked to other networks') : fail('Adapter override leaked');
+
+// Server and browser agree on chain parameters
+var browserNetworks = fs.readFileSync('assets/js/config/networks.js', 'utf-8');
+netConfig.networks.forEach(function(chain) {
+  var described = describeNetwork(chain);
+  (browserNetworks.includes("'" + described.chainId + "'") && browserNetworks.includes(chain.rpc))
+    ? pass(chain.network + ' matches assets/js/config/networks.js') : fail(chain.network + ' differs from assets/js/config/networks.js');
+});
+
+var mixedCase = buildNetworks({ networks: [{ chainId: 71, rpcUrls: ['http://x'], assets: { '0xABCDEF': { symbol: 'T' } } }] });
+(mixedCase.defaultNetwork === 'eip155:71' && mixedCase.networks.get('eip155:71').assets['0xabcdef'])
+  ? pass('Asset addresses normalized, first network is default') : fail('Network normalization');
+var threw = false;
+try { buildNetworks({ networks: [{ chainId: 1, rpcUrls: ['http://x'] }, { chainId: 1, rpcUrls: ['http://y'] }] }); } catch (e) { threw = true; }
+threw ? pass('Duplicate networks rejected') : fail('Duplicate networks accepted');
+
+fac.includes('getChain(payload.network)') ? pass('Facilitator routes by payload network') : fail('Facilitator ignores payload network');
+
+// ============================================
+// 15. Supported Kinds Discovery
+// ============================================
+
+console.log('\n=== 15. Supported Kinds Discovery ===');
+var { supportedKinds } = require('../facilitator/lib/networks.cjs');
+var transferOnly = supportedKinds(loadNetworks('facilitator/networks.json').networks);
+(transferOnly.length > 0 && transferOnly.every(function(k) { return k.settlementMode === 'transfer'; }))
+  ? pass('Transfer-only kinds without escrow adapter') : fail('Unexpected kinds without adapter');
+transferOnly.some(function(k) { return k.network === 'eip155:1030' && k.asset === usdt0 && k.scheme === 'exact' && k.x402Version === 2; })
+  ? pass('USDT0 exact/transfer kind on eip155:1030') : fail('USDT0 kind missing');
+var withEscrow = supportedKinds(netConfig.networks);
+withEscrow.some(function(k) { return k.network === 'eip155:1030' && k.settlementMode === 'escrow'; })
+  ? pass('Escrow kinds listed when adapter configured') : fail('Escrow kinds missing');
+!withEscrow.some(function(k) { return k.network === 'eip155:71' && k.settlementMode === 'escrow'; })
+  ? pass('No escrow kinds on networks without adapter') : fail('Escrow kind on network without adapter');
+fac.includes("'/x402/supported'") ? pass('Facilitator serves GET /x402/supported') : fail('Facilitator missing /x402/supported');
+(x402svc.includes('fetchSupported') && x402svc.includes('isSupported')) ? pass('X402Service checks requirements against /supported') : fail('X402Service ignores /supported');
+middleware.includes('getSupported') ? pass('Middleware can query supported kinds') : fail('Middleware missing getSupported');
+
+// ============================================
+// 16. Async Settlement Tracker
+// ============================================
+
+async function testSettlementTracker() {
+  console.log('\n=== 16. Async Settlement Tracker ===');
+  var { SettlementTracker } = require('../facilitator/lib/settlements.cjs');
+  var trackerDir = fs.mkdtempSync(path.join(os.tmpdir(), 'x402-settlements-'));
+  var trackerPath = path.join(trackerDir, 'settlements.jsonl');
+  var clock = 1000;
+  var chainState = {};  // txHash → { receipt, confirmations, known }
+  var fakeProvider = {
+    getTransactionReceipt: async function(hash) {
+      var st = chainState[hash];
+      if (!st || !st.receipt) return null;
+      return { status: st.receipt.status, blockNumber: 10, confirmations: async function() { return st.confirmations; } };
+    },
+    getTransaction: async function(hash) { return chainState[hash] && chainState[hash].known ? {} : null; },
+  };
+  var finals = [];
+  var tracker = new SettlementTracker({
+    filePath: trackerPath,
+    getProvider: function(network) { return network === 'eip155:1030' ? fakeProvider : null; },
+    confirmations: 3,
+    dropTimeout: 60,
+    now: function() { return clock; },
+    onFinal: function(job) { finals.push(job.status); },
+  });
+
+  var ok1 = tracker.create({ network: 'eip155:1030', mode: 'transfer', txHash: '0xok', nonceKey: 'k1' });
+  var rev = tracker.create({ network: 'eip155:1030', mode: 'transfer', txHash: '0xrev', nonceKey: 'k2' });
+  var drop = tracker.create({ network: 'eip155:1030', mode: 'transfer', txHash: '0xdrop', nonceKey: 'k3' });
+  tracker.get(ok1.id).status === 'pending' ? pass('New settlement is pending') : fail('New settlement not pending');
+
+  chainState['0xok'] = { receipt: { status: 1 }, confirmations: 1, known: true };
+  chainState['0xrev'] = { receipt: { status: 0 }, confirmations: 1, known: true };
+  await tracker.poll();
+  (tracker.get(ok1.id).status === 'pending' && tracker.get(ok1.id).confirmations === 1)
+    ? pass('Stays pending below confirmation depth') : fail('Confirmed too early');
+  tracker.get(rev.id).status === 'reverted' ? pass('Reverted receipt marks settlement reverted') : fail('Revert not detected');
+  tracker.get(drop.id).status === 'pending' ? pass('Unknown tx pending until drop timeout') : fail('Dropped too early');
+
+  chainState['0xok'].confirmations = 3;
+  clock += 120;
+  await tracker.poll();
+  tracker.get(ok1.id).status === 'confirmed' ? pass('Confirmed at configured depth') : fail('Not confirmed at depth');
+  tracker.get(drop.id).status === 'dropped' ? pass('Missing tx marked dropped after timeout') : fail('Drop not detected');
+  finals.join(',') === 'reverted,confirmed,dropped' ? pass('onFinal called once per settlement') : fail('onFinal calls: ' + finals.join(','));
+
+  var pendingAgain = tracker.create({ network: 'eip155:1030', mode: 'escrow', txHash: '0xlater', nonceKey: 'k4' });
+  var reloadedTracker = new SettlementTracker({ filePath: trackerPath, getProvider: function() { return null; }, now: function() { return clock; } });
+  (reloadedTracker.get(pendingAgain.id) && reloadedTracker.pending().length === 1)
+    ? pass('Pending settlements resume after restart') : fail('Pending settlements lost on reload');
+  fs.rmSync(trackerDir, { recursive: true, force: true });
+
+  fac.includes("method: 'GET', path: '/x402/settlements/:id'") ? pass('Facilitator serves GET /x402/settlements/:id') : fail('Facilitator missing settlement status endpoint');
+}
+
+// ============================================
+// 17. Relayer Transaction Manager
+// ============================================
+
+async function testRelayerTxManager() {
+  console.log('\n=== 17. Relayer Transaction Manager ===');
+  var { RelayerTxManager } = require('../facilitator/lib/relayer.cjs');
+  var chainNonce = 5;
+  var sent = [];
+  var receipts = {};
+  var rejectNextWithNonceError = false;
+  var clock = 0;
+  var fakeProvider = {
+    getTransactionCount: async function() { return chainNonce; },
+    estimateGas: async function() { return 100000n; },
+    getFeeData: async function() { return { maxFeePerGas: 1000n, maxPriorityFeePerGas: 100n, gasPrice: null }; },
+    getTransactionReceipt: async function(hash) { return receipts[hash] || null; },
+  };
+  var fakeSigner = {
+    getAddress: async function() { return '0x0000000000000000000000000000000000000001'; },
+    sendTransaction: async function(tx) {
+      await new Promise(function(r) { setTimeout(r, 5); });
+      if (rejectNextWithNonceError) {
+        rejectNextWithNonceError = false;
+        var error = new Error('nonce too low'); error.code = 'NONCE_EXPIRED'; throw error;
+      }
+      sent.push(tx);
+      return { hash: '0xtx' + sent.length, nonce: tx.nonce };
+    },
+  };
+  var replaced = [];
+  var relayer = new RelayerTxManager({
+    signer: fakeSigner, provider: fakeProvider, gasMargin: 20, stuckAfter: 30, bumpPercent: 15, pollInterval: 1,
+    onReplaced: function(a, b) { replaced.push(a + '>' + b); }, now: function() { return clock; },
+  });
+
+  var subs = await Promise.all([1, 2, 3].map(function() { return relayer.submit({ to: '0x02', data: '0x' }); }));
+  subs.map(function(s) { return s.nonce; }).join(',') === '5,6,7' ? pass('Concurrent submissions get sequential local nonces') : fail('Nonces: ' + subs.map(function(s) { return s.nonce; }));
+  sent[0].gasLimit === 120000n ? pass('Gas limit = estimate + 20% margin') : fail('Gas limit ' + sent[0].gasLimit);
+  relayer.inFlight.size === 3 ? pass('Submissions tracked in flight') : fail('In-flight count ' + relayer.inFlight.size);
+
+  chainNonce = 20;
+  rejectNextWithNonceError = true;
+  var resynced = await relayer.submit({ to: '0x02', data: '0x' });
+  resynced.nonce === 20 ? pass('Nonce error resyncs from chain and retries') : fail('Resync nonce ' + resynced.nonce);
+
+  chainNonce = 20;  // nonces 5..7 mined, 20 still pending
+  clock = 100;
+  await relayer.checkStuck();
+  var bumped = sent[sent.length - 1];
+  (bumped.nonce === 20 && bumped.maxFeePerGas === 1150n && bumped.maxPriorityFeePerGas === 115n)
+    ? pass('Stuck tx rebroadcast at same nonce with bumped fees') : fail('Bump tx ' + JSON.stringify({ n: bumped.nonce, f: String(bumped.maxFeePerGas) }));
+  (replaced.length === 1 && replaced[0] === resynced.hashes[0] + '>' + resynced.hash) ? pass('Replacement reported via onReplaced') : fail('onReplaced ' + replaced);
+  !relayer.inFlight.has(5) ? pass('Mined nonces leave the in-flight set') : fail('Mined nonce still in flight');
+
+  receipts[resynced.hashes[0]] = { status: 1, confirmations: async function() { return 1; } };
+  var receipt = await resynced.wait(1, 1000);
+  receipt === receipts[resynced.hashes[0]] ? pass('wait() resolves with receipt of any broadcast hash') : fail('wait() receipt mismatch');
+  relayer.stop();
+}
+
+// ============================================
+// 18. Relayer Pool Failover
+// ============================================
+
+async function testRelayerPool() {
+  console.log('\n=== 18. Relayer Pool Failover ===');
+  var { RelayerPool } = require('../facilitator/lib/relayer-pool.cjs');
+  var balances = { '0xa': 5n * 10n ** 18n, '0xb': 5n * 10n ** 18n, '0xc': 10n ** 17n };
+  var failing = {};
+  var clock = 0;
+  function fakeSigner(address) {
+    var count = 0;
+    return {
+      getAddress: async function() { return address; },
+      sendTransaction: async function(tx) {
+        if (failing[address]) throw new Error('connection reset');
+        count++;
+        return { hash: address + '-' + count, nonce: tx.nonce };
+      },
+    };
+  }
+  var fakeProvider = {
+    getBalance: async function(address) { return balances[address]; },
+    getTransactionCount: async function() { return 0; },
+    estimateGas: async function(tx) { if (tx.data === '0xbad') { throw new Error('execution reverted'); } return 21000n; },
+    getFeeData: async function() { return { gasPrice: 1n, maxFeePerGas: null, maxPriorityFeePerGas: null }; },
+  };
+  var pool = new RelayerPool({
+    signers: ['0xa', '0xb', '0xc'].map(fakeSigner), provider: fakeProvider,
+    minBalance: 10n ** 18n, maxFailures: 2, cooldown: 100, now: function() { return clock; },
+  });
+  await pool.init();
+
+  var status = pool.status();
+  (!status[2].healthy && status[2].reason === 'low balance') ? pass('Low-balance relayer out of rotation') : fail('Low balance not detected');
+  var used = [];
+  for (var i = 0; i < 4; i++) used.push((await pool.submit({ to: '0x01', data: '0x' })).relayer);
+  (used.indexOf('0xc') === -1 && used.indexOf('0xa') !== -1 && used.indexOf('0xb') !== -1)
+    ? pass('Settlements spread across healthy relayers') : fail('Relayers used: ' + used.join(','));
+  pool.status()[0].inFlight === 2 ? pass('Health reports per-relayer in-flight count') : fail('In-flight ' + pool.status()[0].inFlight);
+
+  try { await pool.submit({ to: '0x01', data: '0xbad' }); } catch (e) { /* expected */ }
+  try { await pool.submit({ to: '0x01', data: '0xbad' }); } catch (e) { /* expected */ }
+  pool.status().every(function(r) { return r.failures === 0; }) ? pass('Reverting calls do not count against relayers') : fail('Estimate failures counted');
+
+  failing['0xa'] = true;
+  failing['0xb'] = true;
+  for (var j = 0; j < 4; j++) { try { await pool.submit({ to: '0x01', data: '0x' }); } catch (e) { /* expected */ } }
+  var benched = pool.status().filter(function(r) { return r.reason === 'repeated failures'; }).length;
+  benched === 2 ? pass('Repeatedly failing relayers benched') : fail('Benched: ' + benched);
+  var noneHealthy = false;
+  try { pool.pick(); } catch (e) { noneHealthy = /No healthy relayer/.test(e.message); }
+  noneHealthy ? pass('Clear error when no relayer is healthy') : fail('pick() with no healthy relayer');
+
+  failing = {};
+  balances['0xc'] = 2n * 10n ** 18n;
+  clock = 200;
+  await pool.refreshBalances();
+  pool.status().every(function(r) { return r.healthy; }) ? pass('Relayers return after cooldown / top-up') : fail('Relayers not re-admitted');
+}
+
+// ============================================
+// 19. Relayer Signer Backends
+// ============================================
+
+async function testSignerBackends() {
+  console.log('\n=== 19. Relayer Signer Backends ===');
+  var { ethers } = require('ethers');
+  var { spawn } = require('child_process');
+  var http = require('http');
+  var { loadSigners, RemoteSigner } = require('../facilitator/lib/signers.cjs');
+  var keyA = '0x' + '11'.repeat(32);
+  var keyB = '0x' + '22'.repeat(32);
+  var walletA = new ethers.Wallet(keyA);
+  var tx = {
+    type: 2, chainId: 1030, nonce: 7, to: usdt0, data: '0x1234', value: 0,
+    gasLimit: 100000, maxFeePerGas: 30000000000n, maxPriorityFeePerGas: 1000000000n,
+  };
+
+  var keyed = await loadSigners({ ARENA_SIGNER_PRIVATE_KEYS: keyA + ', ' + keyB + ',' + keyA });
+  (keyed.backend === 'key' && keyed.signers.length === 2) ? pass('Key backend loads deduplicated pool keys') : fail('Key backend: ' + keyed.signers.length);
+
+  var keystoreDir = fs.mkdtempSync(path.join(os.tmpdir(), 'x402-keystore-'));
+  var keystorePath = path.join(keystoreDir, 'relayer.json');
+  var passphrasePath = path.join(keystoreDir, 'passphrase');
+  fs.writeFileSync(keystorePath, ethers.encryptKeystoreJsonSync(walletA, 'correct horse', { scrypt: { N: 1024 } }));
+  fs.writeFileSync(passphrasePath, 'correct horse\n');
+  var unlocked = await loadSigners({ X402_SIGNER_BACKEND: 'keystore', X402_KEYSTORE_PATH: keystorePath, X402_KEYSTORE_PASSPHRASE_FILE: passphrasePath });
+  unlocked.signers[0].address === walletA.address ? pass('Keystore backend unlocks with passphrase file') : fail('Keystore address mismatch');
+  var wrongPassphrase = false;
+  try { await loadSigners({ X402_SIGNER_BACKEND: 'keystore', X402_KEYSTORE_PATH: keystorePath, X402_KEYSTORE_PASSPHRASE: 'wrong' }); }
+  catch (e) { wrongPassphrase = true; }
+  wrongPassphrase ? pass('Keystore backend rejects wrong passphrase') : fail('Wrong passphrase accepted');
+  fs.rmSync(keystoreDir, { recursive: true, force: true });
+
+  var configErrors = [
+    [{}, /ARENA_SIGNER_PRIVATE_KEY/],
+    [{ X402_SIGNER_BACKEND: 'hsm' }, /Unknown X402_SIGNER_BACKEND/],
+    [{ X402_SIGNER_BACKEND: 'keystore', X402_KEYSTORE_PATH: 'x.json' }, /PASSPHRASE/],
+    [{ X402_SIGNER_BACKEND: 'remote' }, /X402_REMOTE_SIGNER_URL/],
+  ];
+  var clearErrors = 0;
+  for (var c = 0; c < configErrors.length; c++) {
+    try { await loadSigners(configErrors[c][0]); } catch (e) { if (configErrors[c][1].test(e.message)) clearErrors++; }
+  }
+  clearErrors === configErrors.length ? pass('Missing signer config fails with a clear error') : fail('Clear config errors: ' + clearErrors);
+
+  // Remote backend against the bundled stand-in
+  var port = 38000 + Math.floor(Math.random() * 1000);
+  var child = spawn(process.execPath, ['facilitator/remote-signer.cjs'], {
+    env: { PATH: process.env.PATH, X402_REMOTE_SIGNER_PORT: String(port), X402_REMOTE_SIGNER_TOKEN: 'secret',
+      X402_REMOTE_SIGNER_BACKEND: 'key', ARENA_SIGNER_PRIVATE_KEY: keyA },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  try {
+    await new Promise(function(resolve, reject) {
+      var timer = setTimeout(function() { reject(new Error('remote signer did not start')); }, 10000);
+      child.stdout.on('data', function(chunk) { if (/Remote signer listening/.test(chunk)) { clearTimeout(timer); resolve(); } });
+      child.on('exit', function() { clearTimeout(timer); reject(new Error('remote signer exited')); });
+    });
+    var url = 'http://127.0.0.1:' + port;
+    var remote = await loadSigners({ X402_SIGNER_BACKEND: 'remote', X402_REMOTE_SIGNER_URL: url, X402_REMOTE_SIGNER_TOKEN: 'secret' });
+    remote.signers[0].address === walletA.address ? pass('Remote backend discovers accounts') : fail('Remote accounts mismatch');
+    (await remote.signers[0].signTransaction(tx)) === (await walletA.signTransaction(tx))
+      ? pass('Remote signer signs transactions like the local key') : fail('Remote transaction signature differs');
+    var domain = { name: 'USDT0', version: '1', chainId: 1030, verifyingContract: usdt0 };
+    var types = { Ping: [{ name: 'value', type: 'uint256' }] };
+    ethers.verifyTypedData(domain, types, { value: 5n }, await remote.signers[0].signTypedData(domain, types, { value: 5n })) === walletA.address
+      ? pass('Remote signer signs EIP-712 typed data') : fail('Remote typed-data signature invalid');
+    var denied = false;
+    try { await new RemoteSigner({ url: url, address: walletA.address, token: 'nope' }).signTypedData(domain, types, { value: 5n }); }
+    catch (e) { denied = /401/.test(e.message); }
+    denied ? pass('Remote signer requires its token') : fail('Remote signer accepted bad token');
+    var refusedTo = [Object.assign({}, tx, { to: walletA.address }), Object.assign({}, tx, { chainId: 71 }), Object.assign({}, tx, { to: null })];
+    var refused = 0;
+    for (var r = 0; r < refusedTo.length; r++) {
+      try { await remote.signers[0].signTransaction(refusedTo[r]); } catch (e) { if (/\(403\).*not allowed/.test(e.message)) refused++; }
+    }
+    var messageReply = await fetch(url + '/sign/message', { method: 'POST', headers: { Authorization: 'Bearer secret' },
+      body: JSON.stringify({ address: walletA.address, message: '0x1234' }) });
+    (refused === refusedTo.length && messageReply.status === 404)
+      ? pass('Remote signer signs only transactions to configured assets and adapters, and no messages') : fail('Allow-list: ' + refused + ' refused, /sign/message ' + messageReply.status);
+  } finally {
+    child.kill();
+  }
+
+  // A signer that answers with the wrong key is caught before broadcast
+  var impostor = new ethers.Wallet(keyB);
+  var rogue = http.createServer(function(req, res) {
+    var body = '';
+    req.on('data', function(chunk) { body += chunk; });
+    req.on('end', function() {
+      var unsigned = ethers.Transaction.from(JSON.parse(body).transaction);
+      unsigned.signature = impostor.signingKey.sign(unsigned.unsignedHash);
+      res.end(JSON.stringify({ signedTransaction: unsigned.serialized }));
+    });
+  });
+  await new Promise(function(resolve) { rogue.listen(0, '127.0.0.1', resolve); });
+  var mismatch = false;
+  try { await new RemoteSigner({ url: 'http://127.0.0.1:' + rogue.address().port, address: walletA.address }).signTransaction(tx); }
+  catch (e) { mismatch = /does not match/.test(e.message); }
+  rogue.close();
+  mismatch ? pass('Remote signatures from the wrong account rejected') : fail('Mismatched remote signature accepted');
+
+  (!fac.includes('new ethers.Wallet(key') && fac.includes('loadSigners('))
+    ? pass('Facilitator settles through the signer abstraction') : fail('Facilitator still builds wallets from raw keys');
+}
+
+// ============================================
+// 20. Prometheus Metrics
+// ============================================
+
+function testMetrics() {
+  console.log('\n=== 20. Prometheus Metrics ===');
+  var { MetricsRegistry, reasonLabel } = require('../facilitator/lib/metrics.cjs');
+  var registry = new MetricsRegistry();
+  var settles = registry.counter('x402_settle_requests_total', 'Settle requests', ['route', 'outcome', 'reason']);
+  var latency = registry.histogram('x402_settlement_duration_seconds', 'Latency', ['network'], [1, 5]);
+  var polled = 0;
+  registry.gauge('x402_relayer_balance', 'Balance', ['address'], function(gauge) { polled++; gauge.set({ address: '0xa' }, 12.5); });
+
+  settles.inc({ route: '/x402/settle-transfer', outcome: 'settled' });
+  settles.inc({ route: '/x402/settle-transfer', outcome: 'settled' });
+  settles.inc({ route: '/x402/settle-transfer', outcome: 'failed', reason: 'say "no"' });
+  latency.observe({ network: 'eip155:1030' }, 0.5);
+  latency.observe({ network: 'eip155:1030' }, 3);
+  latency.observe({ network: 'eip155:1030' }, 40);
+  var text = registry.render();
+
+  (text.includes('# TYPE x402_settle_requests_total counter') && text.includes('x402_settle_requests_total{route="/x402/settle-transfer",outcome="settled",reason=""} 2'))
+    ? pass('Counters render with HELP/TYPE and labels') : fail('Counter exposition wrong');
+  text.includes('reason="say \\"no\\""') ? pass('Label values are escaped') : fail('Label escaping wrong');
+  (text.includes('x402_settlement_duration_seconds_bucket{network="eip155:1030",le="1"} 1')
+    && text.includes('x402_settlement_duration_seconds_bucket{network="eip155:1030",le="5"} 2')
+    && text.includes('x402_settlement_duration_seconds_bucket{network="eip155:1030",le="+Inf"} 3')
+    && text.includes('x402_settlement_duration_seconds_sum{network="eip155:1030"} 43.5'))
+    ? pass('Histogram buckets are cumulative with sum and count') : fail('Histogram exposition wrong');
+  (polled === 1 && text.includes('x402_relayer_balance{address="0xa"} 12.5')) ? pass('Gauges collect at scrape time') : fail('Gauge collect not called');
+  var negative = false;
+  try { settles.inc({}, -1); } catch (e) { negative = true; }
+  negative ? pass('Counters cannot decrease') : fail('Counter decreased');
+  (reasonLabel('Unsupported network: eip155:5') === 'Unsupported network' && reasonLabel('execution reverted (unknown custom error)') === 'execution reverted')
+    ? pass('Reasons collapse to low-cardinality labels') : fail('reasonLabel: ' + reasonLabel('Unsupported network: eip155:5'));
+
+  (fac.includes("pathname === '/metrics'") && ['x402_verify_requests_total', 'x402_settled_amount_total', 'x402_relayer_balance', 'x402_rpc_errors_total'].every(function(name) { return fac.includes(name); }))
+    ? pass('Facilitator exposes GET /metrics') : fail('Facilitator metrics missing');
+}
+
+// ============================================
+// 21. Structured Logging & Request IDs
+// ============================================
+
+function testLogging() {
+  console.log('\n=== 21. Structured Logging & Request IDs ===');
+  var { Logger, createLogger, requestIdFrom } = require('../facilitator/lib/logger.cjs');
+  var out = [];
+  var err = [];
+  var sink = function(lines) { return { write: function(line) { lines.push(line); } }; };
+  var clock = function() { return new Date('2026-01-01T00:00:00Z'); };
+  var log = new Logger({ level: 'info', stream: sink(out), errorStream: sink(err), now: clock });
+
+  log.child({ requestId: 'req-1', route: '/x402/settle-transfer' }).info('Transfer tx sent', { payer: '0xabc', amount: 100n, txHash: '0x01', skipped: undefined });
+  var line = JSON.parse(out[0]);
+  (line.time === '2026-01-01T00:00:00.000Z' && line.level === 'info' && line.msg === 'Transfer tx sent' && line.requestId === 'req-1'
+    && line.route === '/x402/settle-transfer' && line.amount === '100' && !('skipped' in line))
+    ? pass('JSON lines carry level, timestamp, bound and per-call fields') : fail('JSON line: ' + out[0]);
+
+  log.debug('hidden');
+  log.error('Settle error', { error: Object.assign(new Error('execution reverted'), { code: 'CALL_EXCEPTION' }) });
+  (out.length === 1 && err.length === 1) ? pass('Level filter drops debug; warn/error go to stderr') : fail('Lines out=' + out.length + ' err=' + err.length);
+  var errorLine = JSON.parse(err[0]);
+  (errorLine.error.message === 'execution reverted' && errorLine.error.code === 'CALL_EXCEPTION')
+    ? pass('Errors are serialized with message and code') : fail('Error field: ' + err[0]);
+
+  var text = [];
+  new Logger({ format: 'text', stream: sink(text) }).info('Connected', { network: 'eip155:1030', chainName: 'Conflux eSpace' });
+  text[0] === '[x402] Connected network=eip155:1030 chainName="Conflux eSpace"\n' ? pass('Text format is human-readable') : fail('Text line: ' + text[0]);
+
+  var badConfig = 0;
+  try { createLogger({ X402_LOG_LEVEL: 'loud' }); } catch (e) { badConfig++; }
+  try { createLogger({ X402_LOG_FORMAT: 'xml' }); } catch (e) { badConfig++; }
+  badConfig === 2 ? pass('Unknown log level / format rejected') : fail('Bad logger config accepted');
+
+  (requestIdFrom('php-7f3a') === 'php-7f3a' && /^[0-9a-f-]{36}$/.test(requestIdFrom(undefined)) && requestIdFrom('bad id\n') !== 'bad id\n')
+    ? pass('Well-formed X-Request-Id reused, others replaced') : fail('requestIdFrom');
+
+  (fac.includes("res.setHeader('X-Request-Id'") && fac.includes("'X-Request-Id': req.id")) ? pass('Facilitator echoes and forwards X-Request-Id') : fail('Facilitator request id missing');
+  var mw = fs.readFileSync('api/middleware/X402Middleware.php', 'utf-8');
+  (mw.includes("HEADER_REQUEST_ID . ': ' . self::requestId()") && fs.readFileSync('api/x402/ai-demo-proxy.php', 'utf-8').includes('X402Middleware::requestId()'))
+    ? pass('PHP forwards its request id to the facilitator') : fail('PHP request id forwarding missing');
+  !/console\.(log|warn|error)\(/.test(fac.replace("console.error(`[x402] ${error.message}`)", ''))
+    ? pass('Facilitator logs only through the structured logger') : fail('Facilitator still uses console logging');
+}
+
+// ============================================
+// 22. Rate Limiting & Demo Spend Cap
+// ============================================
+
+function testRateLimits() {
+  console.log('\n=== 22. Rate Limiting & Demo Spend Cap ===');
+  var { RateLimiter, parseRate, parseRouteRates } = require('../facilitator/lib/rate-limit.cjs');
+  var { DailySpendCap } = require('../facilitator/lib/spend-cap.cjs');
+
+  var rate = parseRate('60/min');
+  (rate.capacity === 60 && rate.refillPerSecond === 1 && parseRate('off') === null && parseRate('0') === null)
+    ? pass('Limits parse as <requests>/<window>, "off" disables') : fail('parseRate: ' + JSON.stringify(rate));
+  var badRate = false;
+  try { parseRate('lots'); } catch (e) { badRate = /Invalid rate limit/.test(e.message); }
+  badRate ? pass('Malformed limit rejected') : fail('Malformed limit accepted');
+  var routes = parseRouteRates('/x402/demo-ai=10/min, /x402/settle=off');
+  (routes.get('/x402/demo-ai').capacity === 10 && routes.get('/x402/settle') === null) ? pass('Per-route limits parse') : fail('parseRouteRates');
+
+  var t = 1000;
+  var limiter = new RateLimiter({ capacity: 2, refillPerSecond: 0.5, maxKeys: 2, now: function() { return t; } });
+  var first = limiter.take('0xpayer');
+  limiter.take('0xpayer');
+  var third = limiter.take('0xpayer');
+  (first.allowed && !third.allowed && third.retryAfter === 2) ? pass('Bucket allows a burst, then 429 with Retry-After') : fail('Bucket: ' + JSON.stringify(third));
+  limiter.take('0xother').allowed ? pass('Buckets are independent per key') : fail('Keys share a bucket');
+  t += 2;
+  limiter.take('0xpayer').allowed ? pass('Bucket refills over time') : fail('Bucket did not refill');
+  limiter.take('0xthird');
+  limiter.buckets.size === 2 ? pass('Idle buckets evicted past maxKeys') : fail('Buckets kept: ' + limiter.buckets.size);
+
+  var capDir = fs.mkdtempSync(path.join(os.tmpdir(), 'x402-spend-'));
+  var capPath = path.join(capDir, 'demo-spend.jsonl');
+  var clock = 86400 * 20000 + 3600;
+  var cap = new DailySpendCap({ filePath: capPath, limit: '0.0003', now: function() { return clock; } });
+  var r1 = cap.reserve(usdt0, '100', 6);
+  var r2 = cap.reserve(usdt0, '200', 6);
+  var r3 = cap.reserve(usdt0, '100', 6);
+  (r1.allowed && r2.allowed && !r3.allowed && r3.retryAfter === 86400 - 3600) ? pass('Daily cap refuses spend past the limit until UTC midnight') : fail('Spend cap: ' + JSON.stringify([r1.allowed, r2.allowed, r3.allowed, r3.retryAfter]));
+  cap.release(r2);
+  cap.reserve(usdt0, '100', 6).allowed ? pass('Released reservations return to the budget') : fail('Release did not free budget');
+  var reloaded = new DailySpendCap({ filePath: capPath, limit: '0.0003', now: function() { return clock; } });
+  reloaded.today()[0].spent === '200' ? pass('Daily spend survives restart') : fail('Spend after reload: ' + JSON.stringify(reloaded.today()));
+  clock += 86400;
+  reloaded.reserve(usdt0, '300', 6).allowed ? pass('Budget resets the next UTC day') : fail('Budget did not reset');
+  new DailySpendCap({ filePath: capPath, limit: '0', now: function() { return clock; } }).reserve(usdt0, '999999999', 6).allowed
+    ? pass('Cap of 0 disables the limit') : fail('Cap 0 still limits');
+  fs.rmSync(capDir, { recursive: true, force: true });
+
+  (fac.includes("res.setHeader('Retry-After'") && fac.includes("'payer', limiters.payer") && fac.includes('demoSpend.reserve('))
+    ? pass('Facilitator enforces key, payer, route limits and the demo cap') : fail('Facilitator limits missing');
+}
+
+// ============================================
+// 23. Node Payment Middleware
+// ============================================
+
+async function testPaymentMiddleware() {
+  console.log('\n=== 23. Node Payment Middleware ===');
+  var http = require('http');
+  var { X402PaymentGate, x402Http, x402Express, x402Fastify, encodeHeader, decodeHeader } = require('../middleware/x402-middleware.cjs');
+  var treasury = '0x' + 'ab'.repeat(20);
+  var calls = [];
+
+  // Stand-in facilitator: rejects payloads signed "bad", settles the rest
+  var facilitator = http.createServer(function(req, res) {
+    var body = '';
+    req.on('data', function(chunk) { body += chunk; });
+    req.on('end', function() {
+      var data = JSON.parse(body);
+      calls.push({ path: req.url, apiKey: req.headers['x-api-key'], requestId: req.headers['x-request-id'], body: data });
+      var reply = /verify/.test(req.url)
+        ? (data.payload.payload.signature === 'bad' ? { valid: false, reason: 'Invalid signature' } : { valid: true })
+        : { x402Version: 2, scheme: 'exact', network: data.payload.network, success: true, transaction: '0x' + 'cd'.repeat(32), payer: data.payload.payload.authorization.from };
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(reply));
+    });
+  });
+  await new Promise(function(resolve) { facilitator.listen(0, '127.0.0.1', resolve); });
+
+  var options = {
+    facilitatorUrl: 'http://127.0.0.1:' + facilitator.address().port + '/',
+    apiKey: 'fac-key',
+    payTo: treasury,
+    routes: {
+      'GET /paid': { price: '100', asset: 'USDT0', description: 'Paid route' },
+      '/metered/*': { price: function(req) { return req.headers['x-units'] * 10; }, asset: 'CNHT0' },
+      'POST /orders/*': { price: '500', mode: 'escrow', payTo: '0x' + 'ef'.repeat(20), orderId: function(req) { return req.url.split('/').pop(); } },
+    },
+  };
+  var gate = new X402PaymentGate(options);
+  var payment = function(signature) {
+    return encodeHeader({ x402Version: 2, scheme: 'exact', network: 'eip155:1030',
+      payload: { signature: signature, authorization: { from: '0x' + '12'.repeat(20), value: '100' } } });
+  };
+
+  (await gate.process({ method: 'GET', url: '/free', headers: {} })).action === 'next' ? pass('Unpriced routes pass through') : fail('Free route gated');
+  (await gate.process({ method: 'POST', url: '/paid', headers: {} })).action === 'next' ? pass('Routes match on method') : fail('Method ignored');
+
+  var challenge = await gate.process({ method: 'GET', url: '/paid?q=1', headers: {} });
+  var required = decodeHeader(challenge.headers['PAYMENT-REQUIRED'])[0];
+  (challenge.statusCode === 402 && required.amount === '100' && required.asset === usdt0 && required.payTo === treasury
+    && required.extra.settlementMode === 'transfer' && required.extra.name === 'USDT0' && challenge.headers['X-Payment-Endpoint'] === '/paid')
+    ? pass('402 carries PAYMENT-REQUIRED with asset metadata from networks.json') : fail('402: ' + JSON.stringify(challenge));
+
+  var metered = decodeHeader((await gate.process({ method: 'GET', url: '/metered/a', headers: { 'x-units': '7' } })).headers['PAYMENT-REQUIRED'])[0];
+  (metered.amount === '70' && metered.extra.name === 'CNHT0') ? pass('Per-request price functions and prefix routes') : fail('Metered: ' + JSON.stringify(metered));
+
+  var escrow = decodeHeader((await gate.process({ method: 'POST', url: '/orders/42', headers: {} })).headers['PAYMENT-REQUIRED'])[0];
+  (escrow.extra.settlementMode === 'escrow' && escrow.extra.assetTransferMethod === 'eip3009' && escrow.extra.orderId === require('ethers').ethers.id('42'))
+    ? pass('Escrow routes carry a stable bytes32 orderId') : fail('Escrow: ' + JSON.stringify(escrow));
+
+  var invalid = await gate.process({ method: 'GET', url: '/paid', headers: { 'payment-signature': '!!' } });
+  (invalid.statusCode === 400 && invalid.body.error_code === 'X402_INVALID_PAYLOAD') ? pass('Malformed PAYMENT-SIGNATURE → 400') : fail('Invalid: ' + JSON.stringify(invalid.body));
+
+  calls = [];
+  var rejected = await gate.process({ method: 'GET', url: '/paid', headers: { 'payment-signature': payment('bad') } });
+  (rejected.statusCode === 402 && rejected.body.error_code === 'X402_VERIFY_FAILED' && /Invalid signature/.test(rejected.body.message) && calls.length === 1)
+    ? pass('Failed verification → 402 without settling') : fail('Rejected: ' + JSON.stringify(rejected.body));
+
+  calls = [];
+  var paid = await gate.process({ method: 'GET', url: '/paid', headers: { 'payment-signature': payment('0xsig'), 'x-request-id': 'req-mw-1' } });
+  (paid.action === 'paid' && calls.map(function(c) { return c.path; }).join() === '/x402/verify-transfer,/x402/settle-transfer'
+    && calls.every(function(c) { return c.apiKey === 'fac-key' && c.requestId === 'req-mw-1' && c.body.requirements.amount === '100'; }))
+    ? pass('Transfer routes verify then settle with API key and X-Request-Id') : fail('Calls: ' + JSON.stringify(calls));
+  (decodeHeader(paid.headers['PAYMENT-RESPONSE']).transaction === paid.payment.transaction && paid.payment.payer === '0x' + '12'.repeat(20))
+    ? pass('Settlement exposed and echoed in PAYMENT-RESPONSE') : fail('Paid: ' + JSON.stringify(paid));
+
+  calls = [];
+  await gate.process({ method: 'POST', url: '/orders/42', headers: { 'payment-signature': payment('0xsig') } });
+  calls.map(function(c) { return c.path; }).join() === '/x402/verify,/x402/settle' ? pass('Escrow routes use the escrow endpoints') : fail('Escrow calls: ' + JSON.stringify(calls));
+
+  // Native http adapter end to end
+  var server = http.createServer(x402Http(gate, function(req, res) {
+    res.end(JSON.stringify({ payer: req.x402 ? req.x402.payer : null }));
+  }));
+  await new Promise(function(resolve) { server.listen(0, '127.0.0.1', resolve); });
+  var base = 'http://127.0.0.1:' + server.address().port;
+  var unpaid = await fetch(base + '/paid');
+  var settled = await fetch(base + '/paid', { headers: { 'PAYMENT-SIGNATURE': payment('0xsig') } });
+  var free = await fetch(base + '/free');
+  (unpaid.status === 402 && unpaid.headers.get('payment-required') && settled.status === 200 && settled.headers.get('payment-response')
+    && (await settled.json()).payer === '0x' + '12'.repeat(20) && (await free.json()).payer === null)
+    ? pass('http.createServer adapter gates, settles and passes through') : fail('http adapter: ' + unpaid.status + '/' + settled.status);
+  server.close();
+
+  // Express shape
+  var expressRes = { headers: {}, on: function() {}, status: function(code) { this.statusCode = code; return this; },
+    set: function(h) { Object.assign(this.headers, h); return this; }, json: function(body) { this.body = body; } };
+  var expressReq = { method: 'GET', url: '/paid', originalUrl: '/paid', headers: { 'payment-signature': payment('0xsig') } };
+  await new Promise(function(resolve, reject) { x402Express(gate)(expressReq, expressRes, function(err) { err ? reject(err) : resolve(); }); });
+  var expressUnpaid = Object.assign({}, expressRes, { headers: {} });
+  await new Promise(function(resolve) { expressUnpaid.json = function(body) { this.body = body; resolve(); }; x402Express(gate)({ method: 'GET', url: '/paid', headers: {} }, expressUnpaid, resolve); });
+  (expressReq.x402 && expressRes.headers['PAYMENT-RESPONSE'] && expressUnpaid.statusCode === 402 && expressUnpaid.headers['PAYMENT-REQUIRED'])
+    ? pass('Express middleware sets req.x402 or answers 402') : fail('Express adapter');
+
+  // Fastify preHandler shape
+  var reply = { sent: null, raw: { on: function() {} }, code: function(c) { this.statusCode = c; return this; },
+    headers: function(h) { Object.assign(this.headerValues = this.headerValues || {}, h); return this; }, send: function(b) { this.sent = b; return this; } };
+  var fastifyReq = { method: 'GET', url: '/paid', headers: { 'payment-signature': payment('0xsig') } };
+  await x402Fastify(gate)(fastifyReq, reply);
+  var fastifyUnpaid = Object.assign({}, reply, { headerValues: {} });
+  await x402Fastify(gate)({ method: 'GET', url: '/paid', headers: {} }, fastifyUnpaid);
+  (fastifyReq.x402 && reply.headerValues['PAYMENT-RESPONSE'] && !reply.sent && fastifyUnpaid.statusCode === 402 && fastifyUnpaid.sent.error_code === 'X402_PAYMENT_REQUIRED')
+    ? pass('Fastify preHandler sets request.x402 or replies 402') : fail('Fastify adapter');
+
+  facilitator.close();
+  var down = await gate.process({ method: 'GET', url: '/paid', headers: { 'payment-signature': payment('0xsig') } });
+  (down.statusCode === 503 && down.body.error_code === 'SRV_SERVICE_UNAVAILABLE') ? pass('Unreachable facilitator → 503') : fail('Down: ' + JSON.stringify(down.body));
+
+  var misconfigured = false;
+  try { new X402PaymentGate({ facilitatorUrl: 'http://x', routes: { '/p': { price: '1', asset: 'DOGE' } }, payTo: treasury }); }
+  catch (e) { misconfigured = /unknown asset/.test(e.message); }
+  misconfigured ? pass('Unknown assets rejected at startup') : fail('Unknown asset accepted');
+}
+
+// ============================================
+// 24. Embedded Facilitator
+// ============================================
+
+async function testEmbeddedFacilitator() {
+  console.log('\n=== 24. Embedded Facilitator ===');
+  var { ethers } = require('ethers');
+  var { Facilitator } = require('../facilitator/lib/facilitator.cjs');
+  var { buildNetworks } = require('../facilitator/lib/networks.cjs');
+  var { X402PaymentGate, encodeHeader, decodeHeader } = require('../middleware/x402-middleware.cjs');
+  var { Logger } = require('../facilitator/lib/logger.cjs');
+  var quiet = new Logger({ level: 'silent' });
+  var buyer = new ethers.Wallet('0x' + '33'.repeat(32));
+  var treasury = '0x' + 'ab'.repeat(20);
+  var clock = 1700000000;
+  var sent = 0;
+
+  var fakeProvider = {
+    getBlockNumber: async function() { return 100; },
+    getTransactionCount: async function() { return 0; },
+    getBalance: async function() { return ethers.parseEther('100'); },
+    estimateGas: async function() { return 80000n; },
+    getFeeData: async function() { return { maxFeePerGas: 1000n, maxPriorityFeePerGas: 100n, gasPrice: null }; },
+    call: async function() { return ethers.AbiCoder.defaultAbiCoder().encode(['uint256'], [1000000n]); },
+    getTransactionReceipt: async function(hash) {
+      return { hash: hash, status: 1, blockNumber: 101, confirmations: async function() { return 1; } };
+    },
+  };
+  var relayerSigner = {
+    getAddress: async function() { return '0x0000000000000000000000000000000000000001'; },
+    connect: function() { return this; },
+    sendTransaction: async function(tx) { sent++; return { hash: ethers.id('tx' + sent), nonce: tx.nonce }; },
+  };
+
+  var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'x402-embedded-'));
+  var registry = buildNetworks({ networks: [{ chainId: 1030, rpcUrls: ['http://rpc.invalid'], assets: {
+    [usdt0]: { symbol: 'USDT0', decimals: 6, eip3009: true, eip712Name: 'USDT0', eip712Version: '1' },
+  } }] });
+  var settled = [];
+  var facilitator = new Facilitator({
+    networks: registry.networks, defaultNetwork: registry.defaultNetwork, signers: [relayerSigner],
+    nonceStorePath: path.join(dir, 'nonces.jsonl'), settlementStorePath: path.join(dir, 'settlements.jsonl'),
+    escrowStorePath: path.join(dir, 'escrow.jsonl'), refundStorePath: path.join(dir, 'refunds.jsonl'), webhookStorePath: path.join(dir, 'webhooks.jsonl'),
+    paymentLedger: 'jsonl', paymentStorePath: path.join(dir, 'payments.jsonl'),
+    relayer: { pollInterval: 1 }, createProvider: function() { return fakeProvider; },
+    onSettlement: function(event) { settled.push(event); }, logger: quiet, now: function() { return clock; },
+  });
+  await facilitator.init();
+
+  var requirements = { scheme: 'exact', network: 'eip155:1030', amount: '100', asset: usdt0, payTo: treasury, extra: { settlementMode: 'transfer', name: 'USDT0', version: '1' } };
+  async function signPayment(to) {
+    var authorization = { from: buyer.address, to: to || treasury, value: '100', validAfter: '0', validBefore: String(clock + 600), nonce: ethers.hexlify(ethers.randomBytes(32)) };
+    var domain = { name: 'USDT0', version: '1', chainId: 1030, verifyingContract: usdt0 };
+    var types = { TransferWithAuthorization: [
+      { name: 'from', type: 'address' }, { name: 'to', type: 'address' }, { name: 'value', type: 'uint256' },
+      { name: 'validAfter', type: 'uint256' }, { name: 'validBefore', type: 'uint256' }, { name: 'nonce', type: 'bytes32' },
+    ] };
+    return { x402Version: 2, scheme: 'exact', network: 'eip155:1030',
+      payload: { signature: await buyer.signTypedData(domain, types, authorization), authorization: authorization } };
+  }
+
+  var payload = await signPayment();
+  var verified = await facilitator.verifyTransfer({ payload: payload, requirements: requirements });
+  (verified.statusCode === 200 && verified.body.valid === true) ? pass('verifyTransfer accepts a signed authorization in-process') : fail('Verify: ' + JSON.stringify(verified));
+  var misdirected = await facilitator.verifyTransfer({ payload: await signPayment('0x' + 'ee'.repeat(20)), requirements: requirements });
+  misdirected.body.reason === 'Wrong payment destination (expected treasury)' ? pass('Rejections carry the HTTP endpoint reasons') : fail('Misdirected: ' + JSON.stringify(misdirected.body));
+  var noEscrow = await facilitator.verify({ payload: payload, requirements: requirements });
+  (noEscrow.statusCode === 400 && noEscrow.body.reason === 'Escrow adapter not configured for eip155:1030') ? pass('Results carry the HTTP status code') : fail('Escrow: ' + JSON.stringify(noEscrow));
+
+  var result = await facilitator.settleTransfer({ payload: payload, requirements: requirements });
+  (result.statusCode === 200 && result.body.success && result.body.payer === buyer.address && result.body.transaction === ethers.id('tx1'))
+    ? pass('settleTransfer broadcasts and waits for the receipt') : fail('Settle: ' + JSON.stringify(result));
+  (settled.length === 1 && settled[0].async === false && settled[0].status === 'confirmed' && settled[0].amount === '100')
+    ? pass('onSettlement reports confirmed settlements') : fail('Settlement events: ' + JSON.stringify(settled));
+  var replay = await facilitator.settleTransfer({ payload: payload, requirements: requirements });
+  (replay.statusCode === 409 && replay.body.error === 'Nonce already used' && (await facilitator.verifyTransfer({ payload: payload, requirements: requirements })).body.reason === 'Nonce already used')
+    ? pass('Replayed authorization rejected by verify and settle') : fail('Replay: ' + JSON.stringify(replay));
+
+  var pending = await facilitator.settleTransfer({ payload: await signPayment(), requirements: requirements, async: true });
+  (pending.body.status === 'pending' && facilitator.settlement(pending.body.settlementId).transaction === pending.body.transaction)
+    ? pass('Async settlements are tracked in-process') : fail('Async: ' + JSON.stringify(pending.body));
+
+  var gate = new X402PaymentGate({ facilitator: facilitator, payTo: treasury, routes: { 'GET /paid': { price: '100', asset: 'USDT0' } } });
+  var challenge = decodeHeader((await gate.process({ method: 'GET', url: '/paid', headers: {} })).headers['PAYMENT-REQUIRED'])[0];
+  var paid = await gate.process({ method: 'GET', url: '/paid', headers: { 'payment-signature': encodeHeader(await signPayment()) } });
+  (challenge.asset === usdt0 && challenge.extra.name === 'USDT0' && paid.action === 'paid' && paid.payment.payer === buyer.address && sent === 3)
+    ? pass('Middleware verifies and settles through an embedded facilitator') : fail('Embedded middleware: ' + JSON.stringify(paid));
+
+  facilitator.stop();
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  (fac.includes("facilitatorRoute('verifyTransfer'") && fac.includes("facilitatorRoute('settle'"))
+    ? pass('HTTP endpoints are thin wrappers over the facilitator core') : fail('HTTP handlers duplicate the core');
+}
+
+// ============================================
+// 25. Client SDK (x402Fetch)
+// ============================================
+
+async function testClientSdk() {
+  console.log('\n=== 25. Client SDK (x402Fetch) ===');
+  var { ethers } = require('ethers');
+  var sdk = require('../assets/js/lib/x402Client.js');
+  var buyer = new ethers.Wallet('0x' + '55'.repeat(32));
+  var treasury = '0x' + 'ab'.repeat(20);
+  var cnht0 = '0xded1660192d4d82e7c0b628ba556861edbb5cada';
+  var offer = function(asset, amount, extra) {
+    return { scheme: 'exact', network: 'eip155:1030', amount: amount, asset: asset, payTo: treasury,
+      extra: Object.assign({ settlementMode: 'transfer', name: 'USDT0', version: '1', description: 'Réponse' }, extra) };
+  };
+  var offers = [offer(cnht0, '900', { name: 'CNHT0' }), offer(usdt0, '100')];
+
+  // Fake resource server: 402 with `offers`, then answers paid requests from `script`
+  function server(script) {
+    var paid = [];
+    var fetchImpl = async function(url, init) {
+      var headers = new Headers(init && init.headers);
+      var signature = headers.get('PAYMENT-SIGNATURE');
+      if (!signature) return new Response('{}', { status: 402, headers: { 'PAYMENT-REQUIRED': sdk.encodeHeader(offers) } });
+      paid.push({ payload: sdk.decodeHeader(signature), requestId: headers.get('X-Request-Id') });
+      var step = script[Math.min(paid.length - 1, script.length - 1)];
+      if (step === 'network') throw new TypeError('fetch failed');
+      return new Response(JSON.stringify({ success: step === 200 }), { status: step,
+        headers: step === 200 ? { 'PAYMENT-RESPONSE': sdk.encodeHeader({ success: true, transaction: '0xfeed' }) } : {} });
+    };
+    return { fetch: fetchImpl, paid: paid };
+  }
+  var withBalance = function(balance) {
+    return {
+      getAddress: async function() { return buyer.address; },
+      signTypedData: function(domain, types, value) { return buyer.signTypedData(domain, types, value); },
+      provider: { call: async function() { return ethers.AbiCoder.defaultAbiCoder().encode(['uint256'], [balance]); } },
+    };
+  };
+
+  var plain = await sdk.x402Fetch('/free', {}, { signer: buyer, fetch: async function() { return new Response('ok', { status: 200 }); } });
+  (plain.status === 200 && !plain.x402) ? pass('Non-402 responses pass through') : fail('Free response altered');
+
+  var picked = sdk.selectRequirements(offers, { allowedAssets: [usdt0.toUpperCase().replace('0X', '0x')] });
+  picked.asset === usdt0 ? pass('allowedAssets filters requirements') : fail('Picked ' + picked.asset);
+  var overMax = null;
+  try { sdk.selectRequirements(offers, { maxAmount: '50' }); } catch (e) { overMax = e; }
+  (overMax && overMax.code === 'AMOUNT_EXCEEDS_MAX') ? pass('Prices above maxAmount refused') : fail('maxAmount ignored');
+  sdk.selectRequirements(offers, { maxAmount: 500n }).asset === usdt0 ? pass('Cheaper compatible offer chosen under maxAmount') : fail('maxAmount selection');
+  var unsupported = null;
+  try { sdk.selectRequirements(offers, { supportedKinds: [{ scheme: 'exact', network: 'eip155:71', asset: usdt0, settlementMode: 'transfer' }] }); } catch (e) { unsupported = e; }
+  (unsupported && unsupported.code === 'NO_COMPATIBLE_REQUIREMENTS') ? pass('/supported kinds restrict selection') : fail('Supported kinds ignored');
+
+  var ok = server([200]);
+  var response = await sdk.x402Fetch('/paid', { headers: { 'X-Request-Id': 'sdk-1' } }, { signer: withBalance(1000n), allowedAssets: [usdt0], fetch: ok.fetch });
+  var auth = ok.paid[0].payload.payload.authorization;
+  var domain = { name: 'USDT0', version: '1', chainId: 1030, verifyingContract: usdt0 };
+  (response.status === 200 && response.x402.settlement.transaction === '0xfeed' && ok.paid[0].requestId === 'sdk-1')
+    ? pass('Pays, keeps caller headers and decodes PAYMENT-RESPONSE') : fail('Paid flow: ' + JSON.stringify(response.x402));
+  (ethers.verifyTypedData(domain, sdk.TRANSFER_AUTH_TYPES, auth, ok.paid[0].payload.payload.signature) === buyer.address
+    && auth.to === treasury && auth.value === '100' && ok.paid[0].payload.network === 'eip155:1030')
+    ? pass('EIP-3009 authorization signed for the selected requirements') : fail('Signature/authorization mismatch');
+
+  var poor = null;
+  try { await sdk.x402Fetch('/paid', {}, { signer: withBalance(99n), allowedAssets: [usdt0], fetch: server([200]).fetch }); } catch (e) { poor = e; }
+  (poor && poor.code === 'INSUFFICIENT_BALANCE' && poor.balance === 99n) ? pass('Balance checked before signing') : fail('Balance check: ' + (poor && poor.message));
+
+  var flaky = server(['network', 503, 200]);
+  var retried = await sdk.x402Fetch('/paid', {}, { signer: buyer, allowedAssets: [usdt0], retryDelay: 1, fetch: flaky.fetch });
+  (retried.status === 200 && flaky.paid.length === 3 && flaky.paid[0].payload.payload.authorization.nonce === flaky.paid[2].payload.payload.authorization.nonce)
+    ? pass('Paid request retried with the same signed nonce') : fail('Retries: ' + flaky.paid.length);
+  var rejected = await sdk.x402Fetch('/paid', {}, { signer: buyer, allowedAssets: [usdt0], retryDelay: 1, fetch: server([402]).fetch });
+  (rejected.status === 402 && rejected.x402 && rejected.x402.settlement === null) ? pass('Rejected payments returned without retry') : fail('Rejected payment handling');
+
+  var aborted = server([200]);
+  var hookError = null;
+  try { await sdk.x402Fetch('/paid', {}, { signer: buyer, allowedAssets: [usdt0], fetch: aborted.fetch, beforePayment: function() { throw new Error('policy'); } }); }
+  catch (e) { hookError = e; }
+  (hookError && hookError.message === 'policy' && aborted.paid.length === 0) ? pass('beforePayment can veto a payment') : fail('beforePayment veto');
+
+  var missing = null;
+  try { await sdk.x402Fetch('/paid', {}, { signer: buyer, fetch: async function() { return new Response('{}', { status: 402 }); } }); } catch (e) { missing = e; }
+  (missing && missing.code === 'MISSING_PAYMENT_REQUIRED') ? pass('402 without PAYMENT-REQUIRED reported') : fail('Missing header not reported');
+}
+
+// ============================================
+// 26. Agent Spend Policy
+// ============================================
+
+async function testAgentSpendPolicy() {
+  console.log('\n=== 26. Agent Spend Policy ===');
+  var { SpendPolicy, loadPolicy, defaultPolicy } = require('../agent/lib/spend-policy.cjs');
+  var { networks } = require('../facilitator/lib/networks.cjs').loadNetworks('facilitator/networks.json');
+  var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'x402-agent-'));
+  var ledgerPath = path.join(dir, 'ledger.jsonl');
+  var treasury = '0x' + 'ab'.repeat(20);
+  var cnht0 = '0xded1660192d4d82e7c0b628ba556861edbb5cada';
+  var api = 'http://localhost/api/x402/ai.php';
+  // Wednesday 2024-01-03 12:00 UTC
+  var clock = 1704283200;
+  var now = function() { return clock; };
+  var offer = function(amount, asset, payTo) {
+    return { scheme: 'exact', network: 'eip155:1030', amount: String(amount), asset: asset || usdt0, payTo: payTo || treasury };
+  };
+  var refusal = async function(policy, url, requirements) {
+    try { await policy.authorize({ url: url, requirements: requirements }); return null; } catch (e) { return e; }
+  };
+  var policy = {
+    assets: ['USDT0'], payTo: [treasury], maxPerRequest: '0.01', daily: '0.02', weekly: { USDT0: '0.03' },
+    endpoints: {}, approvalThreshold: null, approval: 'refuse',
+  };
+  policy.endpoints[api] = { daily: '0.015' };
+  var spend = new SpendPolicy({ policy: policy, ledgerPath: ledgerPath, networks: networks, now: now });
+
+  var first = await spend.authorize({ url: api + '?q=hi', requirements: offer(10000), payer: '0xagent' });
+  (first.status === 'pending' && first.endpoint === api) ? pass('Allowed payment recorded as pending') : fail('Authorize: ' + JSON.stringify(first));
+  spend.settle(first, { transaction: '0xfeed' });
+  var refused = [
+    [await refusal(spend, api, offer(100, cnht0)), 'asset'],
+    [await refusal(spend, api, offer(100, usdt0, '0x' + 'cd'.repeat(20))), 'payTo'],
+    [await refusal(spend, api, offer(10001)), 'maxPerRequest'],
+    [await refusal(spend, api, offer(6000)), 'endpoint.daily'],
+  ];
+  refused.every(function(item) { return item[0] && item[0].code === 'POLICY_REFUSED' && item[0].rule === item[1]; })
+    ? pass('Asset, payTo, per-request and endpoint rules refuse payments') : fail('Refusals: ' + refused.map(function(item) { return item[0] && item[0].rule; }).join(','));
+  var other = await spend.authorize({ url: 'https://other.example/api', requirements: offer(10000) });
+  var daily = await refusal(spend, 'https://other.example/api', offer(1));
+  (daily && daily.rule === 'daily' && daily.retryAfter === 43200) ? pass('Daily budget spans endpoints and resets at UTC midnight') : fail('Daily: ' + (daily && daily.rule));
+  spend.fail(other, 'X402_VERIFY_FAILED');
+  (await spend.authorize({ url: 'https://other.example/api', requirements: offer(1) })).status === 'pending'
+    ? pass('Failed payments return to the budget') : fail('Failed payment still counted');
+
+  clock += 86400;
+  var restarted = new SpendPolicy({ policy: policy, ledgerPath: ledgerPath, networks: networks, now: now });
+  restarted.usage('eip155:1030', usdt0).weekly.spent === 10001n ? pass('Spend survives restart') : fail('Usage after reload: ' + restarted.usage('eip155:1030', usdt0).weekly.spent);
+  await restarted.authorize({ url: 'https://other.example/api', requirements: offer(10000) });
+  var weekly = await refusal(restarted, 'https://other.example/api', offer(10000));
+  (weekly && weekly.rule === 'weekly' && weekly.retryAfter === 3 * 86400 + 43200) ? pass('Weekly budget resets on Monday') : fail('Weekly: ' + (weekly && weekly.rule + ' ' + weekly.retryAfter));
+
+  var entries = fs.readFileSync(ledgerPath, 'utf-8').trim().split('\n').map(JSON.parse);
+  var refusals = entries.filter(function(entry) { return entry.type === 'refusal'; });
+  (refusals.length === 6 && refusals.every(function(entry) { return entry.rule && entry.reason && entry.amount; })
+    && entries.some(function(entry) { return entry.transaction === '0xfeed' && entry.status === 'settled'; }))
+    ? pass('Ledger records every payment and refusal') : fail('Ledger: ' + refusals.length + ' refusals');
+
+  // Agents sharing a ledger: appends are never rewritten away, budgets hold across processes
+  var sharedPath = path.join(dir, 'shared.jsonl');
+  var sharedPolicy = { assets: ['USDT0'], payTo: [], daily: '0.01', endpoints: {}, approval: 'refuse' };
+  var one = new SpendPolicy({ policy: sharedPolicy, ledgerPath: sharedPath, networks: networks, now: now });
+  await one.authorize({ url: api, requirements: offer(4000) });
+  var before = fs.readFileSync(sharedPath, 'utf-8');
+  var two = new SpendPolicy({ policy: sharedPolicy, ledgerPath: sharedPath, networks: networks, now: now });
+  await two.authorize({ url: api, requirements: offer(4000) });
+  var overSpent = await refusal(one, api, offer(4000));
+  (fs.readFileSync(sharedPath, 'utf-8').startsWith(before) && overSpent && overSpent.rule === 'daily')
+    ? pass('Opening a shared ledger does not rewrite it; each agent sees the others\' payments') : fail('Shared ledger: ' + (overSpent && overSpent.rule));
+
+  var { spawn, spawnSync } = require('child_process');
+  var racePath = path.join(dir, 'race.jsonl');
+  var raceScript = [
+    'var { SpendPolicy } = require(' + JSON.stringify(path.resolve('agent/lib/spend-policy.cjs')) + ');',
+    'var { networks } = require(' + JSON.stringify(path.resolve('facilitator/lib/networks.cjs')) + ').loadNetworks("facilitator/networks.json");',
+    'var policy = new SpendPolicy({ policy: ' + JSON.stringify(sharedPolicy) + ', ledgerPath: process.argv[1], networks: networks, now: function() { return ' + clock + '; } });',
+    '(async function() { for (var i = 0; i < 10; i++) { try { policy.settle(await policy.authorize({ url: "https://race.example/", requirements: ' + JSON.stringify(offer(1000)) + ' }), { transaction: "0x01" }); }',
+    '  catch (error) { if (error.code !== "POLICY_REFUSED") throw error; } } })();',
+  ].join('\n');
+  var race = function() {
+    return new Promise(function(resolve) {
+      var child = spawn(process.execPath, ['-e', raceScript, racePath], { stdio: ['ignore', 'ignore', 'inherit'] });
+      var timer = setTimeout(function() { child.kill(); }, 20000);
+      child.on('close', function(code) { clearTimeout(timer); resolve(code); });
+    });
+  };
+  // Both start by taking over the lock of an agent that died holding it
+  var deadPid = spawnSync(process.execPath, ['-e', '']).pid;
+  fs.writeFileSync(racePath + '.lock', deadPid + ' ' + 'crashed');
+  var codes = await Promise.all([race(), race()]);
+  var raced = [...require('../facilitator/lib/jsonl-store.cjs').readJsonl(racePath, 'id').values()];
+  var lockFiles = fs.readdirSync(dir).filter(function(name) { return name.startsWith('race.jsonl.'); });
+  (codes.join() === '0,0' && raced.filter(function(entry) { return entry.status === 'settled'; }).length === 10
+    && raced.filter(function(entry) { return entry.type === 'refusal'; }).length === 10 && lockFiles.length === 0)
+    ? pass('Two agent processes racing on one ledger never exceed the budget') : fail('Race: ' + codes + ' ' + raced.length + ' entries, ' + lockFiles);
+
+  var stalePath = path.join(dir, 'stale.jsonl');
+  fs.writeFileSync(stalePath, [
+    { id: 'crashed', at: clock, type: 'payment', status: 'pending', endpoint: api, asset: usdt0, amount: '6000', pid: deadPid },
+    { id: 'running', at: clock, type: 'payment', status: 'pending', endpoint: api, asset: usdt0, amount: '1000', pid: process.pid },
+    // Signed and sent, then the server answered 500: it may have settled
+    { id: 'paid500', at: clock, type: 'payment', status: 'pending', endpoint: api, asset: usdt0, amount: '2000', pid: deadPid, signedAt: clock, nonce: '0x01' },
+  ].map(function(entry) { return JSON.stringify(entry); }).join('\n') + '\n');
+  fs.writeFileSync(stalePath + '.lock', String(deadPid));
+  var recovered = new SpendPolicy({ policy: sharedPolicy, ledgerPath: stalePath, networks: networks, now: now });
+  var spentBefore = recovered.usage('eip155:1030', usdt0).daily.spent;
+  var afterCrash = await recovered.authorize({ url: api, requirements: offer(7000) });
+  var statuses = recovered.history(4).map(function(entry) { return entry.id === afterCrash.id ? entry.status : entry.id + ':' + entry.status; });
+  (spentBefore === 3000n && afterCrash.pid === process.pid && statuses.join() === 'crashed:expired,running:pending,paid500:pending,pending' && !fs.existsSync(stalePath + '.lock'))
+    ? pass('Unsigned payments of exited agents expire; a dead agent\'s lock is taken over') : fail('Expiry: ' + spentBefore + ' ' + statuses);
+  var afterRestart = new SpendPolicy({ policy: sharedPolicy, ledgerPath: stalePath, networks: networks, now: now });
+  var overBudget = await refusal(afterRestart, api, offer(1));
+  (afterRestart.usage('eip155:1030', usdt0).daily.spent === 10000n && overBudget && overBudget.rule === 'daily')
+    ? pass('A paid request that failed with 500 still counts against the budget after the agent restarts') : fail('Paid 500: ' + (overBudget && overBudget.rule));
+
+  var asked = [];
+  var approvals = [true, false];
+  var gated = new SpendPolicy({
+    policy: Object.assign(defaultPolicy({ AGENT_SPEND_CAP: '0' }), { approvalThreshold: '0.001', approval: 'prompt' }),
+    ledgerPath: path.join(dir, 'gated.jsonl'), networks: networks, now: now,
+    confirm: async function(details) { asked.push(details.price); return approvals.shift(); },
+  });
+  var approved = await gated.authorize({ url: api, requirements: offer(2000) });
+  var declined = await refusal(gated, api, offer(2000));
+  await gated.authorize({ url: api, requirements: offer(1000) });
+  (approved.approvedBy === 'prompt' && declined && declined.rule === 'approval' && asked.length === 2 && asked[0] === '0.002 USDT0')
+    ? pass('Payments above the approval threshold need confirmation') : fail('Approval: ' + JSON.stringify(asked));
+  var refuseMode = new SpendPolicy({ policy: Object.assign({}, policy, { approvalThreshold: '0.001' }), ledgerPath: path.join(dir, 'refuse.jsonl'), networks: networks, now: now });
+  var overThreshold = await refusal(refuseMode, 'https://x.example/', offer(2000));
+  (overThreshold && overThreshold.rule === 'approval') ? pass("Approval mode 'refuse' refuses above the threshold") : fail('Refuse mode paid');
+
+  var defaults = loadPolicy(path.join(dir, 'missing.json'), { AGENT_SPEND_CAP: '0.5' });
+  (defaults.daily === '0.5' && loadPolicy(null, { AGENT_SPEND_CAP: '0' }).daily === null && defaults.assets[0] === 'USDT0')
+    ? pass('Without a policy file AGENT_SPEND_CAP is the daily budget') : fail('Default policy: ' + JSON.stringify(defaults));
+  var example = loadPolicy('agent/spend-policy.example.json');
+  (example.approval === 'prompt' && new SpendPolicy({ policy: example, ledgerPath: path.join(dir, 'example.jsonl'), networks: networks }).allowedAssets()[0] === usdt0)
+    ? pass('Example policy loads and maps symbols to token addresses') : fail('Example policy');
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+// ============================================
+// 27. Agent CLI, Batch and REPL
+// ============================================
+
+async function testAgentCli() {
+  console.log('\n=== 27. Agent CLI, Batch and REPL ===');
+  var http = require('http');
+  var { spawn } = require('child_process');
+  var { encodeHeader } = require('../assets/js/lib/x402Client.js');
+  var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'x402-cli-'));
+  var paidRequests = [];
+
+  // One server for the chain RPC (POST /rpc, balance 1 USDT0) and the paid API
+  var server = http.createServer(function(req, res) {
+    var body = '';
+    req.on('data', function(chunk) { body += chunk; });
+    req.on('end', function() {
+      if (req.url === '/rpc') {
+        var call = JSON.parse(body);
+        var result = call.method === 'eth_call' ? '0x' + (1000000).toString(16).padStart(64, '0') : '0x406';
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ jsonrpc: '2.0', id: call.id, result: result }));
+      }
+      var url = new URL(req.url, 'http://localhost');
+      var price = url.searchParams.get('price') || '100';
+      if (url.pathname === '/free') { res.writeHead(200); return res.end('{"success":true,"data":{"answer":"free"}}'); }
+      if (!req.headers['payment-signature']) {
+        var offers = [{ scheme: 'exact', network: 'eip155:1030', amount: price, asset: usdt0, payTo: '0x' + 'ab'.repeat(20), extra: { settlementMode: 'transfer' } }];
+        res.writeHead(402, { 'PAYMENT-REQUIRED': encodeHeader(offers) });
+        return res.end('{"success":false,"error_code":"X402_PAYMENT_REQUIRED"}');
+      }
+      paidRequests.push({ method: req.method, body: body, type: req.headers['content-type'] });
+      var outcome = url.searchParams.get('outcome');
+      if (outcome === 'verify') { res.writeHead(402); return res.end('{"success":false,"message":"Payment verification failed: expired","error_code":"X402_VERIFY_FAILED"}'); }
+      if (outcome === 'settle') { res.writeHead(500); return res.end('{"success":false,"message":"Payment settlement failed: reverted","error_code":"X402_SETTLE_FAILED"}'); }
+      res.writeHead(200, { 'PAYMENT-RESPONSE': encodeHeader({ success: true, transaction: '0xfeed' }) });
+      res.end(JSON.stringify({ success: true, data: { answer: 'Paid answer for ' + url.searchParams.get('q'), tokens_used: 3 } }));
+    });
+  });
+  await new Promise(function(resolve) { server.listen(0, '127.0.0.1', resolve); });
+  var base = 'http://127.0.0.1:' + server.address().port;
+
+  var networksConfig = JSON.parse(fs.readFileSync('facilitator/networks.json', 'utf-8'));
+  networksConfig.networks[0].rpcUrls = [base + '/rpc'];
+  fs.writeFileSync(path.join(dir, 'networks.json'), JSON.stringify(networksConfig));
+
+  var agentCli = function(args, extraEnv, input) {
+    return new Promise(function(resolve) {
+      var env = Object.assign({
+        PATH: process.env.PATH, DEMO_BUYER_KEY: '0x' + '66'.repeat(32), API_URL: base + '/ai',
+        X402_NETWORKS_CONFIG: path.join(dir, 'networks.json'), AGENT_POLICY_PATH: path.join(dir, 'none.json'),
+        AGENT_LEDGER_PATH: path.join(dir, 'ledger.jsonl'), AGENT_SPEND_CAP: '1.0',
+      }, extraEnv);
+      var child = spawn(process.execPath, ['agent/x402-ai-agent-demo.cjs'].concat(args), { env: env });
+      child.stdin.end(input || '');
+      var out = '', err = '';
+      child.stdout.on('data', function(chunk) { out += chunk; });
+      child.stderr.on('data', function(chunk) { err += chunk; });
+      var timer = setTimeout(function() { child.kill(); }, 20000);
+      child.on('close', function(code) {
+        clearTimeout(timer);
+        var json = null;
+        try { json = JSON.parse(out); } catch (e) { /* not --json */ }
+        resolve({ code: code, out: out, err: err, json: json });
+      });
+    });
+  };
+
+  try {
+    var paid = await agentCli(['--json', 'What', 'is', 'x402?']);
+    (paid.code === 0 && paid.json && paid.json.ok && paid.json.payment.transaction === '0xfeed' && paid.json.payment.amount === '100'
+      && paid.json.body.data.answer === 'Paid answer for What is x402?' && paid.json.payment.explorer === 'https://evm.confluxscan.io/tx/0xfeed')
+      ? pass('--json pays and prints one result object') : fail('--json: ' + paid.code + ' ' + paid.out + paid.err);
+
+    var quiet = await agentCli(['--quiet', 'hi']);
+    (quiet.code === 0 && quiet.out === 'Paid answer for hi\n' && quiet.err === '') ? pass('--quiet prints only the answer') : fail('--quiet: ' + JSON.stringify(quiet));
+
+    var plain = await agentCli(['--no-animation', 'hi']);
+    (plain.code === 0 && plain.out.includes('PAYMENT RECEIPT') && plain.out.includes('0.0001 USDT0') && !plain.out.includes('\x1b['))
+      ? pass('--no-animation runs the demo output without escape codes when piped') : fail('--no-animation: ' + plain.out.slice(-300));
+
+    var posted = await agentCli(['--json', '--url', base + '/report', '-d', '{"day":"2026-02-03"}']);
+    var lastPaid = paidRequests[paidRequests.length - 1];
+    (posted.code === 0 && posted.json.method === 'POST' && lastPaid.method === 'POST' && lastPaid.body === '{"day":"2026-02-03"}' && lastPaid.type === 'application/json'
+      && posted.json.url === base + '/report')
+      ? pass('--url / --body send a POST to any endpoint') : fail('--body: ' + JSON.stringify(lastPaid) + posted.err);
+
+    var free = await agentCli(['--json', '--url', base + '/free']);
+    (free.code === 0 && free.json.payment === null) ? pass('Endpoints that need no payment pass through') : fail('Free endpoint: ' + free.out);
+
+    var outcomes = [
+      [await agentCli(['--json', '--url', base + '/x?outcome=verify']), 5, 'X402_VERIFY_FAILED'],
+      [await agentCli(['--json', '--url', base + '/x?outcome=settle']), 6, 'X402_SETTLE_FAILED'],
+      [await agentCli(['--json', '--url', base + '/x?price=2000000'], { AGENT_SPEND_CAP: '5' }), 3, 'INSUFFICIENT_BALANCE'],
+      [await agentCli(['--json', '--url', base + '/x?price=200', '--max-price', '0.0001']), 4, 'POLICY_REFUSED'],
+      [await agentCli(['--json', '--url', base + '/x?price=600000'], { AGENT_SPEND_CAP: '0.5' }), 4, 'POLICY_REFUSED'],
+    ];
+    outcomes.every(function(item) { return item[0].code === item[1] && item[0].json && item[0].json.exitCode === item[1] && item[0].json.error.code === item[2]; })
+      ? pass('Exit codes: verify 5, settle 6, balance 3, spend policy 4')
+      : fail('Exit codes: ' + outcomes.map(function(item) { return item[0].code + '/' + (item[0].json && item[0].json.error.code); }).join(', '));
+    (outcomes[3][0].json.error.rule === 'maxPrice' && outcomes[4][0].json.error.rule === 'daily') ? pass('--max-price and budget refusals report their rule') : fail('Refusal rules');
+
+    var usage = await agentCli(['--max-price', 'cheap']);
+    var noKey = await agentCli(['-q'], { DEMO_BUYER_KEY: '' });
+    var help = await agentCli(['--help']);
+    (usage.code === 2 && usage.err.includes('--max-price') && noKey.code === 2 && noKey.err.includes('DEMO_BUYER_KEY') && help.code === 0 && help.out.includes('Exit codes'))
+      ? pass('Usage and configuration errors exit 2; --help documents exit codes') : fail('Usage: ' + usage.code + ' ' + noKey.code + ' ' + help.code);
+
+    var ledger = fs.readFileSync(path.join(dir, 'ledger.jsonl'), 'utf-8').trim().split('\n').map(JSON.parse);
+    var byRule = ledger.filter(function(entry) { return entry.type === 'refusal'; }).map(function(entry) { return entry.rule; });
+    (byRule.includes('maxPrice') && ledger.some(function(entry) { return entry.status === 'failed' && entry.reason === 'X402_VERIFY_FAILED'; }))
+      ? pass('CLI payments and refusals land in the spend ledger') : fail('Ledger: ' + JSON.stringify(byRule));
+
+    // Batch: one paid request per line, results written as JSON lines
+    var batchFile = path.join(dir, 'questions.txt');
+    fs.writeFileSync(batchFile, 'First question\n\n# skipped\nSecond question\n');
+    var batch = await agentCli(['--json', '--batch', batchFile], { API_URL: base + '/ai?price=200' });
+    var results = fs.readFileSync(path.join(dir, 'questions.results.jsonl'), 'utf-8').trim().split('\n').map(JSON.parse);
+    (batch.code === 0 && batch.json.total === 2 && batch.json.succeeded === 2 && batch.json.spent[0].amount === '400'
+      && results.length === 2 && results[1].line === 4 && results[1].answer === 'Paid answer for Second question' && results[0].transaction === '0xfeed')
+      ? pass('--batch pays per line and writes answers and tx hashes') : fail('Batch: ' + batch.out + batch.err);
+
+    fs.writeFileSync(batchFile, 'cheap\nexpensive\ncheap again\n');
+    var mixed = await agentCli(['--quiet', '--batch', batchFile, '--output', path.join(dir, 'mixed.jsonl'), '--max-price', '0.0001'],
+      { API_URL: base + '/ai?price=100' });
+    var mixedResults = fs.readFileSync(path.join(dir, 'mixed.jsonl'), 'utf-8').trim().split('\n').map(JSON.parse);
+    (mixed.code === 0 && mixed.out === '' && mixedResults.every(function(result) { return result.ok; }))
+      ? pass('--batch --quiet writes only the results file') : fail('Quiet batch: ' + mixed.code + mixed.out);
+    var refusedBatch = await agentCli(['--batch', batchFile, '--output', path.join(dir, 'refused.jsonl')], { API_URL: base + '/ai?price=600000', AGENT_SPEND_CAP: '1.0' });
+    var refusedResults = fs.readFileSync(path.join(dir, 'refused.jsonl'), 'utf-8').trim().split('\n').map(JSON.parse);
+    (refusedBatch.code === 4 && refusedResults[0].ok && refusedResults.slice(1).every(function(result) { return result.error && result.error.rule === 'daily'; }))
+      ? pass('Spend budget carries over between batch questions') : fail('Batch budget: ' + refusedBatch.code + ' ' + JSON.stringify(refusedResults.map(function(result) { return result.ok; })));
+
+    // REPL: one wallet session, commands between questions
+    var repl = await agentCli(['--repl', '--no-animation'], { API_URL: base + '/ai' }, 'Why pay per request?\n/budget\n/history 2\n/balance\n/wat\n/quit\nnever asked\n');
+    (repl.code === 0 && repl.out.includes('Paid answer for Why pay per request?') && /Paid 0\.0001 USDT0 .*session 0\.0001 USDT0 .*balance 1\.0 USDT0/.test(repl.out))
+      ? pass('REPL answers and shows running spend and balance') : fail('REPL answer: ' + repl.out.slice(-600));
+    (/USDT0 daily\s+[\d.]+ \/ 1\.0 USDT0, [\d.]+ left/.test(repl.out) && repl.out.includes('settled tx 0xfeed') && /USDT0\s+1\.0/.test(repl.out)
+      && repl.out.includes('Unknown command /wat') && !repl.out.includes('never asked'))
+      ? pass('REPL /budget, /history, /balance and /quit') : fail('REPL commands: ' + repl.out.slice(-600));
+    var badMix = await agentCli(['--repl', '--batch', batchFile]);
+    badMix.code === 2 ? pass('--repl and --batch are exclusive') : fail('Mode mix: ' + badMix.code);
+  } finally {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// ============================================
+// 28. Facilitator Factory (createFacilitator)
+// ============================================
+
+async function testFacilitatorFactory() {
+  console.log('\n=== 28. Facilitator Factory (createFacilitator) ===');
+  var http = require('http');
+  var { ethers } = require('ethers');
+  var { createFacilitator } = require('../facilitator/lib/server.cjs');
+  var { ADAPTER_ABI, TRANSFER_AUTH_TYPES } = require('../facilitator/lib/facilitator.cjs');
+  var { buildNetworks } = require('../facilitator/lib/networks.cjs');
+  var { parseRate } = require('../facilitator/lib/rate-limit.cjs');
+  var { Logger } = require('../facilitator/lib/logger.cjs');
+  var buyer = new ethers.Wallet('0x' + '66'.repeat(32));
+  var stranger = new ethers.Wallet('0x' + '77'.repeat(32));
+  var treasury = '0x' + 'ab'.repeat(20);
+  var adapter = '0x' + 'ad'.repeat(20);
+  var plainToken = '0x' + 'cc'.repeat(20);
+  var clock = 1700000000;
+  var abi = ethers.AbiCoder.defaultAbiCoder();
+  var settleSelector = new ethers.Interface(ADAPTER_ABI).getFunction('settlePayment').selector;
+
+  // One injected provider for every chain; `chain` steers balances, simulation and outages
+  var chain = { balance: 1000000n, simulationError: null, down: false, calls: 0 };
+  var provider = {
+    getBlockNumber: async function() { chain.calls++; return 100; },
+    getTransactionCount: async function() { return 0; },
+    getBalance: async function() { return ethers.parseEther('100'); },
+    estimateGas: async function() { return 80000n; },
+    getFeeData: async function() { return { maxFeePerGas: 1000n, maxPriorityFeePerGas: 100n, gasPrice: null }; },
+    call: async function(tx) {
+      if (chain.down) throw new Error('connect ECONNREFUSED 127.0.0.1:8545');
+      if (tx.data.startsWith(settleSelector)) {
+        if (chain.simulationError) throw Object.assign(new Error('execution reverted'), { reason: chain.simulationError });
+        return '0x';
+      }
+      return abi.encode(['uint256'], [chain.balance]);
+    },
+    getTransactionReceipt: async function(hash) {
+      return { hash: hash, status: 1, blockNumber: 101, confirmations: async function() { return 1; } };
+    },
+  };
+  var sent = 0;
+  var signer = {
+    getAddress: async function() { return '0x0000000000000000000000000000000000000002'; },
+    connect: function() { return this; },
+    sendTransaction: async function(tx) { sent++; return { hash: ethers.id('factory-tx' + sent), nonce: tx.nonce }; },
+  };
+
+  var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'x402-factory-'));
+  var asset = { symbol: 'USDT0', decimals: 6, eip3009: true, eip712Name: 'USDT0', eip712Version: '1' };
+  var registry = buildNetworks({ networks: [
+    { chainId: 1030, rpcUrls: ['http://rpc.invalid'], escrowAdapter: adapter,
+      assets: { [usdt0]: asset, [plainToken]: { symbol: 'PLAIN', decimals: 6, eip3009: false } } },
+    { chainId: 71, rpcUrls: ['http://rpc-testnet.invalid'], assets: { [usdt0]: asset } },
+  ] });
+  function configFor(name, overrides) {
+    return Object.assign({
+      networks: registry.networks, defaultNetwork: registry.defaultNetwork, apiKey: 'factory-key',
+      nonceStorePath: path.join(dir, name + '-nonces.jsonl'), settlementStorePath: path.join(dir, name + '-settlements.jsonl'),
+      escrowStorePath: path.join(dir, name + '-escrow.jsonl'), refundStorePath: path.join(dir, name + '-refunds.jsonl'), webhookStorePath: path.join(dir, name + '-webhooks.jsonl'),
+      paymentLedger: 'jsonl', paymentStorePath: path.join(dir, name + '-payments.jsonl'),
+      demoSpendPath: path.join(dir, name + '-demo.jsonl'), demoDailyCap: '1', relayer: { pollInterval: 1 },
+      rateLimits: { apiKey: null, payer: null, routes: new Map() },
+    }, overrides);
+  }
+  var quiet = new Logger({ level: 'silent' });
+  var now = function() { return clock; };
+
+  var app = createFacilitator({ provider: provider, signer: signer, config: configFor('main'), clock: now, logger: quiet });
+  (typeof app === 'function' && chain.calls === 0 && fs.readdirSync(dir).length === 0)
+    ? pass('createFacilitator returns a handler without touching the chain or disk') : fail('Factory side effects: ' + chain.calls + ' calls, files ' + fs.readdirSync(dir));
+  var keyless = false;
+  try { await createFacilitator({ provider: provider, signer: signer, config: configFor('keyless', { apiKey: '' }), logger: quiet }).init(); }
+  catch (e) { keyless = /X402_FACILITATOR_KEY/.test(e.message); }
+  keyless ? pass('init() refuses to run without an API key') : fail('Keyless facilitator initialized');
+  await app.init();
+
+  var server = http.createServer(app);
+  await new Promise(function(resolve) { server.listen(0, '127.0.0.1', resolve); });
+  var base = 'http://127.0.0.1:' + server.address().port;
+  async function post(route, body, headers) {
+    var response = await fetch(base + route, {
+      method: 'POST',
+      headers: Object.assign({ 'Content-Type': 'application/json', 'X-API-Key': 'factory-key' }, headers),
+      body: typeof body === 'string' ? body : JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  var transferReq = { scheme: 'exact', network: 'eip155:1030', amount: '100', asset: usdt0, payTo: treasury,
+    extra: { settlementMode: 'transfer', name: 'USDT0', version: '1' } };
+  var escrowReq = { scheme: 'exact', network: 'eip155:1030', amount: '100', asset: usdt0, payTo: adapter,
+    extra: { assetTransferMethod: 'eip3009', orderId: ethers.id('order-1'), name: 'USDT0', version: '1' } };
+  async function sign(to, overrides) {
+    var options = overrides || {};
+    var authorization = Object.assign({ from: buyer.address, to: to, value: '100', validAfter: '0', validBefore: String(clock + 600),
+      nonce: ethers.hexlify(ethers.randomBytes(32)) }, options.authorization);
+    var domain = { name: 'USDT0', version: '1', chainId: options.chainId || 1030, verifyingContract: options.asset || usdt0 };
+    var signature = await (options.wallet || buyer).signTypedData(domain, TRANSFER_AUTH_TYPES, authorization);
+    return Object.assign({ x402Version: 2, scheme: 'exact', network: 'eip155:1030', payload: { signature: signature, authorization: authorization } }, options.payload);
+  }
+  function transferBody(payloadOverrides, requirementOverrides) {
+    return sign(treasury, payloadOverrides).then(function(payload) { return { payload: payload, requirements: Object.assign({}, transferReq, requirementOverrides) }; });
+  }
+  function escrowBody(payloadOverrides, requirementOverrides) {
+    return sign(adapter, payloadOverrides).then(function(payload) { return { payload: payload, requirements: Object.assign({}, escrowReq, requirementOverrides) }; });
+  }
+
+  try {
+    var valid = await post('/x402/verify-transfer', await transferBody());
+    (valid.status === 200 && valid.body.valid === true) ? pass('Injected provider and signer verify a valid transfer') : fail('Valid transfer: ' + JSON.stringify(valid));
+    var validEscrow = await post('/x402/verify', await escrowBody());
+    (validEscrow.status === 200 && validEscrow.body.valid === true) ? pass('Injected provider simulates a valid escrow settlement') : fail('Valid escrow: ' + JSON.stringify(validEscrow));
+
+    // Settle one transfer so its nonce is spent for both routes
+    var spent = await transferBody();
+    var settled = await post('/x402/settle-transfer', spent);
+    (settled.status === 200 && settled.body.success && sent === 1) ? pass('Settlement goes through the injected signer') : fail('Settle: ' + JSON.stringify(settled));
+
+    var chainId71 = { chainId: 71, payload: { network: 'eip155:71' } };
+    var transferCases = [
+      ['missing API key', function() { return post('/x402/verify-transfer', {}, { 'X-API-Key': '' }); }, 401, 'Invalid or missing API key'],
+      ['wrong API key', function() { return post('/x402/verify-transfer', {}, { 'X-API-Key': 'nope' }); }, 401, 'Invalid or missing API key'],
+      ['invalid JSON body', function() { return post('/x402/verify-transfer', '{not json'); }, 400, 'Invalid JSON body'],
+      ['missing payload', function() { return post('/x402/verify-transfer', { requirements: transferReq }); }, 400, 'Missing payload or requirements'],
+      ['missing requirements', async function() { return post('/x402/verify-transfer', { payload: await sign(treasury) }); }, 400, 'Missing payload or requirements'],
+      ['unsupported version', async function() { return post('/x402/verify-transfer', await transferBody({ payload: { x402Version: 1 } })); }, 200, 'Unsupported x402 version'],
+      ['unsupported scheme', async function() { return post('/x402/verify-transfer', await transferBody({ payload: { scheme: 'deferred' } })); }, 200, 'Unsupported scheme'],
+      ['scheme mismatch', async function() { return post('/x402/verify-transfer', await transferBody({ payload: { scheme: 'upto' } })); }, 200, 'Scheme does not match requirements'],
+      ['metered transfer without treasury', async function() { return post('/x402/verify-transfer', await transferBody({ payload: { scheme: 'upto' } }, { scheme: 'upto' })); }, 200, 'Metered transfers need extra.treasury'],
+      ['metered transfer to the treasury', async function() { return post('/x402/verify-transfer', await transferBody({ payload: { scheme: 'upto' } }, { scheme: 'upto', extra: Object.assign({ treasury: treasury }, transferReq.extra) })); }, 200, 'Wrong payment destination (expected facilitator collector)'],
+      ['unsupported network', async function() { return post('/x402/verify-transfer', await transferBody({ payload: { network: 'eip155:1' } })); }, 200, 'Unsupported network: eip155:1'],
+      ['unknown asset', async function() { return post('/x402/verify-transfer', await transferBody({}, { asset: '0x' + 'de'.repeat(20) })); }, 200, 'Unsupported asset'],
+      ['non-EIP-3009 asset', async function() { return post('/x402/verify-transfer', await transferBody({ asset: plainToken }, { asset: plainToken })); }, 200, 'Unsupported asset'],
+      ['escrow requirements', async function() { return post('/x402/verify-transfer', await transferBody({}, { extra: escrowReq.extra })); }, 200, 'Settlement mode must be transfer'],
+      ['reused nonce', function() { return post('/x402/verify-transfer', spent); }, 200, 'Nonce already used'],
+      ['signature by another key', async function() { return post('/x402/verify-transfer', await transferBody({ wallet: stranger })); }, 200, 'Invalid signature'],
+      ['signature for another chain', async function() { return post('/x402/verify-transfer', await transferBody({ chainId: 71 })); }, 200, 'Invalid signature'],
+      ['wrong payTo', async function() { return post('/x402/verify-transfer', { payload: await sign('0x' + 'ee'.repeat(20)), requirements: transferReq }); }, 200, 'Wrong payment destination (expected treasury)'],
+      ['insufficient balance', async function() { chain.balance = 99n; try { return await post('/x402/verify-transfer', await transferBody()); } finally { chain.balance = 1000000n; } }, 200, 'Insufficient balance'],
+      ['expired authorization', async function() { return post('/x402/verify-transfer', await transferBody({ authorization: { validBefore: String(clock - 1) } })); }, 200, 'Authorization expired or not yet valid'],
+      ['not yet valid', async function() { return post('/x402/verify-transfer', await transferBody({ authorization: { validAfter: String(clock + 60) } })); }, 200, 'Authorization expired or not yet valid'],
+      ['insufficient amount', async function() { return post('/x402/verify-transfer', await transferBody({ authorization: { value: '99' } })); }, 200, 'Insufficient amount'],
+      ['RPC failure', async function() { chain.down = true; try { return await post('/x402/verify-transfer', await transferBody()); } finally { chain.down = false; } }, 200, /ECONNREFUSED/],
+    ];
+    var escrowCases = [
+      ['missing API key', function() { return post('/x402/verify', {}, { 'X-API-Key': '' }); }, 401, 'Invalid or missing API key'],
+      ['invalid JSON body', function() { return post('/x402/verify', '{not json'); }, 400, 'Invalid JSON body'],
+      ['missing payload', function() { return post('/x402/verify', { requirements: escrowReq }); }, 400, 'Missing payload or requirements'],
+      ['unsupported version', async function() { return post('/x402/verify', await escrowBody({ payload: { x402Version: 1 } })); }, 200, 'Unsupported x402 version'],
+      ['unsupported scheme', async function() { return post('/x402/verify', await escrowBody({ payload: { scheme: 'deferred' } })); }, 200, 'Unsupported scheme'],
+      ['scheme mismatch', async function() { return post('/x402/verify', await escrowBody({}, { scheme: 'upto' })); }, 200, 'Scheme does not match requirements'],
+      ['unsupported network', async function() { return post('/x402/verify', await escrowBody({ payload: { network: 'eip155:1' } })); }, 200, 'Unsupported network: eip155:1'],
+      ['no escrow adapter', async function() { return post('/x402/verify', await escrowBody(chainId71, { network: 'eip155:71' })); }, 400, 'Escrow adapter not configured for eip155:71'],
+      ['unknown asset', async function() { return post('/x402/verify', await escrowBody({}, { asset: '0x' + 'de'.repeat(20) })); }, 200, 'Unsupported asset'],
+      ['non-EIP-3009 asset', async function() { return post('/x402/verify', await escrowBody({ asset: plainToken }, { asset: plainToken })); }, 200, 'Unsupported asset'],
+      ['no eip3009 transfer method', async function() { return post('/x402/verify', await escrowBody({}, { extra: { orderId: escrowReq.extra.orderId } })); }, 200, 'Only eip3009 method supported'],
+      ['reused nonce', function() { return post('/x402/verify', { payload: spent.payload, requirements: escrowReq }); }, 200, 'Nonce already used'],
+      ['signature by another key', async function() { return post('/x402/verify', await escrowBody({ wallet: stranger })); }, 200, 'Invalid signature'],
+      ['paying the treasury directly', async function() { return post('/x402/verify', { payload: await sign(treasury), requirements: escrowReq }); }, 200, 'Wrong payment destination'],
+      ['insufficient balance', async function() { chain.balance = 0n; try { return await post('/x402/verify', await escrowBody()); } finally { chain.balance = 1000000n; } }, 200, 'Insufficient balance'],
+      ['expired authorization', async function() { return post('/x402/verify', await escrowBody({ authorization: { validBefore: String(clock - 1) } })); }, 200, 'Authorization expired or not yet valid'],
+      ['insufficient amount', async function() { return post('/x402/verify', await escrowBody({ authorization: { value: '1' } })); }, 200, 'Insufficient amount'],
+      ['simulation revert', async function() { chain.simulationError = 'Order already paid'; try { return await post('/x402/verify', await escrowBody()); } finally { chain.simulationError = null; } }, 200, 'Settlement simulation failed: Order already paid'],
+    ];
+
+    var cases = transferCases.map(function(c) { return ['verify-transfer'].concat(c); }).concat(escrowCases.map(function(c) { return ['verify'].concat(c); }));
+    for (var i = 0; i < cases.length; i++) {
+      var [route, label, run, status, reason] = cases[i];
+      var result = await run();
+      var got = result.body.reason || result.body.error;
+      var matches = reason instanceof RegExp ? reason.test(got) : got === reason;
+      (result.status === status && matches && result.body.valid !== true)
+        ? pass('/x402/' + route + ' rejects ' + label + ' (' + status + ')') : fail('/x402/' + route + ' ' + label + ': ' + result.status + ' ' + JSON.stringify(result.body));
+    }
+
+    // The injected clock drives the authorization window
+    var window = await transferBody();
+    clock += 601;
+    var late = await post('/x402/verify-transfer', window);
+    clock -= 601;
+    (late.body.reason === 'Authorization expired or not yet valid' && (await post('/x402/verify-transfer', window)).body.valid === true)
+      ? pass('Authorization windows follow the injected clock') : fail('Clock: ' + JSON.stringify(late.body));
+
+    var metricsText = await (await fetch(base + '/metrics')).text();
+    /x402_verify_requests_total\{route="\/x402\/verify-transfer",outcome="invalid",reason="[^"]*nonce[^"]*"\} 1/i.test(metricsText)
+      ? pass('Rejections are counted per route and reason') : fail('Verify metrics missing');
+
+    // Malformed path escapes and handler errors answer instead of hanging
+    var malformed = await fetch(base + '/x402/settlements/%E0%A4%A', { headers: { 'X-API-Key': 'factory-key' }, signal: AbortSignal.timeout(5000) });
+    var lookup = app.facilitator.settlement;
+    app.facilitator.settlement = function() { throw new Error('store unavailable'); };
+    var crashed;
+    try { crashed = await fetch(base + '/x402/settlements/0x01', { headers: { 'X-API-Key': 'factory-key' }, signal: AbortSignal.timeout(5000) }); }
+    finally { app.facilitator.settlement = lookup; }
+    (malformed.status === 400 && (await malformed.json()).error === 'Malformed settlement id'
+      && crashed.status === 500 && (await crashed.json()).error === 'Internal server error')
+      ? pass('Malformed settlement ids get 400, a throwing handler 500') : fail('Router errors: ' + malformed.status + ' ' + crashed.status);
+
+    // Every ROUTES entry reaches its handler (no API key: mostly 401s); anything else is 404
+    var { ROUTES } = require('../facilitator/lib/server.cjs');
+    var unrouted = [];
+    for (var r = 0; r < ROUTES.length; r++) {
+      var routed = await fetch(base + ROUTES[r].path.replace(/:\w+/g, '0x01'), { method: ROUTES[r].method, signal: AbortSignal.timeout(5000) });
+      var routedBody = await routed.text();
+      if (routed.status === 404 && routedBody === '{"error":"Not found"}') unrouted.push(ROUTES[r].method + ' ' + ROUTES[r].path);
+    }
+    var unknownRoute = await fetch(base + '/x402/escrow/0x01/settle', { method: 'POST', signal: AbortSignal.timeout(5000) });
+    (unrouted.length === 0 && ROUTES.length === 20 && unknownRoute.status === 404)
+      ? pass('Every listed route is dispatched; unlisted paths are 404') : fail('Unrouted: ' + unrouted.join(', ') + ' ' + unknownRoute.status);
+
+    // Payer limit, refilled by the same injected clock
+    var limited = createFacilitator({ provider: provider, signer: signer, clock: now, logger: quiet,
+      config: configFor('limited', { rateLimits: { apiKey: null, payer: parseRate('1/min'), routes: new Map() } }) });
+    await limited.init();
+    var limitedServer = http.createServer(limited);
+    await new Promise(function(resolve) { limitedServer.listen(0, '127.0.0.1', resolve); });
+    try {
+      var limitedPost = async function(body) {
+        var response = await fetch('http://127.0.0.1:' + limitedServer.address().port + '/x402/verify-transfer', {
+          method: 'POST', headers: { 'Content-Type': 'application/json', 'X-API-Key': 'factory-key' }, body: JSON.stringify(body),
+        });
+        return { status: response.status, retryAfter: response.headers.get('retry-after'), body: await response.json() };
+      };
+      var first = await limitedPost(await transferBody());
+      var second = await limitedPost(await transferBody());
+      clock += 60;
+      var refilled = await limitedPost(await transferBody({ authorization: { validBefore: String(clock + 600) } }));
+      clock -= 60;
+      (first.body.valid === true && second.status === 429 && second.body.scope === 'payer' && second.retryAfter === '60' && refilled.body.valid === true)
+        ? pass('Per-payer rate limit rejects with 429 and refills on the injected clock') : fail('Payer limit: ' + JSON.stringify([first, second, refilled]));
+    } finally {
+      limitedServer.close();
+      limited.stop();
+    }
+  } finally {
+    server.close();
+    app.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// ============================================
+// 29. Mock AI Backend & Local Profile
+// ============================================
+
+async function testMockAi() {
+  console.log('\n=== 29. Mock AI Backend & Local Profile ===');
+  var http = require('http');
+  var { spawn } = require('child_process');
+  var { ethers } = require('ethers');
+  var { parseEnv, applyProfile, PROFILES } = require('../facilitator/lib/profile.cjs');
+  var { createMockAi, cannedAnswers } = require('../local/mock-ai-server.cjs');
+  var { DEV_KEYS } = require('../local/lib/local-evm.cjs');
+  var { encodeHeader, decodeHeader } = require('../middleware/x402-middleware.cjs');
+  var treasury = '0x' + 'ab'.repeat(20);
+
+  // Profiles
+  var parsed = parseEnv('# comment\nA=1\n  B = "two words" \nC=\'x=y\'\nnot a pair\n');
+  (parsed.A === '1' && parsed.B === 'two words' && parsed.C === 'x=y' && Object.keys(parsed).length === 3)
+    ? pass('Env parser handles comments, spacing and quotes') : fail('parseEnv: ' + JSON.stringify(parsed));
+
+  var plain = { API_URL: 'http://example' };
+  (applyProfile(plain, []) === null && Object.keys(plain).length === 1) ? pass('No profile selected leaves the environment alone') : fail('Profile applied unasked');
+
+  var env = { X402_PROFILE: 'local', DEMO_BUYER_KEY: '0xexplicit' };
+  var applied = applyProfile(env, []);
+  var flagged = {};
+  applyProfile(flagged, ['--json', '--profile', 'local']);
+  (applied.name === 'local' && env.DEMO_BUYER_KEY === '0xexplicit' && applied.assigned.indexOf('DEMO_BUYER_KEY') === -1
+    && env.X402_NETWORKS_CONFIG === path.resolve('local/networks.json') && env.X402_NONCE_STORE === path.resolve('local/data/nonces.jsonl')
+    && flagged.X402_PROFILE === 'local' && flagged.API_URL === env.API_URL)
+    ? pass('local profile: explicit variables win, relative paths resolve against local/, --profile or X402_PROFILE')
+    : fail('Profile: ' + JSON.stringify(env));
+
+  var unknown = null;
+  try { applyProfile({}, ['--profile=staging']); } catch (e) { unknown = e.message; }
+  /Unknown profile "staging".*local/.test(unknown || '') ? pass('Unknown profiles are rejected') : fail('Unknown profile: ' + unknown);
+
+  // The profile matches the local stack: dev keys, mock token address, chain 31337
+  var local = parseEnv(fs.readFileSync(PROFILES.local, 'utf-8'));
+  var localNetworks = JSON.parse(fs.readFileSync('local/networks.json', 'utf-8'));
+  var mockToken = ethers.getCreateAddress({ from: new ethers.Wallet(DEV_KEYS[0]).address, nonce: 0 }).toLowerCase();
+  (localNetworks.defaultNetwork === 'eip155:31337' && localNetworks.networks[0].assets[mockToken]
+    && local.ARENA_SIGNER_PRIVATE_KEY === DEV_KEYS[1] && local.DEMO_BUYER_KEY === DEV_KEYS[2]
+    && local.X402_API_TREASURY === new ethers.Wallet(DEV_KEYS[3]).address
+    && local.API_URL === 'http://127.0.0.1:' + local.MOCK_AI_PORT + '/api/x402/ai.php')
+    ? pass('local profile uses dev keys, the mock token address and the mock AI URL') : fail('local.env / networks.json out of sync');
+
+  // Stand-in facilitator: settles everything, answers /x402/demo-ai
+  var calls = [];
+  var facilitator = http.createServer(function(req, res) {
+    var body = '';
+    req.on('data', function(chunk) { body += chunk; });
+    req.on('end', function() {
+      var data = JSON.parse(body);
+      calls.push({ path: req.url, apiKey: req.headers['x-api-key'] || req.headers['x-facilitator-key'], body: data });
+      var reply = req.url === '/x402/demo-ai' ? { success: true, message: 'Success', data: { answer: 'proxied: ' + data.question } }
+        : req.url === '/x402/refund' ? { success: true, status: 'refunded', settlementTransaction: data.transaction, transaction: '0x' + 'ef'.repeat(32), reason: data.reason }
+        : /verify/.test(req.url) ? { valid: true }
+        : { x402Version: 2, scheme: 'exact', network: data.payload.network, success: true, transaction: '0x' + 'cd'.repeat(32), payer: data.payload.payload.authorization.from };
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(reply));
+    });
+  });
+  await new Promise(function(resolve) { facilitator.listen(0, '127.0.0.1', resolve); });
+  var facilitatorUrl = 'http://127.0.0.1:' + facilitator.address().port;
+  var payment = encodeHeader({ x402Version: 2, scheme: 'exact', network: 'eip155:1030',
+    payload: { signature: '0xsig', authorization: { from: '0x' + '12'.repeat(20), value: '100' } } });
+
+  var servers = [];
+  async function serve(options) {
+    var server = http.createServer(createMockAi(Object.assign({ facilitatorUrl: facilitatorUrl, apiKey: 'fac-key', payTo: treasury }, options)));
+    servers.push(server);
+    await new Promise(function(resolve) { server.listen(0, '127.0.0.1', resolve); });
+    return 'http://127.0.0.1:' + server.address().port;
+  }
+
+  try {
+    var echo = await serve({ answers: 'echo' });
+
+    calls = [];
+    var missing = await fetch(echo + '/api/x402/ai.php');
+    var tooLong = await fetch(echo + '/api/x402/ai.php?q=' + 'a'.repeat(501));
+    var wrongMethod = await fetch(echo + '/api/x402/ai.php?q=hi', { method: 'POST' });
+    (missing.status === 422 && (await missing.json()).error_code === 'VAL_REQUIRED_FIELD' && tooLong.status === 422
+      && wrongMethod.status === 405 && calls.length === 0)
+      ? pass('Questions validated before the gate, like ai.php (nothing charged)') : fail('Validation: ' + missing.status + '/' + tooLong.status + '/' + wrongMethod.status);
+
+    var challenge = await fetch(echo + '/api/x402/ai.php?q=hello');
+    var required = JSON.parse(Buffer.from(challenge.headers.get('payment-required'), 'base64').toString())[0];
+    (challenge.status === 402 && required.amount === '100' && required.asset === usdt0 && required.payTo === treasury
+      && challenge.headers.get('access-control-expose-headers').includes('PAYMENT-REQUIRED'))
+      ? pass('Unpaid question → 402 with the same requirements as ai.php') : fail('Challenge: ' + challenge.status + ' ' + JSON.stringify(required));
+
+    calls = [];
+    var paid = await fetch(echo + '/api/x402/ai.php?q=' + encodeURIComponent('What is x402?'), { headers: { 'PAYMENT-SIGNATURE': payment } });
+    var body = await paid.json();
+    (paid.status === 200 && paid.headers.get('payment-response') && body.success === true && body.data.model === 'mock-echo'
+      && body.data.answer.includes('What is x402?') && body.data.tokens_used > 0
+      && body.data.payment.tx_hash === '0x' + 'cd'.repeat(32) && body.data.payment.payer === '0x' + '12'.repeat(20)
+      && body.data.payment.amount === '0.0001' && body.data.payment.token === 'USDT0'
+      && calls.map(function(c) { return c.path; }).join() === '/x402/verify-transfer,/x402/settle-transfer')
+      ? pass('Paid question → verify, settle, echo answer in the ai.php response shape') : fail('Paid: ' + paid.status + ' ' + JSON.stringify(body));
+
+    var canned = cannedAnswers();
+    (/EIP-3009/.test(canned('how does TransferWithAuthorization work?')) && /Conflux/.test(canned('what is CONFLUX')) && /offline mock/.test(canned('weather tomorrow?')))
+      ? pass('Canned answers match keywords case-insensitively, with a fallback') : fail('Canned answers');
+
+    var custom = await serve({ answers: async function(question) { return question.toUpperCase(); }, price: '2500' });
+    var customRes = await fetch(custom + '/api/x402/ai.php?q=shout', { headers: { 'PAYMENT-SIGNATURE': payment } });
+    var customBody = await customRes.json();
+    (customBody.data.answer === 'SHOUT' && customBody.data.model === 'mock-custom' && customBody.data.payment.amount === '0.0025')
+      ? pass('Custom answer functions and prices') : fail('Custom: ' + JSON.stringify(customBody));
+
+    var failing = await serve({ answers: function() { throw new Error('model down'); } });
+    calls = [];
+    var failingRes = await fetch(failing + '/api/x402/ai.php?q=hi', { headers: { 'PAYMENT-SIGNATURE': payment } });
+    var failingBody = await failingRes.json();
+    (failingRes.status === 502 && failingBody.error_code === 'SRV_EXTERNAL_ERROR') ? pass('Answer errors → 502 SRV_EXTERNAL_ERROR') : fail('Failing answer: ' + failingRes.status);
+    (failingBody.refund && failingBody.refund.success && failingBody.refund.settlementTransaction === '0x' + 'cd'.repeat(32)
+      && decodeHeader(failingRes.headers.get('payment-response')).refund.transaction === '0x' + 'ef'.repeat(32)
+      && calls.filter(function(c) { return c.path === '/x402/refund'; }).length === 1 && calls[2].body.reason === 'AI service error')
+      ? pass('A failed answer is refunded once, receipt in the body and PAYMENT-RESPONSE') : fail('Refund: ' + JSON.stringify([failingBody, calls]));
+
+    calls = [];
+    var proxied = await fetch(echo + '/api/x402/ai-demo-proxy.php', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ question: ' hi ' }) });
+    var emptyProxy = await fetch(echo + '/api/x402/ai-demo-proxy.php', { method: 'POST', body: '{}' });
+    ((await proxied.json()).data.answer === 'proxied: hi' && calls.length === 1 && calls[0].path === '/x402/demo-ai' && calls[0].apiKey === 'fac-key'
+      && emptyProxy.status === 422)
+      ? pass('Demo proxy forwards to the facilitator /x402/demo-ai with the API key') : fail('Proxy: ' + JSON.stringify(calls));
+
+    var page = await fetch(echo + '/');
+    var script = await fetch(echo + '/assets/js/config/wallets.js');
+    var traversal = await fetch(echo + '/assets/..%2f.env');
+    var outside = await fetch(echo + '/package.json');
+    (page.status === 200 && (await page.text()).includes(" PROXY = '/api/x402/ai-demo-proxy.php'") && /javascript/.test(script.headers.get('content-type'))
+      && traversal.status === 404 && outside.status === 404)
+      ? pass('Serves the demo page and assets/ only') : fail('Static: ' + [page.status, script.status, traversal.status, outside.status].join('/'));
+
+    var rejected = false;
+    try { createMockAi({ facilitatorUrl: facilitatorUrl, payTo: treasury, answers: 'oracle' }); } catch (e) { rejected = /Unknown mock AI mode/.test(e.message); }
+    rejected ? pass('Unknown answer modes rejected at startup') : fail('Unknown mode accepted');
+
+    // Agent: --profile is a known option, unknown profiles are usage errors
+    var exitCode = await new Promise(function(resolve) {
+      var child = spawn(process.execPath, ['agent/x402-ai-agent-demo.cjs', '--profile', 'staging', '--json'], { env: { PATH: process.env.PATH } });
+      child.on('exit', resolve);
+    });
+    exitCode === 2 ? pass('Agent exits 2 on an unknown --profile') : fail('Agent --profile staging exited ' + exitCode);
+  } finally {
+    servers.forEach(function(server) { server.close(); });
+    facilitator.close();
+  }
+}
+
+// ============================================
+// 30. Metered Payments (upto)
+// ============================================
+
+async function testMeteredPayments() {
+  console.log('\n=== 30. Metered Payments (upto) ===');
+  var http = require('http');
+  var { ethers } = require('ethers');
+  var { Facilitator, ADAPTER_ABI, EIP3009_ABI, ERC20_ABI, TRANSFER_AUTH_TYPES } = require('../facilitator/lib/facilitator.cjs');
+  var { buildNetworks, supportedKinds } = require('../facilitator/lib/networks.cjs');
+  var { X402PaymentGate, x402Http, encodeHeader, decodeHeader } = require('../middleware/x402-middleware.cjs');
+  var { DailySpendCap } = require('../facilitator/lib/spend-cap.cjs');
+  var { SpendPolicy } = require('../agent/lib/spend-policy.cjs');
+  var { Logger } = require('../facilitator/lib/logger.cjs');
+  var sdk = require('../assets/js/lib/x402Client.js');
+  var quiet = new Logger({ level: 'silent' });
+  var buyer = new ethers.Wallet('0x' + '88'.repeat(32));
+  var treasury = '0x' + 'ab'.repeat(20);
+  var adapter = '0x' + 'ad'.repeat(20);
+  var collector = '0x0000000000000000000000000000000000000c01';
+  var clock = 1700000000;
+  var calls = new ethers.Interface([].concat(EIP3009_ABI, ERC20_ABI, ADAPTER_ABI));
+
+  // Every broadcast is decoded into { from, name, args }; `failOn` makes one call fail
+  var txs = [];
+  var failOn = null;
+  var fakeProvider = {
+    getBlockNumber: async function() { return 100; },
+    getTransactionCount: async function() { return 0; },
+    getBalance: async function() { return ethers.parseEther('100'); },
+    estimateGas: async function() { return 80000n; },
+    getFeeData: async function() { return { maxFeePerGas: 1000n, maxPriorityFeePerGas: 100n, gasPrice: null }; },
+    call: async function() { return ethers.AbiCoder.defaultAbiCoder().encode(['uint256'], [1000000n]); },
+    getTransactionReceipt: async function(hash) {
+      return { hash: hash, status: 1, blockNumber: 101, confirmations: async function() { return 1; } };
+    },
+  };
+  function relayer(address) {
+    return {
+      getAddress: async function() { return address; },
+      connect: function() { return this; },
+      sendTransaction: async function(tx) {
+        var call = calls.parseTransaction({ data: tx.data });
+        if (failOn === call.name) throw new Error('insufficient funds for gas');
+        txs.push({ from: address, to: tx.to.toLowerCase(), name: call.name, args: call.args });
+        return { hash: ethers.id('metered-tx' + txs.length), nonce: tx.nonce };
+      },
+    };
+  }
+
+  var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'x402-metered-'));
+  var registry = buildNetworks({ networks: [{ chainId: 1030, rpcUrls: ['http://rpc.invalid'], escrowAdapter: adapter, assets: {
+    [usdt0]: { symbol: 'USDT0', decimals: 6, eip3009: true, eip712Name: 'USDT0', eip712Version: '1' },
+  } }] });
+  var settled = [];
+  var facilitator = new Facilitator({
+    networks: registry.networks, defaultNetwork: registry.defaultNetwork,
+    signers: [relayer(collector), relayer('0x0000000000000000000000000000000000000c02')],
+    nonceStorePath: path.join(dir, 'nonces.jsonl'), settlementStorePath: path.join(dir, 'settlements.jsonl'),
+    escrowStorePath: path.join(dir, 'escrow.jsonl'), refundStorePath: path.join(dir, 'refunds.jsonl'), webhookStorePath: path.join(dir, 'webhooks.jsonl'),
+    paymentLedger: 'jsonl', paymentStorePath: path.join(dir, 'payments.jsonl'),
+    relayer: { pollInterval: 1 }, createProvider: function() { return fakeProvider; },
+    onSettlement: function(event) { settled.push(event); }, logger: quiet, now: function() { return clock; },
+  });
+  await facilitator.init();
+
+  var kinds = supportedKinds(registry.networks, { collector: facilitator.collector });
+  var meteredTransfer = kinds.find(function(k) { return k.scheme === 'upto' && k.settlementMode === 'transfer'; });
+  (facilitator.collector === collector && meteredTransfer && meteredTransfer.extra.collector === collector
+    && kinds.some(function(k) { return k.scheme === 'upto' && k.settlementMode === 'escrow'; })
+    && !supportedKinds(registry.networks).some(function(k) { return k.scheme === 'upto' && k.settlementMode === 'transfer'; }))
+    ? pass('/x402/supported lists upto kinds (transfer with the collector, escrow with the adapter)') : fail('Kinds: ' + JSON.stringify(kinds));
+
+  var transferReq = { scheme: 'upto', network: 'eip155:1030', amount: '100', asset: usdt0, payTo: collector,
+    extra: { settlementMode: 'transfer', treasury: treasury, name: 'USDT0', version: '1' } };
+  var escrowReq = { scheme: 'upto', network: 'eip155:1030', amount: '100', asset: usdt0, payTo: adapter,
+    extra: { assetTransferMethod: 'eip3009', orderId: ethers.id('metered-order'), name: 'USDT0', version: '1' } };
+  async function sign(to, value) {
+    var authorization = { from: buyer.address, to: to, value: value || '100', validAfter: '0', validBefore: String(clock + 600), nonce: ethers.hexlify(ethers.randomBytes(32)) };
+    var domain = { name: 'USDT0', version: '1', chainId: 1030, verifyingContract: usdt0 };
+    return { x402Version: 2, scheme: 'upto', network: 'eip155:1030',
+      payload: { signature: await buyer.signTypedData(domain, TRANSFER_AUTH_TYPES, authorization), authorization: authorization } };
+  }
+
+  try {
+    var payload = await sign(collector);
+    var verified = await facilitator.verifyTransfer({ payload: payload, requirements: transferReq });
+    verified.body.valid === true ? pass('Metered transfer authorized to the collector verifies') : fail('Verify: ' + JSON.stringify(verified.body));
+
+    var noCharge = await facilitator.settleTransfer({ payload: payload, requirements: transferReq });
+    var overCharge = await facilitator.settleTransfer({ payload: payload, requirements: transferReq, charge: '101' });
+    var badValue = JSON.parse(JSON.stringify(payload));
+    badValue.payload.authorization.value = 'abc';
+    var nonNumeric = await facilitator.settleTransfer({ payload: badValue, requirements: transferReq, charge: '30' });
+    (noCharge.statusCode === 400 && overCharge.statusCode === 400 && /charge/.test(overCharge.body.error) && txs.length === 0
+      && nonNumeric.statusCode === 400 && nonNumeric.body.error === 'Authorization value must be an integer amount')
+      ? pass('Missing or excessive charge and a non-numeric value rejected before anything is broadcast') : fail('Charge validation: ' + JSON.stringify([noCharge, overCharge, nonNumeric]));
+
+    // Verification holds the nonce until the route settles: replays of the header fail verify
+    var replayed = await facilitator.verifyTransfer({ payload: payload, requirements: transferReq });
+    (replayed.body.valid === false && replayed.body.reason === 'Nonce already used' && facilitator.nonceStore.stats().authorized === 1)
+      ? pass('Verifying a metered payment holds its nonce; a replay is rejected') : fail('Metered replay: ' + JSON.stringify(replayed.body));
+
+    var result = await facilitator.settleTransfer({ payload: payload, requirements: transferReq, charge: '30' });
+    var body = result.body;
+    (result.statusCode === 200 && body.scheme === 'upto' && body.authorized === '100' && body.charged === '30' && body.refunded === '70'
+      && body.transaction === ethers.id('metered-tx1') && body.chargeTransaction === ethers.id('metered-tx2') && body.refundTransaction === ethers.id('metered-tx3'))
+      ? pass('Settle receipt shows the authorized, charged and refunded amounts') : fail('Metered settle: ' + JSON.stringify(result));
+    (txs.length === 3 && txs[0].name === 'transferWithAuthorization' && txs[0].args[1].toLowerCase() === collector && txs[0].args[2] === 100n
+      && txs[1].name === 'transfer' && txs[1].from === collector && txs[1].args[0].toLowerCase() === treasury && txs[1].args[1] === 30n
+      && txs[2].name === 'transfer' && txs[2].from === collector && txs[2].args[0] === buyer.address && txs[2].args[1] === 70n)
+      ? pass('Collector pulls the maximum, forwards the charge and returns the rest') : fail('Transactions: ' + JSON.stringify(txs.map(function(t) { return [t.from, t.name, String(t.args[1])]; })));
+    (settled.length === 1 && settled[0].amount === '30') ? pass('onSettlement reports the charged amount') : fail('Events: ' + JSON.stringify(settled));
+    var replay = await facilitator.settleTransfer({ payload: payload, requirements: transferReq, charge: '30' });
+    replay.statusCode === 409 ? pass('Metered authorizations settle once') : fail('Replay: ' + JSON.stringify(replay.body));
+
+    txs.length = 0;
+    var full = await facilitator.settleTransfer({ payload: await sign(collector), requirements: transferReq, charge: '100' });
+    (full.body.refunded === '0' && full.body.refundTransaction === null && txs.length === 2)
+      ? pass('Full charge sends no refund') : fail('Full charge: ' + JSON.stringify(full.body));
+
+    txs.length = 0;
+    var escrow = await facilitator.settle({ payload: await sign(adapter), requirements: escrowReq, charge: '40' });
+    (escrow.body.success && escrow.body.chargeTransaction === null && txs.length === 2 && txs[0].name === 'settlePayment'
+      && txs[1].name === 'refund' && txs[1].to === adapter && txs[1].args[0] === escrowReq.extra.orderId && txs[1].args[1] === 60n)
+      ? pass('Escrow mode locks the maximum and refunds the difference through the adapter') : fail('Escrow: ' + JSON.stringify(escrow.body));
+
+    txs.length = 0;
+    failOn = 'transfer';
+    var stuck = await facilitator.settleTransfer({ payload: await sign(collector), requirements: transferReq, charge: '10' });
+    failOn = null;
+    (stuck.statusCode === 500 && /^Metered settlement incomplete/.test(stuck.body.error) && stuck.body.transaction === ethers.id('metered-tx1') && txs.length === 1)
+      ? pass('A failed split is reported with the authorization transaction') : fail('Incomplete: ' + JSON.stringify(stuck));
+
+    // Middleware: verify before the route, settle from the route
+    txs.length = 0;
+    var gate = new X402PaymentGate({ facilitator: facilitator, payTo: treasury, routes: { 'GET /metered': { scheme: 'upto', price: '100', asset: 'USDT0' } } });
+    var challenge = decodeHeader((await gate.process({ method: 'GET', url: '/metered', headers: {} })).headers['PAYMENT-REQUIRED'])[0];
+    (challenge.scheme === 'upto' && challenge.payTo === collector && challenge.extra.treasury === treasury)
+      ? pass('Metered routes ask for an authorization to the collector on behalf of payTo') : fail('Challenge: ' + JSON.stringify(challenge));
+    var charge = null;
+    var app = http.createServer(x402Http(gate, async function(req, res) {
+      var receipt = charge ? await req.x402.settle(charge) : null;
+      res.end(JSON.stringify({ authorized: req.x402.authorized, charged: receipt && receipt.charged }));
+    }));
+    await new Promise(function(resolve) { app.listen(0, '127.0.0.1', resolve); });
+    try {
+      var url = 'http://127.0.0.1:' + app.address().port + '/metered';
+      charge = '25';
+      var paid = await fetch(url, { headers: { 'PAYMENT-SIGNATURE': encodeHeader(await sign(collector)) } });
+      var receipt = decodeHeader(paid.headers.get('payment-response'));
+      (paid.status === 200 && receipt.authorized === '100' && receipt.charged === '25' && (await paid.json()).charged === '25' && txs.length === 3)
+        ? pass('req.x402.settle(charge) settles and sets PAYMENT-RESPONSE') : fail('Route settle: ' + JSON.stringify(receipt));
+      charge = null;
+      var unserved = await fetch(url, { headers: { 'PAYMENT-SIGNATURE': encodeHeader(await sign(collector)) } });
+      (unserved.status === 200 && !unserved.headers.get('payment-response') && txs.length === 3)
+        ? pass('Nothing is charged when the route does not settle') : fail('Unserved request charged');
+
+      var lookups = 0;
+      var remote = new X402PaymentGate({ facilitatorUrl: 'http://facilitator.invalid', payTo: treasury, networksPath: 'facilitator/networks.json',
+        routes: { 'GET /metered': { scheme: 'upto', price: '100' } },
+        fetch: async function() { lookups++; return new Response(JSON.stringify({ kinds: [Object.assign({}, meteredTransfer, { network: 'eip155:1030' })] })); } });
+      var first = decodeHeader((await remote.process({ method: 'GET', url: '/metered', headers: {} })).headers['PAYMENT-REQUIRED'])[0];
+      await remote.process({ method: 'GET', url: '/metered', headers: {} });
+      (first.payTo === collector && lookups === 1) ? pass('HTTP mode looks the collector up once from /x402/supported') : fail('Collector lookup: ' + lookups + ' ' + first.payTo);
+    } finally {
+      app.close();
+    }
+  } finally {
+    facilitator.stop();
+  }
+
+  // Buyer side: SDK, agent ledger and the demo spend cap
+  var offer = Object.assign({}, transferReq);
+  var picked = sdk.selectRequirements([offer]);
+  var signed = await sdk.signPayment(picked, buyer);
+  var excluded = null;
+  try { sdk.selectRequirements([offer], { schemes: ['exact'] }); } catch (e) { excluded = e; }
+  (signed.scheme === 'upto' && signed.payload.authorization.to === collector && signed.payload.authorization.value === '100' && excluded && excluded.code === 'NO_COMPATIBLE_REQUIREMENTS')
+    ? pass('SDK signs upto requirements for the maximum and can exclude them') : fail('SDK upto: ' + JSON.stringify(signed));
+  var amounts = sdk.paymentAmounts(offer, { success: true, charged: '30', refunded: '70' });
+  var exact = sdk.paymentAmounts({ amount: '100' }, { success: true });
+  (amounts.authorized === '100' && amounts.charged === '30' && exact.charged === '100' && sdk.paymentAmounts(offer, null).charged === null)
+    ? pass('paymentAmounts reads authorized and charged amounts from receipts') : fail('Amounts: ' + JSON.stringify([amounts, exact]));
+
+  var policy = new SpendPolicy({ policy: { assets: ['USDT0'], payTo: [treasury], daily: '1' }, ledgerPath: path.join(dir, 'agent.jsonl'),
+    networks: registry.networks, now: function() { return clock; } });
+  var entry = await policy.authorize({ url: 'http://api.test/metered', requirements: offer, payer: buyer.address });
+  var record = policy.settle(entry, { transaction: '0xabc', amount: '30' });
+  (entry.payTo === treasury && record.amount === '30' && record.authorized === '100' && policy.spent(usdt0, 0) === 30n)
+    ? pass('Agent spend policy checks the treasury and records the charged amount') : fail('Policy: ' + JSON.stringify(record));
+
+  var cap = new DailySpendCap({ filePath: path.join(dir, 'demo.jsonl'), limit: '1', now: function() { return clock; } });
+  var reservation = cap.reserve(usdt0, '100', 6);
+  cap.release(reservation, 70n);
+  cap.today()[0].spent === '30' ? pass('Demo spend cap keeps only the charged part of a reservation') : fail('Cap: ' + JSON.stringify(cap.today()));
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+// ============================================
+// 31. Escrow Lifecycle
+// ============================================
+
+async function testEscrowLifecycle() {
+  console.log('\n=== 31. Escrow Lifecycle ===');
+  var http = require('http');
+  var { ethers } = require('ethers');
+  var { createFacilitator } = require('../facilitator/lib/server.cjs');
+  var { buildNetworks } = require('../facilitator/lib/networks.cjs');
+  var { EscrowBook, escrowOrderId } = require('../facilitator/lib/escrow.cjs');
+  var { X402PaymentGate, x402Http, encodeHeader } = require('../middleware/x402-middleware.cjs');
+  var { LocalEvm, DEV_KEYS } = require('../local/lib/local-evm.cjs');
+  var { Logger } = require('../facilitator/lib/logger.cjs');
+  var sdk = require('../assets/js/lib/x402Client.js');
+  var quiet = new Logger({ level: 'silent' });
+  var skew = 0;
+  var now = function() { return Math.floor(Date.now() / 1000) + skew; };
+
+  var evm = new LocalEvm({ chainId: 31337 });
+  await evm.start();
+  var relayer = new ethers.Wallet(DEV_KEYS[1]);
+  var treasury = ethers.Wallet.createRandom().address;
+  var buyer = ethers.Wallet.createRandom();
+  var token = await evm.deployToken({ name: 'USDT0', decimals: 6 });
+  var adapter = await evm.deployEscrowAdapter({ payee: treasury, operators: [relayer.address] });
+  await token.mint(buyer.address, 10000n);
+
+  var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'x402-escrow-'));
+  var registry = buildNetworks({ networks: [{ chainId: 31337, rpcUrls: [evm.url], escrowAdapter: adapter.address, assets: {
+    [token.address.toLowerCase()]: { symbol: 'USDT0', decimals: 6, eip3009: true, eip712Name: 'USDT0', eip712Version: '1' },
+  } }] });
+  var app = createFacilitator({ provider: evm.provider(), signer: relayer, logger: quiet, clock: now, config: {
+    networks: registry.networks, defaultNetwork: registry.defaultNetwork, apiKey: 'escrow-key',
+    nonceStorePath: path.join(dir, 'nonces.jsonl'), settlementStorePath: path.join(dir, 'settlements.jsonl'),
+    escrowStorePath: path.join(dir, 'escrow.jsonl'), refundStorePath: path.join(dir, 'refunds.jsonl'), webhookStorePath: path.join(dir, 'webhooks.jsonl'),
+    paymentLedger: 'jsonl', paymentStorePath: path.join(dir, 'payments.jsonl'), escrowTtl: 60, escrowSweepInterval: 0,
+    demoSpendPath: path.join(dir, 'demo.jsonl'), relayer: { pollInterval: 10 },
+    rateLimits: { apiKey: null, payer: null, routes: new Map() },
+  } });
+  await app.init();
+  var facilitator = app.facilitator;
+  var server = http.createServer(app);
+  await new Promise(function(resolve) { server.listen(0, '127.0.0.1', resolve); });
+  var base = 'http://127.0.0.1:' + server.address().port;
+
+  function requirements(orderId, amount) {
+    return { scheme: 'exact', network: 'eip155:31337', amount: String(amount), asset: token.address.toLowerCase(), payTo: adapter.address,
+      extra: { assetTransferMethod: 'eip3009', orderId: escrowOrderId(orderId), name: 'USDT0', version: '1' } };
+  }
+  async function hold(orderId, amount) {
+    var reqs = requirements(orderId, amount);
+    return facilitator.settle({ payload: await sdk.signPayment(reqs, buyer), requirements: reqs });
+  }
+  function call(method, route, body, key) {
+    return fetch(base + route, { method: method, headers: { 'X-API-Key': key === undefined ? 'escrow-key' : key, 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body) })
+      .then(function(res) { return res.json().then(function(data) { return { status: res.status, body: data }; }); });
+  }
+
+  try {
+    var settled = await hold('order-a', 1000);
+    var orderA = escrowOrderId('order-a');
+    var status = await call('GET', '/x402/escrow/order-a');
+    (settled.body.success && status.status === 200 && status.body.status === 'held' && status.body.orderId === orderA
+      && status.body.amount === '1000' && status.body.remaining === '1000' && status.body.buyer === buyer.address
+      && status.body.expiresAt === now() + 60 && status.body.history[0].transaction === settled.body.transaction
+      && await token.balanceOf(adapter.address) === 1000n)
+      ? pass('Escrow settlements are booked as held orders with an expiry') : fail('Held order: ' + JSON.stringify([settled.body, status]));
+
+    var unauthorized = await call('GET', '/x402/escrow/order-a', undefined, '');
+    var missing = await call('GET', '/x402/escrow/' + ethers.id('never-paid'));
+    (unauthorized.status === 401 && missing.status === 404 && missing.body.error === 'Order not found')
+      ? pass('Escrow endpoints need the API key; unknown orders are 404') : fail('Auth / 404: ' + JSON.stringify([unauthorized, missing]));
+    var garbled = await call('GET', '/x402/escrow/%E0%A4%A');
+    var garbledRefund = await call('POST', '/x402/escrow/%E0%A4%A/refund', { amount: '1' });
+    (garbled.status === 400 && garbled.body.error === 'Malformed order id' && garbledRefund.status === 400)
+      ? pass('Malformed order ids in the path are 400') : fail('Malformed order id: ' + JSON.stringify([garbled, garbledRefund]));
+
+    var partial = await call('POST', '/x402/escrow/' + orderA + '/refund', { amount: '300', reason: 'partial delivery' });
+    var excessive = await call('POST', '/x402/escrow/' + orderA + '/refund', { amount: '701' });
+    (partial.status === 200 && partial.body.amount === '300' && partial.body.order.status === 'held' && partial.body.order.remaining === '700'
+      && excessive.status === 400 && /remaining 700/.test(excessive.body.error) && await token.balanceOf(buyer.address) === 9300n)
+      ? pass('Partial refunds return part of an order and keep the rest held') : fail('Partial refund: ' + JSON.stringify([partial, excessive]));
+
+    var released = await call('POST', '/x402/escrow/' + orderA + '/release');
+    var again = await call('POST', '/x402/escrow/' + orderA + '/release');
+    var afterRelease = await call('GET', '/x402/escrow/' + orderA);
+    (released.status === 200 && released.body.amount === '700' && await token.balanceOf(treasury) === 700n
+      && again.status === 409 && again.body.error === 'Order is released'
+      && afterRelease.body.status === 'released' && afterRelease.body.remaining === '0' && afterRelease.body.history.length === 3)
+      ? pass('Release pays the rest to the seller, once') : fail('Release: ' + JSON.stringify([released, again, afterRelease.body]));
+
+    // Dispute: out of the expiry sweep until it is resolved
+    await hold('order-b', 500);
+    await hold('order-c', 400);
+    var disputed = await call('POST', '/x402/escrow/order-b/dispute', { reason: 'wrong answer' });
+    var twice = await facilitator.disputeEscrow({ orderId: 'order-b' });
+    (disputed.status === 200 && disputed.body.order.status === 'disputed' && twice.statusCode === 409
+      && disputed.body.order.history[1].reason === 'wrong answer')
+      ? pass('Disputes freeze held orders') : fail('Dispute: ' + JSON.stringify([disputed, twice.body]));
+
+    skew = 61;
+    var sweep = await call('POST', '/x402/escrow/sweep');
+    var orderB = await facilitator.escrowOrder({ orderId: 'order-b' });
+    (sweep.status === 200 && sweep.body.action === 'refund' && sweep.body.swept === 1 && sweep.body.orders.length === 1
+      && sweep.body.orders[0].orderId === escrowOrderId('order-c') && orderB.body.status === 'disputed'
+      && await token.balanceOf(buyer.address) === 9300n - 500n)
+      ? pass('The expiry sweep refunds expired held orders and skips disputed ones') : fail('Sweep: ' + JSON.stringify([sweep.body, orderB.body]));
+    var resolved = await facilitator.refundEscrow({ orderId: 'order-b', reason: 'dispute upheld' });
+    (resolved.body.success && resolved.body.order.status === 'refunded' && await token.balanceOf(buyer.address) === 9300n)
+      ? pass('A disputed order is resolved by an explicit refund') : fail('Resolve: ' + JSON.stringify(resolved.body));
+    skew = 0;
+
+    var book = new EscrowBook({ filePath: path.join(dir, 'escrow.jsonl'), now: now });
+    var health = await facilitator.health();
+    (book.get('eip155:31337', orderA).status === 'released' && book.stats().refunded === 2
+      && health.body.escrow.released === 1 && health.body.escrow.refunded === 2)
+      ? pass('Escrow orders are persisted and counted in /x402/health') : fail('Book: ' + JSON.stringify(book.stats()));
+
+    // Resource server: refund automatically when the route fails, release when it delivers
+    var refunds = [];
+    var refunded = null;
+    var gate = new X402PaymentGate({ facilitator: facilitator, payTo: treasury, routes: {
+      'GET /answer': { mode: 'escrow', price: '250', asset: 'USDT0' },
+      'GET /keep': { mode: 'escrow', price: '250', asset: 'USDT0', autoRefund: false },
+    }, onRefund: function(event) { refunds.push(event); refunded(); } });
+    var outcome = 'fail';
+    var seller = http.createServer(x402Http(gate, async function(req, res) {
+      if (outcome === 'deliver') await req.x402.release('delivered');
+      res.writeHead(outcome === 'deliver' ? 200 : 502, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ orderId: req.x402.orderId }));
+    }));
+    await new Promise(function(resolve) { seller.listen(0, '127.0.0.1', resolve); });
+    try {
+      var sellerUrl = 'http://127.0.0.1:' + seller.address().port;
+      var offer = sdk.parsePaymentRequired(await fetch(sellerUrl + '/answer'))[0];
+      var payment = await sdk.signPayment(offer, buyer);
+      var waiting = new Promise(function(resolve) { refunded = resolve; });
+      var failed = await fetch(sellerUrl + '/answer', { headers: { 'PAYMENT-SIGNATURE': encodeHeader(payment) } });
+      var failedOrder = (await failed.json()).orderId;
+      await waiting;
+      (failed.status === 502 && failedOrder === payment.payload.authorization.nonce && refunds.length === 1 && refunds[0].receipt.success
+        && refunds[0].reason === 'Resource server answered 502' && await token.balanceOf(buyer.address) === 9300n
+        && (await facilitator.escrowOrder({ orderId: failedOrder })).body.status === 'refunded')
+        ? pass('A failed escrow route is refunded automatically (order id = authorization nonce)') : fail('Auto refund: ' + JSON.stringify(refunds));
+
+      outcome = 'deliver';
+      var delivered = await fetch(sellerUrl + '/answer', { headers: { 'PAYMENT-SIGNATURE': encodeHeader(await sdk.signPayment(offer, buyer)) } });
+      var deliveredOrder = (await delivered.json()).orderId;
+      (delivered.status === 200 && deliveredOrder !== failedOrder && await token.balanceOf(treasury) === 950n
+        && (await facilitator.escrowOrder({ orderId: deliveredOrder })).body.status === 'released')
+        ? pass('req.x402.release() pays the seller once the route delivers') : fail('Release from route: ' + delivered.status);
+
+      outcome = 'fail';
+      var keepOffer = sdk.parsePaymentRequired(await fetch(sellerUrl + '/keep'))[0];
+      var kept = await fetch(sellerUrl + '/keep', { headers: { 'PAYMENT-SIGNATURE': encodeHeader(await sdk.signPayment(keepOffer, buyer)) } });
+      var keptOrder = (await kept.json()).orderId;
+      await new Promise(function(resolve) { setTimeout(resolve, 50); });
+      (kept.status === 502 && refunds.length === 1 && (await facilitator.escrowOrder({ orderId: keptOrder })).body.status === 'held')
+        ? pass('autoRefund: false leaves a failed order held') : fail('autoRefund off: ' + refunds.length);
+    } finally {
+      seller.close();
+    }
+  } finally {
+    server.close();
+    app.stop();
+    await evm.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// ============================================
+// 32. Refunds of Failed Transfer Payments
+// ============================================
+
+async function testRefunds() {
+  console.log('\n=== 32. Refunds of Failed Transfer Payments ===');
+  var http = require('http');
+  var { ethers } = require('ethers');
+  var { createFacilitator } = require('../facilitator/lib/server.cjs');
+  var { buildNetworks } = require('../facilitator/lib/networks.cjs');
+  var { RefundLedger } = require('../facilitator/lib/refunds.cjs');
+  var { X402PaymentGate, x402Http, decodeHeader } = require('../middleware/x402-middleware.cjs');
+  var { SpendPolicy } = require('../agent/lib/spend-policy.cjs');
+  var { LocalEvm, DEV_KEYS } = require('../local/lib/local-evm.cjs');
+  var { Logger } = require('../facilitator/lib/logger.cjs');
+  var sdk = require('../assets/js/lib/x402Client.js');
+  var quiet = new Logger({ level: 'silent' });
+
+  var evm = new LocalEvm({ chainId: 31337 });
+  await evm.start();
+  var relayer = new ethers.Wallet(DEV_KEYS[1]);
+  var treasury = ethers.Wallet.createRandom().address;
+  var buyer = ethers.Wallet.createRandom();
+  var token = await evm.deployToken({ name: 'USDT0', decimals: 6 });
+  await token.mint(buyer.address, 10000n);
+
+  var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'x402-refunds-'));
+  var registry = buildNetworks({ networks: [{ chainId: 31337, rpcUrls: [evm.url], assets: {
+    [token.address.toLowerCase()]: { symbol: 'USDT0', decimals: 6, eip3009: true, eip712Name: 'USDT0', eip712Version: '1' },
+  } }] });
+  var app = createFacilitator({ provider: evm.provider(), signer: relayer, logger: quiet, config: {
+    networks: registry.networks, defaultNetwork: registry.defaultNetwork, apiKey: 'refund-key',
+    nonceStorePath: path.join(dir, 'nonces.jsonl'), settlementStorePath: path.join(dir, 'settlements.jsonl'),
+    escrowStorePath: path.join(dir, 'escrow.jsonl'), refundStorePath: path.join(dir, 'refunds.jsonl'), webhookStorePath: path.join(dir, 'webhooks.jsonl'),
+    paymentLedger: 'jsonl', paymentStorePath: path.join(dir, 'payments.jsonl'),
+    demoSpendPath: path.join(dir, 'demo.jsonl'), relayer: { pollInterval: 10 },
+    rateLimits: { apiKey: null, payer: null, routes: new Map() },
+  } });
+  await app.init();
+  var facilitator = app.facilitator;
+  var server = http.createServer(app);
+  await new Promise(function(resolve) { server.listen(0, '127.0.0.1', resolve); });
+  var base = 'http://127.0.0.1:' + server.address().port;
+
+  var offer = { scheme: 'exact', network: 'eip155:31337', amount: '400', asset: token.address.toLowerCase(), payTo: treasury,
+    extra: { settlementMode: 'transfer', name: 'USDT0', version: '1' } };
+  async function pay() {
+    return facilitator.settleTransfer({ payload: await sdk.signPayment(offer, buyer), requirements: offer });
+  }
+  function refund(body, key) {
+    return fetch(base + '/x402/refund', { method: 'POST', headers: { 'X-API-Key': key === undefined ? 'refund-key' : key, 'Content-Type': 'application/json' },
+      body: JSON.stringify(body) })
+      .then(function(res) { return res.json().then(function(data) { return { status: res.status, body: data }; }); });
+  }
+
+  try {
+    var settled = await pay();
+    var transaction = settled.body.transaction;
+    var noAllowance = await refund({ transaction: transaction, network: 'eip155:31337' });
+    (settled.body.success && noAllowance.status === 409 && /allowance for the collector/.test(noAllowance.body.error)
+      && await token.balanceOf(treasury) === 400n)
+      ? pass('Refunds need the treasury to approve the collector') : fail('No allowance: ' + JSON.stringify(noAllowance));
+
+    await token.approve(treasury, relayer.address, 1000n);
+    var unauthorized = await refund({ transaction: transaction }, '');
+    var refunded = await refund({ transaction: transaction, reason: 'AI service error' });
+    (unauthorized.status === 401 && refunded.status === 200 && refunded.body.success && refunded.body.status === 'refunded'
+      && refunded.body.settlementTransaction === transaction.toLowerCase() && refunded.body.payer === buyer.address
+      && refunded.body.amount === '400' && refunded.body.reason === 'AI service error' && ethers.isHexString(refunded.body.transaction, 32)
+      && await token.balanceOf(buyer.address) === 10000n && await token.balanceOf(treasury) === 0n && await token.allowance(treasury, relayer.address) === 600n)
+      ? pass('POST /x402/refund sends the settled amount from the treasury back to the payer') : fail('Refund: ' + JSON.stringify([unauthorized, refunded]));
+
+    var again = await refund({ transaction: transaction });
+    (again.status === 200 && again.body.transaction === refunded.body.transaction && await token.balanceOf(buyer.address) === 10000n
+      && await token.allowance(treasury, relayer.address) === 600n)
+      ? pass('Refunds are idempotent per settlement transaction') : fail('Second refund: ' + JSON.stringify(again));
+
+    var unknown = await refund({ transaction: ethers.id('never-mined') });
+    var malformed = await refund({ transaction: '0x1234' });
+    var notSettlement = await refund({ transaction: refunded.body.transaction });
+    (unknown.status === 404 && malformed.status === 400 && notSettlement.status === 400 && notSettlement.body.error === 'Not a transfer settlement')
+      ? pass('Unknown, malformed and non-settlement transactions are rejected') : fail('Rejected: ' + JSON.stringify([unknown, malformed, notSettlement]));
+
+    var ledger = new RefundLedger({ filePath: path.join(dir, 'refunds.jsonl') });
+    var health = await facilitator.health();
+    (ledger.get('eip155:31337', transaction).status === 'refunded' && health.body.refunds.refunded === 1)
+      ? pass('Refunds are persisted and counted in /x402/health') : fail('Ledger: ' + JSON.stringify(ledger.stats()));
+
+    // The node fails after (or instead of) broadcasting: the refund stays pending with its hash and the chain decides
+    var provider = facilitator.getChain('eip155:31337').relayers.member(relayer.address).manager.provider;
+    var broadcast = provider.broadcastTransaction;
+    var failBroadcast = async function(fn, reach) {
+      provider.broadcastTransaction = async function(signed) {
+        if (reach) await broadcast.call(provider, signed);
+        throw new Error('socket hang up');
+      };
+      try { return await fn(); } finally { provider.broadcastTransaction = broadcast; }
+    };
+    var lost = (await pay()).body.transaction;
+    var lostReply = await failBroadcast(function() { return refund({ transaction: lost }); }, true);
+    var lostRecord = facilitator.refunds.get('eip155:31337', lost);
+    var lostRetry = await refund({ transaction: lost });
+    (lostReply.status === 500 && lostRecord.status === 'pending' && ethers.isHexString(lostRecord.refundTransaction, 32)
+      && lostRetry.status === 200 && lostRetry.body.transaction === lostRecord.refundTransaction
+      && await token.balanceOf(buyer.address) === 10000n && await token.allowance(treasury, relayer.address) === 200n)
+      ? pass('A refund broadcast before a node error is recorded with its hash and never sent twice') : fail('Lost refund: ' + JSON.stringify([lostReply, lostRecord, lostRetry]));
+
+    await token.approve(treasury, relayer.address, 1000n);
+    var dropped = (await pay()).body.transaction;
+    var droppedReply = await failBroadcast(function() { return refund({ transaction: dropped }); }, false);
+    var droppedHash = facilitator.refunds.get('eip155:31337', dropped).refundTransaction;
+    var unconfirmed = await refund({ transaction: dropped });
+    var filler = (await pay()).body.transaction; // takes the refund's nonce
+    var resent = await refund({ transaction: dropped });
+    await refund({ transaction: filler });
+    (droppedReply.status === 500 && unconfirmed.status === 409 && /is not confirmed yet/.test(unconfirmed.body.error)
+      && resent.status === 200 && resent.body.transaction !== droppedHash && await token.balanceOf(buyer.address) === 10000n
+      && await token.allowance(treasury, relayer.address) === 200n)
+      ? pass('A pending refund is sent again only once its nonce went to another transaction') : fail('Dropped refund: ' + JSON.stringify([droppedReply, unconfirmed, resent]));
+
+    var interrupted = ethers.id('interrupted-refund');
+    facilitator.refunds.update('eip155:31337', interrupted, { network: 'eip155:31337', status: 'pending', refundTransaction: null });
+    var unknownState = await refund({ transaction: interrupted });
+    (unknownState.status === 409 && /without a recorded transaction/.test(unknownState.body.error) && facilitator.refunds.get('eip155:31337', interrupted).status === 'pending')
+      ? pass('A pending refund without a transaction hash is not sent again') : fail('No hash: ' + JSON.stringify(unknownState));
+    await token.approve(treasury, relayer.address, 600n);
+
+    // Resource server: refund explicitly from the route, or automatically on a 5xx
+    var autoRefunds = [];
+    var autoRefunded = null;
+    var gate = new X402PaymentGate({ facilitator: facilitator, payTo: treasury, routes: {
+      'GET /answer': { price: '250', asset: 'USDT0' },
+      'GET /keep': { price: '250', asset: 'USDT0', autoRefund: false },
+    }, onRefund: function(event) { autoRefunds.push(event); autoRefunded(); } });
+    var outcome = 'refund';
+    var seller = http.createServer(x402Http(gate, async function(req, res) {
+      var body = { success: outcome === 'deliver' };
+      if (outcome === 'refund') body.refund = await req.x402.refund({ reason: 'AI service error' });
+      res.writeHead(outcome === 'deliver' ? 200 : 502, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    }));
+    await new Promise(function(resolve) { seller.listen(0, '127.0.0.1', resolve); });
+    try {
+      var sellerUrl = 'http://127.0.0.1:' + seller.address().port;
+      var requests = 0;
+      var countingFetch = function(url, init) { requests++; return fetch(url, init); };
+      var explicit = await sdk.x402Fetch(sellerUrl + '/answer', {}, { signer: buyer, fetch: countingFetch });
+      var explicitBody = await explicit.json();
+      var header = decodeHeader(explicit.headers.get('payment-response'));
+      (explicit.status === 502 && requests === 2 && explicit.x402.refund && explicit.x402.refund.success
+        && explicit.x402.refund.transaction === explicitBody.refund.transaction && header.transaction === explicit.x402.refund.settlementTransaction
+        && await token.balanceOf(buyer.address) === 10000n && autoRefunds.length === 0)
+        ? pass('req.x402.refund() adds the receipt to PAYMENT-RESPONSE; the SDK exposes it and does not resend') : fail('Route refund: ' + JSON.stringify([explicit.status, requests, explicit.x402.refund]));
+
+      outcome = 'fail';
+      var waiting = new Promise(function(resolve) { autoRefunded = resolve; });
+      var failed = await sdk.x402Fetch(sellerUrl + '/answer', {}, { signer: buyer });
+      await waiting;
+      (failed.status === 502 && autoRefunds.length === 1 && autoRefunds[0].receipt.success && autoRefunds[0].reason === 'Resource server answered 502'
+        && autoRefunds[0].receipt.settlementTransaction === failed.x402.settlement.transaction.toLowerCase() && await token.balanceOf(buyer.address) === 10000n)
+        ? pass('A transfer route failing with a 5xx is refunded automatically') : fail('Auto refund: ' + JSON.stringify(autoRefunds));
+
+      var kept = await sdk.x402Fetch(sellerUrl + '/keep', {}, { signer: buyer });
+      await new Promise(function(resolve) { setTimeout(resolve, 50); });
+      (kept.status === 502 && autoRefunds.length === 1 && await token.balanceOf(buyer.address) === 9750n)
+        ? pass('autoRefund: false keeps a failed transfer') : fail('autoRefund off: ' + autoRefunds.length);
+    } finally {
+      seller.close();
+    }
+
+    // Agent: a refunded payment stops counting against the budgets
+    var spend = new SpendPolicy({ policy: { assets: ['USDT0'], daily: '1' }, ledgerPath: path.join(dir, 'agent.jsonl'), networks: registry.networks });
+    var entry = await spend.authorize({ url: 'http://localhost/api/x402/ai.php', requirements: offer, payer: buyer.address });
+    var pending = spend.usage('eip155:31337', offer.asset).daily.spent;
+    spend.refund(entry, { transaction: refunded.body.transaction, reason: 'AI service error' });
+    var recorded = spend.history(1)[0];
+    (pending === 400n && spend.usage('eip155:31337', offer.asset).daily.spent === 0n && recorded.status === 'refunded'
+      && recorded.refundTransaction === refunded.body.transaction)
+      ? pass('Agent ledger records refunded payments outside the budgets') : fail('Agent refund: ' + JSON.stringify(recorded));
+  } finally {
+    server.close();
+    app.stop();
+    await evm.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// ============================================
+// 33. Payment Webhooks
+// ============================================
+
+async function testWebhooks() {
+  console.log('\n=== 33. Payment Webhooks ===');
+  var http = require('http');
+  var { ethers } = require('ethers');
+  var { createFacilitator } = require('../facilitator/lib/server.cjs');
+  var { buildNetworks } = require('../facilitator/lib/networks.cjs');
+  var { WebhookDispatcher, parseWebhookEndpoints, signWebhook, verifyWebhookSignature } = require('../facilitator/lib/webhooks.cjs');
+  var { LocalEvm, DEV_KEYS } = require('../local/lib/local-evm.cjs');
+  var { Logger } = require('../facilitator/lib/logger.cjs');
+  var sdk = require('../assets/js/lib/x402Client.js');
+  var quiet = new Logger({ level: 'silent' });
+  var secret = 'whsec-test';
+
+  var body = JSON.stringify({ id: 'evt_1', type: 'payment.settled' });
+  var signature = signWebhook(secret, 1000, body);
+  (/^sha256=[0-9a-f]{64}$/.test(signature)
+    && verifyWebhookSignature({ secret: secret, body: body, timestamp: '1000', signature: signature, now: 1100 })
+    && !verifyWebhookSignature({ secret: secret, body: body + ' ', timestamp: '1000', signature: signature, now: 1100 })
+    && !verifyWebhookSignature({ secret: 'other', body: body, timestamp: '1000', signature: signature, now: 1100 })
+    && !verifyWebhookSignature({ secret: secret, body: body, timestamp: '1000', signature: signature, now: 1400 }))
+    ? pass('Webhook signatures cover timestamp and body and expire after the tolerance') : fail('Signature: ' + signature);
+
+  var endpoints = parseWebhookEndpoints(' http://a.example/hook , http://b.example/hook', 'payment.settled,payment.refunded');
+  var threw = function(options) { try { new WebhookDispatcher(options); return null; } catch (error) { return error.message; } };
+  var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'x402-webhooks-'));
+  (endpoints.length === 2 && endpoints[0].url === 'http://a.example/hook' && endpoints[1].events.join() === 'payment.settled,payment.refunded'
+    && parseWebhookEndpoints('http://a.example/hook')[0].events.length === 4 && parseWebhookEndpoints('').length === 0
+    && /X402_WEBHOOK_SECRET is required/.test(threw({ filePath: path.join(dir, 'a.jsonl'), endpoints: endpoints }))
+    && /Unknown webhook event "payment.paid"/.test(threw({ filePath: path.join(dir, 'a.jsonl'), secret: secret, endpoints: parseWebhookEndpoints('http://a.example/hook', 'payment.paid') })))
+    ? pass('Webhook endpoints parse from env; a missing secret or unknown event is rejected') : fail('Endpoints: ' + JSON.stringify(endpoints));
+
+  // Receiver: records signed requests, answers `answer`
+  var received = [];
+  var answer = 200;
+  var waiters = [];
+  var receiver = http.createServer(function(req, res) {
+    var chunks = [];
+    req.on('data', function(chunk) { chunks.push(chunk); });
+    req.on('end', function() {
+      var raw = Buffer.concat(chunks).toString();
+      received.push({ headers: req.headers, raw: raw, event: JSON.parse(raw), valid: verifyWebhookSignature({
+        secret: secret, body: raw, timestamp: req.headers['x-x402-timestamp'], signature: req.headers['x-x402-signature'],
+        now: Number(req.headers['x-x402-timestamp']),
+      }) });
+      res.writeHead(answer);
+      res.end();
+      waiters.splice(0).forEach(function(resolve) { resolve(); });
+    });
+  });
+  await new Promise(function(resolve) { receiver.listen(0, '127.0.0.1', resolve); });
+  var hookUrl = 'http://127.0.0.1:' + receiver.address().port + '/hook';
+  function waitForEvents(count) {
+    return new Promise(function(resolve, reject) {
+      var timer = setTimeout(function() { reject(new Error('Timed out waiting for ' + count + ' webhooks, got ' + received.length)); }, 5000);
+      (function check() {
+        if (received.length >= count) { clearTimeout(timer); return resolve(); }
+        waiters.push(check);
+      })();
+    });
+  }
+
+  var evm = null;
+  var server = null;
+  var app = null;
+  try {
+    // Retries with a controllable clock
+    var clock = 1000;
+    var storePath = path.join(dir, 'deliveries.jsonl');
+    var dispatcher = new WebhookDispatcher({ filePath: storePath, endpoints: parseWebhookEndpoints(hookUrl), secret: secret,
+      maxAttempts: 3, retryBase: 10, logger: quiet, now: function() { return clock; } });
+    answer = 500;
+    var emitted = dispatcher.emit('payment.failed', { transaction: null, error: 'boom' });
+    await dispatcher.attempt(emitted[0].id);
+    var first = dispatcher.get(emitted[0].id);
+    await dispatcher.poll();
+    var early = received.length;
+    clock += 10;
+    await dispatcher.poll();
+    var second = dispatcher.get(emitted[0].id);
+    clock += 20;
+    await dispatcher.poll();
+    var third = dispatcher.get(emitted[0].id);
+    (received.length === 3 && early === 1 && first.status === 'pending' && first.attempts === 1 && first.nextAttemptAt === 1010
+      && second.attempts === 2 && second.nextAttemptAt === 1030 && third.status === 'failed' && third.attempts === 3
+      && third.lastStatus === 500 && third.lastError === 'HTTP 500'
+      && received.every(function(r) { return r.valid && r.headers['x-x402-delivery'] === emitted[0].id && r.headers['x-x402-event'] === 'payment.failed'; }))
+      ? pass('Failed deliveries are retried with exponential backoff, then marked failed') : fail('Backoff: ' + JSON.stringify([first, second, third, received.length]));
+
+    var reloaded = new WebhookDispatcher({ filePath: storePath, endpoints: parseWebhookEndpoints(hookUrl), secret: secret, logger: quiet, now: function() { return clock; } });
+    answer = 200;
+    var replayed = await reloaded.replay(emitted[0].id);
+    (reloaded.stats().failed === 0 && replayed.status === 'delivered' && replayed.attempts === 1 && received.length === 4
+      && received[3].event.id === emitted[0].event.id && await reloaded.replay('missing') === null)
+      ? pass('Deliveries are persisted; a replayed delivery starts over and keeps its event id') : fail('Replay: ' + JSON.stringify(replayed));
+
+    // Facilitator: verify, settle and refund events, admin endpoints
+    evm = new LocalEvm({ chainId: 31337 });
+    await evm.start();
+    var relayer = new ethers.Wallet(DEV_KEYS[1]);
+    var treasury = ethers.Wallet.createRandom().address;
+    var buyer = ethers.Wallet.createRandom();
+    var token = await evm.deployToken({ name: 'USDT0', decimals: 6 });
+    await token.mint(buyer.address, 10000n);
+    await token.approve(treasury, relayer.address, 1000n);
+    var registry = buildNetworks({ networks: [{ chainId: 31337, rpcUrls: [evm.url], assets: {
+      [token.address.toLowerCase()]: { symbol: 'USDT0', decimals: 6, eip3009: true, eip712Name: 'USDT0', eip712Version: '1' },
+    } }] });
+    app = createFacilitator({ provider: evm.provider(), signer: relayer, logger: quiet, config: {
+      networks: registry.networks, defaultNetwork: registry.defaultNetwork, apiKey: 'hook-key',
+      nonceStorePath: path.join(dir, 'nonces.jsonl'), settlementStorePath: path.join(dir, 'settlements.jsonl'),
+      escrowStorePath: path.join(dir, 'escrow.jsonl'), refundStorePath: path.join(dir, 'refunds.jsonl'), webhookStorePath: path.join(dir, 'webhooks.jsonl'),
+      paymentLedger: 'jsonl', paymentStorePath: path.join(dir, 'payments.jsonl'),
+      webhookEndpoints: parseWebhookEndpoints(hookUrl), webhookSecret: secret, webhookMaxAttempts: 1,
+      demoSpendPath: path.join(dir, 'demo.jsonl'), relayer: { pollInterval: 10 },
+      rateLimits: { apiKey: null, payer: null, routes: new Map() },
+    } });
+    await app.init();
+    var facilitator = app.facilitator;
+    server = http.createServer(app);
+    await new Promise(function(resolve) { server.listen(0, '127.0.0.1', resolve); });
+    var base = 'http://127.0.0.1:' + server.address().port;
+    function admin(method, route, key) {
+      return fetch(base + route, { method: method, headers: { 'X-API-Key': key === undefined ? 'hook-key' : key } })
+        .then(function(res) { return res.json().then(function(data) { return { status: res.status, body: data }; }); });
+    }
+
+    var offer = { scheme: 'exact', network: 'eip155:31337', amount: '400', asset: token.address.toLowerCase(), payTo: treasury,
+      extra: { settlementMode: 'transfer', name: 'USDT0', version: '1' } };
+    var payment = { payload: await sdk.signPayment(offer, buyer), requirements: offer };
+    received = [];
+    await facilitator.verifyTransfer(payment);
+    var settled = await facilitator.settleTransfer(payment, { requestId: 'req-hook' });
+    await waitForEvents(2);
+    var verified = received.find(function(r) { return r.event.type === 'payment.verified'; });
+    var settledEvent = received.find(function(r) { return r.event.type === 'payment.settled'; });
+    (settled.body.success && verified && verified.valid && verified.event.data.payer === buyer.address && verified.event.data.amount === '400'
+      && settledEvent && settledEvent.valid && settledEvent.event.data.transaction === settled.body.transaction
+      && settledEvent.event.data.mode === 'transfer' && settledEvent.event.data.async === false && settledEvent.event.data.requestId === 'req-hook'
+      && /^evt_/.test(settledEvent.event.id))
+      ? pass('Verified and settled payments are posted as signed payment.verified / payment.settled') : fail('Settle events: ' + JSON.stringify(received.map(function(r) { return r.event; })));
+
+    var replay = await facilitator.settleTransfer(payment);
+    await facilitator.refundPayment({ transaction: settled.body.transaction, reason: 'AI service error' });
+    await waitForEvents(3);
+    var refundedEvent = received[2].event;
+    (replay.statusCode === 409 && refundedEvent.type === 'payment.refunded' && refundedEvent.data.kind === 'transfer'
+      && refundedEvent.data.settlementTransaction === settled.body.transaction.toLowerCase() && refundedEvent.data.amount === '400')
+      ? pass('Refunds are posted as payment.refunded; rejected duplicates send nothing') : fail('Refund event: ' + JSON.stringify(refundedEvent));
+
+    answer = 503;
+    var failedPayment = { payload: await sdk.signPayment(offer, buyer), requirements: offer };
+    failedPayment.payload.payload.authorization.value = '401'; // no longer matches the signature: the transfer reverts
+    var failedSettle = await facilitator.settleTransfer(failedPayment);
+    await waitForEvents(4);
+    await new Promise(function(resolve) { setTimeout(resolve, 50); });
+    var failedEvent = received[3].event;
+    var listed = await admin('GET', '/x402/webhooks/deliveries?status=failed');
+    var unauthorized = await admin('GET', '/x402/webhooks/deliveries', 'wrong');
+    var badStatus = await admin('GET', '/x402/webhooks/deliveries?status=lost');
+    (failedSettle.statusCode === 500 && failedEvent.type === 'payment.failed' && failedEvent.data.error && failedEvent.data.transaction === null
+      && listed.status === 200 && listed.body.deliveries.length === 1 && listed.body.deliveries[0].event.id === failedEvent.id
+      && listed.body.stats.failed === 1 && listed.body.stats.delivered === 3 && unauthorized.status === 401 && badStatus.status === 400)
+      ? pass('Failed settlements are posted as payment.failed; GET /x402/webhooks/deliveries lists deliveries') : fail('Deliveries: ' + JSON.stringify([failedEvent, listed, badStatus.status]));
+
+    answer = 200;
+    var one = await admin('POST', '/x402/webhooks/deliveries/' + listed.body.deliveries[0].id + '/replay');
+    var missing = await admin('POST', '/x402/webhooks/deliveries/nope/replay');
+    var garbled = await admin('POST', '/x402/webhooks/deliveries/%E0%A4%A/replay');
+    var all = await admin('POST', '/x402/webhooks/replay');
+    var health = await facilitator.health();
+    var metrics = app.metrics.render();
+    (one.status === 200 && one.body.delivery.status === 'delivered' && received.length === 5 && received[4].event.id === failedEvent.id
+      && missing.status === 404 && garbled.status === 400 && garbled.body.error === 'Malformed delivery id' && all.status === 200 && all.body.replayed === 0
+      && health.body.webhooks.endpoints === 1 && health.body.webhooks.delivered === 4 && health.body.webhooks.failed === 0
+      && /x402_webhook_deliveries\{status="delivered"\} 4/.test(metrics))
+      ? pass('Failed deliveries are replayed through the admin endpoints and counted in health and metrics') : fail('Admin replay: ' + JSON.stringify([one, missing, garbled, all, health.body.webhooks]));
+  } finally {
+    receiver.close();
+    if (server) server.close();
+    if (app) app.stop();
+    if (evm) await evm.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// ============================================
+// 34. Treasury Reconciliation
+// ============================================
+
+async function testReconciliation() {
+  console.log('\n=== 34. Treasury Reconciliation ===');
+  var { spawn } = require('child_process');
+  var { ethers } = require('ethers');
+  var { createFacilitator } = require('../facilitator/lib/server.cjs');
+  var { buildNetworks } = require('../facilitator/lib/networks.cjs');
+  var { parseCsv, readPaymentsFile } = require('../facilitator/lib/reconcile.cjs');
+  var { LocalEvm, DEV_KEYS, TOKEN_ABI } = require('../local/lib/local-evm.cjs');
+  var { Logger } = require('../facilitator/lib/logger.cjs');
+  var sdk = require('../assets/js/lib/x402Client.js');
+  var quiet = new Logger({ level: 'silent' });
+
+  var parsed = parseCsv('id,question,amount\r\n1,"Why, and ""how""?\nTwo lines",100\n\n2,plain,250\n');
+  (parsed.length === 2 && parsed[0].question === 'Why, and "how"?\nTwo lines' && parsed[0].amount === '100' && parsed[1].id === '2')
+    ? pass('psql CSV exports parse with quoted commas, quotes and newlines') : fail('CSV: ' + JSON.stringify(parsed));
+
+  var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'x402-reconcile-'));
+  var evm = new LocalEvm({ chainId: 31337 });
+  await evm.start();
+  var app = null;
+  try {
+    var relayer = new ethers.Wallet(DEV_KEYS[1]);
+    var treasury = ethers.Wallet.createRandom().address;
+    var buyer = ethers.Wallet.createRandom();
+    var usdt0 = await evm.deployToken({ name: 'USDT0', decimals: 6 });
+    var cnht0 = await evm.deployToken({ name: 'CNHT0', decimals: 6 });
+    var adapter = await evm.deployEscrowAdapter({ payee: treasury, operators: [relayer.address] });
+    await usdt0.mint(buyer.address, 10000n);
+    var assets = {
+      [usdt0.address.toLowerCase()]: { symbol: 'USDT0', decimals: 6, eip3009: true, eip712Name: 'USDT0', eip712Version: '1' },
+      [cnht0.address.toLowerCase()]: { symbol: 'CNHT0', decimals: 6, eip3009: true, eip712Name: 'CNHT0', eip712Version: '1' },
+    };
+    var networksPath = path.join(dir, 'networks.json');
+    fs.writeFileSync(networksPath, JSON.stringify({ defaultNetwork: 'eip155:31337', networks: [{ chainId: 31337, chainName: 'Local', rpcUrls: [evm.url], escrowAdapter: adapter.address, assets: assets }] }));
+    var registry = buildNetworks({ networks: [{ chainId: 31337, rpcUrls: [evm.url], escrowAdapter: adapter.address, assets: assets }] });
+    app = createFacilitator({ provider: evm.provider(), signer: relayer, logger: quiet, config: {
+      networks: registry.networks, defaultNetwork: registry.defaultNetwork, apiKey: 'reconcile-key',
+      nonceStorePath: path.join(dir, 'nonces.jsonl'), settlementStorePath: path.join(dir, 'settlements.jsonl'),
+      escrowStorePath: path.join(dir, 'escrow.jsonl'), refundStorePath: path.join(dir, 'refunds.jsonl'), webhookStorePath: path.join(dir, 'webhooks.jsonl'),
+      paymentLedger: 'jsonl', paymentStorePath: path.join(dir, 'payments.jsonl'),
+      demoSpendPath: path.join(dir, 'demo.jsonl'), relayer: { pollInterval: 10 },
+      rateLimits: { apiKey: null, payer: null, routes: new Map() },
+    } });
+    await app.init();
+    async function pay(amount) {
+      var offer = { scheme: 'exact', network: 'eip155:31337', amount: amount, asset: usdt0.address.toLowerCase(), payTo: treasury,
+        extra: { settlementMode: 'transfer', name: 'USDT0', version: '1' } };
+      var result = await app.facilitator.settleTransfer({ payload: await sdk.signPayment(offer, buyer), requirements: offer });
+      return (await evm.provider().getTransactionReceipt(result.body.transaction));
+    }
+    async function send(key, token, to, amount) {
+      var wallet = new ethers.Wallet(key, evm.provider());
+      await token.mint(wallet.address, amount);
+      var tx = await new ethers.Contract(token.address, TOKEN_ABI, wallet).transfer(to, amount);
+      return tx.wait();
+    }
+
+    var matched = await pay('400');
+    var wrongAmount = await pay('250');
+    var untracked = await send(DEV_KEYS[2], usdt0, treasury, 77n);
+    var untrackedCnht = await send(DEV_KEYS[2], cnht0, treasury, 5n);
+    var elsewhere = await send(DEV_KEYS[3], usdt0, ethers.Wallet.createRandom().address, 100n);
+
+    var now = new Date().toISOString().replace('T', ' ').replace('Z', '');
+    var row = function(id, payer, asset, amount, txHash) {
+      return [id, '/api/x402/ai', payer, asset, amount, txHash, '"What is x402, ""really""?"', 42, 7, '', '', now].join(',');
+    };
+    var payer = buyer.address;
+    var asset = usdt0.address.toLowerCase();
+    fs.writeFileSync(path.join(dir, 'payments.csv'), [
+      'id,endpoint,payer_address,asset_address,amount,tx_hash,question,answer_length,tokens_used,invoice_id,nonce,created_at',
+      row(1, payer, asset, '400', matched.hash),
+      row(2, payer, asset, '300', wrongAmount.hash),
+      row(3, payer, asset, '400', matched.hash),
+      row(4, payer, asset, '100', ethers.id('never-mined')),
+      row(5, payer, asset, '100', ''),
+      row(6, new ethers.Wallet(DEV_KEYS[3]).address, asset, '100', elsewhere.hash),
+    ].join('\n') + '\n');
+    var rows = readPaymentsFile(path.join(dir, 'payments.csv'));
+
+    var reconcileCli = function(args) {
+      return new Promise(function(resolve) {
+        var child = spawn(process.execPath, ['facilitator/reconcile.cjs'].concat(args), { env: {
+          PATH: process.env.PATH, X402_NETWORKS_CONFIG: networksPath, X402_API_TREASURY: treasury,
+        } });
+        var out = '', err = '';
+        child.stdout.on('data', function(chunk) { out += chunk; });
+        child.stderr.on('data', function(chunk) { err += chunk; });
+        var timer = setTimeout(function() { child.kill(); }, 20000);
+        child.on('close', function(code) { clearTimeout(timer); resolve({ code: code, out: out, err: err }); });
+      });
+    };
+
+    var full = await reconcileCli(['--from', '0', '--payments', path.join(dir, 'payments.csv'), '--csv', path.join(dir, 'report.csv'), '--batch', '2']);
+    var report = JSON.parse(full.out || '{}');
+    var summary = report.summary || {};
+    var byId = function(list, id) { return (list || []).find(function(entry) { return entry.id === id; }) || {}; };
+    (rows.length === 6 && rows[0].txHash === matched.hash.toLowerCase() && full.code === 1
+      && summary.transfers === 4 && summary.payments === 6 && summary.matched === 1 && summary.missing === 3 && summary.orphaned === 2 && summary.mismatched === 2
+      && report.toBlock === elsewhere.blockNumber && report.assets.length === 2)
+      ? pass('Reconciliation scans treasury transfers and exits 1 on discrepancies') : fail('Reconcile: ' + full.code + ' ' + full.out.slice(0, 500) + full.err);
+
+    var amountMismatch = byId(report.mismatched, '2');
+    var duplicate = byId(report.mismatched, '3');
+    (amountMismatch.reason === 'amount differs' && amountMismatch.amount === '300' && amountMismatch.onChainAmount === '250'
+      && amountMismatch.blockNumber === wrongAmount.blockNumber && duplicate.reason === 'duplicate row')
+      ? pass('Amount mismatches and duplicate rows are reported as mismatched') : fail('Mismatched: ' + JSON.stringify(report.mismatched));
+
+    var elsewhereEntry = byId(report.missing, '6');
+    (byId(report.missing, '4').reason === 'transaction not found' && byId(report.missing, '5').reason === 'no transaction hash'
+      && elsewhereEntry.reason === 'no transfer to treasury' && elsewhereEntry.paidTo.length === 1)
+      ? pass('Rows whose transaction never landed or paid someone else are missing') : fail('Missing: ' + JSON.stringify(report.missing));
+
+    var orphans = (report.orphaned || []).map(function(entry) { return entry.symbol + ':' + entry.amount + ':' + entry.txHash; }).sort();
+    (orphans.join() === ['CNHT0:5:' + untrackedCnht.hash.toLowerCase(), 'USDT0:77:' + untracked.hash.toLowerCase()].join())
+      ? pass('Treasury transfers without a row are orphaned, across USDT0 and CNHT0') : fail('Orphaned: ' + JSON.stringify(report.orphaned));
+
+    var csv = parseCsv(fs.readFileSync(path.join(dir, 'report.csv'), 'utf-8'));
+    var csvStdout = await reconcileCli(['--from', '0', '--payments', path.join(dir, 'payments.csv'), '--format', 'csv']);
+    (csv.length === 7 && csv.filter(function(line) { return line.type === 'orphaned'; }).length === 2
+      && csv.some(function(line) { return line.type === 'mismatched' && line.payment_id === '2' && line.recorded_amount === '300' && line.onchain_amount === '250'; })
+      && csvStdout.code === 1 && csvStdout.out === fs.readFileSync(path.join(dir, 'report.csv'), 'utf-8'))
+      ? pass('The report is written as CSV too (--csv, --format csv)') : fail('CSV report: ' + JSON.stringify(csv));
+
+    var clean = await reconcileCli(['--from', String(matched.blockNumber), '--to', String(matched.blockNumber), '--assets', 'usdt0', '--payments', path.join(dir, 'payments.csv')]);
+    var cleanReport = JSON.parse(clean.out || '{}');
+    var usage = await reconcileCli(['--payments', path.join(dir, 'payments.csv')]);
+    var badAsset = await reconcileCli(['--from', '0', '--assets', 'DAI', '--payments', path.join(dir, 'payments.csv')]);
+    (clean.code === 1 && cleanReport.summary.matched === 1 && cleanReport.summary.outOfRange === 2 && cleanReport.summary.orphaned === 0
+      && cleanReport.summary.mismatched === 1 && cleanReport.assets.length === 1
+      && usage.code === 2 && /--from is required/.test(usage.err) && badAsset.code === 2 && /Unknown asset/.test(badAsset.err))
+      ? pass('Rows mined outside the block range are skipped; bad arguments exit 2') : fail('Range: ' + JSON.stringify([clean.code, cleanReport.summary, usage.err, badAsset.err]));
+
+    fs.writeFileSync(path.join(dir, 'one.jsonl'), JSON.stringify({ id: 1, payer_address: payer, asset_address: asset, amount: '400', tx_hash: matched.hash, created_at: now }) + '\n');
+    var allClear = await reconcileCli(['--from', String(matched.blockNumber), '--to', String(matched.blockNumber), '--payments', path.join(dir, 'one.jsonl')]);
+    (allClear.code === 0 && JSON.parse(allClear.out).summary.matched === 1 && /1 matched, 0 missing, 0 orphaned, 0 mismatched/.test(allClear.err))
+      ? pass('A fully matched range exits 0 (JSON lines export)') : fail('All clear: ' + allClear.code + ' ' + allClear.err);
+
+    // Metered and escrow payments: the treasury is paid by the collector's charge and the adapter's release
+    var firstBlock = await evm.provider().getBlockNumber() + 1;
+    var meteredOffer = { scheme: 'upto', network: 'eip155:31337', amount: '100', asset: asset, payTo: app.facilitator.collector,
+      extra: { settlementMode: 'transfer', treasury: treasury, name: 'USDT0', version: '1' } };
+    var metered = await app.facilitator.settleTransfer({ payload: await sdk.signPayment(meteredOffer, buyer), requirements: meteredOffer, charge: '30' });
+    var escrowOffer = { scheme: 'exact', network: 'eip155:31337', amount: '200', asset: asset, payTo: adapter.address,
+      extra: { assetTransferMethod: 'eip3009', orderId: ethers.id('reconcile-order'), name: 'USDT0', version: '1' } };
+    var escrowed = await app.facilitator.settle({ payload: await sdk.signPayment(escrowOffer, buyer), requirements: escrowOffer });
+    var heldBlock = await evm.provider().getBlockNumber();
+    var released = await app.facilitator.releaseEscrow({ orderId: escrowOffer.extra.orderId });
+    fs.writeFileSync(path.join(dir, 'later.jsonl'), [
+      { id: 10, payer_address: payer, asset_address: asset, amount: '30', tx_hash: metered.body.transaction, created_at: now },
+      { id: 11, payer_address: payer, asset_address: asset, amount: '200', tx_hash: escrowed.body.transaction, created_at: now },
+    ].map(function(entry) { return JSON.stringify(entry); }).join('\n') + '\n');
+    var stores = ['--settlements', path.join(dir, 'settlements.jsonl'), '--escrow', path.join(dir, 'escrow.jsonl')];
+    var followed = await reconcileCli(['--from', String(firstBlock), '--payments', path.join(dir, 'later.jsonl')].concat(stores));
+    var followedSummary = JSON.parse(followed.out || '{}').summary || {};
+    (metered.body.chargeTransaction && released.body.success && followed.code === 0
+      && followedSummary.transfers === 2 && followedSummary.matched === 2 && followedSummary.missing === 0 && followedSummary.orphaned === 0)
+      ? pass('Metered charges and escrow releases are matched to the recorded settlement through the facilitator stores')
+      : fail('Followed: ' + followed.code + ' ' + followed.out.slice(0, 800) + followed.err);
+
+    var beforeRelease = await reconcileCli(['--from', String(firstBlock), '--to', String(heldBlock), '--payments', path.join(dir, 'later.jsonl')].concat(stores));
+    var emptyStore = path.join(dir, 'empty.jsonl');
+    fs.writeFileSync(emptyStore, '');
+    var unlinked = await reconcileCli(['--from', String(firstBlock), '--payments', path.join(dir, 'later.jsonl'), '--settlements', emptyStore, '--escrow', emptyStore]);
+    var beforeSummary = JSON.parse(beforeRelease.out || '{}').summary || {};
+    var unlinkedSummary = JSON.parse(unlinked.out || '{}').summary || {};
+    (beforeRelease.code === 0 && beforeSummary.matched === 1 && beforeSummary.outOfRange === 1
+      && unlinked.code === 1 && unlinkedSummary.missing === 2 && unlinkedSummary.orphaned === 2)
+      ? pass('A release after the range is skipped; without the stores the rows are missing and the transfers orphaned')
+      : fail('Links: ' + JSON.stringify([beforeSummary, unlinkedSummary]) + beforeRelease.err + unlinked.err);
+  } finally {
+    if (app) app.stop();
+    await evm.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// ============================================
+// 35. Payment Ledger
+// ============================================
+
+async function testPaymentLedger() {
+  console.log('\n=== 35. Payment Ledger ===');
+  var http = require('http');
+  var { ethers } = require('ethers');
+  var { createFacilitator } = require('../facilitator/lib/server.cjs');
+  var { buildNetworks } = require('../facilitator/lib/networks.cjs');
+  var { PaymentLedger, openPaymentStore, loadSqlite, decodeCursor, payloadHash, buildQuery } = require('../facilitator/lib/payment-ledger.cjs');
+  var { LocalEvm, DEV_KEYS } = require('../local/lib/local-evm.cjs');
+  var { Logger } = require('../facilitator/lib/logger.cjs');
+  var sdk = require('../assets/js/lib/x402Client.js');
+  var quiet = new Logger({ level: 'silent' });
+
+  var sqlite = buildQuery({ payer: '0xabc', outcome: 'settled', from: 10 }, { createdAt: 20, id: 'b' }, 51, function() { return '?'; });
+  var postgres = buildQuery({ asset: '0xdef', to: 30 }, null, 11, function(n) { return '$' + n; });
+  var badCursor = function(cursor) { try { decodeCursor(cursor); return false; } catch (error) { return error.message === 'Invalid cursor'; } };
+  (sqlite.sql === 'SELECT * FROM x402_facilitator_payments WHERE payer = ? AND outcome = ? AND created_at >= ? AND (created_at < ? OR (created_at = ? AND id < ?)) ORDER BY created_at DESC, id DESC LIMIT 51'
+    && sqlite.params.join() === '0xabc,settled,10,20,20,b'
+    && postgres.sql === 'SELECT * FROM x402_facilitator_payments WHERE asset = $1 AND created_at <= $2 ORDER BY created_at DESC, id DESC LIMIT 11'
+    && badCursor('nope') && badCursor(Buffer.from('{"a":1}').toString('base64url'))
+    && payloadHash({ a: 1 }) === payloadHash({ a: 1 }) && /^0x[0-9a-f]{64}$/.test(payloadHash({ a: 1 })))
+    ? pass('SQL pages filter with placeholders and a (created_at, id) cursor; bad cursors are rejected') : fail('Query: ' + JSON.stringify([sqlite, postgres]));
+
+  var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'x402-payments-'));
+  var warnings = [];
+  var recorder = { info: function() {}, error: function() {}, warn: function(message, fields) { warnings.push({ message: message, fields: fields }); } };
+  var unknown = await openPaymentStore({ backend: 'mysql', filePath: path.join(dir, 'x.db') }).then(function() { return null; }, function(error) { return error.message; });
+  var driver = loadSqlite();
+  var defaultStore = await openPaymentStore({ filePath: path.join(dir, 'default.db'), logger: recorder });
+  if (driver) {
+    var sqliteLedger = new PaymentLedger({ store: defaultStore, logger: quiet });
+    sqliteLedger.record({ operation: 'settle', mode: 'transfer', payer: '0xaa', outcome: 'pending', settlementId: 'job-1' });
+    sqliteLedger.record({ operation: 'verify', mode: 'transfer', payer: '0xbb', outcome: 'valid' });
+    await sqliteLedger.finalize('job-1', { outcome: 'settled', txHash: '0x01' });
+    var sqlitePage = await sqliteLedger.query({ payer: '0xaa' });
+    (defaultStore.backend === 'sqlite' && sqlitePage.payments.length === 1 && sqlitePage.payments[0].outcome === 'settled'
+      && sqlitePage.payments[0].txHash === '0x01' && (await sqliteLedger.stats()).valid === 1)
+      ? pass('SQLite ledger (' + driver.name + ') records, finalizes and filters attempts') : fail('SQLite: ' + JSON.stringify(sqlitePage));
+    await sqliteLedger.close();
+  } else {
+    (defaultStore.backend === 'jsonl' && defaultStore.location === path.join(dir, 'default.jsonl')
+      && warnings.length === 1 && /SQLite unavailable/.test(warnings[0].message))
+      ? pass('Without a SQLite driver the ledger falls back to JSON lines with a warning') : fail('Fallback: ' + JSON.stringify([defaultStore.location, warnings]));
+  }
+
+  var clock = Date.parse('2026-01-01T00:00:00Z');
+  var day = 24 * 3600 * 1000;
+  var kept = await openPaymentStore({ backend: 'jsonl', filePath: path.join(dir, 'kept.jsonl'), now: function() { return clock; } });
+  await kept.insert({ id: 'old', createdAt: clock - 3650 * day, operation: 'verify', outcome: 'valid' });
+  var keptIds = (await (await openPaymentStore({ backend: 'jsonl', filePath: path.join(dir, 'kept.jsonl') })).query({}, null, 10)).map(function(record) { return record.id; });
+  keptIds.join() === 'old' ? pass('Without a retention the ledger keeps every attempt') : fail('Kept: ' + keptIds);
+  var retained = await openPaymentStore({ backend: 'jsonl', filePath: path.join(dir, 'retained.jsonl'), retentionDays: 1, now: function() { return clock; } });
+  await retained.insert({ id: 'old', createdAt: clock, operation: 'verify', outcome: 'valid' });
+  await retained.insert({ id: 'held', createdAt: clock, operation: 'settle', outcome: 'pending', settlementId: 'job-held' });
+  clock += day + 1000;
+  await retained.insert({ id: 'new', createdAt: clock, operation: 'verify', outcome: 'valid' });
+  var retainedIds = (await retained.query({}, null, 10)).map(function(record) { return record.id; }).sort().join();
+  var reopened = await openPaymentStore({ backend: 'jsonl', filePath: path.join(dir, 'retained.jsonl'), retentionDays: 1, now: function() { return clock; } });
+  var fileIds = fs.readFileSync(path.join(dir, 'retained.jsonl'), 'utf-8').trim().split('\n').map(function(line) { return JSON.parse(line).id; }).sort().join();
+  (retainedIds === 'held,new' && fileIds === 'held,new' && reopened.bySettlement.get('job-held') === 'held')
+    ? pass('JSON-lines ledger compacts attempts past the retention, keeping pending settlements') : fail('Retention: ' + retainedIds + ' / ' + fileIds);
+  /Unknown payment ledger "mysql"/.test(unknown) ? pass('Unknown ledger backends are rejected') : fail('Backend: ' + unknown);
+
+  var evm = new LocalEvm({ chainId: 31337 });
+  await evm.start();
+  var server = null;
+  var app = null;
+  try {
+    var relayer = new ethers.Wallet(DEV_KEYS[1]);
+    var treasury = ethers.Wallet.createRandom().address;
+    var buyer = ethers.Wallet.createRandom();
+    var other = ethers.Wallet.createRandom();
+    var token = await evm.deployToken({ name: 'USDT0', decimals: 6 });
+    await token.mint(buyer.address, 10000n);
+    await token.mint(other.address, 10000n);
+    var asset = token.address.toLowerCase();
+    var registry = buildNetworks({ networks: [{ chainId: 31337, rpcUrls: [evm.url], assets: {
+      [asset]: { symbol: 'USDT0', decimals: 6, eip3009: true, eip712Name: 'USDT0', eip712Version: '1' },
+    } }] });
+    var config = {
+      networks: registry.networks, defaultNetwork: registry.defaultNetwork, apiKey: 'ledger-key',
+      nonceStorePath: path.join(dir, 'nonces.jsonl'), settlementStorePath: path.join(dir, 'settlements.jsonl'),
+      escrowStorePath: path.join(dir, 'escrow.jsonl'), refundStorePath: path.join(dir, 'refunds.jsonl'), webhookStorePath: path.join(dir, 'webhooks.jsonl'),
+      paymentLedger: 'jsonl', paymentStorePath: path.join(dir, 'payments.jsonl'),
+      demoSpendPath: path.join(dir, 'demo.jsonl'), relayer: { pollInterval: 10 },
+      rateLimits: { apiKey: null, payer: null, routes: new Map() },
+    };
+    app = createFacilitator({ provider: evm.provider(), signer: relayer, logger: quiet, config: config });
+    await app.init();
+    var facilitator = app.facilitator;
+    server = http.createServer(app);
+    await new Promise(function(resolve) { server.listen(0, '127.0.0.1', resolve); });
+    var base = 'http://127.0.0.1:' + server.address().port;
+    function list(query, key) {
+      return fetch(base + '/x402/payments' + (query ? '?' + query : ''), { headers: { 'X-API-Key': key === undefined ? 'ledger-key' : key } })
+        .then(function(res) { return res.json().then(function(data) { return { status: res.status, body: data }; }); });
+    }
+
+    var offer = function(amount) {
+      return { scheme: 'exact', network: 'eip155:31337', amount: amount, asset: asset, payTo: treasury,
+        extra: { settlementMode: 'transfer', name: 'USDT0', version: '1' } };
+    };
+    var started = Date.now();
+    var payment = { payload: await sdk.signPayment(offer('400'), buyer), requirements: offer('400') };
+    await facilitator.verifyTransfer(payment, { requestId: 'req-verify' });
+    await facilitator.verifyTransfer({ payload: payment.payload, requirements: offer('500') });
+    var settled = await facilitator.settleTransfer(payment, { requestId: 'req-settle' });
+    var replayed = await facilitator.settleTransfer(payment);
+    var otherPayment = { payload: await sdk.signPayment(offer('150'), other), requirements: offer('150') };
+    var pending = await facilitator.settleTransfer({ payload: otherPayment.payload, requirements: otherPayment.requirements, async: true });
+
+    var all = await list('');
+    var byOutcome = {};
+    (all.body.payments || []).forEach(function(entry) { byOutcome[entry.outcome] = entry; });
+    var settledEntry = byOutcome.settled || {};
+    (all.status === 200 && all.body.payments.length === 5 && all.body.nextCursor === null
+      && byOutcome.valid.requestId === 'req-verify' && byOutcome.valid.amount === '400' && byOutcome.valid.payer === buyer.address.toLowerCase()
+      && byOutcome.invalid.reason && byOutcome.rejected.reason === 'Nonce already used' && byOutcome.pending.settlementId === pending.body.settlementId
+      && settledEntry.operation === 'settle' && settledEntry.mode === 'transfer' && settledEntry.txHash === settled.body.transaction
+      && settledEntry.asset === asset && settledEntry.payTo === treasury.toLowerCase() && settledEntry.payloadHash === payloadHash(payment.payload)
+      && settledEntry.requestId === 'req-settle' && settledEntry.latencyMs >= 0 && settledEntry.network === 'eip155:31337'
+      && Date.parse(all.body.payments[0].createdAt) >= Date.parse(all.body.payments[4].createdAt) && Date.parse(all.body.payments[4].createdAt) >= started - 1000)
+      ? pass('Verify and settle attempts are recorded with payer, asset, amount, outcome, tx hash and latency') : fail('Recorded: ' + JSON.stringify(all.body));
+
+    // The provider caches the block number briefly, so poll until the watcher sees the receipt's block
+    for (var attempt = 0; attempt < 20 && facilitator.settlement(pending.body.settlementId).status === 'pending'; attempt++) {
+      await new Promise(function(resolve) { setTimeout(resolve, 100); });
+      await facilitator.settlements.poll();
+    }
+    var confirmed = await list('status=settled&payer=' + other.address);
+    (confirmed.body.payments.length === 1 && confirmed.body.payments[0].settlementId === pending.body.settlementId
+      && confirmed.body.payments[0].txHash === pending.body.transaction && (await list('status=pending')).body.payments.length === 0)
+      ? pass('Async settlements recorded as pending are updated once confirmed') : fail('Async: ' + JSON.stringify(confirmed.body));
+
+    var buyerAttempts = await list('payer=' + buyer.address + '&operation=verify');
+    var otherAsset = await list('asset=' + ethers.Wallet.createRandom().address);
+    var future = await list('from=' + new Date(Date.now() + 60000).toISOString());
+    var past = await list('to=' + Math.floor(started / 1000 - 60));
+    var window = await list('from=' + Math.floor(started / 1000 - 60) + '&to=' + new Date(Date.now() + 60000).toISOString() + '&asset=' + asset);
+    (buyerAttempts.body.payments.length === 2 && buyerAttempts.body.payments.every(function(entry) { return entry.operation === 'verify'; })
+      && otherAsset.body.payments.length === 0 && future.body.payments.length === 0 && past.body.payments.length === 0 && window.body.payments.length === 5)
+      ? pass('Payments filter by payer, asset, operation and date range') : fail('Filters: ' + JSON.stringify([buyerAttempts.body, window.body]));
+
+    var pages = [];
+    var cursor = '';
+    for (var i = 0; i < 5; i++) {
+      var page = await list('limit=2' + (cursor ? '&cursor=' + cursor : ''));
+      pages.push(page.body.payments.map(function(entry) { return entry.id; }));
+      cursor = page.body.nextCursor;
+      if (!cursor) break;
+    }
+    var walked = [].concat.apply([], pages);
+    (pages.length === 3 && pages[2].length === 1 && walked.join() === all.body.payments.map(function(entry) { return entry.id; }).join())
+      ? pass('Cursor pagination walks every attempt once, newest first') : fail('Pages: ' + JSON.stringify(pages));
+
+    var badCursorResponse = await list('cursor=garbage');
+    var badPayer = await list('payer=0x123');
+    var badStatus = await list('status=paid');
+    var badLimit = await list('limit=500');
+    var badDate = await list('from=yesterday');
+    var noKey = await list('', 'wrong');
+    (badCursorResponse.status === 400 && badCursorResponse.body.error === 'Invalid cursor' && badPayer.status === 400 && badStatus.status === 400
+      && badLimit.status === 400 && badDate.status === 400 && noKey.status === 401)
+      ? pass('Bad filters and cursors are 400; the endpoint needs X-API-Key') : fail('Validation: ' + JSON.stringify([badCursorResponse, badPayer, badStatus, badLimit, badDate, noKey]));
+
+    var health = await facilitator.health();
+    (health.body.payments.backend === 'jsonl' && health.body.payments.valid === 1 && health.body.payments.invalid === 1
+      && health.body.payments.settled === 2 && health.body.payments.rejected === 1)
+      ? pass('Health reports ledger counts by outcome') : fail('Health: ' + JSON.stringify(health.body.payments));
+
+    app.stop();
+    app = null;
+    await facilitator.payments.writes;
+    var reopened = new PaymentLedger({ store: await openPaymentStore({ backend: 'jsonl', filePath: config.paymentStorePath }), logger: quiet });
+    var persisted = await reopened.query({ outcome: 'settled' });
+    (persisted.payments.length === 2 && persisted.payments.some(function(entry) { return entry.txHash === pending.body.transaction; }))
+      ? pass('The ledger survives a restart, with finalized settlements') : fail('Reopened: ' + JSON.stringify(persisted));
+  } finally {
+    if (server) server.close();
+    if (app) app.stop();
+    await evm.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
 // ============================================
 // RESULTS
 // ============================================
 
-console.log('\n========================================');
-console.log('  TOTAL: ' + ok + ' passed, ' + errors + ' failed');
-console.log('========================================');
-if (errors > 0) process.exit(1);
-console.log('  ALL TESTS PASSED');
+function printResults() {
+  console.log('\n========================================');
+  console.log('  TOTAL: ' + ok + ' passed, ' + errors + ' failed');
+  console.log('========================================');
+  if (errors > 0) process.exit(1);
+  console.log('  ALL TESTS PASSED');
+}
+
+testSettlementTracker()
+  .then(testRelayerTxManager)
+  .then(testRelayerPool)
+  .then(testSignerBackends)
+  .then(testMetrics)
+  .then(testLogging)
+  .then(testRateLimits)
+  .then(testPaymentMiddleware)
+  .then(testEmbeddedFacilitator)
+  .then(testClientSdk)
+  .then(testAgentSpendPolicy)
+  .then(testAgentCli)
+  .then(testFacilitatorFactory)
+  .then(testMockAi)
+  .then(testMeteredPayments)
+  .then(testEscrowLifecycle)
+  .then(testRefunds)
+  .then(testWebhooks)
+  .then(testReconciliation)
+  .then(testPaymentLedger)
+  .catch(function(error) { fail('Async tests crashed: ' + error.message); })
+  .then(printResults);